@@ -7,6 +7,8 @@ import { useTranslation } from './utils/translations';
 import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
 import { LoadingOverlay, EditorSkeleton } from './components/Loading/LoadingSpinner';
 import { ConflictDialog, ConflictIndicator } from './components/Conflict';
+import { HistoryDiffPanel } from './components/History';
+import { colorForDevice } from './utils/presence';
 import { Eye, Edit3, Columns } from 'lucide-react';
 
 // Lazy load heavy components
@@ -25,13 +27,33 @@ function App() {
   const setNote = useAppStore((state) => state.setNote);
   const resetConnection = useAppStore((state) => state.resetConnection);
   const showSidebar = useAppStore((state) => state.showSidebar);
+  const members = useAppStore((state) => state.members);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
+  const history = useAppStore((state) => state.history);
 
   const {
     joinChain,
     pushUpdate,
+    sendPresence,
+    remotePresence,
     disconnect,
     getSocketId,
     requestSync,
+    pinRoom,
+    selectNote,
+    createNote,
+    renameNote,
+    deleteNote,
+    moveNote,
+    listOtherNotebooks,
+    isDefaultNote,
+    getHistoryContent,
+    restoreHistoryEntry,
+    deleteHistoryEntry,
+    clearHistory,
+    listServerVersions,
+    getServerVersionContent,
+    restoreServerVersion,
     conflictCount,
     pendingConflicts,
     resolveConflict,
@@ -41,6 +63,55 @@ function App() {
   const [viewMode, setViewMode] = useState('edit'); // 'edit', 'preview', 'split'
   const [isLoading, setIsLoading] = useState(false);
   const [activeConflictId, setActiveConflictId] = useState(null);
+  const [diffEntryId, setDiffEntryId] = useState(null);
+  const [serverDiffEntry, setServerDiffEntry] = useState(null);
+
+  // Label other devices' selections in the open note with their name and a color derived from it
+  const remoteSelections = useMemo(() => remotePresence
+    .filter((presence) => presence.noteId === activeNoteId)
+    .map((presence) => {
+      const name = members.find((member) => member.id === presence.id)?.name || 'Unknown Device';
+      return { ...presence, name, color: colorForDevice(name) };
+    }), [remotePresence, members, activeNoteId]);
+
+  const noteActions = useMemo(() => ({
+    isDefaultNote,
+    onSelectNote: selectNote,
+    onCreateNote: createNote,
+    onRenameNote: renameNote,
+    onDeleteNote: deleteNote,
+    onMoveNote: moveNote,
+    onListNotebooks: listOtherNotebooks,
+  }), [isDefaultNote, selectNote, createNote, renameNote, deleteNote, moveNote, listOtherNotebooks]);
+
+  const historyActions = useMemo(() => ({
+    onCompare: setDiffEntryId,
+    onRestore: restoreHistoryEntry,
+    onDelete: deleteHistoryEntry,
+    onClear: clearHistory,
+    onListServerVersions: listServerVersions,
+    onCompareServerVersion: setServerDiffEntry,
+    onRestoreServerVersion: restoreServerVersion,
+  }), [restoreHistoryEntry, deleteHistoryEntry, clearHistory, listServerVersions, restoreServerVersion]);
+
+  // The compared entry; gone once its note is closed or the entry deleted
+  const diffEntry = useMemo(
+    () => history.find((entry) => entry.id === diffEntryId) || null,
+    [history, diffEntryId]
+  );
+
+  const closeHistoryDiff = useCallback(() => {
+    setDiffEntryId(null);
+  }, []);
+
+  const closeServerDiff = useCallback(() => {
+    setServerDiffEntry(null);
+  }, []);
+
+  // Server copies belong to the open note
+  useEffect(() => {
+    setServerDiffEntry(null);
+  }, [activeNoteId]);
 
   const activeConflict = useMemo(() => {
     if (!activeConflictId) return null;
@@ -61,13 +132,10 @@ function App() {
   const handleResolveConflict = useCallback(async (resolvedContent) => {
     if (!activeConflictId) return;
 
-    const resolved = await resolveConflict(activeConflictId, resolvedContent);
-    if (typeof resolved === 'string') {
-      setNote(resolved);
-      pushUpdate(resolved);
-    }
+    // The hook stores the resolution in its note and pushes it
+    await resolveConflict(activeConflictId, resolvedContent);
     setActiveConflictId(null);
-  }, [activeConflictId, resolveConflict, setNote, pushUpdate]);
+  }, [activeConflictId, resolveConflict]);
 
   // Apply dark mode to document
   useEffect(() => {
@@ -93,12 +161,12 @@ function App() {
   // Handle note changes
   const handleNoteChange = useCallback((newContent) => {
     setNote(newContent);
-    pushUpdate(newContent);
+    pushUpdate();
   }, [setNote, pushUpdate]);
 
   // Handle join chain
-  const handleJoinChain = useCallback(async (mnemonic, deviceName) => {
-    return joinChain(mnemonic, deviceName);
+  const handleJoinChain = useCallback(async (mnemonic, deviceName, options) => {
+    return joinChain(mnemonic, deviceName, options);
   }, [joinChain]);
 
   // Handle leave
@@ -138,7 +206,7 @@ function App() {
         darkMode ? 'bg-slate-900 text-slate-100' : 'bg-slate-50 text-slate-900'
       }`}>
         <Suspense fallback={<div className="h-14 bg-slate-800" />}>
-          <Header onLeave={handleLeave} />
+          <Header onLeave={handleLeave} onPinRoom={pinRoom} />
         </Suspense>
 
         <ConflictIndicator
@@ -154,9 +222,31 @@ function App() {
           darkMode={darkMode}
         />
 
+        <HistoryDiffPanel
+          entry={diffEntry}
+          loadContent={getHistoryContent}
+          currentContent={note}
+          onApply={handleNoteChange}
+          onRestoreVersion={restoreHistoryEntry}
+          onClose={closeHistoryDiff}
+          darkMode={darkMode}
+          lang={lang}
+        />
+
+        <HistoryDiffPanel
+          entry={serverDiffEntry}
+          loadContent={getServerVersionContent}
+          currentContent={note}
+          onApply={handleNoteChange}
+          onRestoreVersion={restoreServerVersion}
+          onClose={closeServerDiff}
+          darkMode={darkMode}
+          lang={lang}
+        />
+
         <div className="flex flex-1 overflow-hidden relative">
           <Suspense fallback={<div className="w-64 bg-slate-800" />}>
-            <Sidebar socketId={getSocketId()} />
+            <Sidebar socketId={getSocketId()} noteActions={noteActions} historyActions={historyActions} />
           </Suspense>
 
         {/* Main Content Area */}
@@ -234,6 +324,8 @@ function App() {
                       value={note}
                       onChange={handleNoteChange}
                       placeholder={t.notePlaceholder}
+                      remoteSelections={remoteSelections}
+                      onSelectionChange={sendPresence}
                     />
                   </Suspense>
                 </motion.div>
@@ -273,6 +365,8 @@ function App() {
                         value={note}
                         onChange={handleNoteChange}
                         placeholder={t.notePlaceholder}
+                        remoteSelections={remoteSelections}
+                        onSelectionChange={sendPresence}
                       />
                     </Suspense>
                   </div>
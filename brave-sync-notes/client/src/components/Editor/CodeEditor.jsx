@@ -1,6 +1,7 @@
-import React, { useMemo, useCallback, Suspense, lazy, useState, useEffect } from 'react';
+import React, { useMemo, useCallback, Suspense, lazy, useState, useEffect, useRef } from 'react';
 import { EditorView } from '@codemirror/view';
 import { useAppStore } from '../../store/useStore';
+import { remoteSelections as remoteSelectionsExtension, setRemoteSelections } from '../../utils/presence';
 import { EditorSkeleton } from '../Loading/LoadingSpinner';
 
 // Lazy load CodeMirror for better initial load performance
@@ -11,7 +12,9 @@ const loadMarkdown = () => import('@codemirror/lang-markdown').then(m => m.markd
 const loadJavaScript = () => import('@codemirror/lang-javascript').then(m => m.javascript({ jsx: true, typescript: true }));
 const loadOneDark = () => import('@codemirror/theme-one-dark').then(m => m.oneDark);
 
-const CodeEditor = ({ value, onChange, placeholder }) => {
+const NO_REMOTE_SELECTIONS = [];
+
+const CodeEditor = ({ value, onChange, placeholder, remoteSelections = NO_REMOTE_SELECTIONS, onSelectionChange }) => {
   const darkMode = useAppStore((state) => state.darkMode);
   const fontSize = useAppStore((state) => state.fontSize);
   const tabSize = useAppStore((state) => state.tabSize);
@@ -22,6 +25,11 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
   const [extensions, setExtensions] = useState([]);
   const [theme, setTheme] = useState(null);
   const [isReady, setIsReady] = useState(false);
+  const [view, setView] = useState(null);
+
+  // Read through a ref so a new callback does not rebuild the extensions
+  const onSelectionChangeRef = useRef(onSelectionChange);
+  onSelectionChangeRef.current = onSelectionChange;
 
   // Load extensions asynchronously
   useEffect(() => {
@@ -40,6 +48,18 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
           exts.push(jsExt);
         }
         
+        // Other devices' carets and selections
+        exts.push(remoteSelectionsExtension());
+
+        // Report our own selection so other devices can show it
+        exts.push(EditorView.updateListener.of((update) => {
+          if (update.selectionSet) {
+            onSelectionChangeRef.current?.(
+              update.state.selection.ranges.map(({ anchor, head }) => ({ anchor, head }))
+            );
+          }
+        }));
+
         // Word wrap
         if (wordWrap) {
           exts.push(EditorView.lineWrapping);
@@ -166,6 +186,10 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
     tabSize,
   }), [lineNumbers, tabSize]);
 
+  useEffect(() => {
+    view?.dispatch({ effects: setRemoteSelections.of(remoteSelections) });
+  }, [view, remoteSelections]);
+
   // Memoize onChange handler
   const handleChange = useCallback((val) => {
     onChange(val);
@@ -185,6 +209,7 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
           theme={theme}
           placeholder={placeholder}
           basicSetup={basicSetup}
+          onCreateEditor={setView}
           className="h-full"
           style={{ height: '100%' }}
         />
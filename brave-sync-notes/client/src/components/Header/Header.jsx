@@ -19,13 +19,14 @@ import { useAppStore } from '../../store/useStore';
 import { useTranslation } from '../../utils/translations';
 import toast from 'react-hot-toast';
 
-const Header = ({ onLeave }) => {
+const Header = ({ onLeave, onPinRoom }) => {
   const {
     darkMode,
     toggleDarkMode,
     lang,
     toggleLang,
     status,
+    pendingChanges,
     toggleSidebar,
     showSidebar,
     note,
@@ -38,6 +39,11 @@ const Header = ({ onLeave }) => {
     setLineNumbers,
     wordWrap,
     setWordWrap,
+    syncMode,
+    setSyncMode,
+    historyRetention,
+    setHistoryRetention,
+    roomPinned,
   } = useAppStore();
   
   const t = useTranslation(lang);
@@ -163,6 +169,14 @@ const Header = ({ onLeave }) => {
             <div className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium ${currentStatus.color}`}>
               <StatusIcon size={16} />
               <span className="hidden sm:inline">{currentStatus.label}</span>
+              {pendingChanges > 0 && (
+                <span
+                  className="px-1.5 py-0.5 rounded-full text-[10px] font-bold bg-amber-500 text-white"
+                  title={t.pendingChanges}
+                >
+                  {pendingChanges}
+                </span>
+              )}
             </div>
 
             {/* Leave */}
@@ -309,6 +323,88 @@ const Header = ({ onLeave }) => {
                   </button>
                 </div>
 
+                {/* Sync Mode */}
+                <div className="flex items-center justify-between">
+                  <div>
+                    <label className={`text-sm font-medium ${
+                      darkMode ? 'text-slate-300' : 'text-slate-700'
+                    }`}>
+                      {t.crdtMode}
+                    </label>
+                    <p className={`text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                      {t.crdtModeHint}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setSyncMode(syncMode === 'crdt' ? 'snapshot' : 'crdt')}
+                    className={`w-12 h-6 shrink-0 rounded-full transition-colors relative ${
+                      syncMode === 'crdt' ? 'bg-orange-500' : darkMode ? 'bg-slate-600' : 'bg-slate-300'
+                    }`}
+                  >
+                    <div className={`absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${
+                      syncMode === 'crdt' ? 'translate-x-7' : 'translate-x-1'
+                    }`} />
+                  </button>
+                </div>
+
+                {/* History Retention */}
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    darkMode ? 'text-slate-300' : 'text-slate-700'
+                  }`}>
+                    {t.historyRetention}
+                  </label>
+                  <div className="flex gap-2">
+                    {[
+                      ['standard', t.retentionStandard],
+                      ['compact', t.retentionCompact],
+                      ['keepAll', t.retentionKeepAll],
+                    ].map(([policy, label]) => (
+                      <button
+                        key={policy}
+                        onClick={() => setHistoryRetention(policy)}
+                        className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors ${
+                          historyRetention === policy
+                            ? 'bg-orange-500 text-white'
+                            : darkMode
+                              ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                              : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <p className={`text-xs mt-1 ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                    {t.retentionHint[historyRetention] || t.retentionHint.standard}
+                  </p>
+                </div>
+
+                {/* Pin Chain */}
+                <div className="flex items-center justify-between">
+                  <div>
+                    <label className={`text-sm font-medium ${
+                      darkMode ? 'text-slate-300' : 'text-slate-700'
+                    }`}>
+                      {t.pinChain}
+                    </label>
+                    <p className={`text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                      {t.pinChainHint}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => onPinRoom(!roomPinned)}
+                    disabled={status === 'disconnected'}
+                    className={`w-12 h-6 shrink-0 rounded-full transition-colors relative disabled:opacity-50 ${
+                      roomPinned ? 'bg-orange-500' : darkMode ? 'bg-slate-600' : 'bg-slate-300'
+                    }`}
+                  >
+                    <div className={`absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${
+                      roomPinned ? 'translate-x-7' : 'translate-x-1'
+                    }`} />
+                  </button>
+                </div>
+
                 {/* Import/Export */}
                 <div className={`pt-4 border-t ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}>
                   <div className="flex gap-2">
@@ -0,0 +1,287 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, GitCompare, Columns, Rows, Undo2, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTranslation } from '../../utils/translations';
+import { diffLines, collapseContext, diffWords, revertHunk } from '../../utils/history';
+
+/**
+ * 按词高亮的文本
+ */
+const Segments = ({ segments, highlightClass }) => (
+    <pre className="whitespace-pre-wrap break-words font-mono text-xs leading-5">
+        {segments.map((segment, i) => (
+            <span key={i} className={segment.changed ? highlightClass : undefined}>
+                {segment.text}
+            </span>
+        ))}
+        {segments.length === 0 && ' '}
+    </pre>
+);
+
+/**
+ * 历史版本与当前内容的对比面板
+ * 支持并排与行内两种显示方式，修改块内按词高亮，可以只恢复某个修改块
+ */
+const HistoryDiffPanel = ({
+    entry,
+    loadContent,
+    currentContent,
+    onApply,
+    onRestoreVersion,
+    onClose,
+    darkMode = true,
+    lang,
+}) => {
+    const t = useTranslation(lang);
+    const [mode, setMode] = useState('split'); // 'split' | 'inline'
+    const [entryContent, setEntryContent] = useState(null);
+    const entryId = entry?.id;
+
+    useEffect(() => {
+        if (!entryId) return undefined;
+        let cancelled = false;
+        setEntryContent(null);
+        loadContent(entryId)
+            .then((content) => {
+                if (cancelled) return;
+                if (content === null) {
+                    onClose();
+                } else {
+                    setEntryContent(content);
+                }
+            })
+            .catch((err) => {
+                console.error('Failed to load history entry:', err);
+                if (!cancelled) {
+                    toast.error(t.loadVersionError);
+                    onClose();
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [entryId, loadContent, onClose, t]);
+
+    // 对比随当前内容更新，修改块因此总与编辑器一致
+    const blocks = useMemo(() => {
+        if (entryContent === null) return [];
+        return collapseContext(diffLines(entryContent, currentContent)).map((block) => (
+            block.type === 'change'
+                ? { ...block, words: diffWords(block.oldLines.join('\n'), block.newLines.join('\n')) }
+                : block
+        ));
+    }, [entryContent, currentContent]);
+
+    const hunkCount = blocks.filter((block) => block.type === 'change').length;
+
+    if (!entry) return null;
+
+    const handleRestoreHunk = (hunk) => {
+        const restored = revertHunk(currentContent, hunk);
+        if (restored === null) {
+            toast(t.hunkOutdated);
+            return;
+        }
+        onApply(restored);
+    };
+
+    const handleRestoreVersion = async () => {
+        if (await onRestoreVersion(entry.id)) {
+            toast.success(t.restored);
+            onClose();
+        }
+    };
+
+    const removedClass = darkMode ? 'bg-red-500/10' : 'bg-red-50';
+    const addedClass = darkMode ? 'bg-green-500/10' : 'bg-green-50';
+    const removedHighlight = darkMode ? 'bg-red-500/40 rounded-sm' : 'bg-red-200 rounded-sm';
+    const addedHighlight = darkMode ? 'bg-green-500/40 rounded-sm' : 'bg-green-200 rounded-sm';
+    const mutedClass = darkMode ? 'text-slate-500' : 'text-slate-400';
+
+    const renderEqual = (block, key) => {
+        const text = (
+            <pre className={`whitespace-pre-wrap break-words font-mono text-xs leading-5 ${
+                darkMode ? 'text-slate-400' : 'text-slate-600'
+            }`}>
+                {block.lines.join('\n') || ' '}
+            </pre>
+        );
+        return mode === 'split' ? (
+            <div key={key} className="grid grid-cols-2 gap-2 px-3">
+                {text}
+                {text}
+            </div>
+        ) : (
+            <div key={key} className="px-3">{text}</div>
+        );
+    };
+
+    const renderHunk = (block) => {
+        const removed = block.oldLines.length > 0 && (
+            <div className={`px-2 rounded ${removedClass}`}>
+                <Segments segments={block.words.oldSegments} highlightClass={removedHighlight} />
+            </div>
+        );
+        const added = block.newLines.length > 0 && (
+            <div className={`px-2 rounded ${addedClass}`}>
+                <Segments segments={block.words.newSegments} highlightClass={addedHighlight} />
+            </div>
+        );
+
+        return (
+            <div
+                key={`hunk-${block.index}`}
+                className={`my-2 mx-3 rounded-lg border ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}
+            >
+                <div className={`flex items-center justify-between px-3 py-1.5 text-xs border-b ${
+                    darkMode ? 'border-slate-700 text-slate-400' : 'border-slate-200 text-slate-500'
+                }`}>
+                    <span className="font-mono">
+                        -{block.oldStart + 1},{block.oldLines.length} +{block.newStart + 1},{block.newLines.length}
+                    </span>
+                    <button
+                        onClick={() => handleRestoreHunk(block)}
+                        className={`flex items-center gap-1 px-2 py-0.5 rounded transition-colors ${
+                            darkMode ? 'hover:bg-slate-700 hover:text-white' : 'hover:bg-slate-100 hover:text-slate-900'
+                        }`}
+                    >
+                        <Undo2 size={12} />
+                        {t.restoreHunk}
+                    </button>
+                </div>
+                {mode === 'split' ? (
+                    <div className="grid grid-cols-2 gap-2 p-2">
+                        <div>{removed}</div>
+                        <div>{added}</div>
+                    </div>
+                ) : (
+                    <div className="p-2 space-y-1">
+                        {removed}
+                        {added}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <AnimatePresence>
+            <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+                onClick={onClose}
+            >
+                <motion.div
+                    initial={{ scale: 0.95, opacity: 0 }}
+                    animate={{ scale: 1, opacity: 1 }}
+                    exit={{ scale: 0.95, opacity: 0 }}
+                    onClick={(e) => e.stopPropagation()}
+                    className={`w-full max-w-6xl max-h-[90vh] flex flex-col overflow-hidden rounded-2xl shadow-2xl ${
+                        darkMode ? 'bg-slate-800 text-white' : 'bg-white text-slate-900'
+                    }`}
+                >
+                    {/* Header */}
+                    <div className={`flex items-center justify-between gap-4 p-4 border-b ${
+                        darkMode ? 'border-slate-700' : 'border-slate-200'
+                    }`}>
+                        <div className="flex items-center gap-3 min-w-0">
+                            <div className="p-2 bg-orange-500/20 rounded-lg">
+                                <GitCompare className="w-5 h-5 text-orange-500" />
+                            </div>
+                            <div className="min-w-0">
+                                <h2 className="font-bold">{t.historyDiff}</h2>
+                                <p className={`text-xs truncate ${mutedClass}`}>
+                                    {new Date(entry.timestamp).toLocaleString()}
+                                    {entry.deviceName ? ` · ${entry.deviceName}` : ''}
+                                </p>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            {[
+                                ['split', Columns, t.sideBySide],
+                                ['inline', Rows, t.inline],
+                            ].map(([value, Icon, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setMode(value)}
+                                    className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-1.5 ${
+                                        mode === value
+                                            ? 'bg-orange-500 text-white'
+                                            : darkMode
+                                                ? 'text-slate-400 hover:text-white hover:bg-slate-700'
+                                                : 'text-slate-500 hover:text-slate-900 hover:bg-slate-100'
+                                    }`}
+                                >
+                                    <Icon size={14} />
+                                    <span className="hidden sm:inline">{label}</span>
+                                </button>
+                            ))}
+                            <button
+                                onClick={onClose}
+                                className={`p-2 rounded-lg transition-colors ${
+                                    darkMode
+                                        ? 'hover:bg-slate-700 text-slate-400 hover:text-white'
+                                        : 'hover:bg-slate-100 text-slate-600 hover:text-slate-900'
+                                }`}
+                            >
+                                <X size={18} />
+                            </button>
+                        </div>
+                    </div>
+
+                    {mode === 'split' && (
+                        <div className={`grid grid-cols-2 gap-2 px-6 py-2 text-xs font-medium ${mutedClass}`}>
+                            <span>{t.historyVersion}</span>
+                            <span>{t.currentVersion}</span>
+                        </div>
+                    )}
+
+                    {/* Diff */}
+                    <div className="flex-1 overflow-y-auto py-2">
+                        {entryContent === null ? (
+                            <p className={`text-center text-sm py-12 ${mutedClass}`}>{t.loadingVersion}</p>
+                        ) : hunkCount === 0 ? (
+                            <p className={`text-center text-sm py-12 ${mutedClass}`}>{t.noDifferences}</p>
+                        ) : (
+                            blocks.map((block, i) => {
+                                if (block.type === 'change') return renderHunk(block);
+                                if (block.type === 'equal') return renderEqual(block, `equal-${i}`);
+                                return (
+                                    <p key={`skip-${i}`} className={`px-3 py-1 text-center text-xs ${mutedClass}`}>
+                                        ⋯ {block.count} {t.unchangedLines}
+                                    </p>
+                                );
+                            })
+                        )}
+                    </div>
+
+                    {/* Footer */}
+                    <div className={`flex items-center justify-between gap-3 p-4 border-t ${
+                        darkMode ? 'border-slate-700' : 'border-slate-200'
+                    }`}>
+                        <span className={`text-xs ${mutedClass}`}>
+                            {entryContent !== null && hunkCount > 0 && `${hunkCount} ${t.changedHunks}`}
+                        </span>
+                        <button
+                            onClick={handleRestoreVersion}
+                            disabled={entryContent === null || hunkCount === 0}
+                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all flex items-center gap-2 ${
+                                entryContent === null || hunkCount === 0
+                                    ? 'bg-slate-600 text-slate-400 cursor-not-allowed'
+                                    : 'bg-orange-500 hover:bg-orange-600 text-white shadow-lg shadow-orange-500/30'
+                            }`}
+                        >
+                            <RotateCcw size={14} />
+                            {t.restoreVersion}
+                        </button>
+                    </div>
+                </motion.div>
+            </motion.div>
+        </AnimatePresence>
+    );
+};
+
+export default HistoryDiffPanel;
@@ -0,0 +1 @@
+export { default as HistoryDiffPanel } from './HistoryDiffPanel';
@@ -53,7 +53,7 @@ const Landing = ({ onJoinChain }) => {
       setMnemonic(newMnemonic);
       const autoName = deviceName.trim() || `Device-${Math.floor(Math.random() * 1000)}`;
       setDeviceName(autoName);
-      await onJoinChain(newMnemonic, autoName);
+      await onJoinChain(newMnemonic, autoName, { newChain: true });
     } finally {
       setIsLoading(false);
     }
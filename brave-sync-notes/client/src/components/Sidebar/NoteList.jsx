@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { FileText, Plus, Pencil, Trash2, FolderInput } from 'lucide-react';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import toast from 'react-hot-toast';
+
+// Title shown for a note: its own title, else the first line of its content
+const displayTitle = (note, t) => (
+  note.title || note.preview.split('\n')[0].replace(/^#+\s*/, '').trim() || t.untitled
+);
+
+const NoteList = ({ isDefaultNote, onSelectNote, onCreateNote, onRenameNote, onDeleteNote, onMoveNote, onListNotebooks }) => {
+  const darkMode = useAppStore((state) => state.darkMode);
+  const lang = useAppStore((state) => state.lang);
+  const notes = useAppStore((state) => state.notes);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
+
+  const t = useTranslation(lang);
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [moveTarget, setMoveTarget] = useState(null); // { noteId, notebooks }
+
+  const startRename = (note) => {
+    setEditingId(note.id);
+    setDraftTitle(note.title);
+  };
+
+  const commitRename = () => {
+    const id = editingId;
+    setEditingId(null);
+    if (id) onRenameNote(id, draftTitle);
+  };
+
+  const handleDelete = (id) => {
+    setConfirmDeleteId(null);
+    onDeleteNote(id);
+  };
+
+  const openMoveMenu = async (noteId) => {
+    const notebooks = await onListNotebooks();
+    if (notebooks.length === 0) {
+      toast(t.noOtherNotebooks);
+      return;
+    }
+    setMoveTarget({ noteId, notebooks });
+  };
+
+  const handleMove = (notebookId) => {
+    const { noteId } = moveTarget;
+    setMoveTarget(null);
+    onMoveNote(noteId, notebookId);
+  };
+
+  const iconButton = `p-1 rounded transition-colors ${
+    darkMode ? 'hover:bg-slate-700 text-slate-400' : 'hover:bg-slate-200 text-slate-500'
+  }`;
+
+  return (
+    <div className="p-4 border-b border-inherit">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className={`text-xs font-bold uppercase flex items-center gap-2 ${
+          darkMode ? 'text-slate-500' : 'text-slate-400'
+        }`}>
+          <FileText size={14} />
+          {t.notes}
+        </h3>
+        <button
+          onClick={() => onCreateNote()}
+          className={iconButton}
+          title={t.newNote}
+        >
+          <Plus size={14} />
+        </button>
+      </div>
+
+      <div className="space-y-1 max-h-48 overflow-y-auto">
+        {notes.map((note) => (
+          <div
+            key={note.id}
+            className={`group rounded-lg px-2 py-1.5 text-sm transition-colors ${
+              note.id === activeNoteId
+                ? darkMode ? 'bg-slate-700 text-white' : 'bg-orange-50 text-slate-900'
+                : darkMode ? 'hover:bg-slate-700/50 text-slate-300' : 'hover:bg-slate-50 text-slate-600'
+            }`}
+          >
+            {editingId === note.id ? (
+              <input
+                autoFocus
+                value={draftTitle}
+                onChange={(e) => setDraftTitle(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                placeholder={t.untitled}
+                className={`w-full px-1 py-0.5 rounded text-sm outline-none ${
+                  darkMode ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200'
+                }`}
+              />
+            ) : (
+              <div className="flex items-center justify-between gap-1">
+                <button
+                  onClick={() => onSelectNote(note.id)}
+                  className="flex-1 text-left truncate"
+                >
+                  {displayTitle(note, t)}
+                </button>
+                <div className="hidden group-hover:flex gap-0.5 shrink-0">
+                  <button onClick={() => startRename(note)} className={iconButton} title={t.rename}>
+                    <Pencil size={12} />
+                  </button>
+                  {/* The chain's default note is the room document and always stays */}
+                  {!isDefaultNote(note.id) && (
+                    <>
+                      <button onClick={() => openMoveMenu(note.id)} className={iconButton} title={t.moveTo}>
+                        <FolderInput size={12} />
+                      </button>
+                      <button
+                        onClick={() => setConfirmDeleteId(note.id)}
+                        className={`p-1 rounded transition-colors ${
+                          darkMode
+                            ? 'hover:bg-red-900/50 text-slate-400 hover:text-red-400'
+                            : 'hover:bg-red-100 text-slate-500 hover:text-red-500'
+                        }`}
+                        title={t.delete}
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {confirmDeleteId === note.id && (
+              <div className="mt-2">
+                <p className={`text-xs mb-2 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                  {t.deleteNoteConfirm}
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleDelete(note.id)}
+                    className="flex-1 py-1 text-xs font-medium rounded-lg bg-red-500 hover:bg-red-600 text-white transition-colors"
+                  >
+                    {t.confirm}
+                  </button>
+                  <button
+                    onClick={() => setConfirmDeleteId(null)}
+                    className={`flex-1 py-1 text-xs font-medium rounded-lg transition-colors ${
+                      darkMode
+                        ? 'bg-slate-600 hover:bg-slate-500 text-slate-300'
+                        : 'bg-slate-200 hover:bg-slate-300 text-slate-700'
+                    }`}
+                  >
+                    {t.cancel}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {moveTarget?.noteId === note.id && (
+              <div className="mt-2 space-y-1">
+                <p className={`text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>{t.moveTo}</p>
+                {moveTarget.notebooks.map((notebook) => (
+                  <button
+                    key={notebook.id}
+                    onClick={() => handleMove(notebook.id)}
+                    className={`w-full text-left px-2 py-1 rounded text-xs truncate transition-colors ${
+                      darkMode ? 'hover:bg-slate-600 text-slate-300' : 'hover:bg-slate-200 text-slate-600'
+                    }`}
+                  >
+                    {notebook.name || notebook.id.slice(0, 8)}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setMoveTarget(null)}
+                  className={`w-full py-1 text-xs rounded transition-colors ${
+                    darkMode ? 'text-slate-500 hover:text-slate-300' : 'text-slate-400 hover:text-slate-600'
+                  }`}
+                >
+                  {t.cancel}
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NoteList;
@@ -0,0 +1,118 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RotateCcw, GitCompare, RefreshCw } from 'lucide-react';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import toast from 'react-hot-toast';
+
+// Snapshots of the open note kept by the sync server, fetched on demand
+const ServerVersionList = ({ onList, onCompare, onRestore, onRestored, formatTime }) => {
+  const darkMode = useAppStore((state) => state.darkMode);
+  const lang = useAppStore((state) => state.lang);
+  const status = useAppStore((state) => state.status);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
+
+  const t = useTranslation(lang);
+  const [versions, setVersions] = useState(null); // null while loading
+  const [failed, setFailed] = useState(false);
+  const [reloads, setReloads] = useState(0);
+  const connected = status !== 'disconnected';
+
+  useEffect(() => {
+    if (!connected) return undefined;
+    let cancelled = false;
+    setVersions(null);
+    setFailed(false);
+    onList()
+      .then((list) => {
+        if (!cancelled) setVersions(list);
+      })
+      .catch((err) => {
+        console.error('Failed to list server versions:', err);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [onList, activeNoteId, connected, reloads]);
+
+  const reload = useCallback(() => setReloads((n) => n + 1), []);
+
+  const handleRestore = async (versionId) => {
+    try {
+      if (!(await onRestore(versionId))) return;
+      toast.success(t.restored);
+      onRestored();
+    } catch (err) {
+      console.error('Failed to restore server version:', err);
+      toast.error(t.loadVersionError);
+    }
+  };
+
+  const iconButton = `p-1 rounded transition-colors ${
+    darkMode ? 'hover:bg-slate-700 text-slate-400' : 'hover:bg-slate-200 text-slate-500'
+  }`;
+  const mutedText = darkMode ? 'text-slate-500' : 'text-slate-400';
+
+  let body;
+  if (!connected || failed) {
+    body = <p className={`text-sm ${mutedText}`}>{t.serverVersionsError}</p>;
+  } else if (versions === null) {
+    body = <p className={`text-sm ${mutedText}`}>{t.loadingServerVersions}</p>;
+  } else if (versions.length === 0) {
+    body = <p className={`text-sm ${mutedText}`}>{t.serverVersionsEmpty}</p>;
+  } else {
+    body = versions.map((version) => (
+      <div
+        key={version.versionId}
+        className={`p-3 rounded-lg border transition-colors ${
+          darkMode
+            ? 'bg-slate-900/50 border-slate-700 hover:border-slate-600'
+            : 'bg-slate-50 border-slate-200 hover:border-slate-300'
+        }`}
+      >
+        <p className={`text-xs truncate mb-1 ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>
+          {version.deviceName}
+        </p>
+        <div className="flex items-center justify-between mt-2">
+          <span className={`text-[10px] ${darkMode ? 'text-slate-600' : 'text-slate-400'}`}>
+            {formatTime(version.timestamp)} · v{version.version}
+          </span>
+          <div className="flex gap-1">
+            <button
+              onClick={() => onCompare({
+                id: version.versionId,
+                timestamp: version.timestamp,
+                deviceName: version.deviceName,
+              })}
+              className={iconButton}
+              title={t.compare}
+            >
+              <GitCompare size={12} />
+            </button>
+            <button
+              onClick={() => handleRestore(version.versionId)}
+              className={iconButton}
+              title={t.restore}
+            >
+              <RotateCcw size={12} />
+            </button>
+          </div>
+        </div>
+      </div>
+    ));
+  }
+
+  return (
+    <div className="flex-1 overflow-y-auto px-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className={`text-[10px] ${mutedText}`}>{t.serverVersionsHint}</span>
+        <button onClick={reload} disabled={!connected} className={iconButton} title={t.reload}>
+          <RefreshCw size={12} />
+        </button>
+      </div>
+      {body}
+    </div>
+  );
+};
+
+export default ServerVersionList;
@@ -11,13 +11,16 @@ import {
   ChevronRight,
   Trash2,
   RotateCcw,
+  GitCompare,
   X,
 } from 'lucide-react';
 import { useAppStore } from '../../store/useStore';
 import { useTranslation } from '../../utils/translations';
 import toast from 'react-hot-toast';
+import NoteList from './NoteList';
+import ServerVersionList from './ServerVersionList';
 
-const Sidebar = ({ socketId }) => {
+const Sidebar = ({ socketId, noteActions, historyActions }) => {
   const {
     darkMode,
     lang,
@@ -30,15 +33,12 @@ const Sidebar = ({ socketId }) => {
     showHistory,
     setShowHistory,
     history,
-    clearHistory,
-    deleteHistoryItem,
-    restoreFromHistory,
-    setNote,
   } = useAppStore();
   
   const t = useTranslation(lang);
   const [copyFeedback, setCopyFeedback] = useState(false);
   const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [historySource, setHistorySource] = useState('local'); // 'local' | 'server'
 
   const copyToClipboard = () => {
     navigator.clipboard.writeText(mnemonic);
@@ -47,14 +47,19 @@ const Sidebar = ({ socketId }) => {
     setTimeout(() => setCopyFeedback(false), 2000);
   };
 
-  const handleRestore = (id) => {
-    restoreFromHistory(id);
-    toast.success(lang === 'zh' ? '已恢复' : 'Restored');
-    setShowHistory(false);
+  const handleRestore = async (id) => {
+    try {
+      if (!(await historyActions.onRestore(id))) return;
+      toast.success(lang === 'zh' ? '已恢复' : 'Restored');
+      setShowHistory(false);
+    } catch (err) {
+      console.error('Failed to restore history entry:', err);
+      toast.error(lang === 'zh' ? '无法恢复该版本' : 'Could not restore this version');
+    }
   };
 
   const handleClearAll = () => {
-    clearHistory();
+    historyActions.onClear();
     setShowClearConfirm(false);
     toast.success(lang === 'zh' ? '历史记录已清空' : 'History cleared');
   };
@@ -120,6 +125,9 @@ const Sidebar = ({ socketId }) => {
               <X size={18} />
             </button>
 
+            {/* Notes Section */}
+            <NoteList {...noteActions} />
+
             {/* Devices Section */}
             <div className="p-4 border-b border-inherit">
               <h3 className={`text-xs font-bold uppercase mb-3 flex items-center gap-2 ${
@@ -262,7 +270,35 @@ const Sidebar = ({ socketId }) => {
                     exit={{ opacity: 0, height: 0 }}
                     className="flex-1 overflow-hidden flex flex-col"
                   >
-                    {history.length > 0 ? (
+                    <div className="px-4 pb-2 flex gap-1">
+                      {[
+                        ['local', t.localHistory],
+                        ['server', t.serverVersions],
+                      ].map(([source, label]) => (
+                        <button
+                          key={source}
+                          onClick={() => setHistorySource(source)}
+                          className={`flex-1 py-1 text-xs font-medium rounded-md transition-colors ${
+                            historySource === source
+                              ? 'bg-orange-500 text-white'
+                              : darkMode
+                                ? 'text-slate-400 hover:bg-slate-700'
+                                : 'text-slate-500 hover:bg-slate-100'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    {historySource === 'server' ? (
+                      <ServerVersionList
+                        onList={historyActions.onListServerVersions}
+                        onCompare={historyActions.onCompareServerVersion}
+                        onRestore={historyActions.onRestoreServerVersion}
+                        onRestored={() => setShowHistory(false)}
+                        formatTime={formatTime}
+                      />
+                    ) : history.length > 0 ? (
                       <>
                         <div className="flex-1 overflow-y-auto px-4 space-y-2">
                           {history.map((item) => (
@@ -286,6 +322,17 @@ const Sidebar = ({ socketId }) => {
                                   {formatTime(item.timestamp)}
                                 </span>
                                 <div className="flex gap-1">
+                                  <button
+                                    onClick={() => historyActions.onCompare(item.id)}
+                                    className={`p-1 rounded transition-colors ${
+                                      darkMode
+                                        ? 'hover:bg-slate-700 text-slate-400'
+                                        : 'hover:bg-slate-200 text-slate-500'
+                                    }`}
+                                    title={t.compare}
+                                  >
+                                    <GitCompare size={12} />
+                                  </button>
                                   <button
                                     onClick={() => handleRestore(item.id)}
                                     className={`p-1 rounded transition-colors ${
@@ -298,7 +345,7 @@ const Sidebar = ({ socketId }) => {
                                     <RotateCcw size={12} />
                                   </button>
                                   <button
-                                    onClick={() => deleteHistoryItem(item.id)}
+                                    onClick={() => historyActions.onDelete(item.id)}
                                     className={`p-1 rounded transition-colors ${
                                       darkMode
                                         ? 'hover:bg-red-900/50 text-slate-400 hover:text-red-400'
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSocket } from '../useSocket';
+import { deriveRoomId, deriveLegacyRoomId, generateSyncChain } from '../../utils/crypto';
+
+// Sockets record what the hook emits and let the test play server events
+const sockets = vi.hoisted(() => []);
+
+vi.mock('socket.io-client', () => ({
+    io: () => {
+        const handlers = new Map();
+        const socket = {
+            connected: true,
+            emitted: [],
+            on: (event, handler) => handlers.set(event, handler),
+            emit: (event, payload) => socket.emitted.push({ event, payload }),
+            serverEmit: (event, payload) => handlers.get(event)?.(payload),
+            removeAllListeners: () => handlers.clear(),
+            disconnect: () => {},
+        };
+        sockets.push(socket);
+        return socket;
+    },
+}));
+
+// No local storage: the chain opens without a notebook
+vi.mock('../../utils/storage', () => ({
+    getStorageManager: () => ({ initialize: () => Promise.reject(new Error('unavailable')) }),
+}));
+
+// The chain-params proposal sent for an empty room
+const proposeChainParams = async (mnemonic, options) => {
+    const { result } = renderHook(() => useSocket());
+    await act(() => result.current.joinChain(mnemonic, 'Device', options));
+    const socket = sockets.at(-1);
+    socket.serverEmit('chain-params', { roomId: await deriveRoomId(mnemonic), hasData: false });
+    return socket.emitted.find(({ event }) => event === 'init-chain-params')?.payload;
+};
+
+describe('useSocket chain parameters', () => {
+    beforeEach(() => {
+        sockets.length = 0;
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should not reveal a legacy room for a newly generated chain', async () => {
+        const payload = await proposeChainParams(generateSyncChain(), { newChain: true });
+
+        expect(payload.chainParams).toBeTruthy();
+        expect(payload).not.toHaveProperty('legacyRoomId');
+    });
+
+    it('should offer the legacy room when joining an existing mnemonic', async () => {
+        const mnemonic = generateSyncChain();
+        const payload = await proposeChainParams(mnemonic);
+
+        expect(payload.legacyRoomId).toBe(deriveLegacyRoomId(mnemonic));
+    });
+});
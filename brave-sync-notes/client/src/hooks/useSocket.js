@@ -1,18 +1,56 @@
 import { useRef, useCallback, useEffect, useMemo, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAppStore } from '../store/useStore';
-import { deriveKeys, encryptData, decryptData } from '../utils/crypto';
+import {
+  deriveRoomId,
+  deriveLegacyRoomId,
+  deriveChainKeys,
+  deriveStorageKey,
+  LEGACY_CHAIN_PARAMS,
+  encryptData,
+  decryptData,
+  DecryptionError,
+} from '../utils/crypto';
+import { createChainParams } from '../utils/kdf';
+import { deriveAuthKeyPair, signChallenge, AuthErrorCodes } from '../utils/auth';
+import { ChunkedUpload, diffText, applyOperations } from '../utils/sync';
 import { ConflictManager } from '../utils/conflict';
+import { RgaDocument } from '../utils/crdt';
+import { normalizeRanges } from '../utils/presence';
+import { NoteLibrary, isDefaultNote } from '../utils/notes';
+import { getStorageManager } from '../utils/storage';
+import { getRetentionPolicy, MAX_HISTORY_ENTRIES } from '../utils/history';
 import debounce from 'lodash.debounce';
 import toast from 'react-hot-toast';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3002';
 
-// Chunk size for large content (50KB)
+// Chunk size for large ciphertexts (50KB); operation batches larger than
+// one chunk are sent as a full snapshot instead
 const CHUNK_SIZE = 50 * 1024;
 
-// Minimum interval between history saves (5 seconds)
-const HISTORY_THROTTLE_MS = 5000;
+// Resend a chunk that fails its checksum at most this many times
+const MAX_CHUNK_ATTEMPTS = 5;
+
+// Ask the server for the upload bitmap when no ack arrived for this long
+const UPLOAD_STALL_MS = 15000;
+
+// Minimum interval between history entries of one note (1 minute); the
+// retention policy thins them out further as they age
+const HISTORY_THROTTLE_MS = 60 * 1000;
+
+// Shorter content is not worth a history entry
+const MIN_HISTORY_LENGTH = 10;
+
+// Presence is coalesced while the cursor moves, but sent at least this often
+const PRESENCE_DEBOUNCE_MS = 50;
+const PRESENCE_MAX_WAIT_MS = 150;
+
+// Longest note title kept
+const MAX_TITLE_LENGTH = 200;
+
+// Give up on a server version request after this long
+const VERSION_REQUEST_TIMEOUT_MS = 15000;
 
 const messages = {
   en: {
@@ -24,6 +62,14 @@ const messages = {
     joinError: 'Failed to join chain',
     networkOffline: 'Network offline',
     networkOnline: 'Network restored',
+    integrityError: 'Rejected an update that failed the integrity check',
+    derivingKey: 'Deriving encryption key...',
+    keyDerivationError: 'Failed to derive encryption key',
+    chainParamsMissing: 'This chain is missing its key parameters on the server',
+    migrated: 'Migrated the note from the previous chain format',
+    authError: 'This device is not authorised to write to the chain',
+    noteDeleted: 'The open note was deleted on another device',
+    noteLimit: 'This chain cannot hold more notes',
   },
   zh: {
     connected: '已连接到同步链',
@@ -34,30 +80,137 @@ const messages = {
     joinError: '加入同步链失败',
     networkOffline: '网络已断开',
     networkOnline: '网络已恢复',
+    integrityError: '已拒绝一条未通过完整性校验的更新',
+    derivingKey: '正在派生加密密钥...',
+    keyDerivationError: '加密密钥派生失败',
+    chainParamsMissing: '服务器上缺少该同步链的密钥参数',
+    migrated: '已从旧版同步链迁移笔记',
+    authError: '该设备未通过同步链写入授权',
+    noteDeleted: '当前笔记已在其他设备上删除',
+    noteLimit: '同步链中的笔记数量已达上限',
   },
 };
 
+// Storage for notes and their sync metadata; resolves to null when neither
+// IndexedDB nor localStorage is usable, in which case only the chain's
+// default note is available and nothing is persisted
+let storageReady = null;
+const getStorage = () => {
+  if (!storageReady) {
+    // History is capped by the retention policy, not by the adapter
+    const storage = getStorageManager({ maxHistoryPerNote: MAX_HISTORY_ENTRIES });
+    storageReady = storage.initialize()
+      .then(() => storage)
+      .catch((err) => {
+        console.warn('Local storage unavailable, notes will not persist:', err);
+        return null;
+      });
+  }
+  return storageReady;
+};
+
+// One note library for the session: notebooks of chains joined earlier stay
+// unlocked, so notes can be moved into them
+let noteLibrary = null;
+
+const createDeferred = () => {
+  const deferred = { settled: false };
+  deferred.promise = new Promise((resolve) => {
+    deferred.resolve = (value) => {
+      deferred.settled = true;
+      resolve(value);
+    };
+  });
+  return deferred;
+};
+
+// Sync state of one note. Every note is a separate document on the server
+// with its own version, so all push and merge bookkeeping is per note.
+const createNoteSync = () => ({
+  // Last content and title this device and the server agreed on: the
+  // common ancestor for three-way merges of concurrent edits
+  base: null,
+  // Server version the local content is based on
+  version: 0,
+  // Latest server state this device knows ({ content, version }); incoming
+  // operation batches are applied on top of it
+  remoteHead: null,
+  // Snapshot upload in flight (ChunkedUpload)
+  upload: null,
+  // Operation batch awaiting ops-ack ({ batchId, baseVersion, content, title })
+  pendingOps: null,
+  // Set when a push was requested while another one was in flight
+  pushQueued: false,
+  // Set when the server asked for a full snapshot to compact the log
+  snapshotDue: false,
+  catchUpFrom: null,
+  // CRDT mode: the shared document, local operations not sent yet, and the
+  // operations carried by the push in flight (re-queued if it fails)
+  crdtDoc: null,
+  crdtOutbox: [],
+  crdtInFlight: [],
+  // Deleted here or on another device; only a tombstone is pushed from now on
+  deleted: false,
+  // Changes made while offline, as queued in storage ({ id, type, timestamp }),
+  // and the ids of those the push in flight covers (removed once it is acked)
+  queuedOps: [],
+  sendingOps: [],
+});
+
+// The default note is the room's own document and travels without a noteId
+const toWireNoteId = (keys, noteId) => (noteId === keys.roomId ? null : noteId);
+const fromWireNoteId = (keys, noteId) => noteId || keys.roomId;
+
+// Title carried by a decrypted payload; clients without notes send none
+const titleOf = (decrypted) => (typeof decrypted?.title === 'string' ? decrypted.title : undefined);
+
+// Send a request the server answers through the ack callback ({ ok, ... })
+const requestServer = (socket, event, payload) => new Promise((resolve, reject) => {
+  socket.timeout(VERSION_REQUEST_TIMEOUT_MS).emit(event, payload, (err, response) => {
+    if (err) {
+      reject(err);
+    } else if (!response?.ok) {
+      reject(new Error(response?.message || `${event} failed`));
+    } else {
+      resolve(response);
+    }
+  });
+});
+
 export const useSocket = () => {
   const socketRef = useRef(null);
   const keysRef = useRef(null);
-  const pendingChunksRef = useRef({});
   const debouncedPushRef = useRef(null);
-  const lastHistorySaveRef = useRef(0);
-  const lastContentHashRef = useRef('');
-  const lastSyncedHashRef = useRef('');
+  // Time of the latest history entry, by note id
+  const lastHistorySaveRef = useRef(new Map());
+  // Sync state of every note of the chain (see createNoteSync), by note id
+  const notesSyncRef = useRef(new Map());
+  const pushChainRef = useRef(Promise.resolve());
+  // Latest write of the editor buffer to storage
+  const savingRef = useRef(Promise.resolve());
+  const remoteQueueRef = useRef(Promise.resolve());
   const reconnectAttemptRef = useRef(0);
   const isReconnectingRef = useRef(false);
+  // This device's latest selection ranges, and the other devices' by socket id
+  const localPresenceRef = useRef(null);
+  const remotePresenceRef = useRef(new Map());
+  const debouncedPresenceRef = useRef(null);
+  const [remotePresence, setRemotePresence] = useState([]);
 
   const conflictManagerRef = useRef(null);
   const [pendingConflicts, setPendingConflicts] = useState([]);
   const [conflictCount, setConflictCount] = useState(0);
-  
+
   // Get store values with selector to prevent unnecessary rerenders
   const setStatus = useAppStore((state) => state.setStatus);
   const setNote = useAppStore((state) => state.setNote);
+  const setNotes = useAppStore((state) => state.setNotes);
+  const setPendingChanges = useAppStore((state) => state.setPendingChanges);
+  const openNote = useAppStore((state) => state.openNote);
   const setMembers = useAppStore((state) => state.setMembers);
+  const setRoomPinned = useAppStore((state) => state.setRoomPinned);
   const setView = useAppStore((state) => state.setView);
-  const addToHistory = useAppStore((state) => state.addToHistory);
+  const setHistory = useAppStore((state) => state.setHistory);
   const syncDebounceMs = useAppStore((state) => state.syncDebounceMs);
   const lang = useAppStore((state) => state.lang);
 
@@ -67,98 +220,234 @@ export const useSocket = () => {
     conflictManagerRef.current = new ConflictManager({ autoResolveStrategy: 'manual' });
   }
 
-  // Simple hash function for content comparison
-  const hashContent = useCallback((content) => {
-    let hash = 0;
-    for (let i = 0; i < Math.min(content.length, 1000); i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  const getNoteSync = useCallback((noteId) => {
+    let sync = notesSyncRef.current.get(noteId);
+    if (!sync) {
+      sync = createNoteSync();
+      notesSyncRef.current.set(noteId, sync);
     }
-    return hash.toString() + content.length;
+    return sync;
   }, []);
 
-  // Split content into chunks for large files
-  const splitIntoChunks = useCallback((content) => {
-    if (content.length <= CHUNK_SIZE) {
-      return [{ index: 0, total: 1, data: content }];
-    }
-    
-    const chunks = [];
-    const totalChunks = Math.ceil(content.length / CHUNK_SIZE);
-    
-    for (let i = 0; i < totalChunks; i++) {
-      chunks.push({
-        index: i,
-        total: totalChunks,
-        data: content.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE),
-      });
+  // Remember `content` at server `version` as the note's new merge base
+  const recordSyncBase = useCallback((noteId, content, version, title = '') => {
+    const sync = getNoteSync(noteId);
+    const base = { noteId, content, title, version, timestamp: Date.now() };
+    sync.base = base;
+    sync.version = version;
+
+    const state = useAppStore.getState();
+    if (noteId === state.activeNoteId) {
+      state.setNoteVersion(version);
     }
-    
-    return chunks;
-  }, []);
+    const keys = keysRef.current;
+    keys?.library?.saveSyncBase(keys.roomId, noteId, base)
+      .catch((err) => console.error('Failed to persist sync base:', err));
+  }, [getNoteSync]);
 
-  // Reassemble chunks
-  const reassembleChunks = useCallback((sessionId, chunk) => {
-    if (!pendingChunksRef.current[sessionId]) {
-      pendingChunksRef.current[sessionId] = {
-        chunks: new Array(chunk.total),
-        received: 0,
-        total: chunk.total,
-        startTime: Date.now(),
-      };
+  const publishPendingChanges = useCallback(() => {
+    let count = 0;
+    for (const sync of notesSyncRef.current.values()) {
+      count += sync.queuedOps.length;
     }
-    
-    const session = pendingChunksRef.current[sessionId];
-    
-    // Prevent duplicate chunks
-    if (session.chunks[chunk.index] !== undefined) {
-      return null;
+    setPendingChanges(count);
+  }, [setPendingChanges]);
+
+  // Record a change that could not be pushed. The queue lives in storage so
+  // it survives a reload, and is replayed once the chain is authorised again.
+  // The note itself is already stored; the queue only says what to push.
+  const queueOfflineChange = useCallback(async (keys, noteId, type) => {
+    const sync = keysRef.current === keys ? getNoteSync(noteId) : null;
+    const opType = type || (sync?.deleted ? 'delete' : sync && !sync.base && sync.version === 0 ? 'create' : 'update');
+    // A queued change of the note already pushes its latest content
+    if (sync?.queuedOps.some((op) => op.type === opType || opType === 'update')) return;
+
+    const op = { id: crypto.randomUUID(), type: opType, notebookId: keys.roomId, noteId, timestamp: Date.now() };
+    if (sync) {
+      sync.queuedOps.push(op);
+      publishPendingChanges();
     }
-    
-    session.chunks[chunk.index] = chunk.data;
-    session.received++;
-    
-    if (session.received === session.total) {
-      const fullContent = session.chunks.join('');
-      delete pendingChunksRef.current[sessionId];
-      return fullContent;
+    try {
+      const storage = await getStorage();
+      await storage?.enqueueOperation(op);
+    } catch (err) {
+      console.error('Failed to queue offline change:', err);
     }
-    
-    return null;
+  }, [getNoteSync, publishPendingChanges]);
+
+  // Drop queued changes of a note once the server has them (by default all)
+  const settleQueuedOps = useCallback((noteId, opIds) => {
+    const sync = notesSyncRef.current.get(noteId);
+    if (!sync?.queuedOps.length) return;
+    const settled = opIds ? sync.queuedOps.filter((op) => opIds.includes(op.id)) : sync.queuedOps;
+    if (settled.length === 0) return;
+
+    sync.queuedOps = sync.queuedOps.filter((op) => !settled.includes(op));
+    publishPendingChanges();
+    getStorage()
+      .then((storage) => Promise.all(settled.map((op) => storage?.removeOperation(op.id))))
+      .catch((err) => console.error('Failed to remove queued change:', err));
+  }, [publishPendingChanges]);
+
+  const hasPendingConflict = useCallback((noteId) => (
+    conflictManagerRef.current?.getPendingConflicts()
+      .some((conflict) => conflict.localVersion?.noteId === noteId) ?? false
+  ), []);
+
+  // Publish the chain's notes, without their content, for the notes list
+  const refreshNotes = useCallback(async (keys) => {
+    const notes = keys.library
+      ? await keys.library.listNotes(keys.roomId)
+      : [{ id: keys.roomId, title: '', content: '', updatedAt: Date.now() }];
+    if (keysRef.current !== keys) return;
+    setNotes(notes.map(({ id, title, content, updatedAt }) => ({
+      id,
+      title: title || '',
+      preview: (content || '').slice(0, 100),
+      updatedAt,
+    })));
+  }, [setNotes]);
+
+  // A note as this device has it. The editor buffer is the newest copy of
+  // the open note; storage holds the rest. Null once the note is deleted.
+  const readLocalNote = useCallback(async (keys, noteId) => {
+    const stored = keys.library ? await keys.library.getNote(keys.roomId, noteId) : null;
+    const state = useAppStore.getState();
+    if (noteId !== state.activeNoteId) return stored;
+    return { id: noteId, title: '', ...stored, content: state.note || '' };
   }, []);
 
-  // Throttled history save
-  const saveToHistory = useCallback((content, deviceName) => {
+  // Store new content or a new title for a note; the editor follows when
+  // the note is open (synchronously, before anything is awaited)
+  const writeLocalNote = useCallback(async (keys, noteId, changes, meta) => {
+    if (changes.content !== undefined && noteId === useAppStore.getState().activeNoteId) {
+      setNote(changes.content, meta);
+    }
+    if (!keys.library) return;
+    await keys.library.updateNote(keys.roomId, noteId, changes);
+    await refreshNotes(keys);
+  }, [setNote, refreshNotes]);
+
+  // Publish the history of the open note, newest first
+  const publishHistory = useCallback(async (keys, noteId) => {
+    const entries = keys.library ? await keys.library.getHistory(keys.roomId, noteId) : [];
+    if (keysRef.current !== keys || noteId !== useAppStore.getState().activeNoteId) return;
+    setHistory(entries.map(({ id, timestamp, deviceName, preview }) => ({ id, timestamp, deviceName, preview })));
+  }, [setHistory]);
+
+  // Throttled history entry of a note; identical content is stored once
+  const saveToHistory = useCallback(async (keys, noteId, content, deviceName) => {
     const now = Date.now();
-    const contentHash = hashContent(content);
-    
-    // Skip if same content or too soon
-    if (
-      contentHash === lastContentHashRef.current ||
-      now - lastHistorySaveRef.current < HISTORY_THROTTLE_MS ||
-      content.length < 10
-    ) {
+    const lastSave = lastHistorySaveRef.current.get(noteId) ?? 0;
+    if (!keys.library || content.length < MIN_HISTORY_LENGTH || now - lastSave < HISTORY_THROTTLE_MS) {
       return;
     }
-    
-    lastHistorySaveRef.current = now;
-    lastContentHashRef.current = contentHash;
-    addToHistory({ content, deviceName });
-  }, [addToHistory, hashContent]);
 
-  // Cleanup stale chunk sessions
+    lastHistorySaveRef.current.set(noteId, now);
+    try {
+      const policy = getRetentionPolicy(useAppStore.getState().historyRetention);
+      const added = await keys.library.addHistory(keys.roomId, noteId, {
+        content,
+        deviceName: deviceName || '',
+        version: getNoteSync(noteId).version,
+      }, policy);
+      if (added) {
+        await publishHistory(keys, noteId);
+      }
+    } catch (err) {
+      console.error('Failed to save history:', err);
+    }
+  }, [getNoteSync, publishHistory]);
+
+  // Store the editor buffer of the open note
+  const saveEditedNote = useCallback(async (noteId) => {
+    const keys = keysRef.current;
+    const state = useAppStore.getState();
+    if (!keys?.library || noteId !== state.activeNoteId) return;
+    try {
+      await keys.library.updateNote(keys.roomId, noteId, { content: state.note || '' });
+      await refreshNotes(keys);
+    } catch (err) {
+      console.error('Failed to save note:', err);
+    }
+    saveToHistory(keys, noteId, state.note || '', state.deviceName);
+  }, [refreshNotes, saveToHistory]);
+
+  // Load a note from storage into the editor
+  const showNote = useCallback(async (keys, noteId) => {
+    const stored = keys.library ? await keys.library.getNote(keys.roomId, noteId) : null;
+    if (keysRef.current !== keys) return;
+    openNote(noteId, stored?.content ?? '', getNoteSync(noteId).version);
+    setHistory([]);
+    await publishHistory(keys, noteId);
+  }, [openNote, getNoteSync, setHistory, publishHistory]);
+
+  // Remote updates and note switches run one at a time, in order
+  const enqueueNoteTask = useCallback((task) => {
+    const run = remoteQueueRef.current.then(task);
+    remoteQueueRef.current = run.catch((err) => console.error('Failed to apply remote update:', err));
+    return run;
+  }, []);
+
+  const publishRemotePresence = useCallback(() => {
+    setRemotePresence(
+      Array.from(remotePresenceRef.current, ([id, { noteId, ranges }]) => ({ id, noteId, ranges }))
+    );
+  }, []);
+
+  // Encrypt and send this device's selection in the open note; skipped until
+  // writes are authorised, since the server only relays presence from such devices
+  const emitPresence = useCallback(async () => {
+    const socket = socketRef.current;
+    const keys = keysRef.current;
+    if (!socket?.connected || !keys?.authorized.settled || !localPresenceRef.current) return;
+    try {
+      const encryptedPresence = await encryptData({
+        noteId: useAppStore.getState().activeNoteId,
+        ranges: localPresenceRef.current,
+      }, keys.encryptionKey);
+      socket.emit('presence', { roomId: keys.roomId, encryptedPresence });
+    } catch (err) {
+      console.error('Failed to send presence:', err);
+    }
+  }, []);
+
+  // Emit chunks of an upload (by default every unacknowledged one)
+  const sendChunks = useCallback((upload, chunks = upload.pendingChunks()) => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return;
+
+    upload.touch();
+    for (const chunk of chunks) {
+      upload.recordAttempt(chunk.index);
+      socket.emit('push-update', {
+        roomId: upload.roomId,
+        noteId: upload.noteId,
+        encryptedData: chunk.data,
+        timestamp: upload.timestamp,
+        sessionId: upload.sessionId,
+        chunkIndex: chunk.index,
+        totalChunks: upload.total,
+        checksum: chunk.checksum,
+        baseVersion: upload.baseVersion,
+      });
+    }
+  }, []);
+
+  // Ask for the session bitmap when an upload stops making progress
   useEffect(() => {
-    const cleanup = setInterval(() => {
-      const now = Date.now();
-      for (const [sessionId, session] of Object.entries(pendingChunksRef.current)) {
-        if (now - session.startTime > 30000) { // 30 seconds timeout
-          delete pendingChunksRef.current[sessionId];
+    const timer = setInterval(() => {
+      const socket = socketRef.current;
+      if (!socket?.connected || !keysRef.current?.authorized.settled) return;
+      for (const { upload } of notesSyncRef.current.values()) {
+        if (upload && Date.now() - upload.lastActivity > UPLOAD_STALL_MS) {
+          upload.touch();
+          socket.emit('resume-upload', { roomId: upload.roomId, sessionId: upload.sessionId });
         }
       }
-    }, 10000);
-    
-    return () => clearInterval(cleanup);
+    }, UPLOAD_STALL_MS / 2);
+
+    return () => clearInterval(timer);
   }, []);
 
   // Network status monitoring
@@ -169,269 +458,1210 @@ export const useSocket = () => {
         socketRef.current.connect();
       }
     };
-    
+
     const handleOffline = () => {
       toast.error(t.networkOffline);
       setStatus('disconnected');
     };
-    
+
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
-    
+
     return () => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
     };
   }, [t, setStatus]);
 
-  const joinChain = useCallback((chainMnemonic, name) => {
-    return new Promise((resolve) => {
-      try {
-        const keys = deriveKeys(chainMnemonic);
-        keysRef.current = keys;
-
-        lastSyncedHashRef.current = '00';
-        conflictManagerRef.current?.clearConflicts();
-        setPendingConflicts([]);
-        setConflictCount(0);
-        
-        // Disconnect existing socket if any
-        if (socketRef.current) {
-          socketRef.current.removeAllListeners();
-          socketRef.current.disconnect();
-        }
-        
-        socketRef.current = io(SOCKET_URL, {
-          transports: ['websocket', 'polling'],
-          reconnection: true,
-          reconnectionAttempts: 10,
-          reconnectionDelay: 1000,
-          reconnectionDelayMax: 5000,
-          timeout: 20000,
-        });
+  // CRDT mode: fold the note's content into its document and send the
+  // operations other devices have not seen. A note without a snapshot yet,
+  // or whose log is due for compaction, gets the full document state instead.
+  const pushCrdtUpdate = useCallback(async (noteId, note, keys, encryptionKey) => {
+    const sync = getNoteSync(noteId);
+    const doc = sync.crdtDoc || new RgaDocument(keys.siteId);
+    sync.crdtDoc = doc;
+    sync.crdtOutbox.push(...doc.applyLocalText(note.content));
+
+    const ops = sync.crdtOutbox;
+    const head = sync.remoteHead;
+    const sendState = !head || sync.snapshotDue;
+    if (!sendState && ops.length === 0 && note.title === (sync.base?.title ?? '')) {
+      settleQueuedOps(noteId);
+      setStatus('connected');
+      return;
+    }
+    sync.crdtOutbox = [];
+    sync.crdtInFlight = ops;
+    sync.sendingOps = sync.queuedOps.map((op) => op.id);
+
+    const text = doc.getText();
+    if (sendState) {
+      const encrypted = await encryptData({ content: text, title: note.title, crdt: doc.toJSON() }, encryptionKey);
+      const upload = await ChunkedUpload.create({
+        roomId: keys.roomId,
+        noteId: toWireNoteId(keys, noteId),
+        ciphertext: encrypted,
+        content: text,
+        title: note.title,
+        chunkSize: CHUNK_SIZE,
+        baseVersion: head?.version ?? 0,
+      });
+      sync.upload = upload;
+      sendChunks(upload);
+      return;
+    }
+
+    const encryptedUpdate = await encryptData({ crdt: ops, title: note.title }, encryptionKey);
+    const batch = { batchId: crypto.randomUUID(), content: text, title: note.title };
+    sync.pendingOps = batch;
+    socketRef.current.emit('push-crdt', {
+      roomId: keys.roomId,
+      noteId: toWireNoteId(keys, noteId),
+      batchId: batch.batchId,
+      encryptedUpdate,
+      timestamp: Date.now(),
+    });
+  }, [setStatus, sendChunks, getNoteSync, settleQueuedOps]);
+
+  // Push a note as an operation batch when it is a small edit on top of the
+  // synced base, otherwise as a full (chunked) snapshot. Only one push per
+  // note is in flight at a time since each builds on the version the
+  // previous one creates; later requests are folded into one follow-up push.
+  // Offline, or after leaving the chain, the change is queued instead.
+  const pushNote = useCallback(async (noteId, keys = keysRef.current) => {
+    if (!keys) return;
+    if (!socketRef.current?.connected || keysRef.current !== keys) {
+      if (keysRef.current === keys) {
+        setStatus('disconnected');
+      }
+      await queueOfflineChange(keys, noteId);
+      return;
+    }
+
+    try {
+      const { roomId } = keys;
+      const encryptionKey = await keys.encryptionKeyReady;
+      await keys.authorized.promise;
+      if (keysRef.current !== keys) return;
+
+      const sync = getNoteSync(noteId);
+      const wireNoteId = toWireNoteId(keys, noteId);
+
+      // Unresolved conflicts are settled by the user first
+      if (sync.upload || sync.pendingOps || hasPendingConflict(noteId)) {
+        sync.pushQueued = true;
+        return;
+      }
+
+      // A deleted note is replaced by a tombstone, unless the server never had it
+      if (sync.deleted) {
+        if (sync.version > 0) {
+          sync.sendingOps = sync.queuedOps.map((op) => op.id);
+          const upload = await ChunkedUpload.create({
+            roomId,
+            noteId: wireNoteId,
+            ciphertext: await encryptData({ deleted: true }, encryptionKey),
+            content: '',
+            chunkSize: CHUNK_SIZE,
+            baseVersion: sync.version,
+          });
+          sync.upload = upload;
+          sendChunks(upload);
+        } else {
+          settleQueuedOps(noteId);
+          setStatus('connected');
+        }
+        return;
+      }
+
+      const note = await readLocalNote(keys, noteId);
+      if (!note) {
+        settleQueuedOps(noteId);
+        setStatus('connected');
+        return;
+      }
+
+      if (keys.syncMode === 'crdt') {
+        await pushCrdtUpdate(noteId, note, keys, encryptionKey);
+        return;
+      }
 
-        const socket = socketRef.current;
+      const { content } = note;
+      const title = note.title || '';
+      const baseVersion = sync.version;
+      const { base } = sync;
 
-        socket.on('connect', () => {
+      if (base && baseVersion > 0 && base.version === baseVersion && !sync.snapshotDue) {
+        const ops = diffText(base.content, content);
+        if (ops.length === 0 && title === (base.title ?? '')) {
+          settleQueuedOps(noteId);
           setStatus('connected');
-          reconnectAttemptRef.current = 0;
-          
-          socket.emit('join-chain', {
-            roomId: keys.roomId,
-            deviceName: name,
+          return;
+        }
+
+        const encryptedOps = await encryptData({ ops, title }, encryptionKey);
+        if (encryptedOps.length <= CHUNK_SIZE) {
+          const batch = { batchId: crypto.randomUUID(), baseVersion, content, title };
+          sync.pendingOps = batch;
+          sync.sendingOps = sync.queuedOps.map((op) => op.id);
+          socketRef.current.emit('push-ops', {
+            roomId,
+            noteId: wireNoteId,
+            batchId: batch.batchId,
+            encryptedOps,
+            timestamp: Date.now(),
+            baseVersion,
           });
-          
-          if (isReconnectingRef.current) {
-            toast.success(t.reconnected);
-            isReconnectingRef.current = false;
-          } else {
-            toast.success(t.connected);
+          return;
+        }
+      }
+
+      // Encrypt once, then chunk the ciphertext so the server can store
+      // the complete envelope
+      const encrypted = await encryptData({ content, title }, encryptionKey);
+      const upload = await ChunkedUpload.create({
+        roomId,
+        noteId: wireNoteId,
+        ciphertext: encrypted,
+        content,
+        title,
+        chunkSize: CHUNK_SIZE,
+        baseVersion,
+      });
+      sync.upload = upload;
+      sync.sendingOps = sync.queuedOps.map((op) => op.id);
+      sendChunks(upload);
+    } catch (err) {
+      console.error('Push update error:', err);
+      setStatus('disconnected');
+    }
+  }, [
+    setStatus, sendChunks, pushCrdtUpdate, getNoteSync, hasPendingConflict, readLocalNote,
+    queueOfflineChange, settleQueuedOps,
+  ]);
+
+  // Pushes run one after another, each on top of what the previous one left
+  const schedulePush = useCallback((noteId) => {
+    pushChainRef.current = pushChainRef.current.then(() => pushNote(noteId));
+  }, [pushNote]);
+
+  const requestPush = useCallback((noteId) => {
+    if (socketRef.current?.connected) {
+      setStatus('syncing');
+    }
+    schedulePush(noteId);
+  }, [setStatus, schedulePush]);
+
+  // `newChain` marks a mnemonic generated on this device: it cannot have a
+  // pre-HKDF room, so the server is never asked for one
+  const joinChain = useCallback(async (chainMnemonic, name, { newChain = false } = {}) => {
+    try {
+      // The room ID only depends on the mnemonic; the encryption and auth
+      // keys need the chain's KDF parameters from the server first.
+      let resolveEncryptionKey;
+      const keys = {
+        roomId: await deriveRoomId(chainMnemonic),
+        encryptionKey: null,
+        authKey: null,
+        signer: null,
+        chainParams: null,
+        encryptionKeyReady: new Promise((resolveKey) => {
+          resolveEncryptionKey = resolveKey;
+        }),
+        // Resolved once the server accepted our answer to auth-challenge;
+        // replaced on every new connection
+        authorized: createDeferred(),
+        // Document model of the chain, reported with its chain params
+        syncMode: 'snapshot',
+        // Identifies this session's characters in the CRDT document
+        siteId: crypto.randomUUID().slice(0, 8),
+        // The chain's notebook in local storage (null without storage)
+        library: null,
+        // Room the chain used before HKDF, offered to the server for
+        // migration. It is a bare hash of the mnemonic, so it is only
+        // revealed for chains that may predate HKDF.
+        legacyRoomId: newChain ? null : deriveLegacyRoomId(chainMnemonic),
+      };
+      keysRef.current = keys;
+
+      notesSyncRef.current = new Map();
+      remotePresenceRef.current.clear();
+      setRemotePresence([]);
+      conflictManagerRef.current?.clearConflicts();
+      setPendingConflicts([]);
+      setConflictCount(0);
+
+      // The chain is a notebook whose default note is the room document. Its
+      // notes are encrypted at rest with a key that needs no server round
+      // trip, so they show right away.
+      const storage = await getStorage();
+      let localNotes = [];
+      if (storage) {
+        try {
+          const library = noteLibrary ?? new NoteLibrary(storage);
+          await library.unlock(keys.roomId, await deriveStorageKey(chainMnemonic));
+          localNotes = await library.openNotebook(keys.roomId, keys.roomId.slice(0, 8));
+          keys.library = library;
+          noteLibrary = library;
+        } catch (err) {
+          console.error('Failed to open the chain notebook:', err);
+        }
+      }
+      if (keysRef.current !== keys) return false;
+
+      const noteIds = localNotes.length > 0 ? localNotes.map((note) => note.id) : [keys.roomId];
+      for (const noteId of noteIds) {
+        const storedBase = await keys.library?.getSyncBase(keys.roomId, noteId).catch(() => null);
+        if (storedBase) {
+          const sync = getNoteSync(noteId);
+          sync.base = storedBase;
+          sync.version = storedBase.version;
+          sync.remoteHead = { content: storedBase.content, version: storedBase.version };
+        }
+      }
+      // Changes queued while offline, possibly before a reload
+      const queuedOps = (await storage?.dequeueOperations().catch(() => null)) || [];
+      for (const op of queuedOps) {
+        if (op.notebookId === keys.roomId && op.noteId) {
+          getNoteSync(op.noteId).queuedOps.push(op);
+        }
+      }
+      publishPendingChanges();
+
+      // History that earlier versions kept in localStorage was not tied to a
+      // chain; it goes to the default note of the first chain joined
+      const { legacyHistory, setLegacyHistory, historyRetention } = useAppStore.getState();
+      if (keys.library && legacyHistory.length > 0) {
+        try {
+          const policy = getRetentionPolicy(historyRetention);
+          for (const entry of [...legacyHistory].sort((a, b) => a.timestamp - b.timestamp)) {
+            if (typeof entry?.content !== 'string') continue;
+            await keys.library.addHistory(keys.roomId, keys.roomId, {
+              content: entry.content,
+              deviceName: entry.deviceName || '',
+              timestamp: entry.timestamp || Date.now(),
+            }, policy);
           }
+          setLegacyHistory([]);
+        } catch (err) {
+          console.error('Failed to import history:', err);
+        }
+      }
+      if (keysRef.current !== keys) return false;
+      await showNote(keys, keys.roomId);
+      await refreshNotes(keys);
+
+      // Disconnect existing socket if any
+      if (socketRef.current) {
+        socketRef.current.removeAllListeners();
+        socketRef.current.disconnect();
+      }
+
+      socketRef.current = io(SOCKET_URL, {
+        transports: ['websocket', 'polling'],
+        reconnection: true,
+        reconnectionAttempts: 10,
+        reconnectionDelay: 1000,
+        reconnectionDelayMax: 5000,
+        timeout: 20000,
+      });
+
+      const socket = socketRef.current;
+
+      // Push notes whose push was requested while another was in flight
+      const flushQueuedPushes = () => {
+        for (const [noteId, sync] of notesSyncRef.current) {
+          if (!sync.pushQueued || sync.upload || sync.pendingOps) continue;
+          sync.pushQueued = false;
+          requestPush(noteId);
+        }
+      };
+
+      // A CRDT push that did not land: send its operations with the next one
+      const requeueCrdtOps = (sync) => {
+        sync.crdtOutbox = [...sync.crdtInFlight, ...sync.crdtOutbox];
+        sync.crdtInFlight = [];
+      };
+
+      // The note whose upload is `sessionId`
+      const findUpload = (sessionId) => {
+        for (const [noteId, sync] of notesSyncRef.current) {
+          if (sessionId && sync.upload?.sessionId === sessionId) return [noteId, sync];
+        }
+        return [null, null];
+      };
+
+      socket.on('connect', () => {
+        setStatus('connected');
+        reconnectAttemptRef.current = 0;
+        if (keys.authorized.settled) {
+          keys.authorized = createDeferred();
+        }
+
+        socket.emit('join-chain', {
+          roomId: keys.roomId,
+          deviceName: name,
         });
 
-        socket.on('sync-update', async (payload) => {
-          if (payload && payload.encryptedData) {
-            try {
-              const decrypted = decryptData(payload.encryptedData, keys.encryptionKey);
-              if (decrypted) {
-                const handleRemoteContent = async (remoteContent) => {
-                  const state = useAppStore.getState();
-                  const localContent = state.note || '';
-                  const localHash = hashContent(localContent);
-                  const isDirty = localHash !== lastSyncedHashRef.current;
-
-                  const remoteMeta = {
-                    version: payload.version ?? 0,
-                    timestamp: payload.timestamp ?? Date.now(),
-                    deviceId: payload.deviceName || 'remote',
-                  };
-
-                  if (!isDirty || !conflictManagerRef.current) {
-                    setNote(remoteContent, remoteMeta);
-                    lastSyncedHashRef.current = hashContent(remoteContent);
-                    saveToHistory(remoteContent, payload.deviceName);
-                    return;
-                  }
-
-                  const result = await conflictManagerRef.current.checkAndHandle(
-                    {
-                      content: localContent,
-                      version: state.noteVersion || 0,
-                      timestamp: state.noteTimestamp || 0,
-                      deviceId: state.noteDeviceId || state.deviceName || 'local',
-                    },
-                    {
-                      content: remoteContent,
-                      version: remoteMeta.version,
-                      timestamp: remoteMeta.timestamp,
-                      deviceId: remoteMeta.deviceId,
-                    }
-                  );
-
-                  setPendingConflicts(conflictManagerRef.current.getPendingConflicts());
-                  setConflictCount(conflictManagerRef.current.getConflictCount());
-
-                  if (!result.hasConflict || result.resolved) {
-                    const nextContent = result.resolved ?? remoteContent;
-                    setNote(nextContent, remoteMeta);
-                    lastSyncedHashRef.current = hashContent(nextContent);
-                    saveToHistory(nextContent, payload.deviceName);
-                  }
-                };
-
-                // Handle chunked content
-                if (decrypted.chunked) {
-                  const fullContent = reassembleChunks(decrypted.sessionId, decrypted.chunk);
-                  if (fullContent !== null) {
-                    await handleRemoteContent(fullContent);
-                  }
-                } else if (decrypted.content !== undefined) {
-                  await handleRemoteContent(decrypted.content);
-                }
-              }
-            } catch (err) {
-              console.error('Decryption error:', err);
-            }
+        if (isReconnectingRef.current) {
+          toast.success(t.reconnected);
+          isReconnectingRef.current = false;
+        } else {
+          toast.success(t.connected);
+        }
+      });
+
+      socket.on('chain-params', async (payload = {}) => {
+        if (payload.roomId !== keys.roomId) return;
+
+        setRoomPinned(payload.pinned === true);
+        keys.syncMode = payload.syncMode === 'crdt' ? 'crdt' : 'snapshot';
+        if (keys.syncMode === 'crdt') {
+          // A stored base is only text; CRDT notes start from the server's document state
+          for (const sync of notesSyncRef.current.values()) {
+            if (!sync.crdtDoc) sync.remoteHead = null;
           }
-        });
+        }
 
-        socket.on('room-info', (data) => {
-          if (data && data.members) {
-            setMembers(data.members);
+        const { chainParams } = payload;
+        if (!chainParams) {
+          if (keys.chainParams) {
+            // The server lost its copy; restore the parameters we use
+            socket.emit('init-chain-params', { roomId: keys.roomId, chainParams: keys.chainParams });
+          } else if (!payload.hasData) {
+            // New room: propose parameters. The server keeps the first
+            // proposal, echoes it back and hands over the chain's pre-HKDF
+            // room (if any) so its content can be migrated.
+            socket.emit('init-chain-params', {
+              roomId: keys.roomId,
+              chainParams: createChainParams(),
+              ...(keys.legacyRoomId && { legacyRoomId: keys.legacyRoomId }),
+              syncMode: useAppStore.getState().syncMode,
+            });
+          } else {
+            toast.error(t.chainParamsMissing, { id: 'chain-params-missing' });
           }
-        });
+          return;
+        }
 
-        socket.on('disconnect', (reason) => {
-          console.log('Disconnected:', reason);
-          setStatus('disconnected');
-          
-          // Only show toast if not intentional disconnect
-          if (reason !== 'io client disconnect') {
-            toast.error(t.disconnected);
+        if (keys.chainParams) {
+          if (JSON.stringify(keys.chainParams) !== JSON.stringify(chainParams)) {
+            console.error('Server reported different chain parameters; keeping the derived key');
           }
-        });
+          return;
+        }
+
+        keys.chainParams = chainParams;
+        toast.loading(t.derivingKey, { id: 'deriving-key' });
+        try {
+          const { encryptionKey, authKey } = await deriveChainKeys(chainMnemonic, chainParams);
+          keys.signer = await deriveAuthKeyPair(authKey);
+          keys.encryptionKey = encryptionKey;
+          keys.authKey = authKey;
+          resolveEncryptionKey(encryptionKey);
+        } catch (err) {
+          console.error('Key derivation failed:', err);
+          keys.chainParams = null;
+          toast.error(t.keyDerivationError);
+        } finally {
+          toast.dismiss('deriving-key');
+        }
+      });
+
+      // Prove we hold the chain's auth key; pushes wait until this succeeds
+      socket.on('auth-challenge', async ({ roomId, challenge } = {}) => {
+        if (roomId !== keys.roomId) return;
+        try {
+          await keys.encryptionKeyReady;
+          const signature = await signChallenge(keys.signer.privateKey, roomId, challenge);
+          socket.emit('auth-response', { roomId, verifier: keys.signer.verifier, signature });
+        } catch (err) {
+          console.error('Auth response failed:', err);
+        }
+      });
 
-        socket.on('reconnect_attempt', (attempt) => {
-          reconnectAttemptRef.current = attempt;
-          isReconnectingRef.current = true;
-          setStatus('syncing');
-          if (attempt === 1) {
-            toast.loading(t.reconnecting, { id: 'reconnecting' });
+      socket.on('auth-result', ({ roomId, ok } = {}) => {
+        if (roomId !== keys.roomId) return;
+        if (ok) {
+          keys.authorized.resolve();
+          debouncedPresenceRef.current?.();
+          for (const sync of notesSyncRef.current.values()) {
+            // Continue an upload interrupted by a disconnect
+            if (sync.upload) {
+              socket.emit('resume-upload', { roomId, sessionId: sync.upload.sessionId });
+            }
+            // An unacknowledged batch is recomputed against the current base;
+            // if it did land, the version conflict brings it back as remote
+            if (sync.pendingOps) {
+              requeueCrdtOps(sync);
+              sync.pendingOps = null;
+              sync.pushQueued = true;
+            }
+          }
+          // Replay changes queued while offline, oldest first
+          const replay = [...notesSyncRef.current]
+            .flatMap(([noteId, sync]) => sync.queuedOps.map((op) => ({ noteId, timestamp: op.timestamp })))
+            .sort((a, b) => a.timestamp - b.timestamp);
+          new Set(replay.map((entry) => entry.noteId)).forEach((noteId) => requestPush(noteId));
+          flushQueuedPushes();
+        } else {
+          toast.error(t.authError, { id: 'auth-error' });
+        }
+      });
+
+      // Remote updates are applied one at a time, in arrival order
+      const enqueueRemote = (task) => enqueueNoteTask(async () => {
+        await task();
+        flushQueuedPushes();
+      });
+
+      // Content of the chain's pre-HKDF room, sent once when this device
+      // initialised the new room. Re-encrypt it under the new key.
+      socket.on('legacy-chain', (payload = {}) => {
+        if (payload.roomId !== keys.roomId || !payload.encryptedData) return;
+        enqueueRemote(async () => {
+          try {
+            const { encryptionKey } = await deriveChainKeys(chainMnemonic, LEGACY_CHAIN_PARAMS);
+            const decrypted = await decryptData(payload.encryptedData, encryptionKey);
+            if (typeof decrypted?.content !== 'string') {
+              console.warn('Legacy room holds a partial chunked upload; nothing to migrate');
+              return;
+            }
+            await writeLocalNote(keys, keys.roomId, { content: decrypted.content }, {
+              timestamp: payload.timestamp ?? Date.now(),
+              deviceId: payload.deviceName || 'remote',
+            });
+            saveToHistory(keys, keys.roomId, decrypted.content, payload.deviceName);
+            getNoteSync(keys.roomId).pushQueued = true;
+            toast.success(t.migrated);
+          } catch (err) {
+            console.error('Legacy migration failed:', err);
           }
         });
+      });
 
-        socket.on('reconnect', () => {
-          toast.dismiss('reconnecting');
-          // Re-join the room after reconnection
-          socket.emit('join-chain', {
-            roomId: keys.roomId,
-            deviceName: name,
-          });
+      // A note was deleted on another device: drop the local copy, edits
+      // included. The default note is the room itself and is never deleted.
+      const removeDeletedNote = async (noteId, version) => {
+        if (isDefaultNote(keys.roomId, noteId)) return;
+        settleQueuedOps(noteId);
+        Object.assign(getNoteSync(noteId), {
+          deleted: true,
+          version,
+          remoteHead: { content: '', version },
+          pushQueued: false,
+          crdtDoc: null,
+          crdtOutbox: [],
+          crdtInFlight: [],
         });
 
-        socket.on('reconnect_failed', () => {
-          toast.dismiss('reconnecting');
-          toast.error(t.disconnected);
-          setStatus('disconnected');
+        if (useAppStore.getState().activeNoteId === noteId) {
+          await showNote(keys, keys.roomId);
+          toast(t.noteDeleted, { id: 'note-deleted' });
+        }
+        await keys.library?.deleteNote(keys.roomId, noteId);
+        await refreshNotes(keys);
+      };
+
+      // A note we deleted moved on remotely: our tombstone goes on top
+      const followDeletedNote = (sync, version) => {
+        sync.remoteHead = { content: '', version };
+        sync.version = Math.max(sync.version, version);
+        sync.pushQueued = true;
+      };
+
+      // Take the server's content of a note at `remoteMeta.version`. Local
+      // edits that are not based on it are handed to the conflict manager.
+      const acceptRemoteContent = async (noteId, remoteContent, remoteTitle, remoteMeta, deviceName) => {
+        const sync = getNoteSync(noteId);
+        if (sync.deleted) {
+          followDeletedNote(sync, remoteMeta.version);
+          return;
+        }
+        sync.remoteHead = { content: remoteContent, version: remoteMeta.version };
+
+        const local = await readLocalNote(keys, noteId);
+        const syncedTitle = sync.base?.title ?? '';
+        const title = remoteTitle ?? syncedTitle;
+        // A rename that has not been pushed yet wins over the remote title
+        const nextTitle = local && (local.title || '') !== syncedTitle ? local.title : title;
+        const localContent = local?.content ?? '';
+        const isDirty = !!local && localContent !== (sync.base?.content ?? '');
+
+        if (!isDirty || !conflictManagerRef.current) {
+          recordSyncBase(noteId, remoteContent, remoteMeta.version, title);
+          await writeLocalNote(keys, noteId, { content: remoteContent, title: nextTitle }, remoteMeta);
+          saveToHistory(keys, noteId, remoteContent, deviceName);
+          if (nextTitle !== title) {
+            sync.pushQueued = true;
+          }
+          return;
+        }
+
+        // Already based on this (or a newer) version: the pending push wins
+        if (remoteMeta.version <= sync.version) return;
+
+        const state = useAppStore.getState();
+        const isOpen = noteId === state.activeNoteId;
+        const result = await conflictManagerRef.current.checkAndHandle(
+          {
+            noteId,
+            content: localContent,
+            version: sync.version,
+            parentVersion: sync.version,
+            timestamp: (isOpen ? state.noteTimestamp : local.updatedAt) || 0,
+            deviceId: (isOpen && state.noteDeviceId) || state.deviceName || 'local',
+          },
+          {
+            content: remoteContent,
+            version: remoteMeta.version,
+            timestamp: remoteMeta.timestamp,
+            deviceId: remoteMeta.deviceId,
+          },
+          sync.base
+        );
+
+        setPendingConflicts(conflictManagerRef.current.getPendingConflicts());
+        setConflictCount(conflictManagerRef.current.getConflictCount());
+
+        if (!result.hasConflict || result.resolved) {
+          const nextContent = result.resolved ?? remoteContent;
+          recordSyncBase(noteId, remoteContent, remoteMeta.version, title);
+          await writeLocalNote(keys, noteId, { content: nextContent, title: nextTitle }, remoteMeta);
+          saveToHistory(keys, noteId, nextContent, deviceName);
+          // A merge result is a new edit on top of the remote version
+          if (nextContent !== remoteContent || nextTitle !== title) {
+            sync.pushQueued = true;
+          }
+        }
+      };
+
+      const reportRemoteError = (err) => {
+        console.error('Decryption error:', err);
+        if (err instanceof DecryptionError) {
+          toast.error(t.integrityError, { id: 'integrity-error' });
+        }
+      };
+
+      // CRDT mode: local edits not yet in the note's document are folded in
+      // first, then the remote updates are integrated. Both survive, so there
+      // is nothing to prompt about; the local part is pushed afterwards.
+      const acceptRemoteCrdt = async (noteId, integrate, version, latest, remoteTitle) => {
+        const sync = getNoteSync(noteId);
+        if (sync.deleted) {
+          followDeletedNote(sync, version);
+          return;
+        }
+
+        const local = await readLocalNote(keys, noteId);
+        const live = sync.crdtDoc;
+        const doc = live || new RgaDocument(keys.siteId);
+        if (live && local) {
+          sync.crdtOutbox.push(...doc.applyLocalText(local.content));
+        }
+        integrate(doc);
+        sync.crdtDoc = doc;
+
+        const content = doc.getText();
+        const syncedTitle = sync.base?.title ?? '';
+        const title = remoteTitle ?? syncedTitle;
+        const nextTitle = local && (local.title || '') !== syncedTitle ? local.title : title;
+        sync.remoteHead = { content, version };
+        recordSyncBase(noteId, content, version, title);
+        await writeLocalNote(keys, noteId, { content, title: nextTitle }, {
+          version,
+          timestamp: latest.timestamp ?? Date.now(),
+          deviceId: latest.deviceName || 'remote',
         });
+        saveToHistory(keys, noteId, content, latest.deviceName);
+        if (sync.crdtOutbox.length > 0 || nextTitle !== title) {
+          sync.pushQueued = true;
+        }
+      };
+
+      // CRDT counterpart of applyRemoteOps: snapshots carry the document
+      // state, batches carry CRDT operations. Both are idempotent, so stale
+      // or re-delivered versions are harmless.
+      const applyRemoteCrdt = async (noteId, { snapshot, ops = [] }) => {
+        const sync = getNoteSync(noteId);
+        const wireNoteId = toWireNoteId(keys, noteId);
+        try {
+          const encryptionKey = await keys.encryptionKeyReady;
+          const updates = [];
+          let version = sync.remoteHead?.version ?? null;
+          let latest = null;
+          let title;
+
+          if (snapshot?.encryptedData) {
+            const decrypted = await decryptData(snapshot.encryptedData, encryptionKey);
+            if (decrypted?.deleted) {
+              await removeDeletedNote(noteId, snapshot.version ?? 0);
+              return;
+            }
+            if (typeof decrypted?.content !== 'string') return;
+            updates.push(decrypted.crdt
+              ? (doc) => doc.merge(decrypted.crdt)
+              // Pushed by a client without CRDT support: take its text as
+              // an edit so every device converges on it
+              : (doc) => sync.crdtOutbox.push(...doc.applyLocalText(decrypted.content)));
+            version = Math.max(version ?? 0, snapshot.version ?? 0);
+            latest = { timestamp: snapshot.timestamp, deviceName: snapshot.deviceName };
+            title = titleOf(decrypted);
+          }
+
+          if (version === null) {
+            socket.emit('ops-since', { roomId: keys.roomId, noteId: wireNoteId, since: 0 });
+            return;
+          }
+
+          for (const op of [...ops].sort((a, b) => a.version - b.version)) {
+            if (op.version <= version) continue;
+            if (op.version !== version + 1) {
+              if (sync.catchUpFrom !== version) {
+                sync.catchUpFrom = version;
+                socket.emit('ops-since', { roomId: keys.roomId, noteId: wireNoteId, since: version });
+              }
+              break;
+            }
+            const batch = await decryptData(op.content, encryptionKey);
+            updates.push((doc) => doc.apply(batch?.crdt || []));
+            version = op.version;
+            latest = { timestamp: op.timestamp, deviceName: op.deviceId };
+            title = titleOf(batch) ?? title;
+          }
+
+          if (!latest) return;
+          await acceptRemoteCrdt(noteId, (doc) => updates.forEach((update) => update(doc)), version, latest, title);
+        } catch (err) {
+          reportRemoteError(err);
+        }
+      };
+
+      // Full snapshot of a note from the server
+      const applyRemoteSnapshot = async (payload) => {
+        if (!payload?.encryptedData) return;
+        const noteId = fromWireNoteId(keys, payload.noteId);
+        if (keys.syncMode === 'crdt') {
+          await applyRemoteCrdt(noteId, { snapshot: payload });
+          return;
+        }
+        try {
+          const encryptionKey = await keys.encryptionKeyReady;
+          const decrypted = await decryptData(payload.encryptedData, encryptionKey);
+          if (decrypted?.deleted) {
+            await removeDeletedNote(noteId, payload.version ?? 0);
+            return;
+          }
+          if (!decrypted || decrypted.content === undefined) return;
+
+          await acceptRemoteContent(noteId, decrypted.content, titleOf(decrypted), {
+            version: payload.version ?? 0,
+            timestamp: payload.timestamp ?? Date.now(),
+            deviceId: payload.deviceName || 'remote',
+          }, payload.deviceName);
+        } catch (err) {
+          reportRemoteError(err);
+        }
+      };
+
+      // Operation batches of a note (optionally preceded by a snapshot when
+      // the log no longer reaches back far enough). Each batch moves the head
+      // by one version; a gap means we missed batches and must catch up first.
+      const applyRemoteOps = async ({ roomId, noteId: wireNoteId = null, snapshot, ops = [] } = {}) => {
+        if (roomId !== keys.roomId) return;
+        const noteId = fromWireNoteId(keys, wireNoteId);
+        if (keys.syncMode === 'crdt') {
+          await applyRemoteCrdt(noteId, { snapshot, ops });
+          return;
+        }
+        const sync = getNoteSync(noteId);
+        try {
+          const encryptionKey = await keys.encryptionKeyReady;
+          let head = sync.remoteHead;
+          let latest = null;
+          let title;
+
+          if (snapshot?.encryptedData) {
+            const decrypted = await decryptData(snapshot.encryptedData, encryptionKey);
+            if (decrypted?.deleted) {
+              await removeDeletedNote(noteId, snapshot.version ?? 0);
+              return;
+            }
+            if (typeof decrypted?.content !== 'string') return;
+            head = { content: decrypted.content, version: snapshot.version ?? 0 };
+            latest = { timestamp: snapshot.timestamp, deviceName: snapshot.deviceName };
+            title = titleOf(decrypted);
+          }
+
+          if (!head) {
+            socket.emit('ops-since', { roomId, noteId: wireNoteId, since: 0 });
+            return;
+          }
 
-        socket.on('connect_error', (error) => {
-          console.error('Connection error:', error);
-          if (reconnectAttemptRef.current === 0) {
-            setStatus('disconnected');
+          let { content, version } = head;
+          for (const op of [...ops].sort((a, b) => a.version - b.version)) {
+            if (op.version <= version) continue;
+            if (op.version !== version + 1) {
+              if (sync.catchUpFrom !== version) {
+                sync.catchUpFrom = version;
+                socket.emit('ops-since', { roomId, noteId: wireNoteId, since: version });
+              }
+              break;
+            }
+            const batch = await decryptData(op.content, encryptionKey);
+            content = applyOperations(content, batch?.ops || []);
+            version = op.version;
+            latest = { timestamp: op.timestamp, deviceName: op.deviceId };
+            title = titleOf(batch) ?? title;
+          }
+
+          if (!latest) return;
+          await acceptRemoteContent(noteId, content, title, {
+            version,
+            timestamp: latest.timestamp ?? Date.now(),
+            deviceId: latest.deviceName || 'remote',
+          }, latest.deviceName);
+        } catch (err) {
+          reportRemoteError(err);
+        }
+      };
+
+      socket.on('sync-update', (payload) => enqueueRemote(() => applyRemoteSnapshot(payload)));
+      socket.on('ops', (payload) => enqueueRemote(() => applyRemoteOps(payload)));
+
+      // Versions of every note on the server, sent on join: fetch what
+      // changed while we were away and upload what the server lacks
+      socket.on('notes-index', ({ roomId, notes = [] } = {}) => {
+        if (roomId !== keys.roomId) return;
+        enqueueRemote(async () => {
+          const remote = new Map(notes.map(({ noteId, version }) => [fromWireNoteId(keys, noteId), version]));
+          for (const [noteId, version] of remote) {
+            const sync = getNoteSync(noteId);
+            const known = sync.remoteHead?.version ?? 0;
+            if (version === known) continue;
+            // Behind: fetch the missing versions. Ahead means the server lost
+            // some of them, so start over from its snapshot.
+            if (version < known) {
+              sync.remoteHead = null;
+              sync.version = Math.min(sync.version, version);
+            }
+            socket.emit('ops-since', { roomId, noteId: toWireNoteId(keys, noteId), since: version > known ? known : 0 });
+          }
+
+          const state = useAppStore.getState();
+          const localNotes = keys.library ? await keys.library.listNotes(roomId) : [];
+          for (const note of localNotes) {
+            const sync = getNoteSync(note.id);
+            const content = note.id === state.activeNoteId ? state.note || '' : note.content;
+            if (!remote.has(note.id)) {
+              if (isDefaultNote(roomId, note.id) && !content && !note.title) continue;
+              // Created offline, moved here from another chain, or lost by
+              // the server: upload it as a new document
+              sync.version = 0;
+              sync.remoteHead = null;
+              sync.pushQueued = true;
+            } else if (content !== (sync.base?.content ?? '') || (note.title || '') !== (sync.base?.title ?? '')) {
+              // Edited while offline
+              sync.pushQueued = true;
+            }
           }
         });
+      });
+
+      socket.on('chunk-ack', ({ roomId, sessionId, chunkIndex, ok } = {}) => {
+        const [, sync] = findUpload(sessionId);
+        if (roomId !== keys.roomId || !sync) return;
+        const { upload } = sync;
+        if (ok) {
+          upload.markAcked(chunkIndex);
+          return;
+        }
 
-        socket.on('error', (error) => {
-          console.error('Socket error:', error);
+        // Corrupted in transit: resend just this chunk
+        if ((upload.attempts.get(chunkIndex) || 0) >= MAX_CHUNK_ATTEMPTS) {
+          console.error(`Chunk ${chunkIndex} of upload ${sessionId} keeps failing its checksum`);
+          sync.upload = null;
+          setStatus('disconnected');
           toast.error(t.syncError);
-        });
+          return;
+        }
+        sendChunks(upload, upload.chunks.filter((chunk) => chunk.index === chunkIndex));
+      });
 
-        setView('app');
-        resolve(true);
-      } catch (e) {
-        console.error('Error joining chain', e);
-        toast.error(t.joinError);
-        resolve(false);
-      }
-    });
-  }, [setStatus, setNote, setMembers, setView, saveToHistory, reassembleChunks, t, hashContent]);
+      socket.on('update-ack', ({ sessionId, success, version } = {}) => {
+        const [noteId, sync] = findUpload(sessionId);
+        if (!success || !sync) return;
+        const { upload } = sync;
+        sync.upload = null;
+        sync.snapshotDue = false;
+        sync.crdtInFlight = [];
+        settleQueuedOps(noteId, sync.sendingOps);
+        if (sync.deleted) {
+          // The tombstone landed; nothing is kept for the note
+          sync.version = version ?? sync.version;
+          sync.remoteHead = { content: '', version: sync.version };
+        } else {
+          if (typeof version === 'number') {
+            sync.remoteHead = { content: upload.content, version };
+          }
+          recordSyncBase(noteId, upload.content, version ?? upload.baseVersion, upload.title);
+        }
+        setStatus('connected');
+        flushQueuedPushes();
+      });
 
-  // Create debounced push function
-  useEffect(() => {
-    debouncedPushRef.current = debounce((content) => {
-      if (!socketRef.current?.connected || !keysRef.current) {
-        setStatus('disconnected');
-        return;
-      }
-      
-      try {
-        const chunks = splitIntoChunks(content);
-        const sessionId = Date.now().toString();
-        
-        chunks.forEach((chunk) => {
-          const dataToEncrypt = chunks.length === 1
-            ? { content }
-            : { chunked: true, sessionId, chunk };
-          
-          const encrypted = encryptData(dataToEncrypt, keysRef.current.encryptionKey);
-          
-          socketRef.current.emit('push-update', {
-            roomId: keysRef.current.roomId,
-            encryptedData: encrypted,
-            timestamp: Date.now(),
-            chunkIndex: chunk.index,
-            totalChunks: chunks.length,
+      socket.on('ops-ack', ({ roomId, noteId: wireNoteId = null, batchId, version, snapshotDue } = {}) => {
+        if (roomId !== keys.roomId) return;
+        const noteId = fromWireNoteId(keys, wireNoteId);
+        const sync = notesSyncRef.current.get(noteId);
+        const batch = sync?.pendingOps;
+        if (batch?.batchId !== batchId) return;
+        sync.pendingOps = null;
+        sync.crdtInFlight = [];
+        settleQueuedOps(noteId, sync.sendingOps);
+
+        const since = sync.remoteHead?.version ?? 0;
+        if (keys.syncMode !== 'crdt' || version === since + 1) {
+          sync.remoteHead = { content: batch.content, version };
+          recordSyncBase(noteId, batch.content, version, batch.title);
+        } else if (version > since + 1) {
+          // CRDT updates are appended without a base check, so others may
+          // have landed in between; fetch them (our own comes back too)
+          sync.catchUpFrom = since;
+          socket.emit('ops-since', { roomId, noteId: wireNoteId, since });
+        }
+        setStatus('connected');
+        // The log has grown long: follow up with a snapshot to compact it
+        if (snapshotDue) {
+          sync.snapshotDue = true;
+          sync.pushQueued = true;
+        }
+        flushQueuedPushes();
+      });
+
+      // The push was based on a stale version: catch up with the versions
+      // we missed, merge, and push the merge result on top of them
+      socket.on('version-conflict', ({ roomId, noteId: wireNoteId = null, sessionId, batchId, currentVersion } = {}) => {
+        if (roomId !== keys.roomId) return;
+        const sync = getNoteSync(fromWireNoteId(keys, wireNoteId));
+        if (sessionId && sync.upload?.sessionId === sessionId) {
+          sync.upload = null;
+          requeueCrdtOps(sync);
+        }
+        if (batchId && sync.pendingOps?.batchId === batchId) {
+          sync.pendingOps = null;
+          requeueCrdtOps(sync);
+        }
+        sync.pushQueued = true;
+
+        if (!currentVersion) {
+          // The note was emptied in the meantime: start over from version 0
+          sync.version = 0;
+          sync.remoteHead = null;
+          flushQueuedPushes();
+          return;
+        }
+
+        const since = sync.remoteHead?.version ?? 0;
+        if (since >= currentVersion) {
+          // Already merged the newer versions, or the server lost some of
+          // ours; either way push on top of its current version
+          sync.version = Math.min(sync.version, currentVersion);
+          flushQueuedPushes();
+          return;
+        }
+        sync.catchUpFrom = since;
+        socket.emit('ops-since', { roomId, noteId: wireNoteId, since });
+      });
+
+      // Reply to resume-upload: resend what the server does not hold. An
+      // unknown session (expired or server restart) is sent again in full.
+      socket.on('upload-status', ({ roomId, sessionId, found, bitmap } = {}) => {
+        const [, sync] = findUpload(sessionId);
+        if (roomId !== keys.roomId || !sync) return;
+        if (found) {
+          sync.upload.applyBitmap(bitmap);
+        } else {
+          sync.upload.reset();
+        }
+        sendChunks(sync.upload);
+      });
+
+      socket.on('chunks-missing', ({ roomId, sessionId, missing = [], expired } = {}) => {
+        const [, sync] = findUpload(sessionId);
+        if (roomId !== keys.roomId || !sync) return;
+        console.warn(`Upload ${sessionId} is missing chunks:`, missing);
+        if (expired) {
+          sync.upload.reset();
+        } else {
+          sync.upload.markMissing(missing);
+        }
+        sendChunks(sync.upload);
+      });
+
+      socket.on('room-pinned', ({ roomId, pinned } = {}) => {
+        if (roomId === keys.roomId) setRoomPinned(pinned === true);
+      });
+
+      socket.on('room-info', (data) => {
+        if (data && data.members) {
+          setMembers(data.members);
+
+          // Forget devices that left; let newcomers see where we are
+          const ids = new Set(data.members.map((member) => member.id));
+          for (const id of remotePresenceRef.current.keys()) {
+            if (!ids.has(id)) remotePresenceRef.current.delete(id);
+          }
+          publishRemotePresence();
+          debouncedPresenceRef.current?.();
+        }
+      });
+
+      socket.on('presence', async ({ roomId, from, encryptedPresence } = {}) => {
+        if (roomId !== keys.roomId || !from || from === socket.id) return;
+        try {
+          const decrypted = await decryptData(encryptedPresence, await keys.encryptionKeyReady);
+          remotePresenceRef.current.set(from, {
+            // Devices without notes are always in the default note
+            noteId: typeof decrypted?.noteId === 'string' ? decrypted.noteId : keys.roomId,
+            ranges: normalizeRanges(decrypted?.ranges),
           });
+          publishRemotePresence();
+        } catch (err) {
+          console.warn('Ignored unreadable presence:', err);
+        }
+      });
+
+      socket.on('disconnect', (reason) => {
+        console.log('Disconnected:', reason);
+        setStatus('disconnected');
+
+        // Only show toast if not intentional disconnect
+        if (reason !== 'io client disconnect') {
+          toast.error(t.disconnected);
+        }
+      });
+
+      socket.on('reconnect_attempt', (attempt) => {
+        reconnectAttemptRef.current = attempt;
+        isReconnectingRef.current = true;
+        setStatus('syncing');
+        if (attempt === 1) {
+          toast.loading(t.reconnecting, { id: 'reconnecting' });
+        }
+      });
+
+      socket.on('reconnect', () => {
+        toast.dismiss('reconnecting');
+        // Re-join the room after reconnection
+        socket.emit('join-chain', {
+          roomId: keys.roomId,
+          deviceName: name,
         });
+      });
 
-        lastSyncedHashRef.current = hashContent(content);
-        
-        setStatus('connected');
-      } catch (err) {
-        console.error('Push update error:', err);
+      socket.on('reconnect_failed', () => {
+        toast.dismiss('reconnecting');
+        toast.error(t.disconnected);
         setStatus('disconnected');
-      }
+      });
+
+      socket.on('connect_error', (error) => {
+        console.error('Connection error:', error);
+        if (reconnectAttemptRef.current === 0) {
+          setStatus('disconnected');
+        }
+      });
+
+      socket.on('error', (error) => {
+        console.error('Socket error:', error);
+        if (error?.code === AuthErrorCodes.AUTH_REQUIRED || error?.code === AuthErrorCodes.AUTH_FAILED) {
+          toast.error(t.authError, { id: 'auth-error' });
+        } else if (error?.code === 'NOTE_LIMIT') {
+          // The note stays on this device; it is uploaded again on the next join
+          const [, sync] = findUpload(error.sessionId);
+          if (sync) sync.upload = null;
+          setStatus('connected');
+          toast.error(t.noteLimit, { id: 'note-limit' });
+        } else {
+          toast.error(t.syncError);
+        }
+      });
+
+      setView('app');
+      return true;
+    } catch (e) {
+      console.error('Error joining chain', e);
+      toast.error(t.joinError);
+      return false;
+    }
+  }, [
+    setStatus, setMembers, setRoomPinned, setView, saveToHistory, sendChunks, recordSyncBase, publishRemotePresence, t,
+    getNoteSync, readLocalNote, writeLocalNote, showNote, refreshNotes, enqueueNoteTask, requestPush,
+    publishPendingChanges, settleQueuedOps,
+  ]);
+
+  // Edits are stored and pushed together once the editor is idle
+  useEffect(() => {
+    debouncedPushRef.current = debounce((noteId) => {
+      // Bound to the chain now: edits flushed while leaving are still queued for it
+      const keys = keysRef.current;
+      const saved = saveEditedNote(noteId);
+      savingRef.current = saved;
+      pushChainRef.current = pushChainRef.current.then(() => saved).then(() => pushNote(noteId, keys));
     }, syncDebounceMs);
 
+    // Store the last edits when the tab is closed or reloaded
+    const flushOnHide = () => debouncedPushRef.current?.flush();
+    window.addEventListener('pagehide', flushOnHide);
+
     return () => {
-      if (debouncedPushRef.current) {
-        debouncedPushRef.current.cancel();
-      }
+      window.removeEventListener('pagehide', flushOnHide);
+      debouncedPushRef.current?.flush();
     };
-  }, [syncDebounceMs, setStatus, splitIntoChunks, hashContent]);
+  }, [syncDebounceMs, saveEditedNote, pushNote]);
 
-  const pushUpdate = useCallback((content) => {
-    if (!socketRef.current?.connected) {
-      return;
+  useEffect(() => {
+    debouncedPresenceRef.current = debounce(emitPresence, PRESENCE_DEBOUNCE_MS, {
+      maxWait: PRESENCE_MAX_WAIT_MS,
+    });
+
+    return () => debouncedPresenceRef.current?.cancel();
+  }, [emitPresence]);
+
+  // Share this device's selection ranges ({ anchor, head }[]) with the room
+  const sendPresence = useCallback((ranges) => {
+    localPresenceRef.current = ranges;
+    debouncedPresenceRef.current?.();
+  }, []);
+
+  // The editor changed the open note: store and push it once typing pauses
+  const pushUpdate = useCallback(() => {
+    const { activeNoteId } = useAppStore.getState();
+    if (!activeNoteId) return;
+    if (socketRef.current?.connected) {
+      setStatus('syncing');
     }
-    setStatus('syncing');
-    debouncedPushRef.current?.(content);
+    debouncedPushRef.current?.(activeNoteId);
   }, [setStatus]);
 
-  const disconnect = useCallback(() => {
-    if (debouncedPushRef.current) {
-      debouncedPushRef.current.cancel();
+  // Open another note of the chain in the editor; the one being left is
+  // stored first
+  const selectNote = useCallback((noteId) => {
+    const keys = keysRef.current;
+    if (!keys || noteId === useAppStore.getState().activeNoteId) return Promise.resolve();
+    debouncedPushRef.current?.flush();
+    return enqueueNoteTask(async () => {
+      await savingRef.current;
+      await showNote(keys, noteId);
+    });
+  }, [enqueueNoteTask, showNote]);
+
+  const createNote = useCallback(async (title = '') => {
+    const keys = keysRef.current;
+    if (!keys?.library) return null;
+    const note = await keys.library.createNote(keys.roomId, { title: title.trim().slice(0, MAX_TITLE_LENGTH) });
+    await refreshNotes(keys);
+    await selectNote(note.id);
+    requestPush(note.id);
+    return note;
+  }, [refreshNotes, selectNote, requestPush]);
+
+  const renameNote = useCallback(async (noteId, title) => {
+    const keys = keysRef.current;
+    if (!keys?.library) return;
+    await enqueueNoteTask(async () => {
+      await keys.library.updateNote(keys.roomId, noteId, { title: title.trim().slice(0, MAX_TITLE_LENGTH) });
+      await refreshNotes(keys);
+    });
+    requestPush(noteId);
+  }, [enqueueNoteTask, refreshNotes, requestPush]);
+
+  // Drop a note on this device and push a tombstone so every other device
+  // drops it as well
+  const forgetNote = useCallback(async (noteId, removeLocally) => {
+    const keys = keysRef.current;
+    if (!keys?.library || isDefaultNote(keys.roomId, noteId)) return;
+    if (useAppStore.getState().activeNoteId === noteId) {
+      await selectNote(keys.roomId);
     }
+    await enqueueNoteTask(async () => {
+      await removeLocally(keys);
+      Object.assign(getNoteSync(noteId), {
+        deleted: true,
+        crdtDoc: null,
+        crdtOutbox: [],
+        crdtInFlight: [],
+      });
+      await refreshNotes(keys);
+    });
+    requestPush(noteId);
+  }, [selectNote, enqueueNoteTask, getNoteSync, refreshNotes, requestPush]);
+
+  const deleteNote = useCallback((noteId) => (
+    forgetNote(noteId, (keys) => keys.library.deleteNote(keys.roomId, noteId))
+  ), [forgetNote]);
+
+  // Move a note into the notebook of another chain joined on this device;
+  // it is uploaded there the next time that chain is joined
+  const moveNote = useCallback((noteId, targetNotebookId) => (
+    forgetNote(noteId, async (keys) => {
+      const moved = await keys.library.moveNote(keys.roomId, noteId, targetNotebookId);
+      await queueOfflineChange({ roomId: targetNotebookId }, moved.id, 'create');
+    })
+  ), [forgetNote, queueOfflineChange]);
+
+  // Notebooks of the other chains joined in this session; the others are
+  // locked and cannot take notes
+  const listOtherNotebooks = useCallback(async () => {
+    const keys = keysRef.current;
+    if (!keys?.library) return [];
+    const notebooks = await keys.library.listNotebooks();
+    return notebooks.filter((notebook) => notebook.id !== keys.roomId && keys.library.isUnlocked(notebook.id));
+  }, []);
+
+  const isChainDefaultNote = useCallback((noteId) => (
+    !!keysRef.current && isDefaultNote(keysRef.current.roomId, noteId)
+  ), []);
+
+  const disconnect = useCallback(() => {
+    // Keep unsaved edits; the push they schedule finds no connection
+    debouncedPushRef.current?.flush();
     if (socketRef.current) {
       socketRef.current.removeAllListeners();
       socketRef.current.disconnect();
       socketRef.current = null;
     }
     keysRef.current = null;
-    pendingChunksRef.current = {};
+    notesSyncRef.current = new Map();
+    localPresenceRef.current = null;
+    debouncedPresenceRef.current?.cancel();
+    remotePresenceRef.current.clear();
+    setRemotePresence([]);
     conflictManagerRef.current?.clearConflicts();
     setPendingConflicts([]);
     setConflictCount(0);
   }, []);
 
+  // Settle a conflict: the resolution is stored in its note and pushed on
+  // top of the remote side of the conflict
   const resolveConflict = useCallback(async (conflictId, resolvedContent) => {
     if (!conflictManagerRef.current) return null;
+    const conflict = conflictManagerRef.current.getPendingConflicts().find((c) => c.id === conflictId);
     const resolved = await conflictManagerRef.current.resolveManually(conflictId, resolvedContent);
+    const keys = keysRef.current;
     setPendingConflicts(conflictManagerRef.current.getPendingConflicts());
     setConflictCount(conflictManagerRef.current.getConflictCount());
+
+    if (typeof resolved === 'string' && conflict?.remoteVersion && keys) {
+      const noteId = conflict.localVersion?.noteId || keys.roomId;
+      const sync = getNoteSync(noteId);
+      recordSyncBase(noteId, conflict.remoteVersion.content, conflict.remoteVersion.version || 0, sync.base?.title ?? '');
+      await enqueueNoteTask(() => writeLocalNote(keys, noteId, { content: resolved }));
+      requestPush(noteId);
+    }
     return resolved;
-  }, []);
+  }, [getNoteSync, recordSyncBase, enqueueNoteTask, writeLocalNote, requestPush]);
 
   const clearConflicts = useCallback(() => {
     conflictManagerRef.current?.clearConflicts();
@@ -443,6 +1673,95 @@ export const useSocket = () => {
     return socketRef.current?.id;
   }, []);
 
+  // Content of a history entry of the open note; null once the entry or the
+  // note is gone
+  const getHistoryContent = useCallback(async (entryId) => {
+    const keys = keysRef.current;
+    const { activeNoteId } = useAppStore.getState();
+    if (!keys?.library || !activeNoteId) return null;
+    const content = await keys.library.getHistoryContent(keys.roomId, activeNoteId, entryId);
+    if (keysRef.current !== keys || useAppStore.getState().activeNoteId !== activeNoteId) return null;
+    return content;
+  }, []);
+
+  // Put a history entry of the open note back into the editor; it is
+  // stored and pushed like any other edit
+  const restoreHistoryEntry = useCallback(async (entryId) => {
+    const content = await getHistoryContent(entryId);
+    if (content === null) return false;
+    setNote(content);
+    pushUpdate();
+    return true;
+  }, [getHistoryContent, setNote, pushUpdate]);
+
+  // Snapshots of the open note the server still keeps, newest first
+  const listServerVersions = useCallback(async () => {
+    const keys = keysRef.current;
+    const socket = socketRef.current;
+    const { activeNoteId } = useAppStore.getState();
+    if (!keys || !socket?.connected || !activeNoteId) return [];
+    const { versions } = await requestServer(socket, 'list-versions', {
+      roomId: keys.roomId,
+      noteId: toWireNoteId(keys, activeNoteId),
+    });
+    return versions;
+  }, []);
+
+  // Decrypted content of a server snapshot of the open note; null once the
+  // note is closed
+  const getServerVersionContent = useCallback(async (versionId) => {
+    const keys = keysRef.current;
+    const socket = socketRef.current;
+    const { activeNoteId } = useAppStore.getState();
+    if (!keys || !socket?.connected || !activeNoteId) return null;
+    const { snapshot } = await requestServer(socket, 'get-version', {
+      roomId: keys.roomId,
+      noteId: toWireNoteId(keys, activeNoteId),
+      versionId,
+    });
+    const decrypted = await decryptData(snapshot.encryptedData, await keys.encryptionKeyReady);
+    // Tombstones of deleted notes have nothing to restore
+    if (typeof decrypted?.content !== 'string') {
+      throw new Error('Server version holds no note content');
+    }
+    if (keysRef.current !== keys || useAppStore.getState().activeNoteId !== activeNoteId) return null;
+    return decrypted.content;
+  }, []);
+
+  // Put a server snapshot of the open note back into the editor; like a
+  // history entry it is stored and pushed as a new edit
+  const restoreServerVersion = useCallback(async (versionId) => {
+    const content = await getServerVersionContent(versionId);
+    if (content === null) return false;
+    setNote(content);
+    pushUpdate();
+    return true;
+  }, [getServerVersionContent, setNote, pushUpdate]);
+
+  // Delete history entries of the open note (by default all of them)
+  const deleteHistoryEntries = useCallback(async (entryIds) => {
+    const keys = keysRef.current;
+    const { activeNoteId } = useAppStore.getState();
+    if (!keys?.library || !activeNoteId) return;
+    try {
+      await keys.library.deleteHistory(keys.roomId, activeNoteId, entryIds);
+    } catch (err) {
+      console.error('Failed to delete history:', err);
+    }
+    await publishHistory(keys, activeNoteId);
+  }, [publishHistory]);
+
+  const deleteHistoryEntry = useCallback((entryId) => deleteHistoryEntries([entryId]), [deleteHistoryEntries]);
+  const clearHistory = useCallback(() => deleteHistoryEntries(), [deleteHistoryEntries]);
+
+  // Ask the server to keep (or stop keeping) this chain past its retention
+  // period; the server answers the whole room with room-pinned
+  const pinRoom = useCallback((pinned) => {
+    if (socketRef.current?.connected && keysRef.current) {
+      socketRef.current.emit('set-pinned', { roomId: keysRef.current.roomId, pinned });
+    }
+  }, []);
+
   const requestSync = useCallback(() => {
     if (socketRef.current?.connected && keysRef.current) {
       socketRef.current.emit('request-sync', { roomId: keysRef.current.roomId });
@@ -459,10 +1778,27 @@ export const useSocket = () => {
   return {
     joinChain,
     pushUpdate,
+    sendPresence,
+    remotePresence,
     disconnect,
     getSocketId,
     requestSync,
+    pinRoom,
     isConnected: () => socketRef.current?.connected ?? false,
+    selectNote,
+    createNote,
+    renameNote,
+    deleteNote,
+    moveNote,
+    listOtherNotebooks,
+    isDefaultNote: isChainDefaultNote,
+    getHistoryContent,
+    restoreHistoryEntry,
+    deleteHistoryEntry,
+    clearHistory,
+    listServerVersions,
+    getServerVersionContent,
+    restoreServerVersion,
     conflictCount,
     pendingConflicts,
     resolveConflict,
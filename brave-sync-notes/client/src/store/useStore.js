@@ -19,7 +19,16 @@ export const useAppStore = create(
       mnemonic: '',
       deviceName: '',
       members: [],
+      // The server never expires a pinned chain (set by any authorized device)
+      roomPinned: false,
       
+      // Notes of the joined chain, without their content (local storage holds it)
+      notes: [], // [{ id, title, preview, updatedAt }]
+      // Note shown in the editor; `note` is its editor buffer
+      activeNoteId: null,
+      // Changes made offline that the server has not acknowledged yet
+      pendingChanges: 0,
+
       // Content
       note: '',
       noteVersion: 0,
@@ -27,13 +36,19 @@ export const useAppStore = create(
       noteDeviceId: 'local',
       currentFileType: 'markdown',
       
-      // History
-      history: [],
-      maxHistoryItems: 50,
+      // History of the open note, newest first (local storage holds it;
+      // content is rebuilt on demand)
+      history: [], // [{ id, timestamp, deviceName, preview }]
+      // History kept in localStorage by earlier versions; imported into the next chain joined
+      legacyHistory: [],
       
       // Settings
       autoSave: true,
       syncDebounceMs: 300,
+      // Document model proposed when this device creates a new chain
+      syncMode: 'snapshot',
+      // How much note history is kept (see RETENTION_POLICIES)
+      historyRetention: 'standard',
       fontSize: 14,
       tabSize: 2,
       lineNumbers: true,
@@ -56,6 +71,7 @@ export const useAppStore = create(
       setMnemonic: (mnemonic) => set({ mnemonic }),
       setDeviceName: (deviceName) => set({ deviceName }),
       setMembers: (members) => set({ members }),
+      setRoomPinned: (roomPinned) => set({ roomPinned }),
       
       setNote: (note, meta) => set((state) => ({
         note,
@@ -63,57 +79,23 @@ export const useAppStore = create(
         noteTimestamp: meta?.timestamp ?? Date.now(),
         noteDeviceId: meta?.deviceId ?? (state.deviceName || state.noteDeviceId || 'local'),
       })),
+      // Server version the local note is based on (advanced when a push is acknowledged)
+      setNoteVersion: (noteVersion) => set({ noteVersion }),
+      setNotes: (notes) => set({ notes }),
+      setPendingChanges: (pendingChanges) => set({ pendingChanges }),
+      // Show another note of the chain in the editor
+      openNote: (activeNoteId, note, noteVersion) => set((state) => ({
+        activeNoteId,
+        note,
+        noteVersion,
+        noteTimestamp: Date.now(),
+        noteDeviceId: state.deviceName || 'local',
+      })),
       setCurrentFileType: (currentFileType) => set({ currentFileType }),
       
       // History Management
-      addToHistory: (entry) => set((state) => {
-        // Skip if content is too short
-        if (!entry.content || entry.content.length < 10) {
-          return {};
-        }
-        
-        // Check for duplicate content (compare first 100 chars and length)
-        const contentPreview = entry.content.substring(0, 100);
-        const contentLength = entry.content.length;
-        const isDuplicate = state.history.some(
-          (h) => h.preview === contentPreview && h.content.length === contentLength
-        );
-        
-        if (isDuplicate) {
-          return {};
-        }
-        
-        const newHistory = [
-          {
-            id: Date.now(),
-            content: entry.content,
-            timestamp: new Date().toISOString(),
-            deviceName: entry.deviceName || state.deviceName,
-            preview: contentPreview,
-          },
-          ...state.history,
-        ].slice(0, state.maxHistoryItems);
-        return { history: newHistory };
-      }),
-      
-      clearHistory: () => set({ history: [] }),
-      
-      deleteHistoryItem: (id) => set((state) => ({
-        history: state.history.filter((item) => item.id !== id),
-      })),
-      
-      restoreFromHistory: (id) => {
-        const state = get();
-        const item = state.history.find((h) => h.id === id);
-        if (item) {
-          set({
-            note: item.content,
-            noteVersion: state.noteVersion,
-            noteTimestamp: Date.now(),
-            noteDeviceId: state.deviceName || state.noteDeviceId || 'local',
-          });
-        }
-      },
+      setHistory: (history) => set({ history }),
+      setLegacyHistory: (legacyHistory) => set({ legacyHistory }),
       
       // Settings
       setFontSize: (fontSize) => set({ fontSize }),
@@ -121,6 +103,8 @@ export const useAppStore = create(
       setLineNumbers: (lineNumbers) => set({ lineNumbers }),
       setWordWrap: (wordWrap) => set({ wordWrap }),
       setSyncDebounceMs: (syncDebounceMs) => set({ syncDebounceMs }),
+      setSyncMode: (syncMode) => set({ syncMode }),
+      setHistoryRetention: (historyRetention) => set({ historyRetention }),
       
       // Reset
       resetConnection: () => set({
@@ -128,6 +112,11 @@ export const useAppStore = create(
         status: 'disconnected',
         mnemonic: '',
         members: [],
+        roomPinned: false,
+        notes: [],
+        activeNoteId: null,
+        pendingChanges: 0,
+        history: [],
         note: '',
         noteVersion: 0,
         noteTimestamp: 0,
@@ -140,14 +129,25 @@ export const useAppStore = create(
         darkMode: state.darkMode,
         lang: state.lang,
         deviceName: state.deviceName,
-        history: state.history,
+        legacyHistory: state.legacyHistory,
         fontSize: state.fontSize,
         tabSize: state.tabSize,
         lineNumbers: state.lineNumbers,
         wordWrap: state.wordWrap,
         syncDebounceMs: state.syncDebounceMs,
+        syncMode: state.syncMode,
+        historyRetention: state.historyRetention,
         editorMode: state.editorMode,
       }),
+      // v1 moved history out of localStorage into per-note local storage
+      version: 1,
+      migrate: (persisted, version) => {
+        if (version < 1) {
+          const { history, ...rest } = persisted || {};
+          return { ...rest, legacyHistory: history || [] };
+        }
+        return persisted;
+      },
     }
   )
 );
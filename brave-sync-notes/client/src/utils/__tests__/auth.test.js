@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { deriveAuthKeyPair, signChallenge, AUTH_MESSAGE_PREFIX } from '../auth';
+
+const AUTH_KEY = '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60';
+
+describe('room auth', () => {
+    it('should derive the Ed25519 public key from the auth key', async () => {
+        const { verifier } = await deriveAuthKeyPair(AUTH_KEY);
+
+        // RFC 8032 test vector 1
+        expect(Buffer.from(verifier.publicKey, 'base64url').toString('hex')).toBe(
+            'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+        );
+        expect(verifier.alg).toBe('Ed25519');
+    });
+
+    it('should sign challenges bound to the room ID', async () => {
+        const { privateKey, verifier } = await deriveAuthKeyPair(AUTH_KEY);
+        const signature = await signChallenge(privateKey, 'room-1', 'challenge');
+
+        const publicKey = await crypto.subtle.importKey(
+            'jwk',
+            { kty: 'OKP', crv: 'Ed25519', x: verifier.publicKey },
+            'Ed25519',
+            false,
+            ['verify']
+        );
+        const verify = (message) => crypto.subtle.verify(
+            'Ed25519',
+            publicKey,
+            Buffer.from(signature, 'base64'),
+            new TextEncoder().encode(message)
+        );
+
+        await expect(verify(`${AUTH_MESSAGE_PREFIX}:room-1:challenge`)).resolves.toBe(true);
+        await expect(verify(`${AUTH_MESSAGE_PREFIX}:room-2:challenge`)).resolves.toBe(false);
+    });
+
+    it('should reject malformed auth keys', async () => {
+        await expect(deriveAuthKeyPair('abc')).rejects.toThrow();
+        await expect(deriveAuthKeyPair(null)).rejects.toThrow();
+    });
+});
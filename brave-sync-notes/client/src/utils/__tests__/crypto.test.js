@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import CryptoJS from 'crypto-js';
+import {
+    encryptData,
+    decryptData,
+    DecryptionError,
+    isLegacyCiphertext,
+    ENVELOPE_VERSION,
+    ENVELOPE_ALGORITHM,
+} from '../crypto';
+
+const KEY = '00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff';
+const OTHER_KEY = 'ffeeddccbbaa99887766554433221100ffeeddccbbaa99887766554433221100';
+
+const flipBase64 = (b64) => {
+    const bytes = Buffer.from(b64, 'base64');
+    bytes[0] ^= 0x01;
+    return bytes.toString('base64');
+};
+
+const expectReason = async (promise, reason) => {
+    await expect(promise).rejects.toBeInstanceOf(DecryptionError);
+    await expect(promise).rejects.toMatchObject({ reason });
+};
+
+describe('crypto envelope', () => {
+    it('should round-trip data through an AES-GCM envelope', async () => {
+        const data = { content: '# Hello\n\n特殊字符 🎉' };
+        const ciphertext = await encryptData(data, KEY);
+
+        const envelope = JSON.parse(ciphertext);
+        expect(envelope.v).toBe(ENVELOPE_VERSION);
+        expect(envelope.alg).toBe(ENVELOPE_ALGORITHM);
+        expect(envelope.kid).toMatch(/^[0-9a-f]{16}$/);
+        expect(envelope.ct).not.toContain('Hello');
+
+        await expect(decryptData(ciphertext, KEY)).resolves.toEqual(data);
+    });
+
+    it('should use a fresh nonce for every encryption', async () => {
+        const first = JSON.parse(await encryptData({ content: 'same' }, KEY));
+        const second = JSON.parse(await encryptData({ content: 'same' }, KEY));
+
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.ct).not.toBe(second.ct);
+    });
+
+    it('should reject a tampered ciphertext', async () => {
+        const envelope = JSON.parse(await encryptData({ content: 'secret' }, KEY));
+        envelope.ct = flipBase64(envelope.ct);
+
+        await expectReason(decryptData(JSON.stringify(envelope), KEY), 'tampered');
+    });
+
+    it('should reject a tampered nonce', async () => {
+        const envelope = JSON.parse(await encryptData({ content: 'secret' }, KEY));
+        envelope.iv = flipBase64(envelope.iv);
+
+        await expectReason(decryptData(JSON.stringify(envelope), KEY), 'tampered');
+    });
+
+    it('should reject envelopes encrypted under another key', async () => {
+        const ciphertext = await encryptData({ content: 'secret' }, OTHER_KEY);
+
+        await expectReason(decryptData(ciphertext, KEY), 'key-mismatch');
+    });
+
+    it('should reject unknown envelope versions', async () => {
+        const envelope = JSON.parse(await encryptData({ content: 'secret' }, KEY));
+        envelope.v = 99;
+
+        await expectReason(decryptData(JSON.stringify(envelope), KEY), 'unsupported');
+    });
+
+    it('should reject malformed input', async () => {
+        await expectReason(decryptData('not an envelope', KEY), 'malformed');
+        await expectReason(decryptData('', KEY), 'malformed');
+    });
+});
+
+describe('legacy CryptoJS ciphertexts', () => {
+    const legacy = CryptoJS.AES.encrypt(JSON.stringify({ content: 'old note' }), KEY).toString();
+
+    it('should detect legacy ciphertexts', () => {
+        expect(isLegacyCiphertext(legacy)).toBe(true);
+    });
+
+    it('should still decrypt legacy ciphertexts during migration', async () => {
+        await expect(decryptData(legacy, KEY)).resolves.toEqual({ content: 'old note' });
+    });
+
+    it('should refuse legacy ciphertexts when disabled', async () => {
+        await expectReason(decryptData(legacy, KEY, { allowLegacy: false }), 'unsupported');
+    });
+
+    it('should throw instead of returning null for undecryptable legacy data', async () => {
+        await expectReason(decryptData(legacy, OTHER_KEY), 'legacy-failed');
+    });
+});
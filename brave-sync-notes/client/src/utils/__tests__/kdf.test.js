@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import CryptoJS from 'crypto-js';
+import {
+    createChainParams,
+    isValidChainParams,
+    deriveKeyMaterial,
+    hkdfSha256,
+    DEFAULT_KDF_ITERATIONS,
+    MIN_KDF_ITERATIONS,
+} from '../kdf';
+import {
+    deriveChainKeys,
+    deriveKeys,
+    deriveRoomId,
+    deriveLegacyRoomId,
+    deriveStorageKey,
+    HKDF_INFO,
+    LEGACY_CHAIN_PARAMS,
+} from '../crypto';
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+// 测试中使用较低的迭代次数，deriveKeyMaterial 本身不校验下限
+const fastParams = (salt) => ({ ...createChainParams(1000), ...(salt ? { salt } : {}) });
+
+describe('chain params', () => {
+    it('should create params with a random 16-byte salt', () => {
+        const first = createChainParams();
+        const second = createChainParams();
+
+        expect(first.iterations).toBe(DEFAULT_KDF_ITERATIONS);
+        expect(atob(first.salt)).toHaveLength(16);
+        expect(first.salt).not.toBe(second.salt);
+        expect(isValidChainParams(first)).toBe(true);
+    });
+
+    it('should reject params below the iteration floor', () => {
+        expect(isValidChainParams(createChainParams(MIN_KDF_ITERATIONS - 1))).toBe(false);
+        expect(isValidChainParams({ ...createChainParams(), iterations: '600000' })).toBe(false);
+    });
+
+    it('should reject unknown KDFs and short salts', () => {
+        expect(isValidChainParams({ ...createChainParams(), kdf: 'md5' })).toBe(false);
+        expect(isValidChainParams({ ...createChainParams(), salt: btoa('short') })).toBe(false);
+        expect(isValidChainParams(LEGACY_CHAIN_PARAMS)).toBe(false);
+        expect(isValidChainParams(null)).toBe(false);
+    });
+});
+
+describe('deriveKeyMaterial', () => {
+    it('should be deterministic for the same secret and params', async () => {
+        const params = fastParams();
+
+        const first = await deriveKeyMaterial(MNEMONIC, params);
+        const second = await deriveKeyMaterial(MNEMONIC, params);
+
+        expect(first).toMatch(/^[0-9a-f]{64}$/);
+        expect(first).toBe(second);
+    });
+
+    it('should depend on the salt', async () => {
+        const first = await deriveKeyMaterial(MNEMONIC, fastParams());
+        const second = await deriveKeyMaterial(MNEMONIC, fastParams());
+
+        expect(first).not.toBe(second);
+    });
+});
+
+describe('hkdfSha256', () => {
+    it('should match the RFC 5869 test vector with an empty salt', async () => {
+        // RFC 5869 A.3
+        const ikm = '0b'.repeat(22);
+        const okm = await hkdfSha256(ikm, '', 42 * 8);
+
+        expect(okm).toBe(
+            '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8'
+        );
+    });
+
+    it('should produce unrelated keys for different labels', async () => {
+        const ikm = 'ab'.repeat(32);
+
+        const first = await hkdfSha256(ikm, HKDF_INFO.encryptionKey);
+        const second = await hkdfSha256(ikm, HKDF_INFO.authKey);
+
+        expect(first).toMatch(/^[0-9a-f]{64}$/);
+        expect(first).not.toBe(second);
+    });
+});
+
+describe('deriveKeys', () => {
+    it('should derive room ID, encryption key and auth key with domain separation', async () => {
+        const params = createChainParams();
+
+        const keys = await deriveKeys(MNEMONIC, params);
+        const again = await deriveChainKeys(MNEMONIC, params);
+
+        expect(keys.roomId).toBe(await deriveRoomId(MNEMONIC));
+        expect(keys.roomId).not.toBe(deriveLegacyRoomId(MNEMONIC));
+        expect(new Set([keys.roomId, keys.encryptionKey, keys.authKey]).size).toBe(3);
+        expect(again).toEqual({ encryptionKey: keys.encryptionKey, authKey: keys.authKey });
+    });
+
+    it('should derive a storage key independent of the chain parameters', async () => {
+        const keys = await deriveKeys(MNEMONIC, createChainParams());
+        const storageKey = await deriveStorageKey(MNEMONIC);
+
+        expect(storageKey).toMatch(/^[0-9a-f]{64}$/);
+        expect(storageKey).toBe(await deriveStorageKey(MNEMONIC));
+        expect(new Set([keys.roomId, keys.encryptionKey, keys.authKey, storageKey]).size).toBe(4);
+    });
+
+    it('should not derive the room ID as a bare hash of the mnemonic', async () => {
+        const roomId = await deriveRoomId(MNEMONIC);
+
+        expect(roomId).toMatch(/^[0-9a-f]{64}$/);
+        expect(roomId).not.toBe(CryptoJS.SHA256(MNEMONIC).toString(CryptoJS.enc.Hex));
+    });
+
+    it('should reproduce the old room ID and key for legacy chains', async () => {
+        const expected = CryptoJS.PBKDF2(MNEMONIC, 'brave-sync-demo-salt', {
+            keySize: 256 / 32,
+            iterations: 1000
+        }).toString(CryptoJS.enc.Hex);
+
+        await expect(deriveKeys(MNEMONIC, LEGACY_CHAIN_PARAMS)).resolves.toEqual({
+            roomId: CryptoJS.SHA256(MNEMONIC).toString(CryptoJS.enc.Hex),
+            encryptionKey: expected,
+            authKey: null,
+        });
+    });
+
+    it('should refuse weak params instead of deriving', async () => {
+        await expect(deriveChainKeys(MNEMONIC, fastParams())).rejects.toThrow(/invalid or weak/);
+    });
+});
@@ -0,0 +1,51 @@
+import { Buffer } from 'buffer';
+
+// Room write-authorization. The chain's auth key (see deriveChainKeys) is
+// used as an Ed25519 seed; the server stores only the public key and checks
+// a signature over a fresh challenge on every join.
+export const AUTH_ALGORITHM = 'Ed25519';
+export const AUTH_MESSAGE_PREFIX = 'brave-sync-auth/v1';
+
+// Error codes sent by the server when a write is not authorised.
+export const AuthErrorCodes = Object.freeze({
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
+});
+
+// PKCS#8 wrapper for a raw 32-byte Ed25519 private key (RFC 8410).
+const PKCS8_ED25519_PREFIX = '302e020100300506032b657004220420';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Builds the chain's signing key pair from its auth key.
+ * @param {string} authKey - 256-bit auth key as hex
+ * @returns {Promise<{privateKey: CryptoKey, verifier: {alg: string, publicKey: string}}>}
+ */
+export const deriveAuthKeyPair = async (authKey) => {
+  if (typeof authKey !== 'string' || !/^[0-9a-f]{64}$/i.test(authKey)) {
+    throw new Error('Auth key must be 256 bits of hex');
+  }
+
+  const pkcs8 = new Uint8Array(Buffer.from(PKCS8_ED25519_PREFIX + authKey, 'hex'));
+  // Extractable once so the public half can be read from the JWK
+  const exportable = await crypto.subtle.importKey('pkcs8', pkcs8, AUTH_ALGORITHM, true, ['sign']);
+  const { x } = await crypto.subtle.exportKey('jwk', exportable);
+  const privateKey = await crypto.subtle.importKey('pkcs8', pkcs8, AUTH_ALGORITHM, false, ['sign']);
+
+  return { privateKey, verifier: { alg: AUTH_ALGORITHM, publicKey: x } };
+};
+
+/**
+ * Signs a server challenge. The room ID is part of the message so a
+ * signature cannot be replayed against another room.
+ * @param {CryptoKey} privateKey
+ * @param {string} roomId
+ * @param {string} challenge
+ * @returns {Promise<string>} signature as base64
+ */
+export const signChallenge = async (privateKey, roomId, challenge) => {
+  const message = textEncoder.encode(`${AUTH_MESSAGE_PREFIX}:${roomId}:${challenge}`);
+  const signature = await crypto.subtle.sign(AUTH_ALGORITHM, privateKey, message);
+  return Buffer.from(signature).toString('base64');
+};
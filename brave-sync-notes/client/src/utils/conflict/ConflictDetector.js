@@ -3,6 +3,14 @@
  * 检测并处理多设备编辑冲突
  */
 
+import { diffMatches } from '../sync/SequenceDiff';
+
+/**
+ * 逐行合并时去掉相同的开头和结尾后剩余行数的上限，超过时这部分不再逐行比较，
+ * 双方都修改时整体作为一个冲突区域（Myers 回溯记录的空间随差异平方增长）
+ */
+export const MAX_MERGE_DIFF_LINES = 5000;
+
 /**
  * 版本化内容
  * @typedef {Object} VersionedContent
@@ -11,6 +19,7 @@
  * @property {number} timestamp - 时间戳
  * @property {string} deviceId - 设备ID
  * @property {number} [parentVersion] - 父版本号
+ * @property {string} [noteId] - 所属笔记ID（本地版本）
  * @property {string} hash - 内容哈希
  */
 
@@ -72,6 +81,19 @@ class ConflictDetector {
             return null;
         }
 
+        // 本地修改记录了所基于的服务器版本时，按版本号判断：
+        // 远程版本不比父版本新则已被本地包含，否则两边各自修改了同一父版本
+        if (typeof local.parentVersion === 'number') {
+            if (remote.version <= local.parentVersion) {
+                return null;
+            }
+            return {
+                type: 'concurrent_edit',
+                localVersion: local,
+                remoteVersion: remote
+            };
+        }
+
         // 如果版本号相同但内容不同，说明有冲突
         if (local.version === remote.version) {
             return {
@@ -160,85 +182,94 @@ class ConflictDetector {
     }
 
     /**
-     * 逐行合并
+     * 逐行合并（diff3）
+     * 分别计算 base→local 与 base→remote 的最长公共子序列，两边都未改动的基础行
+     * 作为稳定锚点，锚点之间的区域只被一方修改时采用该方修改，双方修改不同时记为冲突
      * @private
      */
     _mergeLines(baseLines, localLines, remoteLines) {
         const merged = [];
         const conflicts = [];
 
+        // 基础行号 -> 对应的本地/远程行号
+        const localMatch = new Map(this._diffMatches(baseLines, localLines));
+        const remoteMatch = new Map(this._diffMatches(baseLines, remoteLines));
+
         let baseIdx = 0;
         let localIdx = 0;
         let remoteIdx = 0;
 
         while (baseIdx < baseLines.length || localIdx < localLines.length || remoteIdx < remoteLines.length) {
-            const baseLine = baseLines[baseIdx] || '';
-            const localLine = localLines[localIdx] || '';
-            const remoteLine = remoteLines[remoteIdx] || '';
-
-            // 如果三者相同，直接添加
-            if (baseLine === localLine && baseLine === remoteLine) {
-                merged.push(baseLine);
-                baseIdx++;
-                localIdx++;
-                remoteIdx++;
-                continue;
-            }
-
-            // 如果本地和基础相同，使用远程
-            if (baseLine === localLine && baseLine !== remoteLine) {
-                merged.push(remoteLine);
+            // 稳定区域：三方一致的行
+            if (localMatch.get(baseIdx) === localIdx && remoteMatch.get(baseIdx) === remoteIdx) {
+                merged.push(baseLines[baseIdx]);
                 baseIdx++;
                 localIdx++;
                 remoteIdx++;
                 continue;
             }
 
-            // 如果远程和基础相同，使用本地
-            if (baseLine === remoteLine && baseLine !== localLine) {
-                merged.push(localLine);
-                baseIdx++;
-                localIdx++;
-                remoteIdx++;
-                continue;
-            }
-
-            // 检测冲突区域
-            const conflictStart = merged.length;
-            const localConflictLines = [];
-            const remoteConflictLines = [];
-
-            // 收集冲突行
-            while (localIdx < localLines.length && localLines[localIdx] !== baseLine) {
-                localConflictLines.push(localLines[localIdx]);
-                localIdx++;
+            // 找到下一个在两边都保留的基础行，作为不稳定区域的终点
+            let nextBase = baseIdx;
+            while (nextBase < baseLines.length &&
+                !(localMatch.has(nextBase) && remoteMatch.has(nextBase))) {
+                nextBase++;
             }
-
-            while (remoteIdx < remoteLines.length && remoteLines[remoteIdx] !== baseLine) {
-                remoteConflictLines.push(remoteLines[remoteIdx]);
-                remoteIdx++;
+            const localEnd = nextBase < baseLines.length ? localMatch.get(nextBase) : localLines.length;
+            const remoteEnd = nextBase < baseLines.length ? remoteMatch.get(nextBase) : remoteLines.length;
+
+            const baseChunk = baseLines.slice(baseIdx, nextBase);
+            const localChunk = localLines.slice(localIdx, localEnd);
+            const remoteChunk = remoteLines.slice(remoteIdx, remoteEnd);
+
+            if (this._sameLines(localChunk, baseChunk)) {
+                // 只有远程修改
+                merged.push(...remoteChunk);
+            } else if (this._sameLines(remoteChunk, baseChunk) || this._sameLines(localChunk, remoteChunk)) {
+                // 只有本地修改，或双方做了相同的修改
+                merged.push(...localChunk);
+            } else {
+                const conflictStart = merged.length;
+
+                // 添加冲突标记
+                merged.push('<<<<<<< LOCAL');
+                merged.push(...localChunk);
+                merged.push('=======');
+                merged.push(...remoteChunk);
+                merged.push('>>>>>>> REMOTE');
+
+                conflicts.push({
+                    startLine: conflictStart,
+                    endLine: merged.length - 1,
+                    localContent: localChunk.join('\n'),
+                    remoteContent: remoteChunk.join('\n')
+                });
             }
 
-            // 添加冲突标记
-            merged.push('<<<<<<< LOCAL');
-            merged.push(...localConflictLines);
-            merged.push('=======');
-            merged.push(...remoteConflictLines);
-            merged.push('>>>>>>> REMOTE');
-
-            conflicts.push({
-                startLine: conflictStart,
-                endLine: merged.length - 1,
-                localContent: localConflictLines.join('\n'),
-                remoteContent: remoteConflictLines.join('\n')
-            });
-
-            baseIdx++;
+            baseIdx = nextBase;
+            localIdx = localEnd;
+            remoteIdx = remoteEnd;
         }
 
         return { lines: merged, conflicts };
     }
 
+    /**
+     * 比较两组行是否相同
+     * @private
+     */
+    _sameLines(a, b) {
+        return a.length === b.length && a.every((line, i) => line === b[i]);
+    }
+
+    /**
+     * 最长公共子序列中匹配的下标对，见 diffMatches
+     * @private
+     */
+    _diffMatches(a, b) {
+        return diffMatches(a, b, MAX_MERGE_DIFF_LINES);
+    }
+
     /**
      * 自动解决简单冲突
      * @param {ConflictInfo} conflict - 冲突信息
@@ -18,15 +18,18 @@ class ConflictManager {
      * 检查并处理同步更新中的冲突
      * @param {Object} localData - 本地数据
      * @param {Object} remoteData - 远程数据
+     * @param {Object} [baseData] - 同步基线（双方最后一致的内容），用作三路合并的共同祖先
      * @returns {Promise<{hasConflict: boolean, resolved: string|null, conflict: ConflictInfo|null}>}
      */
-    async checkAndHandle(localData, remoteData) {
+    async checkAndHandle(localData, remoteData, baseData = null) {
         // 创建版本化内容对象
         const local = {
             content: localData.content,
             version: localData.version || 0,
             timestamp: localData.timestamp || Date.now(),
             deviceId: localData.deviceId || 'local',
+            parentVersion: localData.parentVersion,
+            noteId: localData.noteId,
             hash: this.detector.hashContent(localData.content)
         };
 
@@ -42,14 +45,46 @@ class ConflictManager {
         const conflict = this.detector.detectConflict(local, remote);
 
         if (!conflict) {
-            // 没有冲突，使用远程版本
+            // 没有冲突：远程版本已包含在本地修改中时保留本地内容，否则使用远程版本
+            const isStale = typeof local.parentVersion === 'number' && remote.version <= local.parentVersion;
             return {
                 hasConflict: false,
-                resolved: remote.content,
+                resolved: isStale ? local.content : remote.content,
                 conflict: null
             };
         }
 
+        if (baseData && typeof baseData.content === 'string') {
+            conflict.commonAncestor = {
+                content: baseData.content,
+                version: baseData.version || 0,
+                timestamp: baseData.timestamp || 0,
+                deviceId: baseData.deviceId || 'base',
+                hash: this.detector.hashContent(baseData.content)
+            };
+
+            // 双方修改互不重叠时直接合并，只有真正重叠的修改才需要用户介入
+            const result = this.detector.threeWayMerge(
+                conflict.commonAncestor.content,
+                local.content,
+                remote.content
+            );
+
+            if (result.success) {
+                console.log('Conflict auto-merged against common ancestor');
+
+                if (this.onConflictResolved) {
+                    this.onConflictResolved(conflict, result.merged);
+                }
+
+                return {
+                    hasConflict: true,
+                    resolved: result.merged,
+                    conflict
+                };
+            }
+        }
+
         console.warn('Conflict detected:', conflict.type);
 
         // 触发冲突检测回调
@@ -1,5 +1,23 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import ConflictDetector from '../ConflictDetector';
+import fc from 'fast-check';
+import ConflictDetector, { MAX_MERGE_DIFF_LINES } from '../ConflictDetector';
+
+// Documents drawn from a tiny alphabet so repeated lines are common
+const lines = (alphabet) => fc.array(fc.constantFrom(...alphabet), { maxLength: 12 });
+const doc = lines(['a', 'b', 'c', 'd']).map((l) => l.join('\n'));
+
+// Reference LCS length via dynamic programming
+const lcsLength = (a, b) => {
+    const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = a[i - 1] === b[j - 1]
+                ? dp[i - 1][j - 1] + 1
+                : Math.max(dp[i - 1][j], dp[i][j - 1]);
+        }
+    }
+    return dp[a.length][b.length];
+};
 
 describe('ConflictDetector', () => {
     let detector;
@@ -112,6 +130,50 @@ describe('ConflictDetector', () => {
             expect(conflict).not.toBeNull();
             expect(conflict.type).toBe('concurrent_edit');
         });
+
+        it('should ignore remote versions already contained in the parent version', () => {
+            const local = {
+                content: 'Edited locally',
+                version: 3,
+                parentVersion: 3,
+                timestamp: 1000,
+                deviceId: 'device-1',
+                hash: detector.hashContent('Edited locally'),
+            };
+
+            const remote = {
+                content: 'Older remote',
+                version: 2,
+                timestamp: 1000,
+                deviceId: 'device-2',
+                hash: detector.hashContent('Older remote'),
+            };
+
+            expect(detector.detectConflict(local, remote)).toBeNull();
+        });
+
+        it('should detect concurrent edit when remote advanced past the parent version', () => {
+            const local = {
+                content: 'Edited locally',
+                version: 3,
+                parentVersion: 3,
+                timestamp: 1000,
+                deviceId: 'device-1',
+                hash: detector.hashContent('Edited locally'),
+            };
+
+            const remote = {
+                content: 'Edited remotely',
+                version: 4,
+                timestamp: 60000, // Outside the time window
+                deviceId: 'device-2',
+                hash: detector.hashContent('Edited remotely'),
+            };
+
+            const conflict = detector.detectConflict(local, remote);
+            expect(conflict).not.toBeNull();
+            expect(conflict.type).toBe('concurrent_edit');
+        });
     });
 
     describe('Three-Way Merge', () => {
@@ -168,6 +230,103 @@ describe('ConflictDetector', () => {
         });
     });
 
+    describe('Three-Way Merge Properties', () => {
+        it('should find a longest common subsequence', () => {
+            fc.assert(fc.property(lines(['a', 'b', 'c']), lines(['a', 'b', 'c']), (a, b) => {
+                const matches = detector._diffMatches(a, b);
+
+                matches.forEach(([i, j], n) => {
+                    expect(a[i]).toBe(b[j]);
+                    if (n > 0) {
+                        expect(i).toBeGreaterThan(matches[n - 1][0]);
+                        expect(j).toBeGreaterThan(matches[n - 1][1]);
+                    }
+                });
+                expect(matches).toHaveLength(lcsLength(a, b));
+            }));
+        });
+
+        it('should take the changed side when only one side changed', () => {
+            fc.assert(fc.property(doc, doc, (base, changed) => {
+                expect(detector.threeWayMerge(base, changed, base).merged).toBe(changed);
+                expect(detector.threeWayMerge(base, base, changed).merged).toBe(changed);
+                expect(detector._mergeLines(base.split('\n'), changed.split('\n'), base.split('\n')).lines)
+                    .toEqual(changed.split('\n'));
+            }));
+        });
+
+        it('should be symmetric in local and remote', () => {
+            fc.assert(fc.property(doc, doc, doc, (base, local, remote) => {
+                const a = detector.threeWayMerge(base, local, remote);
+                const b = detector.threeWayMerge(base, remote, local);
+
+                expect(a.success).toBe(b.success);
+                if (a.success) {
+                    expect(a.merged).toBe(b.merged);
+                } else {
+                    expect(a.conflicts.length).toBe(b.conflicts.length);
+                }
+            }));
+        });
+
+        it('should report a conflict region for every marker block', () => {
+            fc.assert(fc.property(doc, doc, doc, (base, local, remote) => {
+                const result = detector.threeWayMerge(base, local, remote);
+                if (result.success) return;
+
+                const merged = result.merged.split('\n');
+                expect(result.conflicts.length).toBeGreaterThan(0);
+                result.conflicts.forEach((region) => {
+                    expect(merged[region.startLine]).toBe('<<<<<<< LOCAL');
+                    expect(merged[region.endLine]).toBe('>>>>>>> REMOTE');
+                });
+            }));
+        });
+
+        it('should merge edits on either side of an unchanged line', () => {
+            const head = lines(['a1', 'a2', 'a3']);
+            const tail = lines(['b1', 'b2', 'b3']);
+
+            fc.assert(fc.property(head, head, tail, tail, (baseHead, localHead, baseTail, remoteTail) => {
+                const join = (h, t) => [...h, '---', ...t].join('\n');
+                const result = detector.threeWayMerge(
+                    join(baseHead, baseTail),
+                    join(localHead, baseTail),
+                    join(baseHead, remoteTail)
+                );
+
+                expect(result.success).toBe(true);
+                expect(result.merged).toBe(join(localHead, remoteTail));
+            }));
+        });
+
+        it('should keep the rest of the document after an inserted line', () => {
+            const base = 'Line 1\nLine 2\nLine 3\nLine 4';
+            const local = 'Inserted\nLine 1\nLine 2\nLine 3\nLine 4';
+            const remote = 'Line 1\nLine 2\nLine 3\nLine 4 Modified';
+
+            const result = detector.threeWayMerge(base, local, remote);
+            expect(result.success).toBe(true);
+            expect(result.merged).toBe('Inserted\nLine 1\nLine 2\nLine 3\nLine 4 Modified');
+        });
+
+        it('should report an oversized divergent region as one conflict', () => {
+            const numbered = (prefix) => Array.from({ length: MAX_MERGE_DIFF_LINES }, (_, i) => `${prefix} ${i}`).join('\n');
+            const base = numbered('base');
+            const local = numbered('local');
+            const remote = numbered('remote');
+
+            const result = detector.threeWayMerge(base, local, remote);
+            expect(result.success).toBe(false);
+            expect(result.conflicts).toEqual([{
+                startLine: 0,
+                endLine: 2 * MAX_MERGE_DIFF_LINES + 2,
+                localContent: local,
+                remoteContent: remote,
+            }]);
+        });
+    });
+
     describe('Auto Resolve', () => {
         const conflict = {
             type: 'concurrent_edit',
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import ConflictManager from '../ConflictManager';
+
+describe('ConflictManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new ConflictManager({ autoResolveStrategy: 'manual' });
+    });
+
+    const local = (content) => ({ content, version: 1, parentVersion: 1, timestamp: 1000 });
+    const remote = (content) => ({ content, version: 2, timestamp: 60000 });
+
+    describe('Common Ancestor', () => {
+        it('should auto-merge non-overlapping edits against the sync base', async () => {
+            const result = await manager.checkAndHandle(
+                local('Title\nlocal edit\n\nfooter'),
+                remote('Title\nbody\n\nremote footer'),
+                { content: 'Title\nbody\n\nfooter', version: 1 }
+            );
+
+            expect(result.hasConflict).toBe(true);
+            expect(result.resolved).toBe('Title\nlocal edit\n\nremote footer');
+            expect(result.conflict.commonAncestor.version).toBe(1);
+            expect(manager.getConflictCount()).toBe(0);
+        });
+
+        it('should queue overlapping edits for manual resolution', async () => {
+            const result = await manager.checkAndHandle(
+                local('Title\nlocal edit\nfooter'),
+                remote('Title\nremote edit\nfooter'),
+                { content: 'Title\nbody\nfooter', version: 1 }
+            );
+
+            expect(result.hasConflict).toBe(true);
+            expect(result.resolved).toBeNull();
+            expect(manager.getConflictCount()).toBe(1);
+        });
+
+        it('should queue divergent edits when no sync base is known', async () => {
+            const result = await manager.checkAndHandle(
+                local('Title\nlocal edit\nfooter'),
+                remote('Title\nbody\nremote footer')
+            );
+
+            expect(result.resolved).toBeNull();
+            expect(manager.getConflictCount()).toBe(1);
+        });
+    });
+});
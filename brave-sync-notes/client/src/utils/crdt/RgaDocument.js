@@ -0,0 +1,401 @@
+/**
+ * RGA 文本文档
+ * CRDT 模式下笔记由字符序列表示，每个字符有全局唯一的标识 [counter, siteId]，
+ * 插入时记录其左侧字符（origin），删除只留下墓碑。任意顺序、重复收到的更新
+ * 最终都收敛到同一文本，因此并发编辑无需提示用户即可合并。
+ * 更新以 JSON 传输，整体加密后由服务器作为不透明数据转发。
+ */
+
+import { diffText } from '../sync/TextOperations';
+
+const STATE_VERSION = 1;
+
+/**
+ * 字符标识
+ * @typedef {[number, string]} CharId - [Lamport 计数, 站点 ID]
+ */
+
+/**
+ * CRDT 操作
+ * 插入操作的 value 可包含多个字符，第 i 个字符的标识为 [counter + i, siteId]，
+ * 除第一个字符外其 origin 为前一个字符。
+ * @typedef {Object} CrdtOperation
+ * @property {'insert'|'delete'} type - 操作类型
+ * @property {CharId} [id] - 插入的第一个字符的标识
+ * @property {CharId|null} [origin] - 插入位置左侧字符的标识，null 表示文档开头
+ * @property {string} [value] - 插入的字符
+ * @property {CharId[]} [ids] - 删除的字符标识
+ */
+
+/**
+ * 文档状态（用于快照）
+ * @typedef {Object} RgaState
+ * @property {number} v - 格式版本
+ * @property {Array<[number, string, CharId|null, string, 0|1]>} elements -
+ *   按文档顺序排列的 [counter, siteId, origin, 字符, 是否已删除]
+ */
+
+const keyOf = (counter, siteId) => `${counter}:${siteId}`;
+
+const isValidCharId = (id) => Array.isArray(id) &&
+    id.length === 2 &&
+    Number.isSafeInteger(id[0]) &&
+    id[0] > 0 &&
+    typeof id[1] === 'string' &&
+    id[1].length > 0;
+
+/**
+ * 校验单个 CRDT 操作
+ * @param {CrdtOperation} op
+ * @returns {boolean}
+ */
+export const isValidCrdtOperation = (op) => {
+    if (!op || typeof op !== 'object') {
+        return false;
+    }
+    switch (op.type) {
+        case 'insert':
+            return isValidCharId(op.id) &&
+                (op.origin === null || isValidCharId(op.origin)) &&
+                typeof op.value === 'string' &&
+                op.value.length > 0;
+        case 'delete':
+            return Array.isArray(op.ids) && op.ids.every(isValidCharId);
+        default:
+            return false;
+    }
+};
+
+/**
+ * 比较两个字符标识：计数大者在前，计数相同时站点 ID 大者在前
+ * @returns {number} a 应排在 b 之前时为正数
+ */
+const compareIds = (a, b) => {
+    if (a.counter !== b.counter) {
+        return a.counter - b.counter;
+    }
+    if (a.siteId === b.siteId) {
+        return 0;
+    }
+    return a.siteId > b.siteId ? 1 : -1;
+};
+
+export default class RgaDocument {
+    /**
+     * @param {string} siteId - 本设备的站点 ID，同一文档中不同设备必须不同
+     * @param {RgaState} [state] - 初始状态
+     */
+    constructor(siteId, state = null) {
+        if (typeof siteId !== 'string' || !siteId) {
+            throw new Error('RgaDocument requires a site ID');
+        }
+        this.siteId = siteId;
+        this.clock = 0;
+        this.elements = [];
+        this.index = new Map();
+        // 依赖的字符尚未到达的远程操作
+        this.pending = [];
+        this.text = '';
+
+        if (state) {
+            this.merge(state);
+        }
+    }
+
+    /**
+     * 当前可见文本
+     * @returns {string}
+     */
+    getText() {
+        return this.text;
+    }
+
+    /**
+     * 是否有因缺少依赖而暂存的远程操作
+     * @returns {boolean}
+     */
+    hasPending() {
+        return this.pending.length > 0;
+    }
+
+    /**
+     * 在可见位置插入文本
+     * @param {number} position - 可见文本中的下标
+     * @param {string} value
+     * @returns {CrdtOperation|null} 需要发送给其他设备的操作
+     */
+    insert(position, value) {
+        if (!value) {
+            return null;
+        }
+        const left = position > 0 ? this._visibleElement(position - 1) : null;
+        const op = {
+            type: 'insert',
+            id: [this.clock + 1, this.siteId],
+            origin: left ? [left.counter, left.siteId] : null,
+            value
+        };
+        this._applyInsert(op);
+        this._refreshText();
+        return op;
+    }
+
+    /**
+     * 删除可见位置开始的 length 个字符
+     * @param {number} position
+     * @param {number} length
+     * @returns {CrdtOperation|null}
+     */
+    delete(position, length) {
+        const ids = [];
+        let visible = 0;
+        for (const element of this.elements) {
+            if (element.deleted) {
+                continue;
+            }
+            if (visible >= position + length) {
+                break;
+            }
+            if (visible >= position) {
+                element.deleted = true;
+                ids.push([element.counter, element.siteId]);
+            }
+            visible++;
+        }
+
+        if (ids.length === 0) {
+            return null;
+        }
+        this._refreshText();
+        return { type: 'delete', ids };
+    }
+
+    /**
+     * 把可见文本修改为 text，返回对应的操作
+     * @param {string} text
+     * @returns {CrdtOperation[]}
+     */
+    applyLocalText(text) {
+        const ops = [];
+        for (const change of diffText(this.text, text)) {
+            if (change.type !== 'insert') {
+                const deletion = this.delete(change.position, change.length);
+                if (deletion) {
+                    ops.push(deletion);
+                }
+            }
+            if (change.type !== 'delete') {
+                const insertion = this.insert(change.position, change.content);
+                if (insertion) {
+                    ops.push(insertion);
+                }
+            }
+        }
+        return ops;
+    }
+
+    /**
+     * 应用远程操作：重复的操作被忽略，依赖尚未到达的操作暂存到之后再应用
+     * @param {CrdtOperation[]} ops
+     * @returns {boolean} 可见文本是否改变
+     * @throws {Error} 操作格式无效时
+     */
+    apply(ops) {
+        for (const op of ops) {
+            if (!isValidCrdtOperation(op)) {
+                throw new Error(`Invalid CRDT operation: ${JSON.stringify(op)}`);
+            }
+        }
+
+        const before = this.text;
+        let queue = [...this.pending, ...ops];
+        let progress = true;
+        while (queue.length > 0 && progress) {
+            progress = false;
+            const rest = [];
+            for (const op of queue) {
+                const remaining = op.type === 'insert' ? this._applyInsert(op) : this._applyDelete(op);
+                if (remaining !== op) {
+                    progress = true;
+                }
+                if (remaining) {
+                    rest.push(remaining);
+                }
+            }
+            queue = rest;
+        }
+        this.pending = queue;
+
+        this._refreshText();
+        return this.text !== before;
+    }
+
+    /**
+     * 合并另一份文档状态
+     * @param {RgaState} state
+     * @returns {boolean} 可见文本是否改变
+     */
+    merge(state) {
+        return this.apply(RgaDocument.stateToOperations(state));
+    }
+
+    /**
+     * 导出全部内容（包括墓碑），其他设备合并后即得到相同的文档
+     * @returns {CrdtOperation[]}
+     */
+    toOperations() {
+        return RgaDocument.stateToOperations(this.toJSON());
+    }
+
+    /**
+     * 序列化为快照状态
+     * @returns {RgaState}
+     */
+    toJSON() {
+        return {
+            v: STATE_VERSION,
+            elements: this.elements.map(element => [
+                element.counter,
+                element.siteId,
+                element.origin,
+                element.value,
+                element.deleted ? 1 : 0
+            ])
+        };
+    }
+
+    /**
+     * 把快照状态转换为等价的操作序列
+     * @param {RgaState} state
+     * @returns {CrdtOperation[]}
+     * @throws {Error} 状态格式无效时
+     */
+    static stateToOperations(state) {
+        if (!state || state.v !== STATE_VERSION || !Array.isArray(state.elements)) {
+            throw new Error('Invalid CRDT document state');
+        }
+
+        const ops = [];
+        const deleted = [];
+        let run = null;
+        for (const element of state.elements) {
+            if (!Array.isArray(element) || element.length !== 5 || typeof element[3] !== 'string') {
+                throw new Error('Invalid CRDT document state');
+            }
+            const [counter, siteId, origin, value, isDeleted] = element;
+
+            // 连续输入的字符合并为一个插入操作
+            const last = run && [run.id[0] + run.value.length - 1, run.id[1]];
+            if (last && siteId === last[1] && counter === last[0] + 1 &&
+                Array.isArray(origin) && origin[0] === last[0] && origin[1] === last[1]) {
+                run.value += value;
+            } else {
+                run = { type: 'insert', id: [counter, siteId], origin, value };
+                ops.push(run);
+            }
+
+            if (isDeleted) {
+                deleted.push([counter, siteId]);
+            }
+        }
+        if (deleted.length > 0) {
+            ops.push({ type: 'delete', ids: deleted });
+        }
+        return ops;
+    }
+
+    /**
+     * 逐字符插入；origin 未到达时返回剩余部分
+     * @private
+     * @returns {CrdtOperation|null} 全部完成时为 null，未取得任何进展时为 op 本身
+     */
+    _applyInsert(op) {
+        const [counter, siteId] = op.id;
+        let origin = op.origin;
+        // 同一操作中后一个字符紧跟前一个字符，无需再查找 origin 的位置
+        let originPosition = -1;
+
+        for (let i = 0; i < op.value.length; i++) {
+            const id = { counter: counter + i, siteId };
+            const key = keyOf(id.counter, siteId);
+
+            if (!this.index.has(key)) {
+                const originElement = origin ? this.index.get(keyOf(origin[0], origin[1])) : null;
+                if (origin && !originElement) {
+                    return i === 0 ? op : { type: 'insert', id: [id.counter, siteId], origin, value: op.value.slice(i) };
+                }
+
+                // 跳过 origin 右侧标识更大的字符：它们是更晚的并发插入及其后代
+                let position = 0;
+                if (originElement) {
+                    position = (originPosition >= 0 ? originPosition : this.elements.indexOf(originElement)) + 1;
+                }
+                while (position < this.elements.length && compareIds(this.elements[position], id) > 0) {
+                    position++;
+                }
+
+                const element = { ...id, origin, value: op.value[i], deleted: false };
+                this.elements.splice(position, 0, element);
+                this.index.set(key, element);
+                this.clock = Math.max(this.clock, id.counter);
+                originPosition = position;
+            } else {
+                originPosition = -1;
+            }
+
+            origin = [id.counter, siteId];
+        }
+        return null;
+    }
+
+    /**
+     * 标记墓碑；未到达的字符返回剩余部分
+     * @private
+     */
+    _applyDelete(op) {
+        const missing = [];
+        for (const [counter, siteId] of op.ids) {
+            const element = this.index.get(keyOf(counter, siteId));
+            if (element) {
+                element.deleted = true;
+            } else {
+                missing.push([counter, siteId]);
+            }
+        }
+        if (missing.length === 0) {
+            return null;
+        }
+        return missing.length === op.ids.length ? op : { type: 'delete', ids: missing };
+    }
+
+    /**
+     * 第 position 个可见字符
+     * @private
+     */
+    _visibleElement(position) {
+        let visible = 0;
+        for (const element of this.elements) {
+            if (element.deleted) {
+                continue;
+            }
+            if (visible === position) {
+                return element;
+            }
+            visible++;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _refreshText() {
+        let text = '';
+        for (const element of this.elements) {
+            if (!element.deleted) {
+                text += element.value;
+            }
+        }
+        this.text = text;
+    }
+}
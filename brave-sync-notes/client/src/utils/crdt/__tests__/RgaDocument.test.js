@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import RgaDocument, { isValidCrdtOperation } from '../RgaDocument';
+
+// 一个设备的编辑：把文本改为 text
+const editArb = fc.record({
+    site: fc.constantFrom('a', 'b', 'c'),
+    text: fc.string({ maxLength: 12 }),
+});
+
+describe('RgaDocument', () => {
+    describe('local edits', () => {
+        it('should follow any sequence of local text changes', () => {
+            fc.assert(fc.property(fc.array(fc.string({ maxLength: 20 }), { maxLength: 10 }), (texts) => {
+                const doc = new RgaDocument('a');
+                for (const text of texts) {
+                    const ops = doc.applyLocalText(text);
+                    expect(ops.every(isValidCrdtOperation)).toBe(true);
+                    expect(doc.getText()).toBe(text);
+                }
+            }));
+        });
+
+        it('should replay local operations on another device', () => {
+            const local = new RgaDocument('a');
+            const remote = new RgaDocument('b');
+
+            remote.apply(local.applyLocalText('Hello World'));
+            remote.apply(local.applyLocalText('Hello brave World'));
+            remote.apply(local.applyLocalText('Hello brave new world'));
+
+            expect(remote.getText()).toBe('Hello brave new world');
+        });
+    });
+
+    describe('concurrent edits', () => {
+        it('should keep both insertions at the same position in a deterministic order', () => {
+            const base = new RgaDocument('base');
+            const baseOps = base.applyLocalText('ac');
+
+            const left = new RgaDocument('left');
+            const right = new RgaDocument('right');
+            left.apply(baseOps);
+            right.apply(baseOps);
+
+            const leftOps = left.applyLocalText('aLc');
+            const rightOps = right.applyLocalText('aRc');
+            left.apply(rightOps);
+            right.apply(leftOps);
+
+            expect(left.getText()).toBe(right.getText());
+            expect(left.getText()).toMatch(/^a(LR|RL)c$/);
+        });
+
+        it('should keep an insertion inside a concurrently deleted range', () => {
+            const left = new RgaDocument('left');
+            const right = new RgaDocument('right');
+            right.apply(left.applyLocalText('Hello World'));
+
+            const deletion = left.applyLocalText('Hello');
+            const insertion = right.applyLocalText('Hello Wide World');
+            left.apply(insertion);
+            right.apply(deletion);
+
+            expect(left.getText()).toBe('Helloide W');
+            expect(right.getText()).toBe(left.getText());
+        });
+
+        it('should converge regardless of delivery order and duplicates', () => {
+            fc.assert(fc.property(
+                fc.array(editArb, { minLength: 1, maxLength: 8 }),
+                fc.infiniteStream(fc.nat()),
+                (edits, randoms) => {
+                    // 各设备在只看到自己修改的情况下编辑，之后把所有操作发给观察者
+                    const sites = new Map();
+                    const ops = [];
+                    for (const { site, text } of edits) {
+                        if (!sites.has(site)) {
+                            sites.set(site, new RgaDocument(site));
+                        }
+                        ops.push(...sites.get(site).applyLocalText(text));
+                    }
+
+                    const inOrder = new RgaDocument('x');
+                    inOrder.apply(ops);
+
+                    const shuffled = [...ops, ...ops];
+                    const picks = randoms.take(shuffled.length)[Symbol.iterator]();
+                    for (let i = shuffled.length - 1; i > 0; i--) {
+                        const j = picks.next().value % (i + 1);
+                        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+                    }
+                    const outOfOrder = new RgaDocument('y');
+                    for (const op of shuffled) {
+                        outOfOrder.apply([op]);
+                    }
+
+                    expect(outOfOrder.hasPending()).toBe(false);
+                    expect(outOfOrder.getText()).toBe(inOrder.getText());
+                }
+            ));
+        });
+
+        it('should hold operations until their dependencies arrive', () => {
+            const source = new RgaDocument('a');
+            const first = source.applyLocalText('ab');
+            const second = source.applyLocalText('abc');
+
+            const doc = new RgaDocument('b');
+            expect(doc.apply(second)).toBe(false);
+            expect(doc.hasPending()).toBe(true);
+
+            expect(doc.apply(first)).toBe(true);
+            expect(doc.hasPending()).toBe(false);
+            expect(doc.getText()).toBe('abc');
+        });
+    });
+
+    describe('state', () => {
+        it('should round-trip through JSON', () => {
+            const doc = new RgaDocument('a');
+            doc.applyLocalText('Hello World');
+            doc.applyLocalText('Hello');
+
+            const copy = new RgaDocument('b', JSON.parse(JSON.stringify(doc)));
+
+            expect(copy.getText()).toBe('Hello');
+            expect(copy.toJSON()).toEqual(doc.toJSON());
+        });
+
+        it('should merge states commutatively', () => {
+            fc.assert(fc.property(fc.string({ maxLength: 10 }), fc.string(), fc.string(), (base, left, right) => {
+                const origin = new RgaDocument('o');
+                const baseOps = origin.applyLocalText(base);
+
+                const a = new RgaDocument('a');
+                const b = new RgaDocument('b');
+                a.apply(baseOps);
+                b.apply(baseOps);
+                a.applyLocalText(left);
+                b.applyLocalText(right);
+
+                const stateA = a.toJSON();
+                a.merge(b.toJSON());
+                b.merge(stateA);
+
+                expect(a.getText()).toBe(b.getText());
+            }));
+        });
+
+        it('should continue the clock after loading a state', () => {
+            const doc = new RgaDocument('a');
+            doc.applyLocalText('abc');
+
+            const reloaded = new RgaDocument('a', doc.toJSON());
+            const [op] = reloaded.applyLocalText('abcd');
+
+            expect(op.id[0]).toBeGreaterThan(3);
+        });
+
+        it('should reject malformed states and operations', () => {
+            const doc = new RgaDocument('a');
+
+            expect(() => doc.merge({ v: 2, elements: [] })).toThrow('Invalid CRDT document state');
+            expect(() => doc.apply([{ type: 'insert', id: [0, 'b'], origin: null, value: 'x' }]))
+                .toThrow('Invalid CRDT operation');
+            expect(doc.getText()).toBe('');
+        });
+    });
+});
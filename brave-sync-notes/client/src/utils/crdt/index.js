@@ -0,0 +1,5 @@
+/**
+ * CRDT 文档模块导出
+ */
+
+export { default as RgaDocument, isValidCrdtOperation } from './RgaDocument';
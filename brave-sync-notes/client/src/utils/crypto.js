@@ -1,45 +1,342 @@
 import * as bip39 from 'bip39';
 import CryptoJS from 'crypto-js';
+import { deriveKeyMaterial, hexToBytes, hkdfSha256, isValidChainParams } from './kdf';
 
 // In a real app, we'd use a better buffer polyfill or the native one
 import { Buffer } from 'buffer';
 globalThis.Buffer = Buffer;
 
+// Envelope format written by encryptData:
+//   {"v":1,"alg":"A256GCM","kid":"<hex>","iv":"<base64>","ct":"<base64>"}
+// v/alg/kid/iv form the header and are bound to the ciphertext as
+// additional authenticated data, so tampering with any field fails the
+// GCM tag check.
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALGORITHM = 'A256GCM';
+
+// Ciphertexts produced by the old CryptoJS passphrase mode are base64 of
+// "Salted__" + salt + CBC blocks. They are still accepted by decryptData
+// during the migration window and re-encrypted on the next push.
+const LEGACY_PREFIX = 'U2FsdGVkX1';
+
+const IV_LENGTH = 12;
+const KEY_ID_LENGTH = 8;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// CryptoKey cache: hex key -> Promise<{ cryptoKey, keyId }>
+const importedKeys = new Map();
+
+/**
+ * Raised when a payload cannot be decrypted. `reason` is one of
+ * 'malformed', 'unsupported', 'key-mismatch', 'tampered' or 'legacy-failed'.
+ */
+export class DecryptionError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'DecryptionError';
+    this.reason = reason;
+  }
+}
+
+const bytesToHex = (bytes) => Buffer.from(bytes).toString('hex');
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (b64) => new Uint8Array(Buffer.from(b64, 'base64'));
+
+const importEncryptionKey = (key) => {
+  if (!importedKeys.has(key)) {
+    const pending = (async () => {
+      const raw = hexToBytes(key);
+      if (raw.length !== 32) {
+        throw new Error('AES-256-GCM requires a 256-bit key');
+      }
+      const cryptoKey = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+      return { cryptoKey, keyId: bytesToHex(digest.slice(0, KEY_ID_LENGTH)) };
+    })();
+    importedKeys.set(key, pending);
+    pending.catch(() => importedKeys.delete(key));
+  }
+  return importedKeys.get(key);
+};
+
+const headerAAD = ({ v, alg, kid, iv }) => textEncoder.encode(JSON.stringify({ v, alg, kid, iv }));
+
+const parseEnvelope = (ciphertext) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(ciphertext);
+  } catch {
+    return null;
+  }
+  if (!envelope || typeof envelope !== 'object' || envelope.v === undefined) {
+    return null;
+  }
+  return envelope;
+};
+
+export const isLegacyCiphertext = (ciphertext) =>
+  typeof ciphertext === 'string' && ciphertext.startsWith(LEGACY_PREFIX);
+
 export const generateSyncChain = () => {
   // Generate a random 12-word mnemonic
   const mnemonic = bip39.generateMnemonic();
   return mnemonic;
 };
 
-export const deriveKeys = (mnemonic) => {
-  // 1. Derive Room ID (Public)
-  // We simply hash the mnemonic. Since the server never sees the mnemonic, 
-  // it can't reverse this to get the key.
-  // We use SHA256.
-  const roomId = CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex);
+// Parameters of chains created before per-chain salts. Such chains live
+// under the legacy room ID and are only read once, to migrate their content
+// into the HKDF-derived room (see deriveKeys).
+export const LEGACY_CHAIN_PARAMS = Object.freeze({
+  v: 0,
+  kdf: 'pbkdf2-legacy',
+  iterations: 1000,
+  salt: 'brave-sync-demo-salt',
+});
+
+export const isLegacyChainParams = (params) => params?.kdf === LEGACY_CHAIN_PARAMS.kdf;
+
+// HKDF info labels. Each value derived from the chain secret gets its own
+// label, so learning one of them (the server sees the room ID and, later,
+// material bound to the auth key) reveals nothing about the others.
+export const HKDF_INFO = Object.freeze({
+  roomId: 'brave-sync/v2/room-id',
+  encryptionKey: 'brave-sync/v2/encryption-key',
+  authKey: 'brave-sync/v2/auth-key',
+  storageKey: 'brave-sync/v2/storage-key',
+});
+
+// BIP39 seed cache: mnemonic -> Promise<hex>
+const chainSeeds = new Map();
+
+const getChainSeed = (mnemonic) => {
+  if (!chainSeeds.has(mnemonic)) {
+    const pending = bip39.mnemonicToSeed(mnemonic).then((seed) => bytesToHex(seed));
+    chainSeeds.set(mnemonic, pending);
+    pending.catch(() => chainSeeds.delete(mnemonic));
+  }
+  return chainSeeds.get(mnemonic);
+};
+
+/**
+ * Room ID the server indexes the chain by: HKDF of the BIP39 seed. It does
+ * not depend on the chain parameters because it is needed to fetch them.
+ * @param {string} mnemonic
+ * @returns {Promise<string>} 64 hex chars
+ */
+export const deriveRoomId = async (mnemonic) => hkdfSha256(await getChainSeed(mnemonic), HKDF_INFO.roomId);
 
-  // 2. Derive Encryption Key (Private)
-  // We use PBKDF2 to stretch the mnemonic into a key.
-  // Salt is constant for this demo, but could be part of the protocol.
-  const encryptionKey = CryptoJS.PBKDF2(mnemonic, "brave-sync-demo-salt", {
+/**
+ * Key for the notes this device keeps at rest. Like the room ID it does not
+ * depend on the chain parameters, so stored notes open before the server has
+ * answered, or after it has dropped the chain.
+ * @param {string} mnemonic
+ * @returns {Promise<string>} 256-bit key as hex
+ */
+export const deriveStorageKey = async (mnemonic) => hkdfSha256(await getChainSeed(mnemonic), HKDF_INFO.storageKey);
+
+// Room ID used before HKDF domain separation: a bare hash of the mnemonic.
+// Only sent to the server so it can hand over data for migration.
+export const deriveLegacyRoomId = (mnemonic) => CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex);
+
+let kdfWorker = null;
+let nextDerivationId = 0;
+const pendingDerivations = new Map();
+
+const failPendingDerivations = (message) => {
+  for (const { reject } of pendingDerivations.values()) {
+    reject(new Error(message));
+  }
+  pendingDerivations.clear();
+};
+
+const getKdfWorker = () => {
+  if (typeof Worker === 'undefined') {
+    return null;
+  }
+  if (!kdfWorker) {
+    kdfWorker = new Worker(new URL('./kdf.worker.js', import.meta.url), { type: 'module' });
+    kdfWorker.onmessage = ({ data }) => {
+      const pending = pendingDerivations.get(data.id);
+      if (!pending) return;
+      pendingDerivations.delete(data.id);
+      if (data.error) {
+        pending.reject(new Error(data.error));
+      } else {
+        pending.resolve(data.key);
+      }
+    };
+    kdfWorker.onerror = (event) => {
+      failPendingDerivations(event.message || 'KDF worker failed');
+      kdfWorker.terminate();
+      kdfWorker = null;
+    };
+  }
+  return kdfWorker;
+};
+
+const deriveInWorker = (secret, params) => {
+  const worker = getKdfWorker();
+  if (!worker) {
+    return null;
+  }
+  const id = ++nextDerivationId;
+  return new Promise((resolve, reject) => {
+    pendingDerivations.set(id, { resolve, reject });
+    worker.postMessage({ id, secret, params });
+  });
+};
+
+const stretchSecret = async (secret, chainParams) => {
+  try {
+    const pending = deriveInWorker(secret, chainParams);
+    if (pending) {
+      return await pending;
+    }
+  } catch (error) {
+    console.warn('KDF worker unavailable, deriving on main thread:', error);
+  }
+  return deriveKeyMaterial(secret, chainParams);
+};
+
+const deriveLegacyEncryptionKey = (mnemonic) =>
+  CryptoJS.PBKDF2(mnemonic, LEGACY_CHAIN_PARAMS.salt, {
     keySize: 256 / 32,
-    iterations: 1000
+    iterations: LEGACY_CHAIN_PARAMS.iterations
   }).toString(CryptoJS.enc.Hex);
 
-  return { roomId, encryptionKey };
+/**
+ * Derives the chain's secret keys. The BIP39 seed is stretched with the
+ * chain's KDF (in a Web Worker, so the UI stays responsive) and the result
+ * is split with HKDF into an encryption key and an auth key.
+ * Legacy parameters reproduce the old constant-salt encryption key and have
+ * no auth key.
+ * @param {string} mnemonic
+ * @param {Object} chainParams - block from createChainParams or LEGACY_CHAIN_PARAMS
+ * @returns {Promise<{encryptionKey: string, authKey: string|null}>} keys as hex
+ */
+export const deriveChainKeys = async (mnemonic, chainParams) => {
+  if (isLegacyChainParams(chainParams)) {
+    return { encryptionKey: deriveLegacyEncryptionKey(mnemonic), authKey: null };
+  }
+
+  if (!isValidChainParams(chainParams)) {
+    throw new Error('Refusing to derive a key from invalid or weak chain parameters');
+  }
+
+  const masterKey = await stretchSecret(await getChainSeed(mnemonic), chainParams);
+  const [encryptionKey, authKey] = await Promise.all([
+    hkdfSha256(masterKey, HKDF_INFO.encryptionKey),
+    hkdfSha256(masterKey, HKDF_INFO.authKey),
+  ]);
+  return { encryptionKey, authKey };
 };
 
-export const encryptData = (data, key) => {
-  return CryptoJS.AES.encrypt(JSON.stringify(data), key).toString();
+/**
+ * Derives everything a device needs for a chain.
+ *
+ * Migration: chains created before HKDF domain separation are stored under
+ * deriveLegacyRoomId() and encrypted with the legacy key. Passing
+ * LEGACY_CHAIN_PARAMS returns that room ID and key so their content can be
+ * decrypted once and pushed into the new room.
+ * @param {string} mnemonic
+ * @param {Object} chainParams
+ * @returns {Promise<{roomId: string, encryptionKey: string, authKey: string|null}>}
+ */
+export const deriveKeys = async (mnemonic, chainParams) => {
+  if (isLegacyChainParams(chainParams)) {
+    return { roomId: deriveLegacyRoomId(mnemonic), ...(await deriveChainKeys(mnemonic, chainParams)) };
+  }
+  const [roomId, keys] = await Promise.all([
+    deriveRoomId(mnemonic),
+    deriveChainKeys(mnemonic, chainParams),
+  ]);
+  return { roomId, ...keys };
 };
 
-export const decryptData = (ciphertext, key) => {
+/**
+ * Encrypts any JSON-serialisable value into a versioned AES-256-GCM envelope.
+ * @param {any} data
+ * @param {string} key - 256-bit key as hex
+ * @returns {Promise<string>}
+ */
+export const encryptData = async (data, key) => {
+  const { cryptoKey, keyId } = await importEncryptionKey(key);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const header = {
+    v: ENVELOPE_VERSION,
+    alg: ENVELOPE_ALGORITHM,
+    kid: keyId,
+    iv: toBase64(iv),
+  };
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerAAD(header) },
+    cryptoKey,
+    textEncoder.encode(JSON.stringify(data))
+  );
+
+  return JSON.stringify({ ...header, ct: toBase64(new Uint8Array(ciphertext)) });
+};
+
+const decryptLegacy = (ciphertext, key) => {
   try {
     const bytes = CryptoJS.AES.decrypt(ciphertext, key);
-    const decryptedData = JSON.parse(bytes.toString(CryptoJS.enc.Utf8));
-    return decryptedData;
+    return JSON.parse(bytes.toString(CryptoJS.enc.Utf8));
   } catch (e) {
-    console.error("Decryption failed", e);
-    return null;
+    throw new DecryptionError('legacy-failed', `Legacy decryption failed: ${e.message}`);
+  }
+};
+
+/**
+ * Decrypts an envelope produced by encryptData. Legacy CryptoJS ciphertexts
+ * are accepted unless `allowLegacy` is false.
+ * @param {string} ciphertext
+ * @param {string} key - 256-bit key as hex
+ * @param {{allowLegacy?: boolean}} [options]
+ * @returns {Promise<any>}
+ * @throws {DecryptionError} if the payload is malformed, encrypted under a
+ *   different key, or fails authentication
+ */
+export const decryptData = async (ciphertext, key, { allowLegacy = true } = {}) => {
+  if (typeof ciphertext !== 'string' || ciphertext.length === 0) {
+    throw new DecryptionError('malformed', 'Ciphertext must be a non-empty string');
+  }
+
+  if (isLegacyCiphertext(ciphertext)) {
+    if (!allowLegacy) {
+      throw new DecryptionError('unsupported', 'Legacy ciphertexts are no longer accepted');
+    }
+    return decryptLegacy(ciphertext, key);
+  }
+
+  const envelope = parseEnvelope(ciphertext);
+  if (!envelope) {
+    throw new DecryptionError('malformed', 'Ciphertext is not a valid envelope');
   }
+  if (envelope.v !== ENVELOPE_VERSION || envelope.alg !== ENVELOPE_ALGORITHM) {
+    throw new DecryptionError('unsupported', `Unsupported envelope v${envelope.v} (${envelope.alg})`);
+  }
+  if (typeof envelope.iv !== 'string' || typeof envelope.ct !== 'string') {
+    throw new DecryptionError('malformed', 'Envelope is missing iv or ct');
+  }
+
+  const { cryptoKey, keyId } = await importEncryptionKey(key);
+  if (envelope.kid !== keyId) {
+    throw new DecryptionError('key-mismatch', 'Envelope was encrypted with a different key');
+  }
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: headerAAD(envelope) },
+      cryptoKey,
+      fromBase64(envelope.ct)
+    );
+  } catch {
+    throw new DecryptionError('tampered', 'Envelope failed authentication');
+  }
+
+  return JSON.parse(textDecoder.decode(plaintext));
 };
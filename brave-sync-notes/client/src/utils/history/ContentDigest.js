@@ -0,0 +1,41 @@
+/**
+ * 历史记录内容摘要
+ * 用于识别内容完全相同的历史记录。摘要与密文一起保存，因此有存储密钥时使用
+ * HMAC-SHA256，避免通过摘要猜测内容；没有密钥时退回 SHA-256。
+ */
+
+const textEncoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+
+// 存储密钥 -> Promise<CryptoKey>
+const hmacKeys = new Map();
+
+const importHmacKey = (key) => {
+    if (!hmacKeys.has(key)) {
+        hmacKeys.set(key, crypto.subtle.importKey(
+            'raw',
+            hexToBytes(key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        ));
+    }
+    return hmacKeys.get(key);
+};
+
+/**
+ * 计算内容摘要
+ * @param {string} content
+ * @param {string} [key] - 存储密钥（十六进制）
+ * @returns {Promise<string>} 64 位十六进制
+ */
+export const digestContent = async (content, key) => {
+    const data = textEncoder.encode(content);
+    if (!key) {
+        return toHex(await crypto.subtle.digest('SHA-256', data));
+    }
+    return toHex(await crypto.subtle.sign('HMAC', await importHmacKey(key), data));
+};
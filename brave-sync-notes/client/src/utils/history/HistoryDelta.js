@@ -0,0 +1,114 @@
+/**
+ * 历史记录增量压缩
+ * 每篇笔记的历史记录由关键帧和反向差异组成：关键帧保存完整内容，其余记录只保存
+ * 把较新一条记录（baseId）的内容变为本条内容的操作，打开或恢复时再沿依赖链还原。
+ * 新记录总是关键帧，上一条最新记录随即改为相对它的差异，除非其所在的段
+ * （关键帧及依赖它的记录）已有 KEYFRAME_INTERVAL 条，因此还原任意一条记录
+ * 最多应用 KEYFRAME_INTERVAL - 1 组操作。
+ */
+
+import { diffText, applyOperations } from '../sync';
+
+/**
+ * 每段最多的记录数（含关键帧）
+ */
+export const KEYFRAME_INTERVAL = 20;
+
+/**
+ * 历史记录预览的长度
+ */
+export const HISTORY_PREVIEW_LENGTH = 100;
+
+/**
+ * 是否为关键帧（包括增量压缩之前保存的完整内容记录）
+ * @param {import('../storage/ClientStorage').HistoryEntry} entry
+ * @returns {boolean}
+ */
+export const isKeyframe = (entry) => !entry.baseId;
+
+/**
+ * 是否为增量压缩之前保存的完整内容记录
+ * @param {import('../storage/ClientStorage').HistoryEntry} entry
+ * @returns {boolean}
+ */
+export const isLegacyEntry = (entry) => !entry.baseId && !entry.keyframe;
+
+/**
+ * 计算反向差异：把较新的内容变为较旧的内容的操作
+ * @param {string} newerContent
+ * @param {string} content
+ * @returns {import('../sync/TextOperations').TextOperation[]}
+ */
+export const createDelta = (newerContent, content) => diffText(newerContent, content);
+
+/**
+ * 从关键帧到指定记录的依赖链
+ * @param {Map<string, import('../storage/ClientStorage').HistoryEntry>} entries - 记录 ID -> 记录
+ * @param {string} entryId
+ * @returns {import('../storage/ClientStorage').HistoryEntry[]} 第一项为关键帧，最后一项为指定记录
+ * @throws {Error} 依赖的记录缺失或依赖成环时
+ */
+export const resolveChain = (entries, entryId) => {
+    const chain = [];
+    let entry = entries.get(entryId);
+    while (entry && chain.length <= entries.size) {
+        chain.push(entry);
+        if (isKeyframe(entry)) {
+            return chain.reverse();
+        }
+        entry = entries.get(entry.baseId);
+    }
+    throw new Error(`History entry ${entryId} cannot be reconstructed`);
+};
+
+/**
+ * 按依赖链还原内容
+ * @param {{content?: string, delta?: import('../sync/TextOperations').TextOperation[]}[]} payloads
+ *   依赖链各项保存的内容，第一项为关键帧
+ * @returns {string}
+ */
+export const rebuildContent = (payloads) =>
+    payloads.slice(1).reduce((content, payload) => applyOperations(content, payload.delta || []), payloads[0].content);
+
+/**
+ * 以指定关键帧为起点的段的记录数（含关键帧）
+ * @param {Map<string, import('../storage/ClientStorage').HistoryEntry>} entries
+ * @param {string} keyframeId
+ * @returns {number}
+ */
+export const countSegment = (entries, keyframeId) => {
+    let count = 0;
+    for (const entry of entries.values()) {
+        try {
+            if (resolveChain(entries, entry.id)[0].id === keyframeId) {
+                count++;
+            }
+        } catch {
+            // 无法还原的记录不属于任何段
+        }
+    }
+    return count;
+};
+
+/**
+ * 删除记录后需要改写的记录：直接依赖被删除记录的记录改为依赖链上较新的第一条
+ * 保留的记录；链上先遇到被删除的关键帧时改为关键帧，因此段不会因删除而变长。
+ * @param {Map<string, import('../storage/ClientStorage').HistoryEntry>} entries
+ * @param {Set<string>} removed - 要删除的记录 ID
+ * @returns {{entry: import('../storage/ClientStorage').HistoryEntry, baseId: string|null}[]}
+ *   baseId 为 null 表示改为关键帧
+ */
+export const planRebase = (entries, removed) => {
+    const plan = [];
+    for (const entry of entries.values()) {
+        if (removed.has(entry.id) || isKeyframe(entry) || !removed.has(entry.baseId)) {
+            continue;
+        }
+        let base = entries.get(entry.baseId);
+        while (base && removed.has(base.id) && !isKeyframe(base)) {
+            base = entries.get(base.baseId);
+        }
+        plan.push({ entry, baseId: base && !removed.has(base.id) ? base.id : null });
+    }
+    return plan;
+};
@@ -0,0 +1,177 @@
+/**
+ * 历史记录对比
+ * 按行比较历史版本与当前内容，得到相同的段落和修改块；修改块内再按词比较，
+ * 用于高亮具体改动。修改块可以单独恢复为历史版本的内容。
+ */
+
+import { diffMatches } from '../sync';
+
+/**
+ * 修改块前后显示的相同行数
+ */
+export const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * 按词比较的词数上限，超过时整块视为修改（Myers 回溯记录的空间随差异平方增长）
+ */
+export const MAX_WORD_DIFF_TOKENS = 5000;
+
+/**
+ * 逐行比较时去掉相同的开头和结尾后剩余行数的上限，超过时这部分整体作为一个修改块
+ */
+export const MAX_LINE_DIFF_LINES = 5000;
+
+// 连续的字母数字（汉字逐字切分）、连续的空白，或单个其他字符
+const TOKEN_PATTERN = /(?:(?!\p{Script=Han})[\p{L}\p{N}_])+|\s+|[^]/gu;
+
+/**
+ * 相同的行
+ * @typedef {Object} EqualBlock
+ * @property {'equal'} type
+ * @property {number} oldStart - 在历史版本中的起始行（从 0 开始）
+ * @property {number} newStart - 在当前内容中的起始行
+ * @property {string[]} lines
+ */
+
+/**
+ * 修改块
+ * @typedef {Object} DiffHunk
+ * @property {'change'} type
+ * @property {number} index - 第几个修改块
+ * @property {number} oldStart
+ * @property {string[]} oldLines - 历史版本中的行
+ * @property {number} newStart
+ * @property {string[]} newLines - 当前内容中的行
+ */
+
+/**
+ * 省略的相同行
+ * @typedef {Object} SkipBlock
+ * @property {'skip'} type
+ * @property {number} count
+ */
+
+/**
+ * 逐行比较
+ * @param {string} oldContent - 历史版本
+ * @param {string} newContent - 当前内容
+ * @returns {Array<EqualBlock|DiffHunk>}
+ */
+export const diffLines = (oldContent, newContent) => {
+    const oldLines = oldContent.split('\n');
+    const newLines = newContent.split('\n');
+    const blocks = [];
+    let hunks = 0;
+    let i = 0;
+    let j = 0;
+
+    for (const [matchI, matchJ] of [...diffMatches(oldLines, newLines, MAX_LINE_DIFF_LINES), [oldLines.length, newLines.length]]) {
+        if (matchI > i || matchJ > j) {
+            blocks.push({
+                type: 'change',
+                index: hunks++,
+                oldStart: i,
+                oldLines: oldLines.slice(i, matchI),
+                newStart: j,
+                newLines: newLines.slice(j, matchJ)
+            });
+        }
+        if (matchI < oldLines.length) {
+            const last = blocks[blocks.length - 1];
+            if (last?.type === 'equal') {
+                last.lines.push(oldLines[matchI]);
+            } else {
+                blocks.push({ type: 'equal', oldStart: matchI, newStart: matchJ, lines: [oldLines[matchI]] });
+            }
+        }
+        i = matchI + 1;
+        j = matchJ + 1;
+    }
+
+    return blocks;
+};
+
+/**
+ * 只保留修改块前后各 context 行相同的行，其余折叠为 skip
+ * @param {Array<EqualBlock|DiffHunk>} blocks
+ * @param {number} [context]
+ * @returns {Array<EqualBlock|DiffHunk|SkipBlock>}
+ */
+export const collapseContext = (blocks, context = DIFF_CONTEXT_LINES) => blocks.flatMap((block, i) => {
+    if (block.type !== 'equal') return [block];
+
+    const keepHead = i > 0 ? context : 0;
+    const keepTail = i < blocks.length - 1 ? context : 0;
+    const skipped = block.lines.length - keepHead - keepTail;
+    if (skipped <= 0) return [block];
+
+    const collapsed = [];
+    if (keepHead > 0) {
+        collapsed.push({ ...block, lines: block.lines.slice(0, keepHead) });
+    }
+    collapsed.push({ type: 'skip', count: skipped });
+    if (keepTail > 0) {
+        const offset = block.lines.length - keepTail;
+        collapsed.push({
+            type: 'equal',
+            oldStart: block.oldStart + offset,
+            newStart: block.newStart + offset,
+            lines: block.lines.slice(offset)
+        });
+    }
+    return collapsed;
+});
+
+/**
+ * 按词比较一段文本，相邻且状态相同的片段合并
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{oldSegments: {text: string, changed: boolean}[], newSegments: {text: string, changed: boolean}[]}}
+ */
+export const diffWords = (oldText, newText) => {
+    const a = oldText.match(TOKEN_PATTERN) || [];
+    const b = newText.match(TOKEN_PATTERN) || [];
+    const oldSegments = [];
+    const newSegments = [];
+    const append = (segments, text, changed) => {
+        if (!text) return;
+        const last = segments[segments.length - 1];
+        if (last?.changed === changed) {
+            last.text += text;
+        } else {
+            segments.push({ text, changed });
+        }
+    };
+
+    const matches = a.length + b.length > MAX_WORD_DIFF_TOKENS ? [] : diffMatches(a, b);
+    let i = 0;
+    let j = 0;
+    for (const [matchI, matchJ] of [...matches, [a.length, b.length]]) {
+        append(oldSegments, a.slice(i, matchI).join(''), true);
+        append(newSegments, b.slice(j, matchJ).join(''), true);
+        if (matchI < a.length) {
+            append(oldSegments, a[matchI], false);
+            append(newSegments, b[matchJ], false);
+        }
+        i = matchI + 1;
+        j = matchJ + 1;
+    }
+
+    return { oldSegments, newSegments };
+};
+
+/**
+ * 把当前内容中的一个修改块恢复为历史版本的内容
+ * @param {string} currentContent
+ * @param {DiffHunk} hunk
+ * @returns {string|null} 当前内容在该处已与比较时不同时为 null
+ */
+export const revertHunk = (currentContent, hunk) => {
+    const lines = currentContent.split('\n');
+    const current = lines.slice(hunk.newStart, hunk.newStart + hunk.newLines.length);
+    if (current.length !== hunk.newLines.length || current.some((line, i) => line !== hunk.newLines[i])) {
+        return null;
+    }
+    lines.splice(hunk.newStart, hunk.newLines.length, ...hunk.oldLines);
+    return lines.join('\n');
+};
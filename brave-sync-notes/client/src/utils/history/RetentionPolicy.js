@@ -0,0 +1,102 @@
+/**
+ * 历史记录保留策略
+ * 策略由若干分层组成，按记录的年龄依次适用：每层覆盖到 maxAge 为止，
+ * 在层内按 interval 把时间切成固定的时间段，每段只保留最新的一条（interval 为 0 时全部保留）。
+ * 时间段按绝对时间划分，因此某条记录一旦被保留，之后的清理不会改变这一结果，
+ * 直到它进入下一层。超出最后一层的记录被删除。
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * 每篇笔记的历史记录条数上限，各策略的 maxEntries 不超过此值
+ */
+export const MAX_HISTORY_ENTRIES = 1000;
+
+/**
+ * @typedef {Object} RetentionTier
+ * @property {number} maxAge - 本层覆盖的最大记录年龄（毫秒），Infinity 表示不限
+ * @property {number} interval - 每个时间段保留最新一条的时间段长度（毫秒），0 表示全部保留
+ */
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {RetentionTier[]} tiers - 按 maxAge 升序排列
+ * @property {number} maxEntries - 每篇笔记最多保留的记录数（超出时删除最旧的）
+ */
+
+/**
+ * 可选的保留策略
+ * - standard：24 小时内全部保留，一周内每小时一条，之后每天一条
+ * - compact：24 小时内每小时一条，30 天内每天一条，更早的删除
+ * - keepAll：全部保留（仍受条数上限约束）
+ * @type {Readonly<Record<string, RetentionPolicy>>}
+ */
+export const RETENTION_POLICIES = Object.freeze({
+    standard: {
+        tiers: [
+            { maxAge: DAY, interval: 0 },
+            { maxAge: 7 * DAY, interval: HOUR },
+            { maxAge: Infinity, interval: DAY }
+        ],
+        maxEntries: MAX_HISTORY_ENTRIES
+    },
+    compact: {
+        tiers: [
+            { maxAge: DAY, interval: HOUR },
+            { maxAge: 30 * DAY, interval: DAY }
+        ],
+        maxEntries: 200
+    },
+    keepAll: {
+        tiers: [{ maxAge: Infinity, interval: 0 }],
+        maxEntries: MAX_HISTORY_ENTRIES
+    }
+});
+
+export const DEFAULT_RETENTION_POLICY = 'standard';
+
+/**
+ * 按名称取得保留策略，未知名称使用默认策略
+ * @param {string} name
+ * @returns {RetentionPolicy}
+ */
+export const getRetentionPolicy = (name) =>
+    RETENTION_POLICIES[name] || RETENTION_POLICIES[DEFAULT_RETENTION_POLICY];
+
+/**
+ * 按策略挑出应删除的历史记录
+ * @param {{id: string, timestamp: number}[]} entries - 同一篇笔记的历史记录
+ * @param {RetentionPolicy} policy
+ * @param {number} [now] - 当前时间戳
+ * @returns {string[]} 应删除的记录 ID
+ */
+export const selectExpiredEntries = (entries, policy, now = Date.now()) => {
+    const newestFirst = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+    const kept = [];
+    const expired = [];
+    const buckets = new Set();
+
+    for (const entry of newestFirst) {
+        const age = Math.max(0, now - entry.timestamp);
+        const tierIndex = policy.tiers.findIndex((tier) => age < tier.maxAge);
+        if (tierIndex === -1) {
+            expired.push(entry.id);
+            continue;
+        }
+
+        const { interval } = policy.tiers[tierIndex];
+        if (interval > 0) {
+            const bucket = `${tierIndex}:${Math.floor(entry.timestamp / interval)}`;
+            if (buckets.has(bucket)) {
+                expired.push(entry.id);
+                continue;
+            }
+            buckets.add(bucket);
+        }
+        kept.push(entry.id);
+    }
+
+    return [...expired, ...kept.slice(policy.maxEntries)];
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createDelta,
+    resolveChain,
+    rebuildContent,
+    countSegment,
+    planRebase
+} from '../HistoryDelta';
+
+// 从新到旧：k1 <- d1 <- d2，k2 <- d3
+const chainOf = (...entries) => new Map(entries.map((entry) => [entry.id, entry]));
+const entries = chainOf(
+    { id: 'k1', keyframe: true },
+    { id: 'd1', baseId: 'k1' },
+    { id: 'd2', baseId: 'd1' },
+    { id: 'k2', keyframe: true },
+    { id: 'd3', baseId: 'k2' }
+);
+
+describe('HistoryDelta', () => {
+    it('should rebuild older content from a keyframe and reverse differences', () => {
+        const versions = ['hello brave world', 'hello world', 'hi world'];
+        const payloads = [
+            { content: versions[0] },
+            { delta: createDelta(versions[0], versions[1]) },
+            { delta: createDelta(versions[1], versions[2]) }
+        ];
+        expect(rebuildContent(payloads)).toBe('hi world');
+        expect(rebuildContent(payloads.slice(0, 2))).toBe('hello world');
+    });
+
+    it('should resolve the chain from the keyframe to an entry', () => {
+        expect(resolveChain(entries, 'd2').map((entry) => entry.id)).toEqual(['k1', 'd1', 'd2']);
+        expect(resolveChain(entries, 'k2').map((entry) => entry.id)).toEqual(['k2']);
+    });
+
+    it('should reject entries whose chain is broken', () => {
+        expect(() => resolveChain(chainOf({ id: 'd', baseId: 'missing' }), 'd')).toThrow(/cannot be reconstructed/);
+        expect(() => resolveChain(chainOf({ id: 'a', baseId: 'b' }, { id: 'b', baseId: 'a' }), 'a')).toThrow();
+    });
+
+    it('should count the entries of a segment', () => {
+        expect(countSegment(entries, 'k1')).toBe(3);
+        expect(countSegment(entries, 'k2')).toBe(2);
+    });
+
+    it('should rebase entries that depend on removed ones', () => {
+        expect(planRebase(entries, new Set(['d1'])).map(({ entry, baseId }) => [entry.id, baseId]))
+            .toEqual([['d2', 'k1']]);
+        // 被删除的关键帧的依赖者改为关键帧
+        expect(planRebase(entries, new Set(['k1', 'd1'])).map(({ entry, baseId }) => [entry.id, baseId]))
+            .toEqual([['d2', null]]);
+        expect(planRebase(entries, new Set(['d3']))).toEqual([]);
+    });
+});
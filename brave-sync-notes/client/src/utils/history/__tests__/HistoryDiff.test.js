@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { diffLines, collapseContext, diffWords, revertHunk, MAX_LINE_DIFF_LINES } from '../HistoryDiff';
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i}`);
+
+describe('HistoryDiff', () => {
+    describe('diffLines', () => {
+        it('should split contents into equal blocks and hunks', () => {
+            const blocks = diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+            expect(blocks).toEqual([
+                { type: 'equal', oldStart: 0, newStart: 0, lines: ['a'] },
+                { type: 'change', index: 0, oldStart: 1, oldLines: ['b'], newStart: 1, newLines: ['B'] },
+                { type: 'equal', oldStart: 2, newStart: 2, lines: ['c', 'd'] },
+                { type: 'change', index: 1, oldStart: 4, oldLines: [], newStart: 4, newLines: ['e'] }
+            ]);
+        });
+
+        it('should report no hunks for identical contents', () => {
+            expect(diffLines('same\ntext', 'same\ntext').every((block) => block.type === 'equal')).toBe(true);
+        });
+
+        it('should show an oversized changed region as a single hunk', () => {
+            const oldLines = lines(MAX_LINE_DIFF_LINES, 'old');
+            const newLines = lines(MAX_LINE_DIFF_LINES, 'new');
+            const blocks = diffLines(['head', ...oldLines, 'tail'].join('\n'), ['head', ...newLines, 'tail'].join('\n'));
+
+            expect(blocks).toEqual([
+                { type: 'equal', oldStart: 0, newStart: 0, lines: ['head'] },
+                { type: 'change', index: 0, oldStart: 1, oldLines, newStart: 1, newLines },
+                { type: 'equal', oldStart: MAX_LINE_DIFF_LINES + 1, newStart: MAX_LINE_DIFF_LINES + 1, lines: ['tail'] }
+            ]);
+        });
+
+        it('should still diff large documents with small changes line by line', () => {
+            const oldLines = lines(MAX_LINE_DIFF_LINES * 2);
+            const newLines = [...oldLines];
+            newLines[10] = 'edited';
+
+            const hunks = diffLines(oldLines.join('\n'), newLines.join('\n')).filter((block) => block.type === 'change');
+            expect(hunks).toEqual([{ type: 'change', index: 0, oldStart: 10, oldLines: ['line 10'], newStart: 10, newLines: ['edited'] }]);
+        });
+    });
+
+    describe('collapseContext', () => {
+        it('should keep only the lines around hunks', () => {
+            const old = [...lines(10), 'old', ...lines(10, 'tail')].join('\n');
+            const current = [...lines(10), 'new', ...lines(10, 'tail')].join('\n');
+            const collapsed = collapseContext(diffLines(old, current), 2);
+
+            expect(collapsed.map((block) => block.type)).toEqual(['skip', 'equal', 'change', 'equal', 'skip']);
+            expect(collapsed[0].count).toBe(8);
+            expect(collapsed[1]).toMatchObject({ oldStart: 8, lines: ['line 8', 'line 9'] });
+            expect(collapsed[3].lines).toEqual(['tail 0', 'tail 1']);
+        });
+    });
+
+    describe('diffWords', () => {
+        it('should highlight changed words only', () => {
+            const { oldSegments, newSegments } = diffWords('the quick brown fox', 'the slow brown fox');
+            expect(oldSegments).toEqual([
+                { text: 'the ', changed: false },
+                { text: 'quick', changed: true },
+                { text: ' brown fox', changed: false }
+            ]);
+            expect(newSegments[1]).toEqual({ text: 'slow', changed: true });
+        });
+
+        it('should compare Chinese text character by character', () => {
+            const { newSegments } = diffWords('今天下雨', '今天晴天');
+            expect(newSegments).toEqual([
+                { text: '今天', changed: false },
+                { text: '晴天', changed: true }
+            ]);
+        });
+    });
+
+    describe('revertHunk', () => {
+        it('should restore a single hunk', () => {
+            const old = 'a\nb\nc\nd';
+            const current = 'a\nB\nc\nD';
+            const hunks = diffLines(old, current).filter((block) => block.type === 'change');
+
+            expect(revertHunk(current, hunks[1])).toBe('a\nB\nc\nd');
+            expect(revertHunk(current, hunks[0])).toBe('a\nb\nc\nD');
+        });
+
+        it('should refuse a hunk that no longer matches the content', () => {
+            const [hunk] = diffLines('a\nb', 'a\nB').filter((block) => block.type === 'change');
+            expect(revertHunk('a\nchanged', hunk)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+    RETENTION_POLICIES,
+    DEFAULT_RETENTION_POLICY,
+    getRetentionPolicy,
+    selectExpiredEntries
+} from '../RetentionPolicy';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// 对齐到整天，便于推算时间段
+const NOW = 1000 * DAY;
+
+const entriesAt = (...ages) => ages.map((age, i) => ({ id: `e${i}`, timestamp: NOW - age }));
+
+describe('RetentionPolicy', () => {
+    it('should fall back to the default policy for unknown names', () => {
+        expect(getRetentionPolicy('compact')).toBe(RETENTION_POLICIES.compact);
+        expect(getRetentionPolicy('nope')).toBe(RETENTION_POLICIES[DEFAULT_RETENTION_POLICY]);
+    });
+
+    describe('standard', () => {
+        const policy = RETENTION_POLICIES.standard;
+
+        it('should keep every entry of the last 24 hours', () => {
+            const entries = entriesAt(0, MINUTE, 2 * MINUTE, 23 * HOUR);
+            expect(selectExpiredEntries(entries, policy, NOW)).toEqual([]);
+        });
+
+        it('should keep the newest entry per hour within a week', () => {
+            // e0 与 e1 同在 2 天前的一个小时内，e2 在另一个小时
+            const entries = entriesAt(2 * DAY + 10 * MINUTE, 2 * DAY + 20 * MINUTE, 2 * DAY + 2 * HOUR);
+            expect(selectExpiredEntries(entries, policy, NOW)).toEqual(['e1']);
+        });
+
+        it('should keep the newest entry per day after a week', () => {
+            const entries = entriesAt(10 * DAY + HOUR, 10 * DAY + 5 * HOUR, 12 * DAY + HOUR);
+            expect(selectExpiredEntries(entries, policy, NOW)).toEqual(['e1']);
+        });
+    });
+
+    describe('compact', () => {
+        const policy = RETENTION_POLICIES.compact;
+
+        it('should thin out the last 24 hours and drop entries older than 30 days', () => {
+            const entries = entriesAt(MINUTE, 2 * MINUTE, 3 * DAY, 31 * DAY);
+            expect(selectExpiredEntries(entries, policy, NOW).sort()).toEqual(['e1', 'e3']);
+        });
+    });
+
+    it('should not change the selection when the cleanup runs again later', () => {
+        const policy = RETENTION_POLICIES.standard;
+        const entries = entriesAt(...Array.from({ length: 48 }, (_, i) => 2 * DAY + i * 10 * MINUTE));
+        const expired = new Set(selectExpiredEntries(entries, policy, NOW));
+        const kept = entries.filter((entry) => !expired.has(entry.id));
+
+        expect(selectExpiredEntries(kept, policy, NOW + 30 * MINUTE)).toEqual([]);
+    });
+
+    it('should drop the oldest entries beyond maxEntries', () => {
+        const policy = { tiers: [{ maxAge: Infinity, interval: 0 }], maxEntries: 2 };
+        const entries = entriesAt(3 * MINUTE, MINUTE, 2 * MINUTE);
+        expect(selectExpiredEntries(entries, policy, NOW)).toEqual(['e0']);
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * 历史记录模块导出
+ */
+
+export {
+    RETENTION_POLICIES,
+    DEFAULT_RETENTION_POLICY,
+    MAX_HISTORY_ENTRIES,
+    getRetentionPolicy,
+    selectExpiredEntries
+} from './RetentionPolicy';
+export { digestContent } from './ContentDigest';
+export {
+    KEYFRAME_INTERVAL,
+    HISTORY_PREVIEW_LENGTH,
+    isKeyframe,
+    isLegacyEntry,
+    createDelta,
+    resolveChain,
+    rebuildContent,
+    countSegment,
+    planRebase
+} from './HistoryDelta';
+export {
+    DIFF_CONTEXT_LINES,
+    MAX_WORD_DIFF_TOKENS,
+    diffLines,
+    collapseContext,
+    diffWords,
+    revertHunk
+} from './HistoryDiff';
@@ -0,0 +1,128 @@
+// Key-derivation helpers shared by the main thread and kdf.worker.js.
+// Only WebCrypto is used here so the worker bundle stays small.
+
+export const KDF_PBKDF2_SHA256 = 'pbkdf2-sha256';
+export const CHAIN_PARAMS_VERSION = 1;
+
+// OWASP 2023 recommendation for PBKDF2-HMAC-SHA256. Parameters received from
+// the server below this floor are rejected so a relay cannot weaken the KDF.
+export const DEFAULT_KDF_ITERATIONS = 600000;
+export const MIN_KDF_ITERATIONS = 600000;
+export const MAX_KDF_ITERATIONS = 10000000;
+
+const SALT_LENGTH = 16;
+const KEY_BITS = 256;
+
+const textEncoder = new TextEncoder();
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+};
+
+const base64ToBytes = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+const bytesToHex = (bytes) =>
+  Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Generates a fresh chain-parameter block for a new sync chain.
+ * @param {number} [iterations]
+ * @returns {{v: number, kdf: string, iterations: number, salt: string}}
+ */
+export const createChainParams = (iterations = DEFAULT_KDF_ITERATIONS) => ({
+  v: CHAIN_PARAMS_VERSION,
+  kdf: KDF_PBKDF2_SHA256,
+  iterations,
+  salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_LENGTH))),
+});
+
+export const isValidChainParams = (params) => {
+  if (!params || typeof params !== 'object') {
+    return false;
+  }
+  if (params.v !== CHAIN_PARAMS_VERSION || params.kdf !== KDF_PBKDF2_SHA256) {
+    return false;
+  }
+  if (!Number.isInteger(params.iterations) ||
+    params.iterations < MIN_KDF_ITERATIONS ||
+    params.iterations > MAX_KDF_ITERATIONS) {
+    return false;
+  }
+  try {
+    return base64ToBytes(params.salt).length >= SALT_LENGTH;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Stretches `secret` with the KDF described by `params`.
+ * Does not enforce the iteration floor; callers validate params first.
+ * @param {string} secret
+ * @param {{kdf: string, iterations: number, salt: string}} params
+ * @returns {Promise<string>} 256-bit key as hex
+ */
+export const deriveKeyMaterial = async (secret, params) => {
+  if (params.kdf !== KDF_PBKDF2_SHA256) {
+    throw new Error(`Unsupported KDF: ${params.kdf}`);
+  }
+
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    textEncoder.encode(secret),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: base64ToBytes(params.salt),
+      iterations: params.iterations,
+    },
+    baseKey,
+    KEY_BITS
+  );
+
+  return bytesToHex(new Uint8Array(bits));
+};
+
+// Also used by crypto.js, which already imports this module; keeping the
+// helper here avoids pulling crypto.js (and its Buffer polyfill) into the worker.
+export const hexToBytes = (hex) => {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error('Key material must be a hex string');
+  }
+  return Uint8Array.from(hex.match(/../g) || [], (h) => parseInt(h, 16));
+};
+
+/**
+ * HKDF-SHA256 (RFC 5869) with an empty salt. Every subkey of a chain uses
+ * its own `info` label so keys for different purposes never coincide.
+ * @param {string} ikm - input key material as hex
+ * @param {string} info - purpose label
+ * @param {number} [bits]
+ * @returns {Promise<string>} subkey as hex
+ */
+export const hkdfSha256 = async (ikm, info, bits = KEY_BITS) => {
+  const baseKey = await crypto.subtle.importKey('raw', hexToBytes(ikm), 'HKDF', false, ['deriveBits']);
+
+  const derived = await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: textEncoder.encode(info),
+    },
+    baseKey,
+    bits
+  );
+
+  return bytesToHex(new Uint8Array(derived));
+};
@@ -0,0 +1,12 @@
+import { deriveKeyMaterial } from './kdf';
+
+// Runs the (deliberately slow) key derivation off the main thread.
+self.onmessage = async (event) => {
+  const { id, secret, params } = event.data;
+  try {
+    const key = await deriveKeyMaterial(secret, params);
+    self.postMessage({ id, key });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
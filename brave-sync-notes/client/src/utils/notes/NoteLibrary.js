@@ -0,0 +1,542 @@
+/**
+ * 笔记库
+ * 每个同步链在本地对应一个笔记本（ID 即房间 ID），其中可以有多篇笔记。
+ * 笔记的内容与标题以本地存储为准，编辑器只持有当前打开的笔记的副本。
+ * 默认笔记的 ID 也是房间 ID，对应服务器上房间本身的文档，
+ * 只有一篇笔记的旧版同步链的内容就在其中，因此默认笔记不能删除或移动。
+ * 笔记本解锁后，笔记、同步基线和历史记录以存储密钥加密保存（静态加密）。
+ * 历史记录以关键帧与反向差异保存，见 history/HistoryDelta。
+ */
+
+import { encryptData, decryptData } from '../crypto';
+import {
+    digestContent,
+    selectExpiredEntries,
+    MAX_HISTORY_ENTRIES,
+    KEYFRAME_INTERVAL,
+    HISTORY_PREVIEW_LENGTH,
+    isKeyframe,
+    isLegacyEntry,
+    createDelta,
+    resolveChain,
+    rebuildContent,
+    countSegment,
+    planRebase
+} from '../history';
+
+/**
+ * 生成新笔记的 ID（32 位十六进制，与房间 ID 拼接后仍是合法的服务器存储键）
+ * @returns {string}
+ */
+export const createNoteId = () => crypto.randomUUID().replace(/-/g, '');
+
+/**
+ * 是否为同步链的默认笔记
+ * @param {string} notebookId
+ * @param {string} noteId
+ * @returns {boolean}
+ */
+export const isDefaultNote = (notebookId, noteId) => notebookId === noteId;
+
+/**
+ * 去掉历史记录中保存内容的字段
+ * @param {import('../storage/ClientStorage').HistoryEntry} entry
+ * @returns {Object}
+ */
+const historyMeta = ({ content, delta, preview, encrypted, keyframe, baseId, ...meta }) => meta;
+
+export default class NoteLibrary {
+    /**
+     * @param {import('../storage/ClientStorage').default} storage - 已初始化的存储（通常为 StorageManager）
+     */
+    constructor(storage) {
+        this.storage = storage;
+        // 写入串行执行，避免同一笔记的读取-修改-写入交错
+        this.queue = Promise.resolve();
+        // 已解锁笔记本的存储密钥：notebookId -> key
+        this.keys = new Map();
+        // 解密结果缓存，避免每次列出笔记都重新解密：`${notebookId}/${noteId}` -> { encrypted, fields }
+        this.plaintext = new Map();
+    }
+
+    /**
+     * 解锁笔记本：之后写入的笔记、同步基线和历史记录都加密保存，之前以明文保存的随即加密，
+     * 以完整内容保存的历史记录同时转换为关键帧与差异
+     * @param {string} notebookId
+     * @param {string} key - 存储密钥（十六进制），见 deriveStorageKey
+     * @returns {Promise<void>}
+     */
+    async unlock(notebookId, key) {
+        this.keys.set(notebookId, key);
+        await this._serialize(async () => {
+            for (const note of await this.storage.listNotes(notebookId)) {
+                if (note.encrypted === undefined) {
+                    await this._writeNote(notebookId, note);
+                }
+                const base = await this.storage.getSyncBase(note.id).catch(() => null);
+                if (base && base.encrypted === undefined) {
+                    await this._writeSyncBase(notebookId, note.id, base);
+                }
+                await this._compactHistory(notebookId, note.id);
+            }
+        });
+    }
+
+    /**
+     * 笔记本是否已解锁（本次会话中以存储密钥解锁过）
+     * @param {string} notebookId
+     * @returns {boolean}
+     */
+    isUnlocked(notebookId) {
+        return this.keys.has(notebookId);
+    }
+
+    /**
+     * 打开同步链对应的笔记本，不存在时创建，并确保默认笔记存在。
+     * 首次打开旧版同步链时，默认笔记的内容取自已保存的同步基线。
+     * @param {string} notebookId - 房间 ID
+     * @param {string} name - 笔记本名称
+     * @returns {Promise<import('../storage/ClientStorage').Note[]>} 笔记本中的笔记
+     */
+    async openNotebook(notebookId, name) {
+        await this._serialize(async () => {
+            if (!(await this.storage.getNotebook(notebookId))) {
+                await this.storage.saveNotebook({ id: notebookId, name, roomId: notebookId });
+            }
+            if (!(await this.storage.getNote(notebookId, notebookId))) {
+                const base = await this.getSyncBase(notebookId, notebookId).catch(() => null);
+                await this._writeNote(notebookId, {
+                    id: notebookId,
+                    title: base?.title || '',
+                    content: base?.content || '',
+                    tags: []
+                });
+            }
+        });
+        return this.listNotes(notebookId);
+    }
+
+    /**
+     * 本设备上的所有笔记本
+     * @returns {Promise<import('../storage/ClientStorage').Notebook[]>}
+     */
+    async listNotebooks() {
+        return this.storage.listNotebooks();
+    }
+
+    /**
+     * 笔记本中的笔记，按更新时间降序
+     * @param {string} notebookId
+     * @returns {Promise<import('../storage/ClientStorage').Note[]>}
+     */
+    async listNotes(notebookId) {
+        const notes = await this.storage.listNotes(notebookId);
+        return Promise.all(notes.map((note) => this._readNote(notebookId, note)));
+    }
+
+    /**
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @returns {Promise<import('../storage/ClientStorage').Note|null>}
+     */
+    async getNote(notebookId, noteId) {
+        return this._readNote(notebookId, await this.storage.getNote(notebookId, noteId));
+    }
+
+    /**
+     * 新建笔记
+     * @param {string} notebookId
+     * @param {Object} [fields]
+     * @param {string} [fields.title]
+     * @param {string} [fields.content]
+     * @returns {Promise<import('../storage/ClientStorage').Note>}
+     */
+    async createNote(notebookId, { title = '', content = '' } = {}) {
+        const id = createNoteId();
+        return this._serialize(async () => {
+            await this._writeNote(notebookId, { id, title, content, tags: [] });
+            return this.getNote(notebookId, id);
+        });
+    }
+
+    /**
+     * 修改笔记的内容或标题；笔记不存在时创建（来自其他设备的笔记）
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @param {{content?: string, title?: string}} changes
+     * @returns {Promise<import('../storage/ClientStorage').Note>}
+     */
+    async updateNote(notebookId, noteId, changes) {
+        return this._serialize(async () => {
+            const existing = await this.getNote(notebookId, noteId);
+            await this._writeNote(notebookId, {
+                title: '',
+                content: '',
+                tags: [],
+                ...existing,
+                ...changes,
+                id: noteId
+            });
+            return this.getNote(notebookId, noteId);
+        });
+    }
+
+    /**
+     * 删除笔记及其历史记录和同步基线
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @returns {Promise<void>}
+     * @throws {Error} 删除默认笔记时
+     */
+    async deleteNote(notebookId, noteId) {
+        if (isDefaultNote(notebookId, noteId)) {
+            throw new Error('The default note of a chain cannot be deleted');
+        }
+        await this._serialize(async () => {
+            if (await this.storage.getNote(notebookId, noteId)) {
+                await this.storage.deleteNote(notebookId, noteId);
+            }
+            this.plaintext.delete(`${notebookId}/${noteId}`);
+        });
+    }
+
+    /**
+     * 把笔记移动到另一个笔记本。笔记在目标笔记本中是一篇新笔记（新的 ID，
+     * 没有同步基线），下次加入目标同步链时上传。
+     * 目标笔记本必须已解锁，笔记不会以明文写入。
+     * @param {string} notebookId - 当前笔记本
+     * @param {string} noteId
+     * @param {string} targetNotebookId
+     * @returns {Promise<import('../storage/ClientStorage').Note>} 目标笔记本中的笔记
+     * @throws {Error} 移动默认笔记、笔记或目标笔记本不存在、目标笔记本未解锁时
+     */
+    async moveNote(notebookId, noteId, targetNotebookId) {
+        if (isDefaultNote(notebookId, noteId)) {
+            throw new Error('The default note of a chain cannot be moved');
+        }
+        const id = createNoteId();
+        return this._serialize(async () => {
+            const note = await this.getNote(notebookId, noteId);
+            if (!note) {
+                throw new Error(`Note ${noteId} not found in notebook ${notebookId}`);
+            }
+            if (targetNotebookId === notebookId || !(await this.storage.getNotebook(targetNotebookId))) {
+                throw new Error(`Cannot move note to notebook ${targetNotebookId}`);
+            }
+            if (!this.isUnlocked(targetNotebookId)) {
+                throw new Error(`Notebook ${targetNotebookId} is locked`);
+            }
+
+            await this._writeNote(targetNotebookId, {
+                id,
+                title: note.title,
+                content: note.content,
+                tags: note.tags
+            });
+            await this.storage.deleteNote(notebookId, noteId);
+            this.plaintext.delete(`${notebookId}/${noteId}`);
+            return this.getNote(targetNotebookId, id);
+        });
+    }
+
+    /**
+     * 记录笔记的一个历史版本，然后按保留策略清理该笔记的历史。
+     * 与已有记录内容完全相同（摘要一致）时不记录。
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @param {Object} entry
+     * @param {string} entry.content
+     * @param {string} [entry.deviceName]
+     * @param {number} [entry.version] - 对应的服务器版本号
+     * @param {number} [entry.timestamp]
+     * @param {import('../history/RetentionPolicy').RetentionPolicy} policy
+     * @returns {Promise<boolean>} 是否记录
+     */
+    async addHistory(notebookId, noteId, { content, deviceName = '', version = 0, timestamp = Date.now() }, policy) {
+        return this._serialize(async () => {
+            const hash = await digestContent(content, this.keys.get(notebookId));
+            const entries = await this._loadHistory(noteId);
+            if ([...entries.values()].some((entry) => entry.hash === hash)) {
+                return false;
+            }
+
+            const head = [...entries.values()].reduce((newest, entry) =>
+                (!newest || entry.timestamp > newest.timestamp ? entry : newest), null);
+            const meta = { id: crypto.randomUUID(), noteId, version, timestamp, deviceName, hash };
+            entries.set(meta.id, await this._writeHistory(notebookId, meta, null, { content }));
+
+            // 上一条最新记录改为相对新记录的差异，所在段已满时保留为关键帧
+            if (head && head.timestamp <= timestamp && isKeyframe(head) &&
+                countSegment(entries, head.id) < KEYFRAME_INTERVAL) {
+                const headContent = (await this._readHistoryPayload(notebookId, head)).content;
+                entries.set(head.id, await this._writeHistory(notebookId, historyMeta(head), meta.id, {
+                    delta: createDelta(content, headContent),
+                    preview: headContent.slice(0, HISTORY_PREVIEW_LENGTH)
+                }));
+            }
+
+            await this._removeHistory(notebookId, noteId, entries,
+                selectExpiredEntries([...entries.values()], policy, timestamp));
+            return true;
+        });
+    }
+
+    /**
+     * 笔记的历史记录（不含内容，内容见 getHistoryContent），按时间降序
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @returns {Promise<Array<Omit<import('../storage/ClientStorage').HistoryEntry, 'content'>>>}
+     */
+    async getHistory(notebookId, noteId) {
+        const entries = await this.storage.getHistory(noteId, MAX_HISTORY_ENTRIES);
+        const listed = await Promise.all(entries.map(async (entry) => {
+            const payload = await this._readHistoryPayload(notebookId, entry);
+            return {
+                ...historyMeta(entry),
+                preview: payload.preview ?? payload.content.slice(0, HISTORY_PREVIEW_LENGTH)
+            };
+        }));
+        return listed.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * 还原历史记录的内容
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @param {string} entryId
+     * @returns {Promise<string|null>} 记录不存在时为 null
+     */
+    async getHistoryContent(notebookId, noteId, entryId) {
+        const entries = await this._loadHistory(noteId);
+        if (!entries.has(entryId)) return null;
+        return this._reconstructHistory(notebookId, entries, entryId);
+    }
+
+    /**
+     * 删除笔记的部分历史记录，不指定时全部删除
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @param {string[]} [entryIds]
+     * @returns {Promise<void>}
+     */
+    async deleteHistory(notebookId, noteId, entryIds) {
+        await this._serialize(async () => {
+            const entries = await this._loadHistory(noteId);
+            if (!entryIds) {
+                await this.storage.deleteHistory(noteId, [...entries.keys()]);
+                return;
+            }
+            await this._removeHistory(notebookId, noteId, entries, entryIds);
+        });
+    }
+
+    /**
+     * 笔记的同步基线
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @returns {Promise<import('../storage/ClientStorage').SyncBase|null>}
+     */
+    async getSyncBase(notebookId, noteId) {
+        const base = await this.storage.getSyncBase(noteId);
+        if (!base || base.encrypted === undefined) return base || null;
+        const { encrypted, ...rest } = base;
+        const fields = await decryptData(encrypted, this._requireKey(notebookId));
+        return { ...rest, content: fields.content, title: fields.title };
+    }
+
+    /**
+     * 保存笔记的同步基线
+     * @param {string} notebookId
+     * @param {string} noteId
+     * @param {import('../storage/ClientStorage').SyncBase} base
+     * @returns {Promise<void>}
+     */
+    async saveSyncBase(notebookId, noteId, base) {
+        await this._serialize(() => this._writeSyncBase(notebookId, noteId, base));
+    }
+
+    /**
+     * @private
+     */
+    async _readNote(notebookId, stored) {
+        if (!stored) return null;
+        if (stored.encrypted === undefined) return stored;
+
+        const { encrypted, ...rest } = stored;
+        const cacheKey = `${notebookId}/${stored.id}`;
+        let cached = this.plaintext.get(cacheKey);
+        if (cached?.encrypted !== encrypted) {
+            cached = { encrypted, fields: await decryptData(encrypted, this._requireKey(notebookId)) };
+            this.plaintext.set(cacheKey, cached);
+        }
+        return { ...rest, title: cached.fields.title, content: cached.fields.content };
+    }
+
+    /**
+     * @private
+     */
+    async _writeNote(notebookId, note) {
+        const key = this.keys.get(notebookId);
+        if (!key) {
+            await this.storage.saveNote(notebookId, note);
+            return;
+        }
+        const fields = { title: note.title || '', content: note.content || '' };
+        const encrypted = await encryptData(fields, key);
+        this.plaintext.set(`${notebookId}/${note.id}`, { encrypted, fields });
+        await this.storage.saveNote(notebookId, { ...note, title: '', content: '', encrypted });
+    }
+
+    /**
+     * @private
+     */
+    async _writeSyncBase(notebookId, noteId, base) {
+        const key = this.keys.get(notebookId);
+        if (!key) {
+            await this.storage.saveSyncBase(noteId, base);
+            return;
+        }
+        const encrypted = await encryptData({ content: base.content, title: base.title || '' }, key);
+        await this.storage.saveSyncBase(noteId, { ...base, content: '', title: '', encrypted });
+    }
+
+    /**
+     * 笔记的全部历史记录：记录 ID -> 保存的记录
+     * @private
+     */
+    async _loadHistory(noteId) {
+        const entries = await this.storage.getHistory(noteId, MAX_HISTORY_ENTRIES);
+        return new Map(entries.map((entry) => [entry.id, entry]));
+    }
+
+    /**
+     * 保存历史记录；payload 为关键帧的 { content } 或差异的 { delta, preview }
+     * @private
+     */
+    async _writeHistory(notebookId, meta, baseId, payload) {
+        const key = this.keys.get(notebookId);
+        const entry = { ...meta, ...(baseId ? { baseId } : { keyframe: true }), content: '' };
+        if (key) {
+            entry.encrypted = await encryptData(payload, key);
+        } else {
+            Object.assign(entry, payload);
+        }
+        await this.storage.saveHistory(meta.noteId, entry);
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    async _readHistoryPayload(notebookId, entry) {
+        if (entry.encrypted !== undefined) {
+            return decryptData(entry.encrypted, this._requireKey(notebookId));
+        }
+        return isKeyframe(entry)
+            ? { content: entry.content }
+            : { delta: entry.delta, preview: entry.preview };
+    }
+
+    /**
+     * 沿依赖链还原记录内容；cache 保存已还原的内容（记录 ID -> 内容），同一次操作内复用
+     * @private
+     */
+    async _reconstructHistory(notebookId, entries, entryId, cache = new Map()) {
+        const chain = resolveChain(entries, entryId);
+        let start = chain.length - 1;
+        while (start > 0 && !cache.has(chain[start].id)) {
+            start--;
+        }
+
+        let content = cache.get(chain[start].id);
+        if (content === undefined) {
+            content = rebuildContent([await this._readHistoryPayload(notebookId, chain[0])]);
+            cache.set(chain[0].id, content);
+        }
+        for (const entry of chain.slice(start + 1)) {
+            content = rebuildContent([{ content }, await this._readHistoryPayload(notebookId, entry)]);
+            cache.set(entry.id, content);
+        }
+        return content;
+    }
+
+    /**
+     * 删除历史记录，依赖它们的记录先改为依赖仍保留的记录（或改为关键帧）
+     * @private
+     */
+    async _removeHistory(notebookId, noteId, entries, entryIds) {
+        if (entryIds.length === 0) return;
+        const removed = new Set(entryIds);
+        const cache = new Map();
+
+        for (const { entry, baseId } of planRebase(entries, removed)) {
+            try {
+                const content = await this._reconstructHistory(notebookId, entries, entry.id, cache);
+                const payload = baseId
+                    ? {
+                        delta: createDelta(await this._reconstructHistory(notebookId, entries, baseId, cache), content),
+                        preview: content.slice(0, HISTORY_PREVIEW_LENGTH)
+                    }
+                    : { content };
+                entries.set(entry.id, await this._writeHistory(notebookId, historyMeta(entry), baseId, payload));
+            } catch (err) {
+                console.warn(`Dropping unrecoverable history entry ${entry.id}:`, err);
+                removed.add(entry.id);
+            }
+        }
+        await this.storage.deleteHistory(noteId, [...removed]);
+    }
+
+    /**
+     * 把以完整内容保存的历史记录转换为关键帧与差异，并按当前密钥加密
+     * @private
+     */
+    async _compactHistory(notebookId, noteId) {
+        const entries = await this._loadHistory(noteId);
+        const stale = [...entries.values()].some((entry) =>
+            isLegacyEntry(entry) || (entry.encrypted === undefined && this.keys.has(notebookId)));
+        if (!stale) return;
+
+        // 按时间降序，每 KEYFRAME_INTERVAL 条一个关键帧，其余依赖较新的一条
+        const newestFirst = [...entries.values()].sort((a, b) => b.timestamp - a.timestamp);
+        let newer = null;
+        let segment = 0;
+        for (const entry of newestFirst) {
+            let content;
+            try {
+                content = await this._reconstructHistory(notebookId, entries, entry.id);
+            } catch (err) {
+                console.warn(`Dropping unrecoverable history entry ${entry.id}:`, err);
+                await this.storage.deleteHistory(noteId, [entry.id]);
+                continue;
+            }
+            const baseId = newer && segment < KEYFRAME_INTERVAL ? newer.id : null;
+            segment = baseId ? segment + 1 : 1;
+            const payload = baseId
+                ? { delta: createDelta(newer.content, content), preview: content.slice(0, HISTORY_PREVIEW_LENGTH) }
+                : { content };
+            entries.set(entry.id, await this._writeHistory(notebookId, historyMeta(entry), baseId, payload));
+            newer = { id: entry.id, content };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _requireKey(notebookId) {
+        const key = this.keys.get(notebookId);
+        if (!key) {
+            throw new Error(`Notebook ${notebookId} is locked`);
+        }
+        return key;
+    }
+
+    /**
+     * @private
+     */
+    _serialize(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import LocalStorageAdapter from '../../storage/LocalStorageAdapter';
+import NoteLibrary, { createNoteId, isDefaultNote } from '../NoteLibrary';
+import { RETENTION_POLICIES, KEYFRAME_INTERVAL } from '../../history';
+
+const ROOM = 'a'.repeat(64);
+const OTHER_ROOM = 'b'.repeat(64);
+const KEY = '0123456789abcdef'.repeat(4);
+
+describe('NoteLibrary', () => {
+    let storage;
+    let library;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        storage = new LocalStorageAdapter({ prefix: 'test_' });
+        await storage.initialize();
+        library = new NoteLibrary(storage);
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        localStorage.clear();
+    });
+
+    it('should create 32-character hex note ids', () => {
+        expect(createNoteId()).toMatch(/^[0-9a-f]{32}$/);
+        expect(createNoteId()).not.toBe(createNoteId());
+    });
+
+    it('should treat the note named after the notebook as the default note', () => {
+        expect(isDefaultNote(ROOM, ROOM)).toBe(true);
+        expect(isDefaultNote(ROOM, createNoteId())).toBe(false);
+    });
+
+    describe('openNotebook', () => {
+        it('should create the notebook with its default note', async () => {
+            const notes = await library.openNotebook(ROOM, 'Chain');
+
+            expect(await storage.getNotebook(ROOM)).toMatchObject({ id: ROOM, name: 'Chain', roomId: ROOM });
+            expect(notes).toHaveLength(1);
+            expect(notes[0]).toMatchObject({ id: ROOM, title: '', content: '' });
+        });
+
+        it('should seed the default note from an existing sync base', async () => {
+            await storage.saveSyncBase(ROOM, { content: 'synced before', title: 'Old', version: 4 });
+
+            const notes = await library.openNotebook(ROOM, 'Chain');
+
+            expect(notes[0]).toMatchObject({ id: ROOM, title: 'Old', content: 'synced before' });
+        });
+
+        it('should keep existing notes when opened again', async () => {
+            await library.openNotebook(ROOM, 'Chain');
+            await library.updateNote(ROOM, ROOM, { content: 'edited' });
+            await library.createNote(ROOM, { title: 'Second' });
+
+            const notes = await library.openNotebook(ROOM, 'Chain');
+
+            expect(notes).toHaveLength(2);
+            expect((await library.getNote(ROOM, ROOM)).content).toBe('edited');
+        });
+    });
+
+    describe('note operations', () => {
+        beforeEach(async () => {
+            await library.openNotebook(ROOM, 'Chain');
+        });
+
+        it('should create and update notes', async () => {
+            const note = await library.createNote(ROOM, { title: 'Plan' });
+            await library.updateNote(ROOM, note.id, { content: 'step 1' });
+
+            expect(await library.getNote(ROOM, note.id)).toMatchObject({ title: 'Plan', content: 'step 1' });
+        });
+
+        it('should create a note from another device on first update', async () => {
+            const id = createNoteId();
+            await library.updateNote(ROOM, id, { content: 'remote', title: 'From elsewhere' });
+
+            expect(await library.getNote(ROOM, id)).toMatchObject({ content: 'remote', title: 'From elsewhere' });
+        });
+
+        it('should not lose concurrent updates of one note', async () => {
+            const note = await library.createNote(ROOM);
+            await Promise.all([
+                library.updateNote(ROOM, note.id, { title: 'Title' }),
+                library.updateNote(ROOM, note.id, { content: 'Body' }),
+            ]);
+
+            expect(await library.getNote(ROOM, note.id)).toMatchObject({ title: 'Title', content: 'Body' });
+        });
+
+        it('should delete notes but not the default note', async () => {
+            const note = await library.createNote(ROOM);
+            await library.deleteNote(ROOM, note.id);
+
+            expect(await library.getNote(ROOM, note.id)).toBeNull();
+            await expect(library.deleteNote(ROOM, note.id)).resolves.toBeUndefined();
+            await expect(library.deleteNote(ROOM, ROOM)).rejects.toThrow();
+        });
+
+        it('should move a note to another notebook under a new id', async () => {
+            await library.unlock(OTHER_ROOM, KEY);
+            await library.openNotebook(OTHER_ROOM, 'Other');
+            const note = await library.createNote(ROOM, { title: 'Travel', content: 'pack' });
+
+            const moved = await library.moveNote(ROOM, note.id, OTHER_ROOM);
+
+            expect(moved.id).not.toBe(note.id);
+            expect(moved).toMatchObject({ title: 'Travel', content: 'pack' });
+            expect(await library.getNote(ROOM, note.id)).toBeNull();
+            expect(await library.getNote(OTHER_ROOM, moved.id)).toMatchObject({ content: 'pack' });
+        });
+
+        it('should reject invalid moves', async () => {
+            const note = await library.createNote(ROOM);
+
+            await expect(library.moveNote(ROOM, ROOM, OTHER_ROOM)).rejects.toThrow();
+            await expect(library.moveNote(ROOM, note.id, OTHER_ROOM)).rejects.toThrow();
+            await expect(library.moveNote(ROOM, note.id, ROOM)).rejects.toThrow();
+            await expect(library.moveNote(ROOM, createNoteId(), ROOM)).rejects.toThrow();
+            expect(await library.getNote(ROOM, note.id)).not.toBeNull();
+        });
+    });
+
+    describe('encryption at rest', () => {
+        it('should store titles and contents encrypted once unlocked', async () => {
+            await library.unlock(ROOM, KEY);
+            await library.openNotebook(ROOM, 'Chain');
+            const note = await library.createNote(ROOM, { title: 'Secret plan', content: 'meet at noon' });
+            await library.saveSyncBase(ROOM, note.id, { noteId: note.id, content: 'meet', title: 'Secret plan', version: 3 });
+
+            const raw = await storage.getNote(ROOM, note.id);
+            expect(raw.title).toBe('');
+            expect(raw.content).toBe('');
+            expect(raw.encrypted).not.toContain('noon');
+            expect(JSON.stringify(await storage.getSyncBase(note.id))).not.toContain('meet');
+
+            expect(await library.getNote(ROOM, note.id)).toMatchObject({ title: 'Secret plan', content: 'meet at noon' });
+            expect(await library.getSyncBase(ROOM, note.id)).toMatchObject({ content: 'meet', title: 'Secret plan', version: 3 });
+        });
+
+        it('should encrypt notes stored in plaintext before', async () => {
+            await library.openNotebook(ROOM, 'Chain');
+            await library.updateNote(ROOM, ROOM, { content: 'written before unlock' });
+            await library.saveSyncBase(ROOM, ROOM, { noteId: ROOM, content: 'synced', version: 1 });
+
+            await library.unlock(ROOM, KEY);
+
+            expect((await storage.getNote(ROOM, ROOM)).encrypted).toBeDefined();
+            expect((await storage.getSyncBase(ROOM)).encrypted).toBeDefined();
+            expect((await library.getNote(ROOM, ROOM)).content).toBe('written before unlock');
+            expect((await library.getSyncBase(ROOM, ROOM)).content).toBe('synced');
+        });
+
+        it('should not read encrypted notes without the key', async () => {
+            await library.unlock(ROOM, KEY);
+            await library.openNotebook(ROOM, 'Chain');
+            await library.updateNote(ROOM, ROOM, { content: 'locked away' });
+
+            const locked = new NoteLibrary(storage);
+            await expect(locked.listNotes(ROOM)).rejects.toThrow(/locked/);
+
+            const wrongKey = new NoteLibrary(storage);
+            await wrongKey.unlock(ROOM, 'f'.repeat(64));
+            await expect(wrongKey.getNote(ROOM, ROOM)).rejects.toThrow();
+        });
+
+        it('should not move notes into a locked notebook', async () => {
+            await library.unlock(ROOM, KEY);
+            await library.openNotebook(ROOM, 'Chain');
+            await library.openNotebook(OTHER_ROOM, 'Other');
+            const note = await library.createNote(ROOM, { title: 'Secret plan', content: 'meet at noon' });
+
+            await expect(library.moveNote(ROOM, note.id, OTHER_ROOM)).rejects.toThrow(/locked/);
+
+            expect(JSON.stringify(await storage.listNotes(OTHER_ROOM))).not.toMatch(/noon|Secret/);
+            expect(await library.getNote(ROOM, note.id)).toMatchObject({ content: 'meet at noon' });
+        });
+    });
+
+    describe('history', () => {
+        const policy = RETENTION_POLICIES.keepAll;
+        const contentsOf = async (noteId) => Promise.all(
+            (await library.getHistory(ROOM, noteId)).map((entry) => library.getHistoryContent(ROOM, noteId, entry.id))
+        );
+
+        beforeEach(async () => {
+            storage.maxHistoryPerNote = 1000;
+            await library.unlock(ROOM, KEY);
+            await library.openNotebook(ROOM, 'Chain');
+        });
+
+        it('should store history entries encrypted and list them newest first', async () => {
+            await library.addHistory(ROOM, ROOM, { content: 'first draft', deviceName: 'laptop', timestamp: 1000 }, policy);
+            await library.addHistory(ROOM, ROOM, { content: 'second draft', timestamp: 2000 }, policy);
+
+            const raw = await storage.getHistory(ROOM);
+            expect(JSON.stringify(raw)).not.toContain('draft');
+
+            const history = await library.getHistory(ROOM, ROOM);
+            expect(history.map((entry) => entry.preview)).toEqual(['second draft', 'first draft']);
+            expect(history[1].deviceName).toBe('laptop');
+            expect(await contentsOf(ROOM)).toEqual(['second draft', 'first draft']);
+        });
+
+        it('should skip content already in the history', async () => {
+            expect(await library.addHistory(ROOM, ROOM, { content: 'same text', timestamp: 1000 }, policy)).toBe(true);
+            expect(await library.addHistory(ROOM, ROOM, { content: 'other text', timestamp: 2000 }, policy)).toBe(true);
+            expect(await library.addHistory(ROOM, ROOM, { content: 'same text', timestamp: 3000 }, policy)).toBe(false);
+
+            expect(await library.getHistory(ROOM, ROOM)).toHaveLength(2);
+        });
+
+        it('should apply the retention policy when adding entries', async () => {
+            const now = Date.now();
+            const compact = RETENTION_POLICIES.compact;
+            await library.addHistory(ROOM, ROOM, { content: 'a month and more ago', timestamp: now - 40 * 24 * 3600 * 1000 }, compact);
+            await library.addHistory(ROOM, ROOM, { content: 'just now', timestamp: now }, compact);
+
+            expect(await contentsOf(ROOM)).toEqual(['just now']);
+        });
+
+        it('should delete selected or all history entries', async () => {
+            await library.addHistory(ROOM, ROOM, { content: 'keep this one', timestamp: 1000 }, policy);
+            await library.addHistory(ROOM, ROOM, { content: 'drop this one', timestamp: 2000 }, policy);
+            const [newest] = await library.getHistory(ROOM, ROOM);
+
+            await library.deleteHistory(ROOM, ROOM, [newest.id]);
+            expect(await contentsOf(ROOM)).toEqual(['keep this one']);
+
+            await library.deleteHistory(ROOM, ROOM);
+            expect(await library.getHistory(ROOM, ROOM)).toEqual([]);
+        });
+
+        it('should store older entries as differences from newer ones', async () => {
+            const body = 'x'.repeat(10000);
+            const versions = Array.from({ length: 5 }, (_, i) => `${body} edit ${i}`);
+            for (const [i, content] of versions.entries()) {
+                await library.addHistory(ROOM, ROOM, { content, timestamp: 1000 * (i + 1) }, policy);
+            }
+
+            const raw = await storage.getHistory(ROOM);
+            expect(raw.filter((entry) => entry.keyframe)).toHaveLength(1);
+            expect(JSON.stringify(raw).length).toBeLessThan(2 * 10000 * 1.5);
+            expect(await contentsOf(ROOM)).toEqual([...versions].reverse());
+        });
+
+        it('should start a new keyframe once a segment is full', async () => {
+            for (let i = 0; i < KEYFRAME_INTERVAL + 1; i++) {
+                await library.addHistory(ROOM, ROOM, { content: `version number ${i}`, timestamp: 1000 * (i + 1) }, policy);
+            }
+
+            const raw = await storage.getHistory(ROOM, 1000);
+            expect(raw.filter((entry) => entry.keyframe)).toHaveLength(2);
+            expect((await contentsOf(ROOM)).at(-1)).toBe('version number 0');
+        });
+
+        it('should keep older entries readable when the entries they depend on are deleted', async () => {
+            for (let i = 0; i < 6; i++) {
+                await library.addHistory(ROOM, ROOM, { content: `version number ${i}`, timestamp: 1000 * (i + 1) }, policy);
+            }
+            const history = await library.getHistory(ROOM, ROOM);
+
+            // 删除最新的关键帧和中间的两条差异
+            await library.deleteHistory(ROOM, ROOM, [history[0].id, history[2].id, history[3].id]);
+            expect(await contentsOf(ROOM)).toEqual(['version number 4', 'version number 1', 'version number 0']);
+        });
+
+        it('should convert full-content entries when the notebook is unlocked', async () => {
+            const locked = new NoteLibrary(storage);
+            const contents = ['old one', 'old two', 'old three'];
+            for (const [i, content] of contents.entries()) {
+                await storage.saveHistory(ROOM, { id: `legacy-${i}`, noteId: ROOM, content, timestamp: 1000 * (i + 1) });
+            }
+
+            await locked.unlock(ROOM, KEY);
+
+            const raw = await storage.getHistory(ROOM);
+            expect(raw.every((entry) => entry.encrypted !== undefined)).toBe(true);
+            expect(raw.filter((entry) => entry.baseId)).toHaveLength(2);
+            library = locked;
+            expect(await contentsOf(ROOM)).toEqual([...contents].reverse());
+        });
+    });
+});
@@ -0,0 +1,5 @@
+/**
+ * 笔记库模块导出
+ */
+
+export { default as NoteLibrary, createNoteId, isDefaultNote } from './NoteLibrary';
@@ -0,0 +1,171 @@
+/**
+ * 远程光标与选区
+ * 其他设备通过加密的 presence 事件广播自己的选区，编辑器用 CodeMirror
+ * 装饰显示：选中部分按设备颜色高亮，光标处显示带设备名的插入符。
+ * 本地文档变化时装饰随之映射，直到该设备发送新的选区。
+ */
+
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView, WidgetType } from '@codemirror/view';
+
+// 单个设备最多显示的选区数量（多光标编辑时）
+export const MAX_REMOTE_RANGES = 20;
+
+/**
+ * 选区
+ * @typedef {Object} SelectionRange
+ * @property {number} anchor - 选区起点
+ * @property {number} head - 光标位置
+ */
+
+/**
+ * 远程设备的选区
+ * @typedef {Object} RemoteSelection
+ * @property {string} id - 设备的连接 ID
+ * @property {string} name - 设备名
+ * @property {string} color - 显示颜色
+ * @property {SelectionRange[]} ranges
+ */
+
+/**
+ * 由设备名得到稳定的颜色：同一设备重连后颜色不变
+ * @param {string} name
+ * @returns {string} hsl 颜色
+ */
+export const colorForDevice = (name) => {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) {
+        hash = ((hash << 5) - hash + name.charCodeAt(i)) | 0;
+    }
+    // 黄金角分布色相，相近的哈希值也能得到区分明显的颜色
+    const hue = Math.round(((hash >>> 0) * 137.508) % 360);
+    return `hsl(${hue}, 70%, 50%)`;
+};
+
+/**
+ * 校验并整理收到的选区列表
+ * @param {unknown} ranges
+ * @returns {SelectionRange[]} 格式无效时为空数组
+ */
+export const normalizeRanges = (ranges) => {
+    if (!Array.isArray(ranges)) {
+        return [];
+    }
+    return ranges
+        .filter(range => range &&
+            Number.isInteger(range.anchor) && range.anchor >= 0 &&
+            Number.isInteger(range.head) && range.head >= 0)
+        .slice(0, MAX_REMOTE_RANGES)
+        .map(({ anchor, head }) => ({ anchor, head }));
+};
+
+/**
+ * 替换全部远程选区
+ * @type {import('@codemirror/state').StateEffectType<RemoteSelection[]>}
+ */
+export const setRemoteSelections = StateEffect.define();
+
+class RemoteCaretWidget extends WidgetType {
+    constructor(name, color) {
+        super();
+        this.name = name;
+        this.color = color;
+    }
+
+    eq(other) {
+        return other.name === this.name && other.color === this.color;
+    }
+
+    toDOM() {
+        const caret = document.createElement('span');
+        caret.className = 'cm-remote-caret';
+        caret.style.borderLeftColor = this.color;
+
+        const label = document.createElement('span');
+        label.className = 'cm-remote-caret-label';
+        label.style.backgroundColor = this.color;
+        label.textContent = this.name;
+        caret.appendChild(label);
+        return caret;
+    }
+
+    ignoreEvent() {
+        return true;
+    }
+}
+
+/**
+ * 生成装饰；超出文档范围的位置截断到文档末尾
+ * @param {RemoteSelection[]} selections
+ * @param {number} docLength
+ */
+const buildDecorations = (selections, docLength) => {
+    const decorations = [];
+    for (const { name, color, ranges } of selections) {
+        for (const range of ranges) {
+            const anchor = Math.min(range.anchor, docLength);
+            const head = Math.min(range.head, docLength);
+            if (anchor !== head) {
+                decorations.push(Decoration.mark({
+                    class: 'cm-remote-selection',
+                    attributes: { style: `background-color: color-mix(in srgb, ${color} 25%, transparent)` }
+                }).range(Math.min(anchor, head), Math.max(anchor, head)));
+            }
+            decorations.push(Decoration.widget({
+                widget: new RemoteCaretWidget(name, color),
+                side: 1
+            }).range(head));
+        }
+    }
+    return Decoration.set(decorations, true);
+};
+
+const remoteSelectionField = StateField.define({
+    create() {
+        return Decoration.none;
+    },
+    update(decorations, tr) {
+        let next = decorations.map(tr.changes);
+        for (const effect of tr.effects) {
+            if (effect.is(setRemoteSelections)) {
+                next = buildDecorations(effect.value, tr.state.doc.length);
+            }
+        }
+        return next;
+    },
+    provide: field => EditorView.decorations.from(field)
+});
+
+const remoteSelectionTheme = EditorView.baseTheme({
+    '.cm-remote-caret': {
+        position: 'relative',
+        borderLeft: '2px solid',
+        marginLeft: '-1px',
+        marginRight: '-1px'
+    },
+    '.cm-remote-caret-label': {
+        position: 'absolute',
+        bottom: '100%',
+        left: '-2px',
+        padding: '0 4px',
+        borderRadius: '3px 3px 3px 0',
+        color: '#ffffff',
+        fontSize: '10px',
+        lineHeight: '14px',
+        whiteSpace: 'nowrap',
+        pointerEvents: 'none',
+        userSelect: 'none'
+    }
+});
+
+/**
+ * 编辑器扩展：显示通过 setRemoteSelections 设置的远程选区
+ * @returns {import('@codemirror/state').Extension}
+ */
+export const remoteSelections = () => [remoteSelectionField, remoteSelectionTheme];
+
+/**
+ * 读取当前的远程选区装饰（用于测试）
+ * @param {import('@codemirror/state').EditorState} state
+ */
+export const getRemoteDecorations = (state) => state.field(remoteSelectionField, false) || Decoration.none;
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import {
+    remoteSelections,
+    setRemoteSelections,
+    colorForDevice,
+    normalizeRanges,
+    getRemoteDecorations,
+    MAX_REMOTE_RANGES,
+} from '../RemoteSelections';
+
+const collect = (state) => {
+    const found = [];
+    getRemoteDecorations(state).between(0, state.doc.length, (from, to, decoration) => {
+        found.push({ from, to, widget: !!decoration.spec.widget });
+    });
+    return found;
+};
+
+describe('RemoteSelections', () => {
+    describe('colorForDevice', () => {
+        it('should give the same device the same color', () => {
+            expect(colorForDevice('Laptop')).toBe(colorForDevice('Laptop'));
+            expect(colorForDevice('Laptop')).toMatch(/^hsl\(\d+, 70%, 50%\)$/);
+        });
+
+        it('should tell similar device names apart', () => {
+            expect(colorForDevice('Device 1')).not.toBe(colorForDevice('Device 2'));
+        });
+    });
+
+    describe('normalizeRanges', () => {
+        it('should keep only well-formed ranges', () => {
+            expect(normalizeRanges([
+                { anchor: 1, head: 3, extra: true },
+                { anchor: -1, head: 2 },
+                { anchor: 1.5, head: 2 },
+                null,
+            ])).toEqual([{ anchor: 1, head: 3 }]);
+            expect(normalizeRanges('nope')).toEqual([]);
+        });
+
+        it('should cap the number of ranges', () => {
+            const ranges = Array.from({ length: MAX_REMOTE_RANGES + 5 }, (_, i) => ({ anchor: i, head: i }));
+            expect(normalizeRanges(ranges)).toHaveLength(MAX_REMOTE_RANGES);
+        });
+    });
+
+    describe('decorations', () => {
+        const device = { id: 'socket-1', name: 'Phone', color: colorForDevice('Phone') };
+
+        it('should draw a caret and a highlight for each range', () => {
+            const state = EditorState.create({ doc: 'Hello World', extensions: remoteSelections() });
+            const next = state.update({
+                effects: setRemoteSelections.of([{ ...device, ranges: [{ anchor: 0, head: 5 }, { anchor: 8, head: 8 }] }]),
+            }).state;
+
+            expect(collect(next)).toEqual([
+                { from: 0, to: 5, widget: false },
+                { from: 5, to: 5, widget: true },
+                { from: 8, to: 8, widget: true },
+            ]);
+        });
+
+        it('should clamp positions beyond the local document', () => {
+            const state = EditorState.create({ doc: 'Hi', extensions: remoteSelections() });
+            const next = state.update({
+                effects: setRemoteSelections.of([{ ...device, ranges: [{ anchor: 1, head: 40 }] }]),
+            }).state;
+
+            expect(collect(next)).toEqual([
+                { from: 1, to: 2, widget: false },
+                { from: 2, to: 2, widget: true },
+            ]);
+        });
+
+        it('should follow local edits until the next update', () => {
+            let state = EditorState.create({ doc: 'Hello World', extensions: remoteSelections() });
+            state = state.update({
+                effects: setRemoteSelections.of([{ ...device, ranges: [{ anchor: 6, head: 6 }] }]),
+            }).state;
+            state = state.update({ changes: { from: 0, insert: '>> ' } }).state;
+
+            expect(collect(state)).toEqual([{ from: 9, to: 9, widget: true }]);
+
+            state = state.update({ effects: setRemoteSelections.of([]) }).state;
+            expect(collect(state)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,11 @@
+/**
+ * 在线状态模块导出
+ */
+
+export {
+    remoteSelections,
+    setRemoteSelections,
+    colorForDevice,
+    normalizeRanges,
+    MAX_REMOTE_RANGES
+} from './RemoteSelections';
@@ -8,8 +8,8 @@
  * @typedef {Object} Notebook
  * @property {string} id - 笔记本唯一标识符
  * @property {string} name - 笔记本名称
- * @property {string} mnemonic - 12词助记词
- * @property {string} encryptionKey - 加密密钥
+ * @property {string} [mnemonic] - 12词助记词（同步链对应的笔记本不保存）
+ * @property {string} [encryptionKey] - 加密密钥（同步链对应的笔记本不保存）
  * @property {string} roomId - 服务器房间ID
  * @property {number} createdAt - 创建时间戳
  * @property {number} updatedAt - 更新时间戳
@@ -26,6 +26,7 @@
  * @property {number} createdAt - 创建时间戳
  * @property {number} updatedAt - 更新时间戳
  * @property {number} version - 版本号
+ * @property {string} [encrypted] - 静态加密的 { title, content }，此时 title 与 content 为空
  */
 
 /**
@@ -33,12 +34,17 @@
  * @typedef {Object} HistoryEntry
  * @property {string} id - 历史记录唯一标识符
  * @property {string} noteId - 关联的笔记ID
- * @property {string} content - 历史内容
- * @property {string} [delta] - 与前一版本的差异
+ * @property {string} content - 历史内容（关键帧），差异记录与加密记录为空
+ * @property {import('../sync/TextOperations').TextOperation[]} [delta] - 把 baseId 记录的内容变为本条内容的操作
+ * @property {string} [baseId] - 差异所依据的较新记录，关键帧没有
+ * @property {boolean} [keyframe] - 增量压缩后保存的关键帧
+ * @property {string} [preview] - 差异记录的内容预览
  * @property {number} version - 版本号
  * @property {number} timestamp - 时间戳
  * @property {string} deviceName - 设备名称
  * @property {string[]} tags - 标签列表
+ * @property {string} [hash] - 内容摘要，用于识别重复的记录
+ * @property {string} [encrypted] - 静态加密的 { content } 或 { delta, preview }，此时这些字段为空
  */
 
 /**
@@ -53,6 +59,17 @@
  * @property {number} retries - 重试次数
  */
 
+/**
+ * 同步基线：本地与服务器最后一次达成一致的内容，作为三路合并的共同祖先
+ * @typedef {Object} SyncBase
+ * @property {string} noteId - 笔记ID
+ * @property {string} content - 基线内容
+ * @property {string} [title] - 基线对应的笔记标题
+ * @property {number} version - 基线对应的服务器版本号
+ * @property {number} timestamp - 记录时间戳
+ * @property {string} [encrypted] - 静态加密的 { content, title }，此时 content 与 title 为空
+ */
+
 /**
  * 客户端存储抽象类
  */
@@ -183,6 +200,37 @@ class ClientStorage {
         throw new Error('cleanupHistory method must be implemented');
     }
 
+    /**
+     * 删除指定的历史记录
+     * @param {string} noteId - 笔记ID
+     * @param {string[]} entryIds - 历史记录ID
+     * @returns {Promise<void>}
+     */
+    async deleteHistory(noteId, entryIds) {
+        throw new Error('deleteHistory method must be implemented');
+    }
+
+    // ========== 同步基线操作 ==========
+
+    /**
+     * 保存同步基线（每个笔记只保留最新一条）
+     * @param {string} noteId - 笔记ID
+     * @param {SyncBase} base - 同步基线
+     * @returns {Promise<void>}
+     */
+    async saveSyncBase(noteId, base) {
+        throw new Error('saveSyncBase method must be implemented');
+    }
+
+    /**
+     * 获取同步基线
+     * @param {string} noteId - 笔记ID
+     * @returns {Promise<SyncBase|null>}
+     */
+    async getSyncBase(noteId) {
+        throw new Error('getSyncBase method must be implemented');
+    }
+
     // ========== 离线队列操作 ==========
 
     /**
@@ -9,7 +9,7 @@ class IndexedDBStorage extends ClientStorage {
         super();
 
         this.dbName = options.dbName || 'NoteSyncDB';
-        this.version = options.version || 1;
+        this.version = options.version || 2;
         this.db = null;
         this.isInitialized = false;
 
@@ -68,6 +68,11 @@ class IndexedDBStorage extends ClientStorage {
                     historyStore.createIndex('noteId_timestamp', ['noteId', 'timestamp'], { unique: false });
                 }
 
+                // 创建 syncBases 存储（v2）
+                if (!db.objectStoreNames.contains('syncBases')) {
+                    db.createObjectStore('syncBases', { keyPath: 'noteId' });
+                }
+
                 // 创建 pendingOps 存储
                 if (!db.objectStoreNames.contains('pendingOps')) {
                     const opsStore = db.createObjectStore('pendingOps', { keyPath: 'id' });
@@ -297,10 +302,11 @@ class IndexedDBStorage extends ClientStorage {
             throw new Error(`Note ${noteId} not found in notebook ${notebookId}`);
         }
 
-        const transaction = this.db.transaction(['notes', 'history'], 'readwrite');
+        const transaction = this.db.transaction(['notes', 'history', 'syncBases'], 'readwrite');
 
-        // 删除笔记
+        // 删除笔记及其同步基线
         transaction.objectStore('notes').delete(noteId);
+        transaction.objectStore('syncBases').delete(noteId);
 
         // 删除历史记录
         const historyStore = transaction.objectStore('history');
@@ -407,6 +413,46 @@ class IndexedDBStorage extends ClientStorage {
         });
     }
 
+    async deleteHistory(noteId, entryIds) {
+        this._ensureInitialized();
+
+        if (entryIds.length === 0) {
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['history'], 'readwrite');
+            const store = transaction.objectStore('history');
+            entryIds.forEach(entryId => store.delete(entryId));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // ========== 同步基线操作 ==========
+
+    async saveSyncBase(noteId, base) {
+        if (!noteId || typeof base?.content !== 'string') {
+            throw new Error('Invalid sync base: noteId and content are required');
+        }
+
+        await this._transaction('syncBases', 'readwrite', (store) => {
+            return store.put({
+                ...base,
+                noteId,
+                timestamp: base.timestamp || Date.now()
+            });
+        });
+    }
+
+    async getSyncBase(noteId) {
+        const base = await this._transaction('syncBases', 'readonly', (store) => {
+            return store.get(noteId);
+        });
+        return base || null;
+    }
+
     // ========== 离线队列操作 ==========
 
     async enqueueOperation(op) {
@@ -284,6 +284,9 @@ class LocalStorageAdapter extends ClientStorage {
         const historyIndexKey = this._key('history', 'index', noteId);
         localStorage.removeItem(historyIndexKey);
 
+        // 删除同步基线
+        localStorage.removeItem(this._key('base', noteId));
+
         console.log(`Deleted note from LocalStorage: ${noteId}`);
     }
 
@@ -362,6 +365,43 @@ class LocalStorageAdapter extends ClientStorage {
         return toDelete.length;
     }
 
+    async deleteHistory(noteId, entryIds) {
+        this._ensureInitialized();
+
+        if (entryIds.length === 0) {
+            return;
+        }
+
+        entryIds.forEach(entryId => {
+            localStorage.removeItem(this._key('history', noteId, entryId));
+        });
+
+        const indexKey = this._key('history', 'index', noteId);
+        const index = this._getJSON(indexKey) || [];
+        this._setJSON(indexKey, index.filter(id => !entryIds.includes(id)));
+    }
+
+    // ========== 同步基线操作 ==========
+
+    async saveSyncBase(noteId, base) {
+        this._ensureInitialized();
+
+        if (!noteId || typeof base?.content !== 'string') {
+            throw new Error('Invalid sync base: noteId and content are required');
+        }
+
+        this._setJSON(this._key('base', noteId), {
+            ...base,
+            noteId,
+            timestamp: base.timestamp || Date.now()
+        });
+    }
+
+    async getSyncBase(noteId) {
+        this._ensureInitialized();
+        return this._getJSON(this._key('base', noteId));
+    }
+
     // ========== 离线队列操作 ==========
 
     async enqueueOperation(op) {
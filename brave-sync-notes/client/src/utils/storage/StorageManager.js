@@ -136,6 +136,21 @@ class StorageManager {
         return this.storage.cleanupHistory(noteId, keepCount);
     }
 
+    async deleteHistory(noteId, entryIds) {
+        this._ensureInitialized();
+        return this.storage.deleteHistory(noteId, entryIds);
+    }
+
+    async saveSyncBase(noteId, base) {
+        this._ensureInitialized();
+        return this.storage.saveSyncBase(noteId, base);
+    }
+
+    async getSyncBase(noteId) {
+        this._ensureInitialized();
+        return this.storage.getSyncBase(noteId);
+    }
+
     async enqueueOperation(op) {
         this._ensureInitialized();
         return this.storage.enqueueOperation(op);
@@ -204,6 +204,41 @@ describe('LocalStorageAdapter', () => {
             const remaining = await storage.getHistory(noteId);
             expect(remaining.length).toBeLessThanOrEqual(50);
         });
+
+        it('should delete specific history entries', async () => {
+            for (let i = 0; i < 3; i++) {
+                await storage.saveHistory(noteId, { ...testHistory, id: `history-${i}` });
+            }
+
+            await storage.deleteHistory(noteId, ['history-0', 'history-2']);
+
+            const remaining = await storage.getHistory(noteId);
+            expect(remaining.map((entry) => entry.id)).toEqual(['history-1']);
+        });
+    });
+
+    describe('Sync Base Operations', () => {
+        it('should save and get the sync base of a note', async () => {
+            await storage.saveSyncBase('note-1', { content: 'Base', version: 3 });
+
+            const base = await storage.getSyncBase('note-1');
+            expect(base.noteId).toBe('note-1');
+            expect(base.content).toBe('Base');
+            expect(base.version).toBe(3);
+        });
+
+        it('should keep only the latest sync base', async () => {
+            await storage.saveSyncBase('note-1', { content: 'Old', version: 1 });
+            await storage.saveSyncBase('note-1', { content: 'New', version: 2 });
+
+            const base = await storage.getSyncBase('note-1');
+            expect(base.content).toBe('New');
+            expect(base.version).toBe(2);
+        });
+
+        it('should return null for unknown notes', async () => {
+            expect(await storage.getSyncBase('missing')).toBeNull();
+        });
     });
 
     describe('Offline Queue Operations', () => {
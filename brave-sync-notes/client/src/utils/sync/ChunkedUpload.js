@@ -0,0 +1,184 @@
+/**
+ * 可续传的分块上传
+ * 一次推送对应一个上传会话：密文按固定大小切块，每块附带 SHA-256 校验和。
+ * 客户端记录已确认的分块，断线重连后根据服务器返回的位图只重发缺失的分块。
+ */
+
+const textEncoder = new TextEncoder();
+
+const bytesToHex = (bytes) =>
+    Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * 计算分块校验和
+ * @param {string} data
+ * @returns {Promise<string>} SHA-256 十六进制
+ */
+export const checksumChunk = async (data) => {
+    const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(data));
+    return bytesToHex(new Uint8Array(digest));
+};
+
+/**
+ * 把已收到的分块序号编码为位图（第 i 位表示第 i 块），Base64 传输
+ * @param {Iterable<number>} indices
+ * @param {number} total
+ * @returns {string}
+ */
+export const encodeBitmap = (indices, total) => {
+    const bytes = new Uint8Array(Math.ceil(total / 8));
+    for (const index of indices) {
+        bytes[index >> 3] |= 1 << (index & 7);
+    }
+    let binary = '';
+    bytes.forEach((b) => {
+        binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+};
+
+/**
+ * 解码位图
+ * @param {string} bitmap
+ * @param {number} total
+ * @returns {Set<number>} 已收到的分块序号
+ */
+export const decodeBitmap = (bitmap, total) => {
+    const bytes = Uint8Array.from(atob(bitmap || ''), (c) => c.charCodeAt(0));
+    const indices = new Set();
+    for (let i = 0; i < total; i++) {
+        if (bytes[i >> 3] & (1 << (i & 7))) {
+            indices.add(i);
+        }
+    }
+    return indices;
+};
+
+class ChunkedUpload {
+    /**
+     * @param {Object} options
+     * @param {string} options.roomId
+     * @param {string} options.sessionId
+     * @param {Array<{index: number, data: string, checksum: string}>} options.chunks
+     * @param {string} options.content - 上传的明文内容，确认后用于更新同步基线
+     * @param {number} [options.baseVersion] - 内容所基于的服务器版本号
+     * @param {number} [options.timestamp]
+     */
+    constructor({ roomId, noteId = null, sessionId, chunks, content, title = '', baseVersion, timestamp }) {
+        this.roomId = roomId;
+        this.noteId = noteId;
+        this.sessionId = sessionId;
+        this.baseVersion = baseVersion || 0;
+        this.chunks = chunks;
+        this.content = content;
+        this.title = title;
+        this.timestamp = timestamp || Date.now();
+        this.acked = new Set();
+        this.attempts = new Map();
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * 切分密文并计算校验和
+     * @param {Object} options
+     * @param {string} options.roomId
+     * @param {string|null} [options.noteId] - 笔记 ID，默认笔记为 null
+     * @param {string} options.ciphertext
+     * @param {string} options.content
+     * @param {string} [options.title] - 笔记标题（确认后与内容一起作为同步基线）
+     * @param {number} options.chunkSize
+     * @param {number} [options.baseVersion]
+     * @returns {Promise<ChunkedUpload>}
+     */
+    static async create({ roomId, noteId = null, ciphertext, content, title = '', chunkSize, baseVersion }) {
+        const total = Math.max(1, Math.ceil(ciphertext.length / chunkSize));
+        const chunks = await Promise.all(
+            Array.from({ length: total }, async (_, index) => {
+                const data = ciphertext.slice(index * chunkSize, (index + 1) * chunkSize);
+                return { index, data, checksum: await checksumChunk(data) };
+            })
+        );
+
+        return new ChunkedUpload({
+            roomId,
+            noteId,
+            sessionId: crypto.randomUUID(),
+            chunks,
+            content,
+            title,
+            baseVersion
+        });
+    }
+
+    get total() {
+        return this.chunks.length;
+    }
+
+    get isComplete() {
+        return this.acked.size === this.total;
+    }
+
+    /**
+     * 标记分块已被服务器确认
+     * @param {number} index
+     */
+    markAcked(index) {
+        if (index >= 0 && index < this.total) {
+            this.acked.add(index);
+        }
+        this.touch();
+    }
+
+    /**
+     * 以服务器的位图为准重置确认状态（服务器可能已经丢弃会话）
+     * @param {string} bitmap
+     */
+    applyBitmap(bitmap) {
+        this.acked = decodeBitmap(bitmap, this.total);
+        this.touch();
+    }
+
+    /**
+     * 服务器报告缺失的分块重新标记为未确认
+     * @param {number[]} indices
+     */
+    markMissing(indices) {
+        for (const index of indices) {
+            this.acked.delete(index);
+        }
+        this.touch();
+    }
+
+    /**
+     * 服务器不再持有该会话时，全部分块都需要重发
+     */
+    reset() {
+        this.acked.clear();
+        this.touch();
+    }
+
+    /**
+     * 尚未确认的分块
+     * @returns {Array<{index: number, data: string, checksum: string}>}
+     */
+    pendingChunks() {
+        return this.chunks.filter((chunk) => !this.acked.has(chunk.index));
+    }
+
+    /**
+     * 记录一次发送
+     * @param {number} index
+     * @returns {number} 该分块累计发送次数
+     */
+    recordAttempt(index) {
+        const attempts = (this.attempts.get(index) || 0) + 1;
+        this.attempts.set(index, attempts);
+        return attempts;
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+}
+
+export default ChunkedUpload;
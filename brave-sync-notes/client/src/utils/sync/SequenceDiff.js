@@ -0,0 +1,92 @@
+/**
+ * 序列差分
+ * Myers O((N+M)D) 算法，先去掉公共前缀和后缀，只对中间部分搜索。
+ * 冲突检测的逐行合并和历史记录对比都基于它。
+ */
+
+/**
+ * 两个序列最长公共子序列中匹配的下标对 [i, j]，按顺序排列
+ * @param {Array} a
+ * @param {Array} b - 元素以 === 比较
+ * @param {number} [maxLength] - 去掉公共前后缀后两段长度之和的上限，超过时不再搜索，
+ *   中间部分整段视为不匹配（Myers 回溯记录的空间随差异平方增长）
+ * @returns {Array<[number, number]>}
+ */
+export const diffMatches = (a, b, maxLength = Infinity) => {
+    const matches = [];
+
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        matches.push([prefix, prefix]);
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    if (n + m <= maxLength) {
+        matches.push(...middleMatches(a, b, prefix, n, m));
+    }
+
+    for (let i = suffix; i > 0; i--) {
+        matches.push([a.length - i, b.length - i]);
+    }
+
+    return matches;
+};
+
+// 对去掉公共前后缀后的中间部分（a 从 prefix 开始的 n 个元素、b 从 prefix 开始的
+// m 个元素）执行 Myers 搜索
+const middleMatches = (a, b, prefix, n, m) => {
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    // 前向搜索，记录每一步 d 开始时 [-d-1, d+1] 范围内的最远位置，供回溯使用
+    search:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[prefix + x] === b[prefix + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                break search;
+            }
+        }
+    }
+
+    // 回溯，收集对角线（匹配）上的点
+    const middle = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+        const row = trace[d];
+        const at = (k) => row[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            middle.push([prefix + x, prefix + y]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return middle.reverse();
+};
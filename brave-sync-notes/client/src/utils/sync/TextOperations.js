@@ -0,0 +1,93 @@
+/**
+ * 文本操作
+ * 增量同步时，设备只发送相对于房间当前版本的操作（insert / delete / replace），
+ * 操作列表整体加密后作为一个批次推送，服务器无法看到位置或内容。
+ */
+
+/**
+ * 文本操作
+ * @typedef {Object} TextOperation
+ * @property {'insert'|'delete'|'replace'} type - 操作类型
+ * @property {number} position - 操作位置（UTF-16 码元下标）
+ * @property {string} [content] - 插入或替换的内容
+ * @property {number} [length] - 删除或被替换的长度
+ */
+
+/**
+ * 计算把 before 变为 after 的操作：去掉公共前缀和后缀，剩余部分为一次修改
+ * @param {string} before
+ * @param {string} after
+ * @returns {TextOperation[]} 内容相同时为空数组
+ */
+export const diffText = (before, after) => {
+    if (before === after) {
+        return [];
+    }
+
+    let prefix = 0;
+    const maxPrefix = Math.min(before.length, after.length);
+    while (prefix < maxPrefix && before[prefix] === after[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const length = before.length - prefix - suffix;
+    const content = after.slice(prefix, after.length - suffix);
+
+    if (length === 0) {
+        return [{ type: 'insert', position: prefix, content }];
+    }
+    if (content === '') {
+        return [{ type: 'delete', position: prefix, length }];
+    }
+    return [{ type: 'replace', position: prefix, length, content }];
+};
+
+/**
+ * 校验单个操作
+ * @param {TextOperation} op
+ * @returns {boolean}
+ */
+export const isValidTextOperation = (op) => {
+    if (!op || typeof op !== 'object' || !Number.isInteger(op.position) || op.position < 0) {
+        return false;
+    }
+    switch (op.type) {
+        case 'insert':
+            return typeof op.content === 'string';
+        case 'delete':
+            return Number.isInteger(op.length) && op.length >= 0;
+        case 'replace':
+            return typeof op.content === 'string' && Number.isInteger(op.length) && op.length >= 0;
+        default:
+            return false;
+    }
+};
+
+/**
+ * 按顺序应用操作
+ * @param {string} content
+ * @param {TextOperation[]} ops
+ * @returns {string}
+ * @throws {Error} 操作无效或超出文本范围时
+ */
+export const applyOperations = (content, ops) => {
+    return ops.reduce((text, op) => {
+        if (!isValidTextOperation(op)) {
+            throw new Error(`Invalid text operation: ${JSON.stringify(op)}`);
+        }
+
+        const length = op.type === 'insert' ? 0 : op.length;
+        if (op.position + length > text.length) {
+            throw new Error(`Text operation out of range: ${op.position}+${length} > ${text.length}`);
+        }
+
+        return text.slice(0, op.position) + (op.content || '') + text.slice(op.position + length);
+    }, content);
+};
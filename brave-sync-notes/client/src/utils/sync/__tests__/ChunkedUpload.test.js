@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import ChunkedUpload, { checksumChunk, encodeBitmap, decodeBitmap } from '../ChunkedUpload';
+
+describe('ChunkedUpload', () => {
+    describe('Bitmap', () => {
+        it('should round-trip received chunk indices', () => {
+            const indices = [0, 3, 8, 15, 16];
+            const bitmap = encodeBitmap(indices, 20);
+
+            expect([...decodeBitmap(bitmap, 20)]).toEqual(indices);
+        });
+
+        it('should treat an empty bitmap as nothing received', () => {
+            expect(decodeBitmap('', 5).size).toBe(0);
+            expect(decodeBitmap(encodeBitmap([], 5), 5).size).toBe(0);
+        });
+    });
+
+    describe('Checksum', () => {
+        it('should compute SHA-256 of the chunk', async () => {
+            await expect(checksumChunk('abc')).resolves.toBe(
+                'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+            );
+        });
+    });
+
+    describe('Session', () => {
+        it('should split the ciphertext into checksummed chunks', async () => {
+            const upload = await ChunkedUpload.create({
+                roomId: 'room',
+                ciphertext: 'abcdefghij',
+                content: 'note',
+                chunkSize: 4
+            });
+
+            expect(upload.total).toBe(3);
+            expect(upload.chunks.map((c) => c.data).join('')).toBe('abcdefghij');
+            expect(upload.chunks[0].checksum).toBe(await checksumChunk('abcd'));
+            expect(upload.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        it('should only return unacknowledged chunks', async () => {
+            const upload = await ChunkedUpload.create({
+                roomId: 'room',
+                ciphertext: 'abcdefghij',
+                content: 'note',
+                chunkSize: 4
+            });
+
+            upload.markAcked(0);
+            upload.markAcked(2);
+
+            expect(upload.pendingChunks().map((c) => c.index)).toEqual([1]);
+            expect(upload.isComplete).toBe(false);
+
+            upload.markAcked(1);
+            expect(upload.isComplete).toBe(true);
+        });
+
+        it('should resume from the server bitmap', async () => {
+            const upload = await ChunkedUpload.create({
+                roomId: 'room',
+                ciphertext: 'abcdefghij',
+                content: 'note',
+                chunkSize: 4
+            });
+            upload.markAcked(0);
+            upload.markAcked(1);
+
+            // 服务器只收到了第 1 块
+            upload.applyBitmap(encodeBitmap([1], 3));
+            expect(upload.pendingChunks().map((c) => c.index)).toEqual([0, 2]);
+
+            upload.reset();
+            expect(upload.pendingChunks()).toHaveLength(3);
+        });
+
+        it('should count send attempts per chunk', async () => {
+            const upload = await ChunkedUpload.create({
+                roomId: 'room',
+                ciphertext: 'abc',
+                content: 'note',
+                chunkSize: 4
+            });
+
+            expect(upload.recordAttempt(0)).toBe(1);
+            expect(upload.recordAttempt(0)).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { diffText, applyOperations, isValidTextOperation } from '../TextOperations';
+
+describe('TextOperations', () => {
+    describe('diffText', () => {
+        it('should produce no operations for identical text', () => {
+            expect(diffText('same', 'same')).toEqual([]);
+        });
+
+        it('should describe insertions, deletions and replacements', () => {
+            expect(diffText('Hello World', 'Hello brave World')).toEqual([
+                { type: 'insert', position: 6, content: 'brave ' },
+            ]);
+            expect(diffText('Hello brave World', 'Hello World')).toEqual([
+                { type: 'delete', position: 6, length: 6 },
+            ]);
+            expect(diffText('Hello World', 'Hello There')).toEqual([
+                { type: 'replace', position: 6, length: 5, content: 'There' },
+            ]);
+        });
+
+        it('should turn any text into any other text', () => {
+            fc.assert(fc.property(fc.string(), fc.string(), (before, after) => {
+                const ops = diffText(before, after);
+
+                expect(ops.every(isValidTextOperation)).toBe(true);
+                expect(applyOperations(before, ops)).toBe(after);
+            }));
+        });
+    });
+
+    describe('applyOperations', () => {
+        it('should apply operations in order', () => {
+            const ops = [
+                { type: 'insert', position: 0, content: '# ' },
+                { type: 'replace', position: 2, length: 5, content: 'Title' },
+            ];
+
+            expect(applyOperations('Hello', ops)).toBe('# Title');
+        });
+
+        it('should reject invalid or out-of-range operations', () => {
+            expect(() => applyOperations('abc', [{ type: 'move', position: 0 }])).toThrow();
+            expect(() => applyOperations('abc', [{ type: 'delete', position: 2, length: 5 }])).toThrow();
+        });
+    });
+});
@@ -0,0 +1,7 @@
+/**
+ * 同步传输模块导出
+ */
+
+export { default as ChunkedUpload, checksumChunk, encodeBitmap, decodeBitmap } from './ChunkedUpload';
+export { diffText, applyOperations, isValidTextOperation } from './TextOperations';
+export { diffMatches } from './SequenceDiff';
@@ -26,6 +26,16 @@ export const translations = {
     hideQR: 'Hide QR Code',
     qrCodeTitle: 'Scan to Join',
     qrCodeDesc: 'Open on mobile and scan this code',
+
+    // Notes
+    notes: 'Notes',
+    newNote: 'New Note',
+    untitled: 'Untitled',
+    rename: 'Rename',
+    moveTo: 'Move to...',
+    noOtherNotebooks: 'Join another chain in this session to move notes there',
+    deleteNoteConfirm: 'Delete this note on every device?',
+    pendingChanges: 'Offline changes waiting to sync',
     
     // Editor
     edit: 'Edit',
@@ -38,6 +48,28 @@ export const translations = {
     history: 'History',
     historyEmpty: 'No history yet',
     restore: 'Restore',
+    compare: 'Compare with current',
+    historyDiff: 'Changes since this version',
+    sideBySide: 'Side by side',
+    inline: 'Inline',
+    historyVersion: 'This version',
+    currentVersion: 'Current',
+    restoreHunk: 'Restore this change',
+    restoreVersion: 'Restore whole version',
+    unchangedLines: 'unchanged lines',
+    changedHunks: 'change(s)',
+    noDifferences: 'No differences from the current note',
+    hunkOutdated: 'The note changed here; comparison updated',
+    loadingVersion: 'Loading version...',
+    restored: 'Restored',
+    loadVersionError: 'Could not load this version',
+    localHistory: 'This device',
+    serverVersions: 'Server',
+    serverVersionsHint: 'Copies of this note kept by the sync server',
+    serverVersionsEmpty: 'The server keeps no copies of this note',
+    loadingServerVersions: 'Loading server copies...',
+    serverVersionsError: 'Could not load server copies',
+    reload: 'Reload',
     delete: 'Delete',
     clearAll: 'Clear All',
     clearAllConfirm: 'Are you sure you want to clear all history?',
@@ -60,6 +92,19 @@ export const translations = {
     tabSize: 'Tab Size',
     lineNumbers: 'Line Numbers',
     wordWrap: 'Word Wrap',
+    crdtMode: 'Conflict-free Co-editing',
+    crdtModeHint: 'Applies to chains created on this device',
+    pinChain: 'Keep on Server',
+    pinChainHint: 'The server never removes this chain, even when it is idle',
+    historyRetention: 'History Retention',
+    retentionStandard: 'Standard',
+    retentionCompact: 'Compact',
+    retentionKeepAll: 'Keep All',
+    retentionHint: {
+      standard: 'Every version for 24 hours, hourly for a week, then daily',
+      compact: 'Hourly for 24 hours, daily for 30 days, then removed',
+      keepAll: 'Every version, up to 1000 per note',
+    },
     syncDelay: 'Sync Delay (ms)',
     editorMode: 'Editor Mode',
     markdown: 'Markdown',
@@ -110,6 +155,16 @@ export const translations = {
     hideQR: '隐藏二维码',
     qrCodeTitle: '扫码加入',
     qrCodeDesc: '在手机上打开并扫描此二维码',
+
+    // 笔记
+    notes: '笔记',
+    newNote: '新建笔记',
+    untitled: '无标题',
+    rename: '重命名',
+    moveTo: '移动到...',
+    noOtherNotebooks: '在本次会话中加入其他同步链后即可把笔记移动过去',
+    deleteNoteConfirm: '在所有设备上删除这篇笔记？',
+    pendingChanges: '等待同步的离线修改',
     
     // 编辑器
     edit: '编辑',
@@ -122,6 +177,28 @@ export const translations = {
     history: '历史记录',
     historyEmpty: '暂无历史记录',
     restore: '恢复',
+    compare: '与当前内容对比',
+    historyDiff: '此版本之后的修改',
+    sideBySide: '并排',
+    inline: '行内',
+    historyVersion: '此版本',
+    currentVersion: '当前',
+    restoreHunk: '恢复此处修改',
+    restoreVersion: '恢复整个版本',
+    unchangedLines: '行未修改',
+    changedHunks: '处修改',
+    noDifferences: '与当前笔记没有差异',
+    hunkOutdated: '笔记此处已修改，对比已更新',
+    loadingVersion: '正在载入版本...',
+    restored: '已恢复',
+    loadVersionError: '无法载入该版本',
+    localHistory: '本设备',
+    serverVersions: '服务器',
+    serverVersionsHint: '同步服务器为此笔记保留的副本',
+    serverVersionsEmpty: '服务器没有保留此笔记的副本',
+    loadingServerVersions: '正在载入服务器副本...',
+    serverVersionsError: '无法载入服务器副本',
+    reload: '重新载入',
     delete: '删除',
     clearAll: '清空全部',
     clearAllConfirm: '确定要清空所有历史记录吗？',
@@ -144,6 +221,19 @@ export const translations = {
     tabSize: 'Tab 大小',
     lineNumbers: '显示行号',
     wordWrap: '自动换行',
+    crdtMode: '无冲突协同编辑',
+    crdtModeHint: '仅对在本设备创建的同步链生效',
+    pinChain: '在服务器上永久保留',
+    pinChainHint: '长期未使用时，服务器也不会清理此同步链',
+    historyRetention: '历史记录保留',
+    retentionStandard: '标准',
+    retentionCompact: '精简',
+    retentionKeepAll: '全部保留',
+    retentionHint: {
+      standard: '24 小时内保留每个版本，一周内每小时一个，之后每天一个',
+      compact: '24 小时内每小时一个，30 天内每天一个，更早的删除',
+      keepAll: '保留每个版本，每篇笔记最多 1000 个',
+    },
     syncDelay: '同步延迟 (毫秒)',
     editorMode: '编辑器模式',
     markdown: 'Markdown',
@@ -5,7 +5,10 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const PersistenceManager = require('./src/persistence/PersistenceManager');
-const { DataValidator } = require('./src/persistence/PersistenceAdapter');
+const { DataValidator, VersionConflictError, MetaConflictError } = require('./src/persistence/PersistenceAdapter');
+const { loadRetentionPolicy, expiryCutoff, isPinned } = require('./src/persistence/RetentionPolicy');
+const { AuthErrorCodes, createChallenge, verifyResponse, isSameVerifier } = require('./src/auth/RoomAuth');
+const ChunkAssembler = require('./src/sync/ChunkAssembler');
 
 const corsOrigin = process.env.CORS_ORIGIN || '*';
 
@@ -19,21 +22,17 @@ app.get('/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     connections: io.engine.clientsCount,
-    rooms: chainStore.size,
+    rooms: countActiveRooms(),
     persistence: {
-      enabled: !!persistenceManager,
       healthy: false,
-      adapter: null
+      adapter: persistenceManager.getCurrentAdapter()
     }
   };
 
-  if (persistenceManager) {
-    try {
-      health.persistence.healthy = await persistenceManager.isHealthy();
-      health.persistence.adapter = persistenceManager.getCurrentAdapter();
-    } catch (error) {
-      health.persistence.error = error.message;
-    }
+  try {
+    health.persistence.healthy = await persistenceManager.isHealthy();
+  } catch (error) {
+    health.persistence.error = error.message;
   }
 
   res.json(health);
@@ -43,18 +42,20 @@ app.get('/health', async (req, res) => {
 app.get('/stats', async (req, res) => {
   const stats = {
     activeConnections: io.engine.clientsCount,
-    activeRooms: chainStore.size,
+    activeRooms: countActiveRooms(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    persistence: null
+    persistence: null,
+    retention: {
+      policy: retentionPolicy,
+      lastCleanup: lastCleanupReport
+    }
   };
 
-  if (persistenceManager) {
-    try {
-      stats.persistence = await persistenceManager.getStats();
-    } catch (error) {
-      stats.persistence = { error: error.message };
-    }
+  try {
+    stats.persistence = await persistenceManager.getStats();
+  } catch (error) {
+    stats.persistence = { error: error.message };
   }
 
   res.json(stats);
@@ -73,73 +74,396 @@ const io = new Server(server, {
   transports: ['websocket', 'polling'],
 });
 
-// 持久化存储管理器
-let persistenceManager;
-
 // 初始化持久化存储
 async function initializePersistence() {
-  persistenceManager = new PersistenceManager({
-    primaryAdapter: process.env.PRIMARY_STORAGE || 'redis',
-    fallbackAdapter: process.env.FALLBACK_STORAGE || 'sqlite',
-    redis: {
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379,
-      password: process.env.REDIS_PASSWORD,
-      db: process.env.REDIS_DB || 0
-    },
-    sqlite: {
-      dbPath: process.env.SQLITE_DB_PATH || './data/notesync.db'
-    }
-  });
-
   try {
     await persistenceManager.initialize();
     console.log('✅ Persistence layer initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize persistence layer:', error);
-    // 如果持久化初始化失败，回退到内存存储
-    console.log('🔄 Falling back to in-memory storage');
-    persistenceManager = null;
+    throw error;
   }
 }
 
-// 内存存储作为最后的备用方案
-// Key: RoomID (Public Hash), Value: { encryptedData, timestamp, deviceName }
-const chainStore = new Map();
+// 两次快照之间最多累积的操作批次数，超过后提示推送方上传完整快照用于压缩
+const SNAPSHOT_INTERVAL = Number(process.env.SNAPSHOT_INTERVAL) || 50;
+
+// 单个加密操作批次的大小上限，更大的修改应作为完整快照分块上传
+const MAX_OPS_BATCH_SIZE = 1024 * 1024;
+
+// 单条加密 presence（光标与选区）的大小上限；presence 只转发，不保存
+const MAX_PRESENCE_SIZE = 8 * 1024;
+
+// 每个房间最多登记的笔记数量（不含默认笔记）
+const MAX_NOTES_PER_ROOM = Number(process.env.MAX_NOTES_PER_ROOM) || 500;
+
+// 多个实例共用存储时，元数据写入或操作批次追加与其他实例冲突后重新读取再试的次数
+const MAX_COMMIT_RETRIES = 5;
+
+// 持久化存储为每个笔记保留的历史快照数量，用于找回被误清空或覆盖的内容
+const MAX_ROOM_VERSIONS = Number(process.env.MAX_ROOM_VERSIONS) || 20;
+
+// 持久化存储管理器：故障转移链为主存储、备用存储和内存存储，
+// 所有房间数据、元数据和操作日志都经由它读写
+const persistenceManager = new PersistenceManager({
+  primaryAdapter: process.env.PRIMARY_STORAGE || 'redis',
+  fallbackAdapter: process.env.FALLBACK_STORAGE || 'sqlite',
+  // Mirror every write to the fallback so a failover does not roll rooms back
+  dualWrite: process.env.PERSISTENCE_DUAL_WRITE === 'true',
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD,
+    db: process.env.REDIS_DB || 0,
+    maxVersions: MAX_ROOM_VERSIONS
+  },
+  sqlite: {
+    dbPath: process.env.SQLITE_DB_PATH || './data/notesync.db',
+    maxVersions: MAX_ROOM_VERSIONS
+  },
+  postgres: {
+    connectionString: process.env.POSTGRES_URL,
+    host: process.env.POSTGRES_HOST || 'localhost',
+    port: Number(process.env.POSTGRES_PORT) || 5432,
+    user: process.env.POSTGRES_USER,
+    password: process.env.POSTGRES_PASSWORD,
+    database: process.env.POSTGRES_DB || 'notesync',
+    maxConnections: Number(process.env.POSTGRES_POOL_SIZE) || 10,
+    maxVersions: MAX_ROOM_VERSIONS
+  },
+  memory: {
+    maxVersions: MAX_ROOM_VERSIONS
+  }
+});
+
+// 每个房间的写入串行执行：读取版本号、比较、写入之间不能交错
+const roomLocks = new Map();
 
-// Track socket metadata: socketId -> { roomId, deviceName, joinedAt }
+// Track socket metadata:
+// socketId -> { roomId, deviceName, joinedAt, challenge, authenticated, verifier }
 const socketMeta = new Map();
 
-// Chunked transfer storage: sessionId -> { chunks: [], total, received }
-const chunkStore = new Map();
+// Rooms with at least one connected device
+function countActiveRooms() {
+  return new Set(Array.from(socketMeta.values(), (meta) => meta.roomId)).size;
+}
+
+// Chunked uploads are assembled here; only complete snapshots are stored
+const chunkAssembler = new ChunkAssembler();
+
+// 所有存储共用同一个保留策略（ROOM_TTL_MS、ROOM_CLEANUP_INTERVAL_MS）
+const retentionPolicy = loadRetentionPolicy();
 
-const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 24 * 60 * 60 * 1000;
+// 最近一次定时清理的结果，在 /stats 中展示
+let lastCleanupReport = null;
 
-// Cleanup old chunk sessions (older than 5 minutes)
+// Cleanup chunk sessions idle for 5 minutes, or abandoned by a disconnected
+// uploader, and tell the last uploader which chunks never arrived
 setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of chunkStore.entries()) {
-    if (now - session.startTime > 5 * 60 * 1000) {
-      chunkStore.delete(sessionId);
-      console.log(`Cleaned up stale chunk session: ${sessionId}`);
-    }
+  for (const { session, missing } of chunkAssembler.cleanupStale()) {
+    console.log(`Cleaned up stale chunk session: ${session.sessionId} (${missing.length}/${session.total} missing)`);
+    io.to(session.socketId).emit('chunks-missing', {
+      roomId: session.roomId,
+      sessionId: session.sessionId,
+      missing,
+      expired: true
+    });
   }
 }, 60000);
 
-// Cleanup rooms with no data after 24 hours
+// Scheduled retention job: expire idle rooms in whichever adapter is
+// current, and keep the result for /stats
+async function runRetentionCleanup() {
+  const startedAt = Date.now();
+  const cutoff = expiryCutoff(retentionPolicy, startedAt);
+  const report = {
+    startedAt: new Date(startedAt).toISOString(),
+    cutoff: cutoff.toISOString(),
+    adapter: persistenceManager.getCurrentAdapter(),
+    removed: null,
+    error: null,
+    durationMs: 0
+  };
+
+  try {
+    report.removed = await persistenceManager.cleanupExpired(cutoff);
+  } catch (error) {
+    console.error('Failed to cleanup expired rooms:', error);
+    report.error = error.message;
+  }
+
+  report.durationMs = Date.now() - startedAt;
+  lastCleanupReport = report;
+}
+
 setInterval(() => {
-  const now = Date.now();
-  for (const [roomId, data] of chainStore.entries()) {
-    if (now - data.timestamp > ROOM_TTL_MS) {
-      // Check if room is empty
-      const clients = io.sockets.adapter.rooms.get(roomId);
-      if (!clients || clients.size === 0) {
-        chainStore.delete(roomId);
-        console.log(`Cleaned up stale room: ${roomId.substring(0, 8)}...`);
+  runRetentionCleanup().catch((error) => {
+    console.error('Retention cleanup failed:', error);
+  });
+}, retentionPolicy.cleanupIntervalMs);
+
+// 笔记文档的存储键：默认笔记（noteId 为空）即房间本身，其他笔记为 `${roomId}_${noteId}`，
+// 其数据、操作日志和写入锁都按该键独立管理
+function docKey(roomId, noteId) {
+  return noteId ? `${roomId}_${noteId}` : roomId;
+}
+
+// 可选的笔记 ID：缺省表示默认笔记
+function isValidOptionalNoteId(noteId) {
+  return noteId === undefined || noteId === null || DataValidator.isValidNoteId(noteId);
+}
+
+// 读取房间数据
+function loadRoomData(roomId) {
+  return persistenceManager.getRoom(roomId);
+}
+
+// 读取房间元数据
+function loadRoomMeta(roomId) {
+  return persistenceManager.getRoomMeta(roomId);
+}
+
+// 写入房间元数据；expectedMeta 为读取到的元数据时以比较并写入的方式保存
+function storeRoomMeta(roomId, meta, options) {
+  return persistenceManager.saveRoomMeta(roomId, meta, options);
+}
+
+// 读取、修改并写回房间元数据。本实例内由 `meta:${roomId}` 锁串行；多个实例共用存储时，
+// 元数据在读取之后被其他实例改写会重新读取再试，因此 update 可能被调用多次。
+// update 返回新的元数据，返回 null 表示无需写入；结果为最终保存的元数据
+function updateRoomMeta(roomId, update) {
+  return withRoomLock(`meta:${roomId}`, async () => {
+    for (let attempt = 1; ; attempt++) {
+      const current = await loadRoomMeta(roomId);
+      const updated = await update(current || {});
+      if (!updated) {
+        return current || {};
+      }
+      try {
+        await storeRoomMeta(roomId, updated, { expectedMeta: current });
+        return updated;
+      } catch (error) {
+        if (!(error instanceof MetaConflictError) || attempt >= MAX_COMMIT_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  });
+}
+
+// 登记房间中的笔记，已登记时直接返回；笔记数量达到上限时返回 false
+async function registerNote(roomId, noteId) {
+  let registered = true;
+  await updateRoomMeta(roomId, (roomMeta) => {
+    const notes = roomMeta.notes || [];
+    registered = notes.includes(noteId) || notes.length < MAX_NOTES_PER_ROOM;
+    return registered && !notes.includes(noteId) ? { ...roomMeta, notes: [...notes, noteId] } : null;
+  });
+  return registered;
+}
+
+// 房间中有数据的笔记及其最新版本号；默认笔记的 noteId 为 null
+async function buildNotesIndex(roomId) {
+  const roomMeta = await loadRoomMeta(roomId);
+  const notes = [];
+  for (const noteId of [null, ...(roomMeta?.notes || [])]) {
+    const { version } = await loadRoomHead(docKey(roomId, noteId));
+    if (version > 0) {
+      notes.push({ noteId, version });
+    }
+  }
+  return { roomId, notes };
+}
+
+// 房间是否已有任何笔记数据（默认笔记的快照或操作批次，或已登记的其他笔记）
+async function roomHasData(roomId, roomMeta) {
+  if (roomMeta?.notes?.length > 0) {
+    return true;
+  }
+  if (await loadRoomData(roomId)) {
+    return true;
+  }
+  return (await loadRoomLog(roomId, 0)).length > 0;
+}
+
+// 串行执行同一房间的任务，前一个任务失败不影响后续任务
+function withRoomLock(roomId, task) {
+  const previous = roomLocks.get(roomId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  roomLocks.set(roomId, tail);
+  tail.then(() => {
+    if (roomLocks.get(roomId) === tail) {
+      roomLocks.delete(roomId);
+    }
+  });
+  return run;
+}
+
+// 读取版本号大于 since 的操作批次
+function loadRoomLog(roomId, since) {
+  return persistenceManager.getLog(roomId, since);
+}
+
+// 房间当前状态：最新快照以及快照之后最后一个操作批次的版本号
+async function loadRoomHead(roomId) {
+  const snapshot = await loadRoomData(roomId);
+  const snapshotVersion = snapshot?.version || 0;
+  const ops = snapshot ? await loadRoomLog(roomId, snapshotVersion) : [];
+  return {
+    snapshot,
+    version: ops.length > 0 ? ops[ops.length - 1].version : snapshotVersion
+  };
+}
+
+// 以乐观并发方式提交笔记的完整快照：baseVersion 必须等于笔记当前版本，
+// 成功后版本号加 1。返回 { ok: true, payload } 或 { ok: false, currentVersion }
+function commitRoomSnapshot(roomId, noteId, snapshot, baseVersion) {
+  const key = docKey(roomId, noteId);
+  return withRoomLock(key, async () => {
+    const head = await loadRoomHead(key);
+    if (baseVersion !== head.version) {
+      return { ok: false, currentVersion: head.version };
+    }
+
+    const payload = { ...snapshot, version: head.version + 1 };
+
+    try {
+      await persistenceManager.saveRoom(key, payload, { expectedVersion: head.snapshot?.version || 0 });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return { ok: false, currentVersion: error.currentVersion };
       }
+      throw error;
     }
+
+    return { ok: true, payload };
+  });
+}
+
+// 向笔记追加一个加密操作批次：baseVersion 必须等于笔记当前版本；为 null 时
+// 直接追加到最新版本之后（CRDT 更新可交换，无需检查）。
+// 笔记还没有快照时不接受操作（当前版本视为 0，推送方应改为上传快照）。
+// 共用存储的其他实例先写入了同一版本（操作批次或快照）时，CRDT 更新重新读取版本后再试，其余按版本冲突处理。
+// 返回 { ok: true, entry, snapshotDue } 或 { ok: false, currentVersion }
+function commitRoomOps(roomId, noteId, batch, baseVersion) {
+  const key = docKey(roomId, noteId);
+  return withRoomLock(key, async () => {
+    for (let attempt = 1; ; attempt++) {
+      const head = await loadRoomHead(key);
+      if (!head.snapshot || (baseVersion !== null && baseVersion !== head.version)) {
+        return { ok: false, currentVersion: head.snapshot ? head.version : 0 };
+      }
+
+      const entry = {
+        id: batch.id,
+        type: 'batch',
+        position: 0,
+        content: batch.content,
+        timestamp: batch.timestamp,
+        deviceId: batch.deviceId,
+        version: head.version + 1
+      };
+
+      try {
+        await persistenceManager.appendLog(key, entry, { expectedVersion: head.version });
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) {
+          throw error;
+        }
+        if (baseVersion === null && attempt < MAX_COMMIT_RETRIES) {
+          continue;
+        }
+        return { ok: false, currentVersion: error.currentVersion };
+      }
+
+      return {
+        ok: true,
+        entry,
+        snapshotDue: entry.version - head.snapshot.version >= SNAPSHOT_INTERVAL
+      };
+    }
+  });
+}
+
+// 设备追赶笔记 since 之后的修改：日志连续覆盖时只发送操作批次，
+// 否则附带最新快照以及快照之后的批次
+async function buildCatchUp(roomId, noteId, since) {
+  const key = docKey(roomId, noteId);
+  const { snapshot, version } = await loadRoomHead(key);
+  if (since >= version) {
+    return { roomId, noteId, since, head: version, ops: [] };
+  }
+
+  const ops = await loadRoomLog(key, since);
+  const contiguous = ops.length === version - since &&
+    ops.every((op, i) => op.version === since + i + 1);
+  if (contiguous || !snapshot) {
+    return { roomId, noteId, since, head: version, ops };
+  }
+
+  return {
+    roomId,
+    noteId,
+    since,
+    head: version,
+    snapshot,
+    ops: ops.filter(op => op.version > snapshot.version)
+  };
+}
+
+// 向设备发送默认笔记的完整状态：最新快照，以及快照之后的操作批次
+async function sendRoomState(socket, roomId) {
+  const snapshot = await loadRoomData(roomId);
+  if (!snapshot) {
+    return;
   }
-}, 60 * 60 * 1000);
+
+  socket.emit('sync-update', snapshot);
+  const ops = await loadRoomLog(roomId, snapshot.version);
+  if (ops.length > 0) {
+    socket.emit('ops', { roomId, noteId: null, since: snapshot.version, head: ops[ops.length - 1].version, ops });
+  }
+}
+
+// 写入授权：设备必须先完成挑战应答；房间首次写入时保存该设备的公钥，
+// 之后只接受同一公钥的写入。
+// 在 verifier 出现之前就已有数据的房间（旧版本创建的链）无法证明设备持有
+// 内容密钥，谁先认证谁就会成为写入者，因此这类认领会记录日志并写入
+// authVerifierClaimedAt，供运维核对。
+async function authorizeWrite(socket, meta, roomId) {
+  if (!meta.authenticated) {
+    socket.emit('error', { code: AuthErrorCodes.AUTH_REQUIRED, message: 'Write requires chain authentication' });
+    return false;
+  }
+
+  // 与 init-chain-params 相同，以比较并写入的方式保存，保证只有一个 verifier 生效
+  let stored = false;
+  let claimedOverData = false;
+  const { authVerifier } = await updateRoomMeta(roomId, async (roomMeta) => {
+    stored = !roomMeta.authVerifier;
+    claimedOverData = stored && await roomHasData(roomId, roomMeta);
+    if (!stored) {
+      return null;
+    }
+    return claimedOverData
+      ? { ...roomMeta, authVerifier: meta.verifier, authVerifierClaimedAt: Date.now() }
+      : { ...roomMeta, authVerifier: meta.verifier };
+  });
+
+  if (claimedOverData) {
+    console.warn(`Write verifier for room ${roomId.substring(0, 8)}... claimed by ${socket.id} over existing data without proof of the content key`);
+  } else if (stored) {
+    console.log(`Stored write verifier for room ${roomId.substring(0, 8)}...`);
+  }
+
+  if (!isSameVerifier(authVerifier, meta.verifier)) {
+    meta.authenticated = false;
+    socket.emit('error', { code: AuthErrorCodes.AUTH_FAILED, message: 'Device key does not match this room' });
+    return false;
+  }
+  return true;
+}
 
 io.on('connection', (socket) => {
   console.log(`[${new Date().toISOString()}] User connected: ${socket.id}`);
@@ -148,8 +472,9 @@ io.on('connection', (socket) => {
   socket.on('join-chain', async (payload = {}) => {
     const { roomId, deviceName } = payload;
     try {
-      // Validate input
-      if (!DataValidator.isValidRoomId(roomId)) {
+      // Validate input. Note documents are stored under `${roomId}_${noteId}`;
+      // joining such a key directly would bypass the owner room's verifier.
+      if (!DataValidator.isValidChainRoomId(roomId)) {
         socket.emit('error', { message: 'Invalid room ID' });
         return;
       }
@@ -166,35 +491,39 @@ io.on('connection', (socket) => {
       }
 
       socket.join(roomId);
-      // Store metadata for this socket
+      // Store metadata for this socket. Joining grants read access only;
+      // writes need a signed answer to the challenge.
+      const challenge = createChallenge();
       socketMeta.set(socket.id, {
         roomId,
         deviceName: safeDeviceName,
-        joinedAt: Date.now()
+        joinedAt: Date.now(),
+        challenge,
+        authenticated: false,
+        verifier: null
       });
 
       console.log(`[${new Date().toISOString()}] Socket ${socket.id} (${safeDeviceName}) joined chain: ${roomId.substring(0, 8)}...`);
 
       // 1. Send existing data to the new device
-      let existingData = null;
-
-      // 尝试从持久化存储获取数据
-      if (persistenceManager) {
-        try {
-          existingData = await persistenceManager.getRoom(roomId);
-        } catch (error) {
-          console.error('Failed to get room from persistence:', error);
-        }
-      }
+      const existingData = await loadRoomData(roomId);
 
-      // 如果持久化存储没有数据，尝试内存存储
-      if (!existingData && chainStore.has(roomId)) {
-        existingData = chainStore.get(roomId);
-      }
+      // Key-derivation parameters must reach the device before any ciphertext.
+      const meta = await loadRoomMeta(roomId);
+      socket.emit('chain-params', {
+        roomId,
+        chainParams: meta?.chainParams || null,
+        syncMode: meta?.syncMode || 'snapshot',
+        pinned: isPinned(meta),
+        hasData: !!existingData
+      });
+      socket.emit('auth-challenge', { roomId, challenge });
 
       if (existingData) {
-        socket.emit('sync-update', existingData);
+        await sendRoomState(socket, roomId);
       }
+      // The other notes are fetched by the device with ops-since
+      socket.emit('notes-index', await buildNotesIndex(roomId));
 
       // 2. Broadcast updated member list to everyone in the room
       updateRoomMembers(roomId);
@@ -204,8 +533,101 @@ io.on('connection', (socket) => {
     }
   });
 
+  // First device in a new chain proposes key-derivation parameters.
+  // The first proposal wins; every proposer is answered with the stored set.
+  // The winner may name the room its chain used before HKDF room IDs; that
+  // room's data is handed over once so the device can re-encrypt it.
+  // The winner also picks the chain's document model (snapshot or crdt).
+  socket.on('init-chain-params', async ({ roomId, chainParams, legacyRoomId, syncMode = 'snapshot' } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+
+      if (!DataValidator.isValidChainParams(chainParams)) {
+        socket.emit('error', { message: 'Invalid chain parameters' });
+        return;
+      }
+
+      if (!DataValidator.isValidSyncMode(syncMode)) {
+        socket.emit('error', { message: 'Invalid sync mode' });
+        return;
+      }
+
+      const hasData = !!(await loadRoomData(roomId));
+
+      // Compare-and-set the metadata so that two concurrent proposals, even
+      // on different server instances, cannot both win.
+      let accepted = false;
+      const roomMeta = await updateRoomMeta(roomId, (current) => {
+        accepted = !current.chainParams;
+        return accepted ? { ...current, chainParams, syncMode } : null;
+      });
+
+      if (accepted && !hasData && legacyRoomId !== roomId && DataValidator.isValidChainRoomId(legacyRoomId)) {
+        const legacyData = await loadRoomData(legacyRoomId);
+        if (legacyData) {
+          console.log(`Handing legacy room ${legacyRoomId.substring(0, 8)}... to ${roomId.substring(0, 8)}... for migration`);
+          socket.emit('legacy-chain', { roomId, ...legacyData });
+        }
+      }
+
+      socket.emit('chain-params', {
+        roomId,
+        chainParams: roomMeta.chainParams,
+        syncMode: roomMeta.syncMode || 'snapshot',
+        pinned: isPinned(roomMeta),
+        hasData
+      });
+    } catch (error) {
+      console.error('Error in init-chain-params:', error);
+      socket.emit('error', { message: 'Failed to initialize chain parameters' });
+    }
+  });
+
+  // Answer to auth-challenge: signature by the chain's Ed25519 key. The
+  // submitted public key must match the room's verifier if one is stored.
+  socket.on('auth-response', async ({ roomId, verifier, signature } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId || !meta.challenge) {
+        socket.emit('auth-result', { roomId, ok: false, code: AuthErrorCodes.AUTH_REQUIRED });
+        return;
+      }
+
+      // 挑战只能使用一次
+      const { challenge } = meta;
+      meta.challenge = null;
+
+      const roomMeta = await loadRoomMeta(roomId);
+      const storedVerifier = roomMeta?.authVerifier;
+      const valid = verifyResponse({ verifier, roomId, challenge, signature }) &&
+        (!storedVerifier || isSameVerifier(storedVerifier, verifier));
+
+      if (!valid) {
+        console.warn(`Rejected auth response from ${socket.id} for room ${roomId.substring(0, 8)}...`);
+        socket.emit('auth-result', { roomId, ok: false, code: AuthErrorCodes.AUTH_FAILED });
+        return;
+      }
+
+      meta.authenticated = true;
+      meta.verifier = { alg: verifier.alg, publicKey: verifier.publicKey };
+      socket.emit('auth-result', { roomId, ok: true });
+    } catch (error) {
+      console.error('Error in auth-response:', error);
+      socket.emit('error', { message: 'Failed to verify auth response' });
+    }
+  });
+
   // Receive an update from a client (supports chunked transfer)
-  socket.on('push-update', async ({ roomId, encryptedData, timestamp, chunkIndex, totalChunks }) => {
+  // Large notes are encrypted once and the ciphertext is sent in chunks that
+  // share a sessionId; nothing is stored until every chunk has arrived.
+  // baseVersion is the note version the pushed content was edited from.
+  // noteId selects a note of the chain; without it the room's default note
+  // is written. The first snapshot of a note registers it with the room.
+  socket.on('push-update', async ({ roomId, noteId = null, encryptedData, timestamp, baseVersion, sessionId, chunkIndex = 0, totalChunks = 1, checksum }) => {
     try {
       // Validate room membership
       const meta = socketMeta.get(socket.id);
@@ -214,60 +636,358 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const payload = {
-        encryptedData,
+      if (!(await authorizeWrite(socket, meta, roomId))) {
+        return;
+      }
+
+      if (!Number.isSafeInteger(baseVersion) || baseVersion < 0) {
+        socket.emit('error', { code: 'INVALID_BASE_VERSION', message: 'push-update requires baseVersion', sessionId });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        socket.emit('error', { code: 'INVALID_NOTE', message: 'Invalid note ID', sessionId });
+        return;
+      }
+
+      let upload;
+      try {
+        upload = chunkAssembler.addChunk({
+          roomId,
+          socketId: socket.id,
+          sessionId,
+          chunkIndex,
+          totalChunks,
+          data: encryptedData,
+          checksum
+        });
+      } catch (error) {
+        socket.emit('error', { code: 'INVALID_CHUNK', message: error.message, sessionId });
+        return;
+      }
+
+      if (totalChunks > 1) {
+        socket.emit('chunk-ack', {
+          roomId,
+          sessionId,
+          chunkIndex,
+          ok: upload.accepted,
+          reason: upload.reason,
+          received: upload.received,
+          total: upload.total
+        });
+      }
+
+      if (!upload.complete) {
+        // The sender has sent its last chunk but some never arrived
+        if (upload.accepted && chunkIndex === totalChunks - 1) {
+          socket.emit('chunks-missing', { roomId, sessionId, missing: upload.missing });
+        }
+        return;
+      }
+
+      if (noteId && !(await registerNote(roomId, noteId))) {
+        socket.emit('error', { code: 'NOTE_LIMIT', message: `A chain holds at most ${MAX_NOTES_PER_ROOM} notes`, noteId, sessionId });
+        return;
+      }
+
+      const commit = await commitRoomSnapshot(roomId, noteId, {
+        encryptedData: upload.data,
         timestamp,
         deviceName: meta.deviceName,
-        version: Date.now(), // 添加版本号
         hash: '' // 可以添加数据完整性校验
-      };
+      }, baseVersion);
 
-      // 保存到内存存储
-      chainStore.set(roomId, payload);
-
-      // 尝试保存到持久化存储
-      if (persistenceManager) {
-        try {
-          await persistenceManager.saveRoom(roomId, payload);
-        } catch (error) {
-          console.error('Failed to save room to persistence:', error);
-          // 持久化失败不影响实时同步
-        }
+      // Stale write: the client catches up with ops-since and merges
+      if (!commit.ok) {
+        socket.emit('version-conflict', { roomId, noteId, sessionId, baseVersion, currentVersion: commit.currentVersion });
+        return;
       }
 
       // Broadcast to everyone else in the chain
-      socket.to(roomId).emit('sync-update', payload);
+      socket.to(roomId).emit('sync-update', { ...commit.payload, noteId });
 
       // Acknowledge receipt
-      socket.emit('update-ack', { timestamp, success: true });
+      socket.emit('update-ack', { noteId, timestamp, sessionId, success: true, version: commit.payload.version });
     } catch (error) {
       console.error('Error in push-update:', error);
       socket.emit('error', { message: 'Failed to push update' });
     }
   });
 
-  // Request sync (for reconnection scenarios)
-  socket.on('request-sync', async ({ roomId }) => {
+  // Small edits travel as encrypted operation batches instead of full
+  // snapshots. Each batch advances the room version by one and is appended
+  // to the operation log; other devices apply it on top of baseVersion.
+  socket.on('push-ops', async ({ roomId, noteId = null, batchId, encryptedOps, timestamp, baseVersion } = {}) => {
     try {
-      let existingData = null;
-
-      // 尝试从持久化存储获取数据
-      if (persistenceManager) {
-        try {
-          existingData = await persistenceManager.getRoom(roomId);
-        } catch (error) {
-          console.error('Failed to get room from persistence:', error);
-        }
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
       }
 
-      // 如果持久化存储没有数据，尝试内存存储
-      if (!existingData && chainStore.has(roomId)) {
-        existingData = chainStore.get(roomId);
+      if (!(await authorizeWrite(socket, meta, roomId))) {
+        return;
       }
 
-      if (existingData) {
-        socket.emit('sync-update', existingData);
+      if ((await loadRoomMeta(roomId))?.syncMode === 'crdt') {
+        socket.emit('error', { code: 'SYNC_MODE_MISMATCH', message: 'This chain syncs CRDT updates', batchId });
+        return;
+      }
+
+      if (!Number.isSafeInteger(baseVersion) || baseVersion < 0) {
+        socket.emit('error', { code: 'INVALID_BASE_VERSION', message: 'push-ops requires baseVersion', batchId });
+        return;
+      }
+
+      if (typeof batchId !== 'string' || !batchId || batchId.length > 100 ||
+        typeof encryptedOps !== 'string' || !encryptedOps || encryptedOps.length > MAX_OPS_BATCH_SIZE) {
+        socket.emit('error', { code: 'INVALID_OPS', message: 'Invalid operation batch', batchId });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        socket.emit('error', { code: 'INVALID_NOTE', message: 'Invalid note ID', batchId });
+        return;
+      }
+
+      const commit = await commitRoomOps(roomId, noteId, {
+        id: batchId,
+        content: encryptedOps,
+        timestamp: typeof timestamp === 'number' && timestamp > 0 ? timestamp : Date.now(),
+        deviceId: meta.deviceName
+      }, baseVersion);
+
+      if (!commit.ok) {
+        socket.emit('version-conflict', { roomId, noteId, batchId, baseVersion, currentVersion: commit.currentVersion });
+        return;
+      }
+
+      socket.to(roomId).emit('ops', { roomId, noteId, since: baseVersion, head: commit.entry.version, ops: [commit.entry] });
+      socket.emit('ops-ack', {
+        roomId,
+        noteId,
+        batchId,
+        version: commit.entry.version,
+        snapshotDue: commit.snapshotDue
+      });
+    } catch (error) {
+      console.error('Error in push-ops:', error);
+      socket.emit('error', { message: 'Failed to push operations' });
+    }
+  });
+
+  // Chains in CRDT mode relay encrypted CRDT updates. Updates commute, so
+  // they are appended at the head without a base version check; the log
+  // and catch-up work exactly as for operation batches.
+  socket.on('push-crdt', async ({ roomId, noteId = null, batchId, encryptedUpdate, timestamp } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+
+      if (!(await authorizeWrite(socket, meta, roomId))) {
+        return;
+      }
+
+      if ((await loadRoomMeta(roomId))?.syncMode !== 'crdt') {
+        socket.emit('error', { code: 'SYNC_MODE_MISMATCH', message: 'This chain does not sync CRDT updates', batchId });
+        return;
       }
+
+      if (typeof batchId !== 'string' || !batchId || batchId.length > 100 ||
+        typeof encryptedUpdate !== 'string' || !encryptedUpdate || encryptedUpdate.length > MAX_OPS_BATCH_SIZE) {
+        socket.emit('error', { code: 'INVALID_OPS', message: 'Invalid CRDT update', batchId });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        socket.emit('error', { code: 'INVALID_NOTE', message: 'Invalid note ID', batchId });
+        return;
+      }
+
+      const commit = await commitRoomOps(roomId, noteId, {
+        id: batchId,
+        content: encryptedUpdate,
+        timestamp: typeof timestamp === 'number' && timestamp > 0 ? timestamp : Date.now(),
+        deviceId: meta.deviceName
+      }, null);
+
+      // No snapshot yet: the device uploads its document state instead
+      if (!commit.ok) {
+        socket.emit('version-conflict', { roomId, noteId, batchId, baseVersion: null, currentVersion: commit.currentVersion });
+        return;
+      }
+
+      const { version } = commit.entry;
+      socket.to(roomId).emit('ops', { roomId, noteId, since: version - 1, head: version, ops: [commit.entry] });
+      socket.emit('ops-ack', { roomId, noteId, batchId, version, snapshotDue: commit.snapshotDue });
+    } catch (error) {
+      console.error('Error in push-crdt:', error);
+      socket.emit('error', { message: 'Failed to push CRDT update' });
+    }
+  });
+
+  // A device that missed versions (or lost a version-conflict) asks for
+  // everything after the last version it has seen of one note
+  socket.on('ops-since', async ({ roomId, noteId = null, since } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+
+      if (!Number.isSafeInteger(since) || since < 0) {
+        socket.emit('error', { code: 'INVALID_VERSION', message: 'ops-since requires a version' });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        socket.emit('error', { code: 'INVALID_NOTE', message: 'Invalid note ID' });
+        return;
+      }
+
+      socket.emit('ops', await buildCatchUp(roomId, noteId, since));
+    } catch (error) {
+      console.error('Error in ops-since:', error);
+      socket.emit('error', { message: 'Failed to load operations' });
+    }
+  });
+
+  // Older snapshots of a note kept by the persistence layer. Devices list
+  // them and fetch one to decrypt and restore it as a new edit, e.g. after
+  // another device pushed an emptied note. Answers go to the ack callback.
+  socket.on('list-versions', async ({ roomId, noteId = null } = {}, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        callback({ ok: false, message: 'Not a member of this room' });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        callback({ ok: false, code: 'INVALID_NOTE', message: 'Invalid note ID' });
+        return;
+      }
+
+      const versions = await persistenceManager.listVersions(docKey(roomId, noteId));
+      callback({ ok: true, roomId, noteId, versions });
+    } catch (error) {
+      console.error('Error in list-versions:', error);
+      callback({ ok: false, message: 'Failed to list versions' });
+    }
+  });
+
+  socket.on('get-version', async ({ roomId, noteId = null, versionId } = {}, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        callback({ ok: false, message: 'Not a member of this room' });
+        return;
+      }
+
+      if (!isValidOptionalNoteId(noteId)) {
+        callback({ ok: false, code: 'INVALID_NOTE', message: 'Invalid note ID' });
+        return;
+      }
+
+      const snapshot = DataValidator.isValidVersionId(versionId)
+        ? await persistenceManager.getVersion(docKey(roomId, noteId), versionId)
+        : null;
+      if (!snapshot) {
+        callback({ ok: false, code: 'VERSION_NOT_FOUND', message: 'Version not found' });
+        return;
+      }
+
+      callback({ ok: true, roomId, noteId, snapshot });
+    } catch (error) {
+      console.error('Error in get-version:', error);
+      callback({ ok: false, message: 'Failed to load version' });
+    }
+  });
+
+  // Pin the chain so the retention job never expires it, or unpin it.
+  // Only an authorized writer may change it; the whole room is told.
+  socket.on('set-pinned', async ({ roomId, pinned } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+
+      if (typeof pinned !== 'boolean') {
+        socket.emit('error', { message: 'Invalid pinned flag' });
+        return;
+      }
+
+      if (!(await authorizeWrite(socket, meta, roomId))) {
+        return;
+      }
+
+      await updateRoomMeta(roomId, (roomMeta) => (isPinned(roomMeta) !== pinned ? { ...roomMeta, pinned } : null));
+
+      console.log(`Room ${roomId.substring(0, 8)}... ${pinned ? 'pinned' : 'unpinned'} by ${socket.id}`);
+      io.to(roomId).emit('room-pinned', { roomId, pinned });
+    } catch (error) {
+      console.error('Error in set-pinned:', error);
+      socket.emit('error', { message: 'Failed to update pinned state' });
+    }
+  });
+
+  // Ephemeral presence: each device's encrypted selection ranges are relayed
+  // to the rest of the room and never stored. Presence is sent on every
+  // cursor move, so malformed messages are dropped without an error reply.
+  socket.on('presence', ({ roomId, encryptedPresence } = {}) => {
+    const meta = socketMeta.get(socket.id);
+    if (!meta || meta.roomId !== roomId || !meta.authenticated) {
+      return;
+    }
+
+    if (typeof encryptedPresence !== 'string' || !encryptedPresence || encryptedPresence.length > MAX_PRESENCE_SIZE) {
+      return;
+    }
+
+    socket.to(roomId).emit('presence', { roomId, from: socket.id, encryptedPresence });
+  });
+
+  // After a reconnect the uploader asks which chunks of its session the
+  // server already holds and resends only the rest
+  socket.on('resume-upload', ({ roomId, sessionId } = {}) => {
+    const meta = socketMeta.get(socket.id);
+    if (!meta || meta.roomId !== roomId) {
+      socket.emit('error', { message: 'Not a member of this room' });
+      return;
+    }
+
+    const status = chunkAssembler.getStatus(roomId, sessionId);
+    socket.emit('upload-status', status
+      ? { roomId, sessionId, found: true, ...status }
+      : { roomId, sessionId, found: false });
+  });
+
+  // Request sync (for reconnection scenarios)
+  socket.on('request-sync', async ({ roomId } = {}) => {
+    try {
+      const meta = socketMeta.get(socket.id);
+      if (!meta || meta.roomId !== roomId) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+
+      await sendRoomState(socket, roomId);
+      socket.emit('notes-index', await buildNotesIndex(roomId));
     } catch (error) {
       console.error('Error in request-sync:', error);
     }
@@ -282,6 +1002,8 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', (reason) => {
     console.log(`[${new Date().toISOString()}] User disconnected: ${socket.id}, reason: ${reason}`);
+    // Unfinished uploads stay resumable for a short grace period only
+    chunkAssembler.detachSocket(socket.id);
     if (socketMeta.has(socket.id)) {
       const { roomId } = socketMeta.get(socket.id);
       socketMeta.delete(socket.id);
@@ -335,10 +1057,8 @@ async function gracefulShutdown(signal) {
     console.log('HTTP server closed');
 
     // 关闭持久化存储
-    if (persistenceManager) {
-      await persistenceManager.close();
-      console.log('Persistence layer closed');
-    }
+    await persistenceManager.close();
+    console.log('Persistence layer closed');
 
     console.log('Graceful shutdown completed');
     process.exit(0);
@@ -365,10 +1085,11 @@ async function startServer() {
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`📈 Stats: http://localhost:${PORT}/stats`);
 
-      if (persistenceManager) {
-        console.log(`💾 Persistence: ${persistenceManager.getCurrentAdapter()}`);
-      } else {
+      const adapter = persistenceManager.getCurrentAdapter();
+      if (adapter === 'memory') {
         console.log(`⚠️  Persistence: In-memory only`);
+      } else {
+        console.log(`💾 Persistence: ${adapter}`);
       }
     });
   } catch (error) {
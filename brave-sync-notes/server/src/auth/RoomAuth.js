@@ -0,0 +1,112 @@
+/**
+ * 房间写入授权
+ * 设备用由助记词派生的 Ed25519 私钥对服务器下发的随机挑战签名，
+ * 服务器只保存公钥（verifier），无法据此伪造签名或解密数据。
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 授权失败时下发给客户端的错误码
+ */
+const AuthErrorCodes = Object.freeze({
+    AUTH_REQUIRED: 'AUTH_REQUIRED',   // 尚未完成挑战应答
+    AUTH_FAILED: 'AUTH_FAILED'        // 签名无效或公钥与房间不匹配
+});
+
+const AUTH_ALGORITHM = 'Ed25519';
+const AUTH_MESSAGE_PREFIX = 'brave-sync-auth/v1';
+const CHALLENGE_BYTES = 32;
+const ED25519_PUBLIC_KEY_BYTES = 32;
+const ED25519_SIGNATURE_BYTES = 64;
+
+/**
+ * 房间写入校验信息
+ * @typedef {Object} AuthVerifier
+ * @property {string} alg - 签名算法 ('Ed25519')
+ * @property {string} publicKey - Base64URL 编码的 32 字节公钥
+ */
+
+/**
+ * 生成一次性挑战
+ * @returns {string} Base64 编码的随机数
+ */
+function createChallenge() {
+    return crypto.randomBytes(CHALLENGE_BYTES).toString('base64');
+}
+
+/**
+ * 构造被签名的消息，绑定房间 ID，防止挑战被挪用到其他房间
+ * @param {string} roomId
+ * @param {string} challenge
+ * @returns {Buffer}
+ */
+function buildAuthMessage(roomId, challenge) {
+    return Buffer.from(`${AUTH_MESSAGE_PREFIX}:${roomId}:${challenge}`, 'utf8');
+}
+
+/**
+ * 验证 verifier 格式
+ * @param {AuthVerifier} verifier
+ * @returns {boolean}
+ */
+function isValidVerifier(verifier) {
+    if (!verifier || typeof verifier !== 'object') {
+        return false;
+    }
+    return verifier.alg === AUTH_ALGORITHM &&
+        typeof verifier.publicKey === 'string' &&
+        /^[A-Za-z0-9_-]{43}$/.test(verifier.publicKey) &&
+        Buffer.from(verifier.publicKey, 'base64url').length === ED25519_PUBLIC_KEY_BYTES;
+}
+
+/**
+ * 校验挑战应答
+ * @param {Object} params
+ * @param {AuthVerifier} params.verifier - 设备提交的公钥
+ * @param {string} params.roomId
+ * @param {string} params.challenge - 服务器下发的挑战
+ * @param {string} params.signature - Base64 编码的签名
+ * @returns {boolean}
+ */
+function verifyResponse({ verifier, roomId, challenge, signature }) {
+    if (!isValidVerifier(verifier) || typeof challenge !== 'string' || typeof signature !== 'string') {
+        return false;
+    }
+
+    const signatureBytes = Buffer.from(signature, 'base64');
+    if (signatureBytes.length !== ED25519_SIGNATURE_BYTES) {
+        return false;
+    }
+
+    try {
+        const publicKey = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: verifier.publicKey },
+            format: 'jwk'
+        });
+        return crypto.verify(null, buildAuthMessage(roomId, challenge), publicKey, signatureBytes);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 比较两个 verifier 是否为同一公钥
+ * @param {AuthVerifier} a
+ * @param {AuthVerifier} b
+ * @returns {boolean}
+ */
+function isSameVerifier(a, b) {
+    return !!a && !!b && a.alg === b.alg && a.publicKey === b.publicKey;
+}
+
+module.exports = {
+    AuthErrorCodes,
+    AUTH_ALGORITHM,
+    AUTH_MESSAGE_PREFIX,
+    createChallenge,
+    buildAuthMessage,
+    isValidVerifier,
+    verifyResponse,
+    isSameVerifier
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const {
+    createChallenge,
+    buildAuthMessage,
+    isValidVerifier,
+    verifyResponse,
+    isSameVerifier
+} = require('../RoomAuth');
+
+const ROOM_ID = 'a'.repeat(64);
+
+function createDevice() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const verifier = { alg: 'Ed25519', publicKey: publicKey.export({ format: 'jwk' }).x };
+    const sign = (roomId, challenge) =>
+        crypto.sign(null, buildAuthMessage(roomId, challenge), privateKey).toString('base64');
+    return { verifier, sign };
+}
+
+describe('RoomAuth', () => {
+    test('should create unique challenges', () => {
+        const first = createChallenge();
+
+        expect(Buffer.from(first, 'base64')).toHaveLength(32);
+        expect(createChallenge()).not.toBe(first);
+    });
+
+    test('should accept a valid signature over the challenge', () => {
+        const device = createDevice();
+        const challenge = createChallenge();
+
+        expect(verifyResponse({
+            verifier: device.verifier,
+            roomId: ROOM_ID,
+            challenge,
+            signature: device.sign(ROOM_ID, challenge)
+        })).toBe(true);
+    });
+
+    test('should reject signatures for another challenge, room or key', () => {
+        const device = createDevice();
+        const other = createDevice();
+        const challenge = createChallenge();
+        const signature = device.sign(ROOM_ID, challenge);
+
+        expect(verifyResponse({ verifier: device.verifier, roomId: ROOM_ID, challenge: createChallenge(), signature })).toBe(false);
+        expect(verifyResponse({ verifier: device.verifier, roomId: 'b'.repeat(64), challenge, signature })).toBe(false);
+        expect(verifyResponse({ verifier: other.verifier, roomId: ROOM_ID, challenge, signature })).toBe(false);
+    });
+
+    test('should reject malformed input', () => {
+        const device = createDevice();
+        const challenge = createChallenge();
+
+        expect(verifyResponse({ verifier: device.verifier, roomId: ROOM_ID, challenge, signature: 'short' })).toBe(false);
+        expect(verifyResponse({ verifier: null, roomId: ROOM_ID, challenge, signature: device.sign(ROOM_ID, challenge) })).toBe(false);
+        expect(isValidVerifier({ alg: 'HS256', publicKey: device.verifier.publicKey })).toBe(false);
+        expect(isValidVerifier({ alg: 'Ed25519', publicKey: 'not-a-key' })).toBe(false);
+    });
+
+    test('should compare verifiers by public key', () => {
+        const device = createDevice();
+
+        expect(isSameVerifier(device.verifier, { ...device.verifier })).toBe(true);
+        expect(isSameVerifier(device.verifier, createDevice().verifier)).toBe(false);
+        expect(isSameVerifier(device.verifier, null)).toBe(false);
+    });
+});
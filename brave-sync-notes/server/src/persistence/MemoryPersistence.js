@@ -0,0 +1,360 @@
+const { PersistenceAdapter, VersionConflictError, MetaConflictError, DataValidator } = require('./PersistenceAdapter');
+const { ownerRoomId, isPinned } = require('./RetentionPolicy');
+
+/**
+ * 内存持久化存储实现
+ * 作为故障转移链的最后一环：主备存储都不可用时仍能同步，进程退出后数据丢失。
+ * 也可以单独使用（PRIMARY_STORAGE=memory），适合开发和测试
+ */
+class MemoryPersistence extends PersistenceAdapter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            maxVersions: options.maxVersions || 20, // 每个房间保留的历史快照数量
+            maxLogEntries: options.maxLogEntries || 1000, // 每个房间保留的操作日志数量
+            ...options
+        };
+
+        // Key: RoomID, Value: { data: EncryptedRoomData, updatedAt }
+        this.rooms = new Map();
+        // Key: RoomID, Value: Operation[]（按版本号递增）
+        this.logs = new Map();
+        // Key: RoomID, Value: { meta: RoomMetadata, updatedAt }
+        this.meta = new Map();
+        // Key: RoomID, Value: 历史快照数组，最新的在最前面
+        this.versions = new Map();
+
+        this.nextVersionId = 1;
+        this.isConnected = false;
+    }
+
+    /**
+     * 连接（内存存储无需连接，只标记为可用）
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        this.isConnected = true;
+    }
+
+    /**
+     * 确保连接可用
+     * @private
+     */
+    async _ensureConnection() {
+        if (!this.isConnected) {
+            await this.connect();
+        }
+    }
+
+    /**
+     * 保存同步链数据
+     * @param {string} roomId - 房间ID
+     * @param {EncryptedRoomData} data - 加密的房间数据
+     * @param {SaveRoomOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {VersionConflictError}
+     */
+    async saveRoom(roomId, data, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomData(data)) {
+            throw new Error('Invalid room data');
+        }
+
+        await this._ensureConnection();
+
+        // 读取、比较、写入之间没有 await，天然原子
+        const { expectedVersion } = options;
+        const currentVersion = this.rooms.get(roomId)?.data.version || 0;
+        if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+            throw new VersionConflictError(roomId, expectedVersion, currentVersion);
+        }
+
+        const now = Date.now();
+        const roomData = {
+            encryptedData: data.encryptedData,
+            timestamp: data.timestamp,
+            deviceName: data.deviceName,
+            version: data.version,
+            hash: data.hash || ''
+        };
+        this.rooms.set(roomId, { data: roomData, updatedAt: now });
+
+        const versions = this.versions.get(roomId) || [];
+        versions.unshift({ versionId: String(this.nextVersionId++), savedAt: now, data: roomData });
+        versions.length = Math.min(versions.length, this.options.maxVersions);
+        this.versions.set(roomId, versions);
+
+        console.log(`Saved room data: ${roomId.substring(0, 8)}... (${data.encryptedData.length} bytes)`);
+    }
+
+    /**
+     * 获取同步链数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<EncryptedRoomData|null>}
+     */
+    async getRoom(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const entry = this.rooms.get(roomId);
+        if (!entry) {
+            return null;
+        }
+
+        // 更新访问时间
+        entry.updatedAt = Date.now();
+        return { ...entry.data };
+    }
+
+    /**
+     * 列出房间保留的历史快照
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomVersionInfo[]>} 按保存时间从新到旧排列
+     */
+    async listVersions(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        return (this.versions.get(roomId) || []).map(({ versionId, savedAt, data }) => ({
+            versionId,
+            version: data.version,
+            timestamp: data.timestamp,
+            deviceName: data.deviceName,
+            savedAt,
+            size: data.encryptedData.length
+        }));
+    }
+
+    /**
+     * 获取一份历史快照
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 历史快照 ID
+     * @returns {Promise<(EncryptedRoomData & {versionId: string, savedAt: number})|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidVersionId(versionId)) {
+            return null;
+        }
+
+        await this._ensureConnection();
+
+        const entry = (this.versions.get(roomId) || []).find(version => version.versionId === versionId);
+        return entry ? { ...entry.data, versionId, savedAt: entry.savedAt } : null;
+    }
+
+    /**
+     * 保存房间元数据
+     * @param {string} roomId - 房间ID
+     * @param {RoomMetadata} meta - 房间元数据
+     * @param {SaveRoomMetaOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {MetaConflictError}
+     */
+    async saveRoomMeta(roomId, meta, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomMeta(meta)) {
+            throw new Error('Invalid room metadata');
+        }
+
+        await this._ensureConnection();
+
+        const { expectedMeta } = options;
+        if (expectedMeta !== undefined &&
+            JSON.stringify(this.meta.get(roomId)?.meta ?? null) !== JSON.stringify(expectedMeta)) {
+            throw new MetaConflictError(roomId);
+        }
+
+        // 保存副本，调用方之后修改对象不影响存储的数据
+        this.meta.set(roomId, { meta: structuredClone(meta), updatedAt: Date.now() });
+    }
+
+    /**
+     * 获取房间元数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomMetadata|null>}
+     */
+    async getRoomMeta(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const entry = this.meta.get(roomId);
+        if (!entry) {
+            return null;
+        }
+
+        entry.updatedAt = Date.now();
+        return structuredClone(entry.meta);
+    }
+
+    /**
+     * 删除过期数据（最后读写时间早于 olderThan，置顶房间及其笔记除外）
+     * @param {Date} olderThan - 删除早于此时间的数据
+     * @returns {Promise<number>} 删除的记录数量
+     */
+    async cleanupExpired(olderThan) {
+        await this._ensureConnection();
+
+        const cutoffTimestamp = olderThan.getTime();
+        let deletedCount = 0;
+
+        for (const [roomId, entry] of this.rooms) {
+            if (entry.updatedAt < cutoffTimestamp && !isPinned(this.meta.get(ownerRoomId(roomId))?.meta)) {
+                this.rooms.delete(roomId);
+                this.logs.delete(roomId);
+                this.versions.delete(roomId);
+                deletedCount++;
+            }
+        }
+
+        // 元数据只在房间数据不存在时才随之过期，避免有数据的房间丢失派生参数
+        for (const [roomId, entry] of this.meta) {
+            if (entry.updatedAt < cutoffTimestamp && !this.rooms.has(roomId) && !isPinned(entry.meta)) {
+                this.meta.delete(roomId);
+            }
+        }
+
+        console.log(`Cleaned up ${deletedCount} expired rooms`);
+        return deletedCount;
+    }
+
+    /**
+     * 保存操作日志
+     * @param {string} roomId - 房间ID
+     * @param {Operation} operation - 操作记录
+     * @returns {Promise<void>}
+     */
+    async appendLog(roomId, operation) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidOperation(operation)) {
+            throw new Error('Invalid operation');
+        }
+
+        await this._ensureConnection();
+
+        const log = this.logs.get(roomId) || [];
+        log.push({ ...operation });
+
+        // 限制日志长度，只保留最近的操作
+        if (log.length > this.options.maxLogEntries) {
+            log.splice(0, log.length - this.options.maxLogEntries);
+        }
+        this.logs.set(roomId, log);
+
+        console.log(`Appended operation to log: ${roomId.substring(0, 8)}... op:${operation.type}`);
+    }
+
+    /**
+     * 获取操作日志
+     * @param {string} roomId - 房间ID
+     * @param {number} since - 获取此版本号之后的操作
+     * @returns {Promise<Operation[]>}
+     */
+    async getLog(roomId, since = 0) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        return (this.logs.get(roomId) || [])
+            .filter(operation => operation.version > since)
+            .map(operation => ({ ...operation }));
+    }
+
+    /**
+     * 分页列出存储中的房间（按房间 ID 排序，游标为上一页最后一个房间 ID）
+     * @param {string|null} [cursor] - 上一页返回的游标
+     * @param {number} [limit] - 每页的房间数量
+     * @returns {Promise<RoomPage>}
+     */
+    async listRooms(cursor = null, limit = 100) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error('Invalid limit');
+        }
+
+        await this._ensureConnection();
+
+        // 只有元数据的房间（尚未推送数据）也需要列出
+        const rooms = [...new Set([...this.rooms.keys(), ...this.meta.keys()])]
+            .filter(roomId => roomId > (cursor || ''))
+            .sort()
+            .slice(0, limit);
+
+        return {
+            rooms,
+            cursor: rooms.length === limit ? rooms[rooms.length - 1] : null
+        };
+    }
+
+    /**
+     * 检查存储连接状态
+     * @returns {Promise<boolean>}
+     */
+    async isHealthy() {
+        return this.isConnected;
+    }
+
+    /**
+     * 关闭存储连接（数据保留在内存中，重新连接后仍可读取）
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.isConnected = false;
+    }
+
+    /**
+     * 获取存储统计信息
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        let logCount = 0;
+        for (const log of this.logs.values()) {
+            logCount += log.length;
+        }
+
+        let versionCount = 0;
+        for (const versions of this.versions.values()) {
+            versionCount += versions.length;
+        }
+
+        let pinnedCount = 0;
+        for (const { meta } of this.meta.values()) {
+            if (isPinned(meta)) {
+                pinnedCount++;
+            }
+        }
+
+        return {
+            connected: this.isConnected,
+            roomCount: this.rooms.size,
+            logCount,
+            versionCount,
+            pinnedCount
+        };
+    }
+}
+
+module.exports = MemoryPersistence;
@@ -3,6 +3,8 @@
  * 定义了所有持久化存储实现必须遵循的接口
  */
 
+const { isValidVerifier } = require('../auth/RoomAuth');
+
 /**
  * 加密的房间数据结构
  * @typedef {Object} EncryptedRoomData
@@ -17,15 +19,104 @@
  * 操作记录结构
  * @typedef {Object} Operation
  * @property {string} id - 操作唯一标识符
- * @property {string} type - 操作类型 ('insert', 'delete', 'replace')
- * @property {number} position - 操作位置
- * @property {string} [content] - 插入或替换的内容
+ * @property {string} type - 操作类型 ('insert', 'delete', 'replace', 'batch')
+ * @property {number} position - 操作位置（batch 为 0）
+ * @property {string} [content] - 插入或替换的内容；batch 为客户端加密后的操作列表，服务器无法解读
  * @property {number} [length] - 删除的长度
  * @property {number} timestamp - 操作时间戳
  * @property {string} deviceId - 执行操作的设备ID
  * @property {number} version - 操作版本号
  */
 
+/**
+ * 同步链参数（密钥派生参数，不含任何秘密，可明文存储）
+ * @typedef {Object} ChainParams
+ * @property {number} v - 参数格式版本
+ * @property {string} kdf - 密钥派生算法 ('pbkdf2-sha256')
+ * @property {number} iterations - 迭代次数
+ * @property {string} salt - Base64 编码的随机盐
+ */
+
+/**
+ * 房间元数据（与房间数据分开存储，在首次推送之前即可写入）
+ * @typedef {Object} RoomMetadata
+ * @property {ChainParams} [chainParams] - 同步链参数
+ * @property {import('../auth/RoomAuth').AuthVerifier} [authVerifier] - 写入校验公钥（首次写入时保存）
+ * @property {number} [authVerifierClaimedAt] - 房间已有数据时才保存 verifier 的时间；服务器无法确认该设备持有内容密钥，需人工核对
+ * @property {'snapshot'|'crdt'} [syncMode] - 文档模型，创建同步链时确定，缺省为 snapshot
+ * @property {string[]} [notes] - 房间中除默认笔记外的笔记 ID，每个笔记的数据单独存储在 `${roomId}_${noteId}` 下
+ * @property {boolean} [pinned] - 置顶：房间及其笔记不会因长期未读写而被清理
+ */
+
+/**
+ * saveRoom 选项
+ * @typedef {Object} SaveRoomOptions
+ * @property {number} [expectedVersion] - 乐观并发控制：仅当当前存储的版本号等于该值时写入（房间不存在视为 0）
+ */
+
+/**
+ * appendLog 选项
+ * @typedef {Object} AppendLogOptions
+ * @property {number} [expectedVersion] - 比较并写入：仅当房间当前版本（快照与操作批次中最高的版本号）等于该值时追加。
+ *   只有多个节点共用的存储据此检查，单节点存储的写入已由调用方按房间串行执行
+ */
+
+/**
+ * saveRoomMeta 选项
+ * @typedef {Object} SaveRoomMetaOptions
+ * @property {RoomMetadata|null} [expectedMeta] - 比较并写入：仅当当前存储的元数据与该值相同时写入（null 表示尚无元数据）
+ */
+
+/**
+ * 房间的历史快照（服务器保留的旧版本，内容仍是客户端加密的密文）
+ * @typedef {Object} RoomVersionInfo
+ * @property {string} versionId - 历史快照 ID
+ * @property {number} version - 快照写入时的房间版本号
+ * @property {number} timestamp - 快照的更新时间戳
+ * @property {string} deviceName - 写入快照的设备名称
+ * @property {number} savedAt - 服务器保存快照的时间
+ * @property {number} size - 快照的存储大小
+ */
+
+/**
+ * listRooms 的一页结果
+ * @typedef {Object} RoomPage
+ * @property {string[]} rooms - 本页的房间 ID（有房间数据或元数据的房间）
+ * @property {string|null} cursor - 下一页的游标，没有更多房间时为 null
+ */
+
+/**
+ * 房间版本冲突：写入时存储的版本号与 expectedVersion 不一致
+ */
+class VersionConflictError extends Error {
+    /**
+     * @param {string} roomId
+     * @param {number} expectedVersion
+     * @param {number} currentVersion - 当前存储的版本号（房间不存在时为 0）
+     */
+    constructor(roomId, expectedVersion, currentVersion) {
+        super(`Version conflict on room ${roomId}: expected ${expectedVersion}, found ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.roomId = roomId;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+ * 房间元数据冲突：写入时存储的元数据与 expectedMeta 不一致
+ */
+class MetaConflictError extends Error {
+    /**
+     * @param {string} roomId
+     */
+    constructor(roomId) {
+        super(`Metadata conflict on room ${roomId}`);
+        this.name = 'MetaConflictError';
+        this.roomId = roomId;
+    }
+}
+
 /**
  * 持久化存储适配器抽象类
  * 所有具体的存储实现都应该继承这个类
@@ -34,10 +125,12 @@ class PersistenceAdapter {
     /**
      * 保存同步链数据
      * @param {string} roomId - 房间ID
-     * @param {EncryptedRoomData} data - 加密的房间数据
+     * @param {EncryptedRoomData} data - 加密的房间数据，version 为写入后的版本号
+     * @param {SaveRoomOptions} [options]
      * @returns {Promise<void>}
+     * @throws {VersionConflictError} 指定 expectedVersion 且与当前版本不一致时
      */
-    async saveRoom(roomId, data) {
+    async saveRoom(roomId, data, options = {}) {
         throw new Error('saveRoom method must be implemented');
     }
 
@@ -51,7 +144,29 @@ class PersistenceAdapter {
     }
 
     /**
-     * 删除过期数据
+     * 保存房间元数据
+     * @param {string} roomId - 房间ID
+     * @param {RoomMetadata} meta - 房间元数据
+     * @param {SaveRoomMetaOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {MetaConflictError} 指定 expectedMeta 且与当前元数据不一致时
+     */
+    async saveRoomMeta(roomId, meta, options = {}) {
+        throw new Error('saveRoomMeta method must be implemented');
+    }
+
+    /**
+     * 获取房间元数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomMetadata|null>}
+     */
+    async getRoomMeta(roomId) {
+        throw new Error('getRoomMeta method must be implemented');
+    }
+
+    /**
+     * 删除过期数据：最后读写早于 olderThan 的房间（连同日志和历史快照），以及没有房间数据的过期元数据。
+     * 置顶（元数据 pinned 为 true）的房间及其笔记不删除
      * @param {Date} olderThan - 删除早于此时间的数据
      * @returns {Promise<number>} 删除的记录数量
      */
@@ -63,9 +178,12 @@ class PersistenceAdapter {
      * 保存操作日志
      * @param {string} roomId - 房间ID
      * @param {Operation} operation - 操作记录
+     * @param {AppendLogOptions} [options]
      * @returns {Promise<void>}
+     * @throws {VersionConflictError} 存储拒绝重复的版本号且该版本的批次已存在，或房间当前版本与
+     *   expectedVersion 不一致时（多个节点共用的存储）
      */
-    async appendLog(roomId, operation) {
+    async appendLog(roomId, operation, options = {}) {
         throw new Error('appendLog method must be implemented');
     }
 
@@ -79,6 +197,36 @@ class PersistenceAdapter {
         throw new Error('getLog method must be implemented');
     }
 
+    /**
+     * 列出房间保留的历史快照（每次 saveRoom 成功时保存一份，只保留最近的若干份）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomVersionInfo[]>} 按保存时间从新到旧排列
+     */
+    async listVersions(roomId) {
+        throw new Error('listVersions method must be implemented');
+    }
+
+    /**
+     * 获取一份历史快照
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 历史快照 ID
+     * @returns {Promise<(EncryptedRoomData & {versionId: string, savedAt: number})|null>}
+     */
+    async getVersion(roomId, versionId) {
+        throw new Error('getVersion method must be implemented');
+    }
+
+    /**
+     * 分页列出存储中的房间，用于数据迁移等需要遍历全部房间的场景。
+     * 遍历期间写入的房间可能出现也可能不出现，同一房间也可能出现在多页中，调用方应能重复处理
+     * @param {string|null} [cursor] - 上一页返回的游标，从头开始时为 null
+     * @param {number} [limit] - 每页的房间数量（部分存储只作为参考值）
+     * @returns {Promise<RoomPage>}
+     */
+    async listRooms(cursor, limit) {
+        throw new Error('listRooms method must be implemented');
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
@@ -106,6 +254,8 @@ class PersistenceAdapter {
 
 module.exports = {
     PersistenceAdapter,
+    VersionConflictError,
+    MetaConflictError,
     /**
      * 数据序列化工具
      */
@@ -183,6 +333,17 @@ module.exports = {
                 /^[a-zA-Z0-9_-]+$/.test(roomId);
         },
 
+        /**
+         * 验证客户端提交的同步链房间 ID。
+         * 存储键 `${roomId}_${noteId}` 属于笔记文档，不能被当作房间加入，
+         * 否则可以绕过所属房间的写入校验，因此房间 ID 不允许包含下划线
+         * @param {string} roomId
+         * @returns {boolean}
+         */
+        isValidChainRoomId(roomId) {
+            return this.isValidRoomId(roomId) && !roomId.includes('_');
+        },
+
         /**
          * 验证房间数据格式
          * @param {EncryptedRoomData} data 
@@ -200,6 +361,70 @@ module.exports = {
                 data.version >= 0;
         },
 
+        /**
+         * 验证同步链参数格式
+         * @param {ChainParams} params 
+         * @returns {boolean}
+         */
+        isValidChainParams(params) {
+            if (!params || typeof params !== 'object') {
+                return false;
+            }
+            return params.v === 1 &&
+                params.kdf === 'pbkdf2-sha256' &&
+                Number.isInteger(params.iterations) &&
+                params.iterations >= 600000 &&
+                params.iterations <= 10000000 &&
+                typeof params.salt === 'string' &&
+                params.salt.length >= 16 &&
+                params.salt.length <= 88 &&
+                /^[A-Za-z0-9+/]+={0,2}$/.test(params.salt);
+        },
+
+        /**
+         * 验证文档模型
+         * @param {string} syncMode
+         * @returns {boolean}
+         */
+        isValidSyncMode(syncMode) {
+            return syncMode === 'snapshot' || syncMode === 'crdt';
+        },
+
+        /**
+         * 验证笔记 ID（与房间 ID 拼接后仍需是合法的房间 ID）
+         * @param {string} noteId
+         * @returns {boolean}
+         */
+        isValidNoteId(noteId) {
+            return typeof noteId === 'string' && /^[a-zA-Z0-9]{8,32}$/.test(noteId);
+        },
+
+        /**
+         * 验证历史快照 ID
+         * @param {string} versionId
+         * @returns {boolean}
+         */
+        isValidVersionId(versionId) {
+            return typeof versionId === 'string' && /^[a-zA-Z0-9-]{1,64}$/.test(versionId);
+        },
+
+        /**
+         * 验证房间元数据格式
+         * @param {RoomMetadata} meta 
+         * @returns {boolean}
+         */
+        isValidRoomMeta(meta) {
+            if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+                return false;
+            }
+            return (meta.chainParams === undefined || this.isValidChainParams(meta.chainParams)) &&
+                (meta.authVerifier === undefined || isValidVerifier(meta.authVerifier)) &&
+                (meta.authVerifierClaimedAt === undefined || Number.isSafeInteger(meta.authVerifierClaimedAt)) &&
+                (meta.syncMode === undefined || this.isValidSyncMode(meta.syncMode)) &&
+                (meta.pinned === undefined || typeof meta.pinned === 'boolean') &&
+                (meta.notes === undefined || (Array.isArray(meta.notes) && meta.notes.every(id => this.isValidNoteId(id))));
+        },
+
         /**
          * 验证操作记录格式
          * @param {Operation} operation 
@@ -209,8 +434,11 @@ module.exports = {
             if (!operation || typeof operation !== 'object') {
                 return false;
             }
+            if (operation.type === 'batch' && typeof operation.content !== 'string') {
+                return false;
+            }
             return typeof operation.id === 'string' &&
-                ['insert', 'delete', 'replace'].includes(operation.type) &&
+                ['insert', 'delete', 'replace', 'batch'].includes(operation.type) &&
                 typeof operation.position === 'number' &&
                 typeof operation.timestamp === 'number' &&
                 typeof operation.deviceId === 'string' &&
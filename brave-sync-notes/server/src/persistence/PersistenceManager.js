@@ -1,9 +1,46 @@
 const RedisPersistence = require('./RedisPersistence');
 const SQLitePersistence = require('./SQLitePersistence');
+const PostgresPersistence = require('./PostgresPersistence');
+const MemoryPersistence = require('./MemoryPersistence');
+const { VersionConflictError } = require('./PersistenceAdapter');
+
+/**
+ * migrateData 选项
+ * @typedef {Object} MigrationOptions
+ * @property {number} [batchSize] - 每页列出的房间数量，默认 100
+ * @property {boolean} [verify] - 复制后读回校验，默认 true
+ * @property {string|null} [cursor] - 从指定游标开始（例如进程重启后使用 onProgress 报告的游标）
+ * @property {boolean} [restart] - 忽略未完成的迁移，从头开始
+ * @property {function(MigrationProgress): void} [onProgress] - 每处理完一页房间时调用
+ */
+
+/**
+ * 迁移进度
+ * @typedef {Object} MigrationProgress
+ * @property {string|null} cursor - 下一页的游标，已处理完全部房间时为 null
+ * @property {number} processed - 已处理的房间数
+ * @property {number} migrated - 写入目标适配器的房间数
+ * @property {number} skipped - 目标适配器中已是最新、无需写入的房间数
+ * @property {{roomId: string, error: string}[]} failed - 迁移失败的房间
+ * @property {boolean} completed - 是否已处理完全部房间
+ */
+
+/**
+ * 主备同步结果
+ * @typedef {Object} ResyncReport
+ * @property {string} startedAt - 开始时间（ISO 格式）
+ * @property {boolean} fullScan - 是否逐页检查了备用适配器中的全部房间
+ * @property {number} checked - 检查的房间数
+ * @property {number} toPrimary - 从另一侧复制到主适配器的房间数
+ * @property {number} toFallback - 从主适配器复制到另一侧（备用适配器或内存存储）的房间数
+ * @property {number} deferred - 另一侧不可用、留待下次同步的房间数
+ * @property {{roomId: string, error: string}[]} failed - 同步失败的房间（仍留在待同步记录中）
+ */
 
 /**
  * 持久化管理器
- * 负责管理不同的存储适配器，提供故障转移和负载均衡
+ * 负责管理不同的存储适配器，提供故障转移和负载均衡。
+ * 故障转移链依次为主适配器、备用适配器和内存存储，内存存储始终可用
  */
 class PersistenceManager {
     constructor(options = {}) {
@@ -12,6 +49,9 @@ class PersistenceManager {
             fallbackAdapter: options.fallbackAdapter || 'sqlite',
             healthCheckInterval: options.healthCheckInterval || 30000, // 30秒
             autoFailover: options.autoFailover !== false,
+            dualWrite: options.dualWrite === true, // 主适配器的写入同时复制到备用适配器
+            memoryFallback: options.memoryFallback !== false, // 主备适配器都不可用时使用内存存储
+            resyncBatchSize: options.resyncBatchSize || 100, // 全量同步时每页检查的房间数量
             ...options
         };
 
@@ -19,6 +59,17 @@ class PersistenceManager {
         this.currentAdapter = null;
         this.healthCheckTimer = null;
         this.isInitialized = false;
+
+        // 与主适配器数据可能不一致的房间：使用备用适配器或内存存储期间写入的房间，以及双写时复制失败的房间
+        // Key: 另一侧的适配器名称, Value: Map<RoomID, { seq, source }>，source 为写入成功（数据较新）的适配器名称
+        this.dirtyRooms = new Map();
+        this.dirtySeq = 0;
+        // 启动时主适配器不可用，之前使用备用适配器期间写入了哪些房间无从得知，切回时需要全量同步
+        this.fullResyncPending = false;
+        this.lastResync = null;
+
+        // 各次迁移的进度，Key: `${from}->${to}`，未完成的迁移再次调用时从记录的游标继续
+        this.migrations = new Map();
     }
 
     /**
@@ -43,6 +94,18 @@ class PersistenceManager {
                 this.adapters.set('sqlite', sqliteAdapter);
             }
 
+            // 初始化 PostgreSQL 适配器
+            if (this.options.primaryAdapter === 'postgres' || this.options.fallbackAdapter === 'postgres') {
+                const postgresAdapter = new PostgresPersistence(this.options.postgres || {});
+                this.adapters.set('postgres', postgresAdapter);
+            }
+
+            // 初始化内存适配器
+            if (this.options.primaryAdapter === 'memory' || this.options.fallbackAdapter === 'memory' ||
+                this.options.memoryFallback) {
+                this.adapters.set('memory', new MemoryPersistence(this.options.memory || {}));
+            }
+
             // 尝试连接主适配器
             await this._switchToAdapter(this.options.primaryAdapter);
 
@@ -56,22 +119,47 @@ class PersistenceManager {
         } catch (error) {
             console.error('Failed to initialize persistence manager:', error);
 
-            // 尝试故障转移到备用适配器
-            if (this.options.autoFailover && this.options.fallbackAdapter !== this.options.primaryAdapter) {
+            if (!this.options.autoFailover) {
+                throw error;
+            }
+
+            // 沿故障转移链依次尝试备用适配器和内存存储
+            for (const adapterName of this._failoverChain().slice(1)) {
                 try {
-                    await this._switchToAdapter(this.options.fallbackAdapter);
-                    console.log(`Switched to fallback adapter: ${this.options.fallbackAdapter}`);
-                    this.isInitialized = true;
+                    await this._switchToAdapter(adapterName);
+                    console.log(`Switched to fallback adapter: ${adapterName}`);
+                    break;
                 } catch (fallbackError) {
-                    console.error('Failed to initialize fallback adapter:', fallbackError);
-                    throw new Error('All persistence adapters failed to initialize');
+                    console.error(`Failed to initialize fallback adapter ${adapterName}:`, fallbackError);
                 }
-            } else {
-                throw error;
             }
+
+            if (!this.currentAdapter) {
+                throw new Error('All persistence adapters failed to initialize');
+            }
+
+            const fallback = this.adapters.get(this.options.fallbackAdapter);
+            this.fullResyncPending = this.adapters.has(this.options.primaryAdapter) &&
+                !!fallback && fallback !== this.adapters.get(this.options.primaryAdapter);
+            this.isInitialized = true;
+            this._startHealthCheck();
         }
     }
 
+    /**
+     * 故障转移链：主适配器、备用适配器、内存存储（已创建且不重复的）
+     * @private
+     * @returns {string[]}
+     */
+    _failoverChain() {
+        const names = [
+            this.options.primaryAdapter,
+            this.options.fallbackAdapter,
+            this.options.memoryFallback ? 'memory' : null
+        ];
+        return names.filter((name, index) => name && this.adapters.has(name) && names.indexOf(name) === index);
+    }
+
     /**
      * 切换到指定的适配器
      * @private
@@ -119,6 +207,8 @@ class PersistenceManager {
 
     /**
      * 执行健康检查
+     * 当前适配器不可用时故障转移；使用备用适配器期间主适配器恢复时，同步数据后切回主适配器；
+     * 使用主适配器时补做上次未完成的同步
      * @private
      */
     async _performHealthCheck() {
@@ -131,19 +221,74 @@ class PersistenceManager {
         if (!isHealthy) {
             console.warn(`Current adapter ${this.currentAdapterName} is unhealthy, attempting failover`);
 
-            // 尝试故障转移
-            const fallbackName = this.currentAdapterName === this.options.primaryAdapter
-                ? this.options.fallbackAdapter
-                : this.options.primaryAdapter;
-
-            if (fallbackName && this.adapters.has(fallbackName)) {
+            // 沿故障转移链尝试其余适配器
+            for (const fallbackName of this._failoverChain()) {
+                if (fallbackName === this.currentAdapterName) {
+                    continue;
+                }
                 try {
                     await this._switchToAdapter(fallbackName);
                     console.log(`Successfully failed over to ${fallbackName}`);
+                    return;
                 } catch (error) {
                     console.error(`Failover to ${fallbackName} failed:`, error);
                 }
             }
+            return;
+        }
+
+        const primary = this.adapters.get(this.options.primaryAdapter);
+        if (!primary) {
+            return;
+        }
+
+        if (this.currentAdapter !== primary) {
+            if (await this._probeAdapter(primary)) {
+                await this._failback();
+            }
+        } else if (this.dirtyRooms.size > 0 || this.fullResyncPending) {
+            await this.resync();
+        }
+    }
+
+    /**
+     * 尝试连接适配器并检查其是否可用
+     * @private
+     * @returns {Promise<boolean>}
+     */
+    async _probeAdapter(adapter) {
+        try {
+            await adapter.connect();
+            return await adapter.isHealthy();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 切回主适配器：先同步使用备用适配器期间写入的房间，全部成功后才切换，
+     * 再同步一次同步期间写入备用适配器的房间
+     * @private
+     */
+    async _failback() {
+        console.log(`Primary adapter ${this.options.primaryAdapter} is healthy again, resyncing before failback`);
+
+        const report = await this.resync();
+        if (report.failed.length > 0) {
+            console.warn(`Staying on ${this.currentAdapterName}: ${report.failed.length} rooms failed to resync`);
+            return;
+        }
+
+        try {
+            await this._switchToAdapter(this.options.primaryAdapter);
+            console.log(`Failed back to primary adapter ${this.options.primaryAdapter}`);
+        } catch (error) {
+            console.error('Failback to primary adapter failed:', error);
+            return;
+        }
+
+        if (this.dirtyRooms.size > 0) {
+            await this.resync();
         }
     }
 
@@ -168,14 +313,76 @@ class PersistenceManager {
         }
     }
 
+    /**
+     * 写入当前适配器之后：使用主适配器时按需复制到备用适配器，使用其他适配器时记录待同步的房间
+     * @private
+     * @param {string} adapterName - 已写入的适配器名称
+     * @param {string} roomId - 房间ID
+     * @param {function(PersistenceAdapter): Promise<void>} replicate - 把同一写入应用到备用适配器
+     */
+    async _afterWrite(adapterName, roomId, replicate) {
+        const primaryName = this.options.primaryAdapter;
+        if (!this.adapters.has(primaryName)) {
+            return;
+        }
+
+        if (adapterName !== primaryName) {
+            this._markDirty(adapterName, roomId, adapterName);
+            return;
+        }
+
+        const fallbackName = this.options.fallbackAdapter;
+        const fallback = this.adapters.get(fallbackName);
+        if (this.options.dualWrite && fallback && fallbackName !== primaryName) {
+            try {
+                await replicate(fallback);
+            } catch (error) {
+                console.error(`Failed to replicate room ${roomId} to ${fallbackName}:`, error);
+                this._markDirty(fallbackName, roomId, primaryName);
+            }
+        }
+    }
+
+    /**
+     * 记录与主适配器数据可能不一致的房间
+     * @private
+     * @param {string} peer - 另一侧的适配器名称
+     * @param {string} roomId - 房间ID
+     * @param {string} source - 数据较新的适配器名称
+     */
+    _markDirty(peer, roomId, source) {
+        let rooms = this.dirtyRooms.get(peer);
+        if (!rooms) {
+            rooms = new Map();
+            this.dirtyRooms.set(peer, rooms);
+        }
+        rooms.set(roomId, { seq: ++this.dirtySeq, source });
+    }
+
+    /**
+     * 待同步的房间数
+     * @private
+     * @returns {number}
+     */
+    _pendingResyncCount() {
+        let count = 0;
+        for (const rooms of this.dirtyRooms.values()) {
+            count += rooms.size;
+        }
+        return count;
+    }
+
     // 代理所有持久化操作到当前适配器
 
     /**
      * 保存同步链数据
      */
-    async saveRoom(roomId, data) {
+    async saveRoom(roomId, data, options) {
         this._ensureInitialized();
-        return this.currentAdapter.saveRoom(roomId, data);
+        const adapterName = this.currentAdapterName;
+        await this.currentAdapter.saveRoom(roomId, data, options);
+        // 版本号已由当前适配器检查，备用适配器直接写入
+        await this._afterWrite(adapterName, roomId, fallback => fallback.saveRoom(roomId, data));
     }
 
     /**
@@ -186,20 +393,55 @@ class PersistenceManager {
         return this.currentAdapter.getRoom(roomId);
     }
 
+    /**
+     * 保存房间元数据
+     */
+    async saveRoomMeta(roomId, meta, options) {
+        this._ensureInitialized();
+        const adapterName = this.currentAdapterName;
+        await this.currentAdapter.saveRoomMeta(roomId, meta, options);
+        // 元数据已由当前适配器比较，备用适配器直接写入
+        await this._afterWrite(adapterName, roomId, fallback => fallback.saveRoomMeta(roomId, meta));
+    }
+
+    /**
+     * 获取房间元数据
+     */
+    async getRoomMeta(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getRoomMeta(roomId);
+    }
+
     /**
      * 删除过期数据
      */
     async cleanupExpired(olderThan) {
         this._ensureInitialized();
-        return this.currentAdapter.cleanupExpired(olderThan);
+        const adapter = this.currentAdapter;
+        const deletedCount = await adapter.cleanupExpired(olderThan);
+
+        // 双写时备用适配器保存着同样的房间，一并清理
+        const fallback = this.adapters.get(this.options.fallbackAdapter);
+        if (this.options.dualWrite && adapter === this.adapters.get(this.options.primaryAdapter) &&
+            fallback && fallback !== adapter) {
+            try {
+                await fallback.cleanupExpired(olderThan);
+            } catch (error) {
+                console.error(`Failed to cleanup expired data on ${this.options.fallbackAdapter}:`, error);
+            }
+        }
+
+        return deletedCount;
     }
 
     /**
      * 保存操作日志
      */
-    async appendLog(roomId, operation) {
+    async appendLog(roomId, operation, options) {
         this._ensureInitialized();
-        return this.currentAdapter.appendLog(roomId, operation);
+        const adapterName = this.currentAdapterName;
+        await this.currentAdapter.appendLog(roomId, operation, options);
+        await this._afterWrite(adapterName, roomId, fallback => fallback.appendLog(roomId, operation));
     }
 
     /**
@@ -210,6 +452,22 @@ class PersistenceManager {
         return this.currentAdapter.getLog(roomId, since);
     }
 
+    /**
+     * 列出房间保留的历史快照
+     */
+    async listVersions(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.listVersions(roomId);
+    }
+
+    /**
+     * 获取一份历史快照
+     */
+    async getVersion(roomId, versionId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getVersion(roomId, versionId);
+    }
+
     /**
      * 检查存储连接状态
      */
@@ -248,7 +506,12 @@ class PersistenceManager {
                 initialized: this.isInitialized,
                 primaryAdapter: this.options.primaryAdapter,
                 fallbackAdapter: this.options.fallbackAdapter,
-                autoFailover: this.options.autoFailover
+                autoFailover: this.options.autoFailover,
+                failoverChain: this._failoverChain(),
+                dualWrite: this.options.dualWrite,
+                pendingResync: this._pendingResyncCount(),
+                fullResyncPending: this.fullResyncPending,
+                lastResync: this.lastResync
             }
         };
     }
@@ -304,8 +567,15 @@ class PersistenceManager {
 
     /**
      * 执行数据迁移（从一个适配器迁移到另一个）
+     * 逐页列出源适配器的房间，复制房间数据、历史快照、元数据和操作日志。每页处理完后才推进游标，
+     * 中断后以相同的源和目标再次调用，从未完成的页继续；目标中已是最新的房间会被跳过，
+     * 因此重复处理同一房间是安全的
+     * @param {string} fromAdapter - 源适配器名称
+     * @param {string} toAdapter - 目标适配器名称
+     * @param {MigrationOptions} [options]
+     * @returns {Promise<MigrationProgress>}
      */
-    async migrateData(fromAdapter, toAdapter) {
+    async migrateData(fromAdapter, toAdapter, options = {}) {
         const sourceAdapter = this.adapters.get(fromAdapter);
         const targetAdapter = this.adapters.get(toAdapter);
 
@@ -313,17 +583,326 @@ class PersistenceManager {
             throw new Error('Source or target adapter not found');
         }
 
-        console.log(`Starting data migration from ${fromAdapter} to ${toAdapter}`);
+        if (sourceAdapter === targetAdapter) {
+            throw new Error('Source and target adapter must differ');
+        }
+
+        const { batchSize = 100, verify = true, restart = false, onProgress } = options;
+        const migrationKey = `${fromAdapter}->${toAdapter}`;
+        const previous = this.migrations.get(migrationKey);
+        const resuming = !restart && options.cursor === undefined && previous && !previous.completed;
+
+        const progress = resuming ? previous : {
+            cursor: options.cursor || null,
+            processed: 0,
+            migrated: 0,
+            skipped: 0,
+            failed: [],
+            completed: false
+        };
+        this.migrations.set(migrationKey, progress);
+
+        console.log(resuming
+            ? `Resuming data migration from ${fromAdapter} to ${toAdapter} after ${progress.processed} rooms`
+            : `Starting data migration from ${fromAdapter} to ${toAdapter}`);
 
         try {
-            // 这里需要实现具体的迁移逻辑
-            // 由于我们没有直接的方法来枚举所有房间，这个功能需要根据具体需求实现
-            console.log('Data migration completed');
+            do {
+                const page = await sourceAdapter.listRooms(progress.cursor, batchSize);
+                const pageResult = { migrated: 0, skipped: 0, failed: [] };
+
+                for (const roomId of page.rooms) {
+                    try {
+                        const written = await this._migrateRoom(sourceAdapter, targetAdapter, roomId, verify);
+                        pageResult[written ? 'migrated' : 'skipped']++;
+                    } catch (error) {
+                        console.error(`Failed to migrate room ${roomId}:`, error);
+                        pageResult.failed.push({ roomId, error: error.message });
+                    }
+                }
+
+                // 整页处理完后一起记录，中断时本页会重新处理
+                progress.processed += page.rooms.length;
+                progress.migrated += pageResult.migrated;
+                progress.skipped += pageResult.skipped;
+                progress.failed.push(...pageResult.failed);
+                progress.cursor = page.cursor;
+
+                if (onProgress) {
+                    onProgress({ ...progress, failed: [...progress.failed] });
+                }
+            } while (progress.cursor !== null);
+
+            progress.completed = true;
+            console.log(`Data migration completed: ${progress.migrated} migrated, ${progress.skipped} skipped, ${progress.failed.length} failed`);
+            return { ...progress, failed: [...progress.failed] };
         } catch (error) {
             console.error('Data migration failed:', error);
             throw error;
         }
     }
+
+    /**
+     * 把一个房间复制到目标适配器
+     * @private
+     * @returns {Promise<boolean>} 是否写入了目标适配器
+     */
+    async _migrateRoom(source, target, roomId, verify) {
+        const data = await source.getRoom(roomId);
+        const meta = await source.getRoomMeta(roomId);
+        const log = data ? await source.getLog(roomId, 0) : [];
+
+        const existing = await target.getRoom(roomId);
+        let written = false;
+
+        if (meta && JSON.stringify(await target.getRoomMeta(roomId)) !== JSON.stringify(meta)) {
+            await target.saveRoomMeta(roomId, meta);
+            written = true;
+        }
+
+        if (data && !(existing && existing.version === data.version && existing.encryptedData === data.encryptedData)) {
+            // 目标中还没有该房间时，先按时间顺序写入旧快照，使目标保留同样的历史快照
+            if (!existing) {
+                const versions = await source.listVersions(roomId);
+                for (const info of versions.reverse()) {
+                    if (info.version >= data.version) {
+                        continue;
+                    }
+                    const snapshot = await source.getVersion(roomId, info.versionId);
+                    if (snapshot) {
+                        const { versionId, savedAt, ...roomData } = snapshot;
+                        await target.saveRoom(roomId, roomData);
+                    }
+                }
+            }
+            await target.saveRoom(roomId, data);
+            written = true;
+        }
+
+        if (await this._appendMissingLog(target, roomId, log)) {
+            written = true;
+        }
+
+        if (verify) {
+            await this._verifyRoom(target, roomId, data, meta, log);
+        }
+
+        return written;
+    }
+
+    /**
+     * 操作日志只追加目标中还没有的批次（日志依附于房间数据）
+     * @private
+     * @returns {Promise<boolean>} 是否追加了批次
+     */
+    async _appendMissingLog(target, roomId, log) {
+        if (log.length === 0) {
+            return false;
+        }
+
+        const targetLog = await target.getLog(roomId, 0);
+        const lastVersion = targetLog.length > 0 ? targetLog[targetLog.length - 1].version : 0;
+        let appended = false;
+        for (const operation of log) {
+            if (operation.version > lastVersion) {
+                await target.appendLog(roomId, operation);
+                appended = true;
+            }
+        }
+        return appended;
+    }
+
+    /**
+     * 读回目标适配器中的房间，确认与源数据一致
+     * @private
+     */
+    async _verifyRoom(target, roomId, data, meta, log) {
+        if (data) {
+            const saved = await target.getRoom(roomId);
+            if (!saved || saved.version !== data.version || saved.encryptedData !== data.encryptedData) {
+                throw new Error('Room data mismatch after migration');
+            }
+
+            const savedVersions = new Set((await target.getLog(roomId, 0)).map(operation => operation.version));
+            if (!log.every(operation => savedVersions.has(operation.version))) {
+                throw new Error('Operation log mismatch after migration');
+            }
+        }
+
+        if (meta && JSON.stringify(await target.getRoomMeta(roomId)) !== JSON.stringify(meta)) {
+            throw new Error('Room metadata mismatch after migration');
+        }
+    }
+
+    /**
+     * 同步与主适配器数据可能不一致的房间，每个房间保留版本号较高的一份
+     * 健康检查在切回主适配器前后自动调用；同步失败的房间留在记录中，另一侧不可用的房间留待以后，
+     * 都在下次健康检查时重试。启动时主适配器不可用的情况下，还会逐页检查备用适配器中的全部房间
+     * @returns {Promise<ResyncReport>}
+     */
+    async resync() {
+        const primary = this.adapters.get(this.options.primaryAdapter);
+        if (!primary) {
+            throw new Error('Resync requires a primary adapter');
+        }
+
+        const report = {
+            startedAt: new Date().toISOString(),
+            fullScan: false,
+            checked: 0,
+            toPrimary: 0,
+            toFallback: 0,
+            deferred: 0,
+            failed: []
+        };
+
+        const reconcile = async (peer, roomId, metaSource) => {
+            report.checked++;
+            try {
+                const copied = await this._reconcileRoom(primary, peer, roomId, metaSource);
+                if (copied === primary) {
+                    report.toPrimary++;
+                } else if (copied === peer) {
+                    report.toFallback++;
+                }
+                return true;
+            } catch (error) {
+                console.error(`Failed to resync room ${roomId}:`, error);
+                report.failed.push({ roomId, error: error.message });
+                return false;
+            }
+        };
+
+        try {
+            const fallbackName = this.options.fallbackAdapter;
+            const fallback = this.adapters.get(fallbackName);
+            if (this.fullResyncPending && fallback && fallback !== primary && await this._probeAdapter(fallback)) {
+                // 不知道哪些房间在备用适配器中更新过，元数据只补齐缺失的一侧
+                report.fullScan = true;
+                let cursor = null;
+                let complete = true;
+                do {
+                    const page = await fallback.listRooms(cursor, this.options.resyncBatchSize);
+                    for (const roomId of page.rooms) {
+                        if (!this.dirtyRooms.get(fallbackName)?.has(roomId) && !(await reconcile(fallback, roomId, null))) {
+                            complete = false;
+                        }
+                    }
+                    cursor = page.cursor;
+                } while (cursor !== null);
+                this.fullResyncPending = !complete;
+            }
+
+            for (const [peerName, rooms] of [...this.dirtyRooms]) {
+                const peer = this.adapters.get(peerName);
+                if (!(await this._probeAdapter(peer))) {
+                    report.deferred += rooms.size;
+                    continue;
+                }
+
+                for (const [roomId, entry] of [...rooms]) {
+                    if (await reconcile(peer, roomId, this.adapters.get(entry.source))) {
+                        // 同步期间再次写入的房间保留记录，下次再同步
+                        if (rooms.get(roomId)?.seq === entry.seq) {
+                            rooms.delete(roomId);
+                        }
+                    }
+                }
+
+                if (rooms.size === 0) {
+                    this.dirtyRooms.delete(peerName);
+                }
+            }
+        } catch (error) {
+            console.error('Resync failed:', error);
+            report.failed.push({ roomId: null, error: error.message });
+        }
+
+        this.lastResync = report;
+        console.log(`Resync completed: ${report.checked} checked, ${report.toPrimary} to primary, ${report.toFallback} to fallback, ${report.deferred} deferred, ${report.failed.length} failed`);
+        return report;
+    }
+
+    /**
+     * 同步一个房间：版本号较高的一份复制到另一侧，版本号相同时以时间戳较新的为准。
+     * 操作日志按头部版本（快照与最后一个批次中较高的版本号）比较，
+     * 只通过操作批次修改过的房间快照版本相同，也要补齐日志
+     * @private
+     * @param {PersistenceAdapter} primary - 主适配器
+     * @param {PersistenceAdapter} fallback - 另一侧（备用适配器或内存存储）
+     * @param {string} roomId - 房间ID
+     * @param {PersistenceAdapter|null} metaSource - 元数据较新的适配器；为 null 时只补齐缺失的元数据
+     * @returns {Promise<PersistenceAdapter|null>} 写入了房间数据或操作批次的适配器，两侧一致时为 null
+     */
+    async _reconcileRoom(primary, fallback, roomId, metaSource) {
+        const primaryData = await primary.getRoom(roomId);
+        const fallbackData = await fallback.getRoom(roomId);
+
+        let source = null;
+        let target = null;
+        if (fallbackData && (!primaryData || this._isNewerRoom(fallbackData, primaryData))) {
+            [source, target] = [fallback, primary];
+        } else if (primaryData && (!fallbackData || this._isNewerRoom(primaryData, fallbackData))) {
+            [source, target] = [primary, fallback];
+        }
+
+        let copied = null;
+        if (source) {
+            const data = source === primary ? primaryData : fallbackData;
+            const existing = source === primary ? fallbackData : primaryData;
+            try {
+                // 比较并写入：读取之后目标又被写入时，目标中的数据更新，无需覆盖
+                await target.saveRoom(roomId, data, { expectedVersion: existing ? existing.version : 0 });
+                copied = target;
+            } catch (error) {
+                if (!(error instanceof VersionConflictError)) {
+                    throw error;
+                }
+            }
+        }
+
+        const primaryLog = await primary.getLog(roomId, 0);
+        const fallbackLog = await fallback.getLog(roomId, 0);
+        const primaryHead = this._headVersion(primaryData, primaryLog);
+        const fallbackHead = this._headVersion(fallbackData, fallbackLog);
+        if (fallbackHead > primaryHead && await this._appendMissingLog(primary, roomId, fallbackLog)) {
+            copied = copied || primary;
+        } else if (primaryHead > fallbackHead && await this._appendMissingLog(fallback, roomId, primaryLog)) {
+            copied = copied || fallback;
+        }
+
+        const primaryMeta = await primary.getRoomMeta(roomId);
+        const fallbackMeta = await fallback.getRoomMeta(roomId);
+        if (JSON.stringify(primaryMeta) !== JSON.stringify(fallbackMeta)) {
+            if (metaSource === fallback ? fallbackMeta : (!primaryMeta && fallbackMeta)) {
+                await primary.saveRoomMeta(roomId, fallbackMeta);
+            } else if (metaSource === primary ? primaryMeta : (!fallbackMeta && primaryMeta)) {
+                await fallback.saveRoomMeta(roomId, primaryMeta);
+            }
+        }
+
+        return copied;
+    }
+
+    /**
+     * 房间的头部版本：快照版本与最后一个操作批次版本中较高的一个
+     * @private
+     */
+    _headVersion(data, log) {
+        const snapshotVersion = data ? data.version : 0;
+        return log.length > 0 ? Math.max(snapshotVersion, log[log.length - 1].version) : snapshotVersion;
+    }
+
+    /**
+     * 房间数据 a 是否比 b 新：版本号较高，或版本号相同、内容不同且时间戳较新
+     * @private
+     */
+    _isNewerRoom(a, b) {
+        if (a.version !== b.version) {
+            return a.version > b.version;
+        }
+        return a.encryptedData !== b.encryptedData && a.timestamp > b.timestamp;
+    }
 }
 
-module.exports = PersistenceManager;
\ No newline at end of file
+module.exports = PersistenceManager;
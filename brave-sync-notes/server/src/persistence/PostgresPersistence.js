@@ -0,0 +1,826 @@
+const { PersistenceAdapter, VersionConflictError, MetaConflictError, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { ownerRoomId } = require('./RetentionPolicy');
+const { Pool } = require('pg');
+
+/**
+ * 迁移时持有的事务级咨询锁 ID，多个节点同时启动时只有一个执行迁移
+ */
+const MIGRATION_LOCK_ID = 7345001;
+
+/**
+ * 唯一约束冲突的错误码
+ */
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * 数据库结构迁移，按版本号依次执行，已执行的版本记录在 schema_migrations 表中。
+ * 已发布的迁移不能修改，结构变化只能追加新的版本。
+ * 版本号列使用 BIGINT（基线房间以时间戳作为版本号），pg 以字符串返回，读取时转换为 Number
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'create rooms, operation_logs, room_meta and room_versions',
+        statements: [
+            // head_version 为房间当前版本（快照与操作批次中最高的版本号），
+            // 快照和操作批次的比较并写入都针对这一列，在同一行上互相排斥
+            `CREATE TABLE IF NOT EXISTS rooms (
+        room_id TEXT PRIMARY KEY,
+        encrypted_data TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        version BIGINT NOT NULL DEFAULT 0,
+        device_name TEXT NOT NULL,
+        hash TEXT,
+        created_at BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        head_version BIGINT NOT NULL DEFAULT 0
+      )`,
+            `CREATE TABLE IF NOT EXISTS operation_logs (
+        id BIGSERIAL PRIMARY KEY,
+        room_id TEXT NOT NULL REFERENCES rooms (room_id) ON DELETE CASCADE,
+        operation_id TEXT NOT NULL,
+        operation_type TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        content TEXT,
+        length INTEGER,
+        timestamp BIGINT NOT NULL,
+        device_id TEXT NOT NULL,
+        version BIGINT NOT NULL,
+        created_at BIGINT NOT NULL,
+        UNIQUE (room_id, version)
+      )`,
+            // 房间元数据表（不依赖 rooms，首次推送前即可写入）
+            `CREATE TABLE IF NOT EXISTS room_meta (
+        room_id TEXT PRIMARY KEY,
+        meta JSONB NOT NULL,
+        updated_at BIGINT NOT NULL
+      )`,
+            `CREATE TABLE IF NOT EXISTS room_versions (
+        id BIGSERIAL PRIMARY KEY,
+        room_id TEXT NOT NULL REFERENCES rooms (room_id) ON DELETE CASCADE,
+        encrypted_data TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        version BIGINT NOT NULL,
+        device_name TEXT NOT NULL,
+        created_at BIGINT NOT NULL
+      )`,
+            'CREATE INDEX IF NOT EXISTS idx_rooms_updated_at ON rooms (updated_at)',
+            'CREATE INDEX IF NOT EXISTS idx_versions_room_id ON room_versions (room_id, id)',
+            'CREATE INDEX IF NOT EXISTS idx_meta_updated_at ON room_meta (updated_at)'
+        ]
+    }
+];
+
+/**
+ * PostgreSQL 持久化存储实现
+ * 使用连接池访问，启动时自动执行未完成的结构迁移。
+ * 多个服务器实例共用同一个数据库时，快照、操作批次和元数据的写入都以比较并写入的方式进行，
+ * 不会互相覆盖；但实时广播只发给本实例上的 socket，尚不支持多实例部署
+ */
+class PostgresPersistence extends PersistenceAdapter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            connectionString: options.connectionString || process.env.POSTGRES_URL,
+            host: options.host || 'localhost',
+            port: options.port || 5432,
+            user: options.user,
+            password: options.password,
+            database: options.database || 'notesync',
+            maxConnections: options.maxConnections || 10, // 连接池大小
+            idleTimeout: options.idleTimeout || 30000, // 空闲连接的关闭时间
+            connectTimeout: options.connectTimeout || 5000,
+            maxVersions: options.maxVersions || 20, // 每个房间保留的历史快照数量
+            maxLogEntries: options.maxLogEntries || 1000, // 每个房间保留的操作日志数量
+            pool: null, // 外部创建的连接池，由调用方负责关闭
+            ...options
+        };
+
+        this.pool = null;
+        this.isConnected = false;
+        this.connectionPromise = null;
+        this.schemaVersion = 0;
+    }
+
+    /**
+     * 连接到 PostgreSQL 并执行结构迁移
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.connectionPromise) {
+            return this.connectionPromise;
+        }
+
+        this.connectionPromise = this._doConnect();
+        return this.connectionPromise;
+    }
+
+    async _doConnect() {
+        try {
+            if (this.options.pool) {
+                this.pool = this.options.pool;
+            } else {
+                this.pool = new Pool({
+                    connectionString: this.options.connectionString,
+                    host: this.options.host,
+                    port: this.options.port,
+                    user: this.options.user,
+                    password: this.options.password,
+                    database: this.options.database,
+                    max: this.options.maxConnections,
+                    idleTimeoutMillis: this.options.idleTimeout,
+                    connectionTimeoutMillis: this.options.connectTimeout
+                });
+
+                // 空闲连接断开时连接池会触发 error 事件，不处理会导致进程退出
+                this.pool.on('error', (err) => {
+                    console.error('PostgreSQL pool error:', err);
+                });
+            }
+
+            await this._migrate();
+
+            this.isConnected = true;
+            console.log(`PostgreSQL persistence initialized (schema version ${this.schemaVersion})`);
+        } catch (error) {
+            console.error('Failed to initialize PostgreSQL:', error);
+            await this._releasePool();
+            this.isConnected = false;
+            this.connectionPromise = null;
+            throw error;
+        }
+    }
+
+    /**
+     * 执行未完成的结构迁移
+     * @private
+     */
+    async _migrate() {
+        await this._transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          description TEXT NOT NULL,
+          applied_at BIGINT NOT NULL
+        )
+      `);
+
+            const { rows } = await client.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+            let current = Number(rows[0].version);
+
+            for (const migration of MIGRATIONS) {
+                if (migration.version <= current) {
+                    continue;
+                }
+
+                for (const statement of migration.statements) {
+                    await client.query(statement);
+                }
+                await client.query(
+                    'INSERT INTO schema_migrations (version, description, applied_at) VALUES ($1, $2, $3)',
+                    [migration.version, migration.description, Date.now()]
+                );
+                current = migration.version;
+                console.log(`Applied PostgreSQL migration ${migration.version}: ${migration.description}`);
+            }
+
+            this.schemaVersion = current;
+        });
+    }
+
+    /**
+     * 在同一个连接上执行事务，出错时回滚
+     * @private
+     * @param {function(import('pg').PoolClient): Promise<*>} task
+     */
+    async _transaction(task) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await task(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(rollbackError =>
+                console.error('Failed to rollback PostgreSQL transaction:', rollbackError)
+            );
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * 关闭自己创建的连接池
+     * @private
+     */
+    async _releasePool() {
+        if (this.pool && this.pool !== this.options.pool) {
+            await this.pool.end().catch(error =>
+                console.error('Error closing PostgreSQL pool:', error)
+            );
+        }
+        this.pool = null;
+    }
+
+    /**
+     * 确保连接可用
+     * @private
+     */
+    async _ensureConnection() {
+        if (!this.isConnected || !this.pool) {
+            await this.connect();
+        }
+    }
+
+    /**
+     * 保存同步链数据
+     * @param {string} roomId - 房间ID
+     * @param {EncryptedRoomData} data - 加密的房间数据
+     * @param {SaveRoomOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {VersionConflictError}
+     */
+    async saveRoom(roomId, data, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomData(data)) {
+            throw new Error('Invalid room data');
+        }
+
+        await this._ensureConnection();
+
+        const serializedData = DataSerializer.serialize(data);
+        const compressedData = DataSerializer.compress(serializedData);
+        const now = Date.now();
+        const { expectedVersion } = options;
+        const values = [roomId, compressedData, data.timestamp, data.version, data.deviceName, data.hash || '', now];
+
+        let saved;
+        try {
+            // 房间数据和历史快照在同一个事务中写入，被拒绝的写入不留下快照
+            saved = await this._transaction(async (client) => {
+                if (expectedVersion === undefined) {
+                    await client.query(`
+            INSERT INTO rooms (room_id, encrypted_data, timestamp, version, device_name, hash, created_at, updated_at, head_version)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $4)
+            ON CONFLICT (room_id) DO UPDATE SET
+              encrypted_data = EXCLUDED.encrypted_data,
+              timestamp = EXCLUDED.timestamp,
+              version = EXCLUDED.version,
+              device_name = EXCLUDED.device_name,
+              hash = EXCLUDED.hash,
+              updated_at = EXCLUDED.updated_at,
+              head_version = GREATEST(rooms.head_version, EXCLUDED.version)
+          `, values);
+                } else {
+                    // 单条 UPDATE 语句内比较并写入，行锁保证并发写入只有一个成功；
+                    // 新快照的版本号还必须高于房间当前版本（其他节点可能刚追加了同一版本的操作批次，
+                    // 追加时在同一行上更新 head_version，因此两者不会同时成功）
+                    const result = await client.query(`
+            UPDATE rooms SET
+              encrypted_data = $2,
+              timestamp = $3,
+              version = $4,
+              device_name = $5,
+              hash = $6,
+              updated_at = $7,
+              head_version = $4
+            WHERE room_id = $1 AND version = $8 AND head_version < $4
+            RETURNING room_id
+          `, [...values, expectedVersion]);
+
+                    if (result.rows.length === 0) {
+                        if (expectedVersion !== 0) {
+                            return false;
+                        }
+                        // 房间不存在时创建；同时创建的另一个写入会违反主键约束
+                        await client.query(`
+              INSERT INTO rooms (room_id, encrypted_data, timestamp, version, device_name, hash, created_at, updated_at, head_version)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $4)
+            `, values);
+                    }
+                }
+
+                await this._saveVersion(client, roomId, compressedData, data, now);
+                return true;
+            });
+        } catch (error) {
+            if (error.code !== UNIQUE_VIOLATION) {
+                console.error(`Failed to save room ${roomId}:`, error);
+                throw new Error(`Failed to save room data: ${error.message}`);
+            }
+            saved = false;
+        }
+
+        if (!saved) {
+            const { rows } = await this.pool.query('SELECT version FROM rooms WHERE room_id = $1', [roomId]);
+            throw new VersionConflictError(roomId, expectedVersion, rows.length > 0 ? Number(rows[0].version) : 0);
+        }
+
+        console.log(`Saved room data: ${roomId.substring(0, 8)}... (${compressedData.length} bytes)`);
+    }
+
+    /**
+     * 保存一份历史快照，并删除超出 maxVersions 的旧快照
+     * @private
+     */
+    async _saveVersion(client, roomId, compressedData, data, savedAt) {
+        await client.query(`
+      INSERT INTO room_versions (room_id, encrypted_data, timestamp, version, device_name, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [roomId, compressedData, data.timestamp, data.version, data.deviceName, savedAt]);
+
+        await client.query(`
+      DELETE FROM room_versions
+      WHERE room_id = $1 AND id NOT IN (
+        SELECT id FROM room_versions
+        WHERE room_id = $1
+        ORDER BY id DESC
+        LIMIT $2
+      )
+    `, [roomId, this.options.maxVersions]);
+    }
+
+    /**
+     * 列出房间保留的历史快照
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomVersionInfo[]>} 按保存时间从新到旧排列
+     */
+    async listVersions(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const { rows } = await this.pool.query(`
+        SELECT id, timestamp, version, device_name, created_at, length(encrypted_data) AS size
+        FROM room_versions
+        WHERE room_id = $1
+        ORDER BY id DESC
+      `, [roomId]);
+
+            return rows.map(row => ({
+                versionId: String(row.id),
+                version: Number(row.version),
+                timestamp: Number(row.timestamp),
+                deviceName: row.device_name,
+                savedAt: Number(row.created_at),
+                size: row.size
+            }));
+        } catch (error) {
+            console.error(`Failed to list versions of room ${roomId}:`, error);
+            throw new Error(`Failed to list room versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取一份历史快照
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 历史快照 ID
+     * @returns {Promise<(EncryptedRoomData & {versionId: string, savedAt: number})|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        // PostgreSQL 的快照 ID 是自增主键
+        if (!DataValidator.isValidVersionId(versionId) || !/^\d{1,18}$/.test(versionId)) {
+            return null;
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const { rows } = await this.pool.query(
+                'SELECT encrypted_data, created_at FROM room_versions WHERE room_id = $1 AND id = $2',
+                [roomId, versionId]
+            );
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            const roomData = DataSerializer.deserialize(DataSerializer.decompress(rows[0].encrypted_data));
+            return { ...roomData, versionId, savedAt: Number(rows[0].created_at) };
+        } catch (error) {
+            console.error(`Failed to get version ${versionId} of room ${roomId}:`, error);
+            throw new Error(`Failed to get room version: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取同步链数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<EncryptedRoomData|null>}
+     */
+    async getRoom(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            // 读取的同时更新访问时间
+            const { rows } = await this.pool.query(
+                'UPDATE rooms SET updated_at = $2 WHERE room_id = $1 RETURNING encrypted_data',
+                [roomId, Date.now()]
+            );
+
+            if (rows.length === 0) {
+                return null;
+            }
+
+            const roomData = DataSerializer.deserialize(DataSerializer.decompress(rows[0].encrypted_data));
+
+            console.log(`Retrieved room data: ${roomId.substring(0, 8)}...`);
+            return roomData;
+        } catch (error) {
+            console.error(`Failed to get room ${roomId}:`, error);
+            throw new Error(`Failed to get room data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存房间元数据
+     * @param {string} roomId - 房间ID
+     * @param {RoomMetadata} meta - 房间元数据
+     * @param {SaveRoomMetaOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {MetaConflictError}
+     */
+    async saveRoomMeta(roomId, meta, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomMeta(meta)) {
+            throw new Error('Invalid room metadata');
+        }
+
+        await this._ensureConnection();
+
+        const { expectedMeta } = options;
+        const values = [roomId, JSON.stringify(meta), Date.now()];
+
+        let saved = true;
+        try {
+            if (expectedMeta === undefined) {
+                await this.pool.query(`
+          INSERT INTO room_meta (room_id, meta, updated_at)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (room_id) DO UPDATE SET
+            meta = EXCLUDED.meta,
+            updated_at = EXCLUDED.updated_at
+        `, values);
+            } else if (expectedMeta === null) {
+                // 尚无元数据时才写入；其他节点同时写入的会违反主键约束
+                await this.pool.query(
+                    'INSERT INTO room_meta (room_id, meta, updated_at) VALUES ($1, $2, $3)',
+                    values
+                );
+            } else {
+                // JSONB 按内容比较，与键的顺序无关
+                const { rows } = await this.pool.query(`
+          UPDATE room_meta SET meta = $2, updated_at = $3
+          WHERE room_id = $1 AND meta = $4::jsonb
+          RETURNING room_id
+        `, [...values, JSON.stringify(expectedMeta)]);
+                saved = rows.length > 0;
+            }
+        } catch (error) {
+            if (error.code !== UNIQUE_VIOLATION) {
+                console.error(`Failed to save room meta ${roomId}:`, error);
+                throw new Error(`Failed to save room metadata: ${error.message}`);
+            }
+            saved = false;
+        }
+
+        if (!saved) {
+            throw new MetaConflictError(roomId);
+        }
+    }
+
+    /**
+     * 获取房间元数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomMetadata|null>}
+     */
+    async getRoomMeta(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const { rows } = await this.pool.query(
+                'UPDATE room_meta SET updated_at = $2 WHERE room_id = $1 RETURNING meta',
+                [roomId, Date.now()]
+            );
+
+            return rows.length > 0 ? rows[0].meta : null;
+        } catch (error) {
+            console.error(`Failed to get room meta ${roomId}:`, error);
+            throw new Error(`Failed to get room metadata: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除过期数据（最后读写时间为 updated_at，置顶房间及其笔记除外）
+     * @param {Date} olderThan - 删除早于此时间的数据
+     * @returns {Promise<number>} 删除的记录数量
+     */
+    async cleanupExpired(olderThan) {
+        await this._ensureConnection();
+
+        const cutoffTimestamp = olderThan.getTime();
+
+        try {
+            const pinned = new Set((await this.pool.query(
+                `SELECT room_id FROM room_meta WHERE meta @> '{"pinned": true}'`
+            )).rows.map(row => row.room_id));
+
+            const expired = (await this.pool.query(
+                'SELECT room_id FROM rooms WHERE updated_at < $1',
+                [cutoffTimestamp]
+            )).rows.map(row => row.room_id).filter(roomId => !pinned.has(ownerRoomId(roomId)));
+
+            // 分批删除，再次比较时间以跳过查询之后刚被读写的房间（级联删除会自动删除相关日志和历史快照）
+            let deletedCount = 0;
+            for (let i = 0; i < expired.length; i += 500) {
+                const batch = expired.slice(i, i + 500);
+                const { rows } = await this.pool.query(
+                    `DELETE FROM rooms WHERE updated_at < $1 AND room_id IN (${batch.map((_, index) => `$${index + 2}`).join(', ')})
+                     RETURNING room_id`,
+                    [cutoffTimestamp, ...batch]
+                );
+                deletedCount += rows.length;
+            }
+
+            // 元数据只在房间数据不存在时才随之过期，避免有数据的房间丢失派生参数
+            await this.pool.query(`
+        DELETE FROM room_meta
+        WHERE updated_at < $1
+          AND room_id NOT IN (SELECT room_id FROM rooms)
+          AND NOT (meta @> '{"pinned": true}')
+      `, [cutoffTimestamp]);
+
+            console.log(`Cleaned up ${deletedCount} expired rooms`);
+            return deletedCount;
+        } catch (error) {
+            console.error('Failed to cleanup expired data:', error);
+            throw new Error(`Failed to cleanup expired data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存操作日志
+     * @param {string} roomId - 房间ID
+     * @param {Operation} operation - 操作记录
+     * @param {AppendLogOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {VersionConflictError} 该版本号的批次已存在，或房间当前版本与 expectedVersion 不一致时
+     *   （其他节点先追加了同一版本或保存了快照）
+     */
+    async appendLog(roomId, operation, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidOperation(operation)) {
+            throw new Error('Invalid operation');
+        }
+
+        await this._ensureConnection();
+
+        const { expectedVersion } = options;
+        let appended;
+        try {
+            // 房间当前版本与批次在同一个事务中写入
+            appended = await this._transaction(async (client) => {
+                if (expectedVersion === undefined) {
+                    // 迁移和复制按原版本号追加，可能早于当前快照
+                    await client.query(
+                        'UPDATE rooms SET head_version = GREATEST(head_version, $2) WHERE room_id = $1',
+                        [roomId, operation.version]
+                    );
+                } else {
+                    // 单条 UPDATE 语句内比较并写入，与 saveRoom 在同一行上互相排斥
+                    const result = await client.query(
+                        'UPDATE rooms SET head_version = $2 WHERE room_id = $1 AND head_version = $3 RETURNING room_id',
+                        [roomId, operation.version, expectedVersion]
+                    );
+                    if (result.rows.length === 0) {
+                        return false;
+                    }
+                }
+
+                await client.query(`
+          INSERT INTO operation_logs
+          (room_id, operation_id, operation_type, position, content, length, timestamp, device_id, version, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+                    roomId,
+                    operation.id,
+                    operation.type,
+                    operation.position,
+                    operation.content || null,
+                    operation.length || null,
+                    operation.timestamp,
+                    operation.deviceId,
+                    operation.version,
+                    Date.now()
+                ]);
+
+                // 限制日志数量，只保留每个房间最近的 maxLogEntries 条操作
+                await client.query(`
+          DELETE FROM operation_logs
+          WHERE room_id = $1 AND id NOT IN (
+            SELECT id FROM operation_logs
+            WHERE room_id = $1
+            ORDER BY version DESC, timestamp DESC
+            LIMIT $2
+          )
+        `, [roomId, this.options.maxLogEntries]);
+                return true;
+            });
+        } catch (error) {
+            if (error.code !== UNIQUE_VIOLATION) {
+                console.error(`Failed to append log for room ${roomId}:`, error);
+                throw new Error(`Failed to append operation log: ${error.message}`);
+            }
+
+            // 唯一约束 (room_id, version) 保证同一版本只有一个批次
+            const { rows } = await this.pool.query(
+                'SELECT COALESCE(MAX(version), 0) AS version FROM operation_logs WHERE room_id = $1',
+                [roomId]
+            );
+            throw new VersionConflictError(roomId, operation.version - 1, Number(rows[0].version));
+        }
+
+        if (!appended) {
+            const { rows } = await this.pool.query('SELECT head_version FROM rooms WHERE room_id = $1', [roomId]);
+            throw new VersionConflictError(roomId, expectedVersion, rows.length > 0 ? Number(rows[0].head_version) : 0);
+        }
+
+        console.log(`Appended operation to log: ${roomId.substring(0, 8)}... op:${operation.type}`);
+    }
+
+    /**
+     * 获取操作日志
+     * @param {string} roomId - 房间ID
+     * @param {number} since - 获取此版本号之后的操作
+     * @returns {Promise<Operation[]>}
+     */
+    async getLog(roomId, since = 0) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const { rows } = await this.pool.query(`
+        SELECT operation_id, operation_type, position, content, length, timestamp, device_id, version
+        FROM operation_logs
+        WHERE room_id = $1 AND version > $2
+        ORDER BY version ASC, timestamp ASC
+      `, [roomId, since]);
+
+            const operations = rows.map(row => ({
+                id: row.operation_id,
+                type: row.operation_type,
+                position: row.position,
+                content: row.content,
+                length: row.length,
+                timestamp: Number(row.timestamp),
+                deviceId: row.device_id,
+                version: Number(row.version)
+            }));
+
+            console.log(`Retrieved ${operations.length} operations for room: ${roomId.substring(0, 8)}...`);
+            return operations;
+        } catch (error) {
+            console.error(`Failed to get log for room ${roomId}:`, error);
+            throw new Error(`Failed to get operation log: ${error.message}`);
+        }
+    }
+
+    /**
+     * 分页列出存储中的房间（按房间 ID 排序，游标为上一页最后一个房间 ID）
+     * @param {string|null} [cursor] - 上一页返回的游标
+     * @param {number} [limit] - 每页的房间数量
+     * @returns {Promise<RoomPage>}
+     */
+    async listRooms(cursor = null, limit = 100) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error('Invalid limit');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            // 只有元数据的房间（尚未推送数据）也需要列出
+            const { rows } = await this.pool.query(`
+        SELECT room_id FROM (
+          SELECT room_id FROM rooms WHERE room_id > $1
+          UNION
+          SELECT room_id FROM room_meta WHERE room_id > $1
+        ) AS room_ids
+        ORDER BY room_id
+        LIMIT $2
+      `, [cursor || '', limit]);
+
+            const rooms = rows.map(row => row.room_id);
+            return {
+                rooms,
+                cursor: rooms.length === limit ? rooms[rooms.length - 1] : null
+            };
+        } catch (error) {
+            console.error('Failed to list rooms:', error);
+            throw new Error(`Failed to list rooms: ${error.message}`);
+        }
+    }
+
+    /**
+     * 检查存储连接状态
+     * @returns {Promise<boolean>}
+     */
+    async isHealthy() {
+        try {
+            if (!this.pool || !this.isConnected) {
+                return false;
+            }
+
+            // 执行简单的查询测试连接
+            await this.pool.query('SELECT 1 AS test');
+            return true;
+        } catch (error) {
+            console.error('PostgreSQL health check failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 关闭存储连接
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.pool) {
+            await this._releasePool();
+            console.log('PostgreSQL connection closed');
+        }
+        this.isConnected = false;
+        this.connectionPromise = null;
+    }
+
+    /**
+     * 获取存储统计信息
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        await this._ensureConnection();
+
+        try {
+            const count = async (sql) => Number((await this.pool.query(sql)).rows[0].count);
+
+            const roomCount = await count('SELECT COUNT(*) AS count FROM rooms');
+            const logCount = await count('SELECT COUNT(*) AS count FROM operation_logs');
+            const versionCount = await count('SELECT COUNT(*) AS count FROM room_versions');
+            const pinnedCount = await count(`SELECT COUNT(*) AS count FROM room_meta WHERE meta @> '{"pinned": true}'`);
+            const dbSize = await this.pool.query('SELECT pg_database_size(current_database()) AS size');
+
+            return {
+                connected: this.isConnected,
+                roomCount,
+                logCount,
+                versionCount,
+                pinnedCount,
+                databaseSize: Number(dbSize.rows[0].size),
+                schemaVersion: this.schemaVersion,
+                pool: {
+                    total: this.pool.totalCount,
+                    idle: this.pool.idleCount,
+                    waiting: this.pool.waitingCount
+                }
+            };
+        } catch (error) {
+            console.error('Failed to get PostgreSQL stats:', error);
+            return {
+                connected: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = PostgresPersistence;
@@ -1,9 +1,95 @@
-const { PersistenceAdapter, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { PersistenceAdapter, VersionConflictError, MetaConflictError, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { ownerRoomId, isPinned } = require('./RetentionPolicy');
+const crypto = require('crypto');
+
+// 比较并写入房间数据：版本号一致时写入，同时保存历史快照、更新过期索引，返回 -1；
+// 否则返回当前版本号。升级前写入的 key 带有 TTL，写入时一并移除
+const COMPARE_AND_SET_ROOM_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if current ~= tonumber(ARGV[1]) then
+  return current
+end
+redis.call('HSET', KEYS[1], 'data', ARGV[2], 'timestamp', ARGV[3], 'version', ARGV[4], 'deviceName', ARGV[5], 'hash', ARGV[6])
+redis.call('PERSIST', KEYS[1])
+redis.call('LPUSH', KEYS[2], ARGV[7])
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[8]) - 1)
+redis.call('PERSIST', KEYS[2])
+redis.call('ZADD', KEYS[3], ARGV[9], ARGV[10])
+return -1
+`;
+
+// 比较并写入房间元数据：KEYS 为元数据、元数据索引和置顶房间集合；ARGV[1] 为期望的元数据
+// （空字符串表示尚无元数据），当前元数据一致时写入 ARGV[2] 并返回 1，否则返回 0
+const COMPARE_AND_SET_META_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[1] == '' then
+  if current then
+    return 0
+  end
+elseif current ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[4])
+if ARGV[5] == '1' then
+  redis.call('SADD', KEYS[3], ARGV[4])
+else
+  redis.call('SREM', KEYS[3], ARGV[4])
+end
+return 1
+`;
+
+// 删除一批过期房间：KEYS[1] 为过期索引，KEYS[2] 为置顶房间集合，KEYS[3] 为有操作日志的房间集合，
+// 其后每 4 个 key 依次是一个房间的数据、操作日志、元数据和历史快照；ARGV[1] 为截止时间，其后每 2 个参数为房间ID及其
+// 所属房间ID。删除前重新检查索引中的时间，跳过查询之后刚被读写的房间。
+// 返回 { 删除的房间数, 因置顶而跳过的房间数 }（房间数据已因旧 TTL 过期的只清理索引，不计入）
+const REMOVE_EXPIRED_ROOMS_SCRIPT = `
+local removed = 0
+local pinned = 0
+for i = 0, (#ARGV - 1) / 2 - 1 do
+  local roomId = ARGV[2 + i * 2]
+  local score = redis.call('ZSCORE', KEYS[1], roomId)
+  if score and tonumber(score) < tonumber(ARGV[1]) then
+    if redis.call('SISMEMBER', KEYS[2], ARGV[3 + i * 2]) == 1 then
+      pinned = pinned + 1
+    else
+      local base = 3 + i * 4
+      removed = removed + redis.call('DEL', KEYS[base + 1])
+      redis.call('DEL', KEYS[base + 2], KEYS[base + 3], KEYS[base + 4])
+      redis.call('ZREM', KEYS[1], roomId)
+      redis.call('SREM', KEYS[3], roomId)
+    end
+  end
+end
+return { removed, pinned }
+`;
+
+// 删除一批过期的元数据：KEYS[1] 为元数据索引，KEYS[2] 为置顶房间集合，其后每 2 个 key 依次是
+// 一个房间的元数据和房间数据；ARGV[1] 为截止时间，其后为房间ID。房间数据仍存在或房间已置顶时跳过。
+// 返回跳过的数量
+const REMOVE_EXPIRED_META_SCRIPT = `
+local skipped = 0
+for i = 2, #ARGV do
+  local score = redis.call('ZSCORE', KEYS[1], ARGV[i])
+  if score and tonumber(score) < tonumber(ARGV[1]) then
+    local base = 2 + (i - 2) * 2
+    if redis.call('SISMEMBER', KEYS[2], ARGV[i]) == 1 or redis.call('EXISTS', KEYS[base + 2]) == 1 then
+      skipped = skipped + 1
+    else
+      redis.call('DEL', KEYS[base + 1])
+      redis.call('ZREM', KEYS[1], ARGV[i])
+    end
+  end
+end
+return skipped
+`;
 const Redis = require('redis');
 
 /**
  * Redis 持久化存储实现
- * 使用 Redis Hash 存储房间数据，Redis List 存储操作日志
+ * 使用 Redis Hash 存储房间数据，Redis List 存储操作日志，
+ * Sorted Set 按最后读写时间索引房间和元数据，用于清理过期房间和统计。
+ * key 不设置 TTL，过期由保留策略的定时清理（cleanupExpired）负责
  */
 class RedisPersistence extends PersistenceAdapter {
     constructor(options = {}) {
@@ -15,7 +101,8 @@ class RedisPersistence extends PersistenceAdapter {
             password: options.password || process.env.REDIS_PASSWORD,
             db: options.db || process.env.REDIS_DB || 0,
             keyPrefix: options.keyPrefix || 'notesync:',
-            defaultTTL: options.defaultTTL || 7 * 24 * 60 * 60, // 7天
+            maxVersions: options.maxVersions || 20, // 每个房间保留的历史快照数量
+            cleanupBatchSize: options.cleanupBatchSize || 100, // 每批清理的过期房间数量
             maxRetries: options.maxRetries || 3,
             retryDelay: options.retryDelay || 1000,
             ...options
@@ -81,6 +168,9 @@ class RedisPersistence extends PersistenceAdapter {
             await this.client.connect();
             this.isConnected = true;
 
+            await this._buildExpiryIndex();
+            await this._buildLogIndex();
+
             console.log(`Redis persistence initialized: ${this.options.host}:${this.options.port}`);
         } catch (error) {
             console.error('Failed to connect to Redis:', error);
@@ -90,6 +180,66 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 为升级前写入的房间建立过期索引（只执行一次，完成后写入标记）
+     * 索引建立失败不影响连接，下次连接时重试
+     * @private
+     */
+    async _buildExpiryIndex() {
+        const readyKey = `${this._getExpiryIndexKey()}:ready`;
+
+        try {
+            if (await this.client.exists(readyKey)) {
+                return;
+            }
+
+            const roomPrefix = `${this.options.keyPrefix}room:`;
+            let indexed = 0;
+            for await (const key of this.client.scanIterator({ MATCH: `${roomPrefix}*`, COUNT: 100 })) {
+                const timestamp = await this.client.hGet(key, 'timestamp');
+                if (timestamp) {
+                    // NX：不覆盖建立索引期间 saveRoom 写入的时间
+                    await this.client.zAdd(this._getExpiryIndexKey(), {
+                        score: parseInt(timestamp),
+                        value: key.substring(roomPrefix.length)
+                    }, { NX: true });
+                    indexed++;
+                }
+            }
+
+            await this.client.set(readyKey, '1');
+            console.log(`Built Redis expiry index for ${indexed} rooms`);
+        } catch (error) {
+            console.error('Failed to build Redis expiry index:', error);
+        }
+    }
+
+    /**
+     * 为升级前写入的操作日志建立索引（只执行一次，完成后写入标记）
+     * 索引建立失败不影响连接，下次连接时重试
+     * @private
+     */
+    async _buildLogIndex() {
+        const readyKey = `${this._getLogIndexKey()}:ready`;
+
+        try {
+            if (await this.client.exists(readyKey)) {
+                return;
+            }
+
+            const logPrefix = this._getLogKey('');
+            let indexed = 0;
+            for await (const key of this.client.scanIterator({ MATCH: `${logPrefix}*`, COUNT: 100 })) {
+                indexed += await this.client.sAdd(this._getLogIndexKey(), key.substring(logPrefix.length));
+            }
+
+            await this.client.set(readyKey, '1');
+            console.log(`Built Redis log index for ${indexed} rooms`);
+        } catch (error) {
+            console.error('Failed to build Redis log index:', error);
+        }
+    }
+
     /**
      * 确保连接可用
      * @private
@@ -118,13 +268,65 @@ class RedisPersistence extends PersistenceAdapter {
         return `${this.options.keyPrefix}log:${roomId}`;
     }
 
+    /**
+     * 生成房间元数据的 Redis key
+     * @param {string} roomId 
+     * @returns {string}
+     */
+    _getMetaKey(roomId) {
+        return `${this.options.keyPrefix}meta:${roomId}`;
+    }
+
+    /**
+     * 过期索引的 Redis key：Sorted Set，成员为房间ID，分数为最后读写时间（毫秒）
+     * @returns {string}
+     */
+    _getExpiryIndexKey() {
+        return `${this.options.keyPrefix}index:room-updated`;
+    }
+
+    /**
+     * 元数据过期索引的 Redis key：Sorted Set，成员为房间ID，分数为元数据最后读写时间（毫秒）
+     * @returns {string}
+     */
+    _getMetaIndexKey() {
+        return `${this.options.keyPrefix}index:meta-updated`;
+    }
+
+    /**
+     * 置顶房间集合的 Redis key：Set，成员为元数据 pinned 为 true 的房间ID
+     * @returns {string}
+     */
+    _getPinnedKey() {
+        return `${this.options.keyPrefix}index:pinned`;
+    }
+
+    /**
+     * 有操作日志的房间集合的 Redis key：Set，成员为房间ID，用于统计，不扫描键空间
+     * @returns {string}
+     */
+    _getLogIndexKey() {
+        return `${this.options.keyPrefix}index:logs`;
+    }
+
+    /**
+     * 生成房间历史快照的 Redis key
+     * @param {string} roomId 
+     * @returns {string}
+     */
+    _getVersionsKey(roomId) {
+        return `${this.options.keyPrefix}versions:${roomId}`;
+    }
+
     /**
      * 保存同步链数据
      * @param {string} roomId - 房间ID
      * @param {EncryptedRoomData} data - 加密的房间数据
+     * @param {SaveRoomOptions} [options]
      * @returns {Promise<void>}
+     * @throws {VersionConflictError}
      */
-    async saveRoom(roomId, data) {
+    async saveRoom(roomId, data, options = {}) {
         if (!DataValidator.isValidRoomId(roomId)) {
             throw new Error('Invalid room ID');
         }
@@ -138,25 +340,73 @@ class RedisPersistence extends PersistenceAdapter {
         const key = this._getRoomKey(roomId);
         const serializedData = DataSerializer.serialize(data);
         const compressedData = DataSerializer.compress(serializedData);
+        const versionsKey = this._getVersionsKey(roomId);
+        const now = Date.now();
+
+        // 历史快照保存在 List 中，最新的在最前面
+        const versionEntry = JSON.stringify({
+            versionId: crypto.randomUUID(),
+            version: data.version,
+            timestamp: data.timestamp,
+            deviceName: data.deviceName,
+            savedAt: now,
+            data: compressedData
+        });
+
+        const { expectedVersion } = options;
+        let currentVersion = -1;
 
         try {
-            // 使用 Redis Hash 存储房间数据
-            await this.client.hSet(key, {
-                data: compressedData,
-                timestamp: data.timestamp.toString(),
-                version: data.version.toString(),
-                deviceName: data.deviceName,
-                hash: data.hash || ''
-            });
+            if (expectedVersion === undefined) {
+                // 房间数据（Hash）、历史快照和过期索引在同一个事务中写入
+                await this.client.multi()
+                    .hSet(key, {
+                        data: compressedData,
+                        timestamp: data.timestamp.toString(),
+                        version: data.version.toString(),
+                        deviceName: data.deviceName,
+                        hash: data.hash || ''
+                    })
+                    .persist(key)
+                    .lPush(versionsKey, versionEntry)
+                    .lTrim(versionsKey, 0, this.options.maxVersions - 1)
+                    .persist(versionsKey)
+                    .zAdd(this._getExpiryIndexKey(), { score: now, value: roomId })
+                    .exec();
+            } else {
+                // 读取、比较、写入在同一个脚本中执行，避免并发写入互相覆盖
+                currentVersion = await this.client.eval(COMPARE_AND_SET_ROOM_SCRIPT, {
+                    keys: [key, versionsKey, this._getExpiryIndexKey()],
+                    arguments: [
+                        expectedVersion.toString(),
+                        compressedData,
+                        data.timestamp.toString(),
+                        data.version.toString(),
+                        data.deviceName,
+                        data.hash || '',
+                        versionEntry,
+                        this.options.maxVersions.toString(),
+                        now.toString(),
+                        roomId
+                    ]
+                });
+            }
 
-            // 设置 TTL
-            await this.client.expire(key, this.options.defaultTTL);
+            if (currentVersion === -1) {
+                // 移除升级前元数据上的 TTL，避免先于数据过期
+                await this.client.persist(this._getMetaKey(roomId));
+            }
 
-            console.log(`Saved room data: ${roomId.substring(0, 8)}... (${compressedData.length} bytes)`);
         } catch (error) {
             console.error(`Failed to save room ${roomId}:`, error);
             throw new Error(`Failed to save room data: ${error.message}`);
         }
+
+        if (currentVersion !== -1) {
+            throw new VersionConflictError(roomId, expectedVersion, currentVersion);
+        }
+
+        console.log(`Saved room data: ${roomId.substring(0, 8)}... (${compressedData.length} bytes)`);
     }
 
     /**
@@ -184,8 +434,12 @@ class RedisPersistence extends PersistenceAdapter {
             const decompressedData = DataSerializer.decompress(hashData.data);
             const roomData = DataSerializer.deserialize(decompressedData);
 
-            // 更新 TTL
-            await this.client.expire(key, this.options.defaultTTL);
+            // 读取同样算作活跃：更新过期索引，并移除升级前的 TTL
+            await this.client.multi()
+                .persist(key)
+                .persist(this._getVersionsKey(roomId))
+                .zAdd(this._getExpiryIndexKey(), { score: Date.now(), value: roomId })
+                .exec();
 
             console.log(`Retrieved room data: ${roomId.substring(0, 8)}...`);
             return roomData;
@@ -195,8 +449,163 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 列出房间保留的历史快照
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomVersionInfo[]>} 按保存时间从新到旧排列
+     */
+    async listVersions(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const entries = await this.client.lRange(this._getVersionsKey(roomId), 0, -1);
+
+            const versions = [];
+            for (const entry of entries) {
+                try {
+                    const { data, ...info } = JSON.parse(entry);
+                    versions.push({ ...info, size: data.length });
+                } catch (error) {
+                    console.error('Failed to parse version entry:', error);
+                }
+            }
+            return versions;
+        } catch (error) {
+            console.error(`Failed to list versions of room ${roomId}:`, error);
+            throw new Error(`Failed to list room versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取一份历史快照
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 历史快照 ID
+     * @returns {Promise<(EncryptedRoomData & {versionId: string, savedAt: number})|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidVersionId(versionId)) {
+            return null;
+        }
+
+        await this._ensureConnection();
+
+        try {
+            // 每个房间只保留 maxVersions 份，直接遍历查找
+            const entries = await this.client.lRange(this._getVersionsKey(roomId), 0, -1);
+
+            for (const entry of entries) {
+                const parsed = JSON.parse(entry);
+                if (parsed.versionId === versionId) {
+                    const roomData = DataSerializer.deserialize(DataSerializer.decompress(parsed.data));
+                    return { ...roomData, versionId, savedAt: parsed.savedAt };
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error(`Failed to get version ${versionId} of room ${roomId}:`, error);
+            throw new Error(`Failed to get room version: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存房间元数据
+     * @param {string} roomId - 房间ID
+     * @param {RoomMetadata} meta - 房间元数据
+     * @param {SaveRoomMetaOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {MetaConflictError}
+     */
+    async saveRoomMeta(roomId, meta, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomMeta(meta)) {
+            throw new Error('Invalid room metadata');
+        }
+
+        await this._ensureConnection();
+
+        const { expectedMeta } = options;
+        let saved = true;
+
+        try {
+            if (expectedMeta === undefined) {
+                const transaction = this.client.multi()
+                    .set(this._getMetaKey(roomId), JSON.stringify(meta))
+                    .zAdd(this._getMetaIndexKey(), { score: Date.now(), value: roomId });
+                if (isPinned(meta)) {
+                    transaction.sAdd(this._getPinnedKey(), roomId);
+                } else {
+                    transaction.sRem(this._getPinnedKey(), roomId);
+                }
+                await transaction.exec();
+            } else {
+                // 元数据以 JSON.stringify 的结果保存，读回后再序列化得到相同的字符串
+                saved = await this.client.eval(COMPARE_AND_SET_META_SCRIPT, {
+                    keys: [this._getMetaKey(roomId), this._getMetaIndexKey(), this._getPinnedKey()],
+                    arguments: [
+                        expectedMeta === null ? '' : JSON.stringify(expectedMeta),
+                        JSON.stringify(meta),
+                        Date.now().toString(),
+                        roomId,
+                        isPinned(meta) ? '1' : '0'
+                    ]
+                }) === 1;
+            }
+        } catch (error) {
+            console.error(`Failed to save room meta ${roomId}:`, error);
+            throw new Error(`Failed to save room metadata: ${error.message}`);
+        }
+
+        if (!saved) {
+            throw new MetaConflictError(roomId);
+        }
+    }
+
+    /**
+     * 获取房间元数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomMetadata|null>}
+     */
+    async getRoomMeta(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const key = this._getMetaKey(roomId);
+
+        try {
+            const raw = await this.client.get(key);
+            if (!raw) {
+                return null;
+            }
+
+            await this.client.multi()
+                .persist(key)
+                .zAdd(this._getMetaIndexKey(), { score: Date.now(), value: roomId })
+                .exec();
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error(`Failed to get room meta ${roomId}:`, error);
+            throw new Error(`Failed to get room metadata: ${error.message}`);
+        }
+    }
+
     /**
      * 删除过期数据
+     * 按过期索引分批查询最后读写时间早于 olderThan 的房间，不扫描整个键空间。
+     * 置顶房间的笔记留在索引中，之后的批次跳过它们
      * @param {Date} olderThan - 删除早于此时间的数据
      * @returns {Promise<number>} 删除的记录数量
      */
@@ -204,31 +613,55 @@ class RedisPersistence extends PersistenceAdapter {
         await this._ensureConnection();
 
         const cutoffTimestamp = olderThan.getTime();
+        const indexKey = this._getExpiryIndexKey();
+        const metaIndexKey = this._getMetaIndexKey();
+        const pinnedKey = this._getPinnedKey();
         let deletedCount = 0;
 
         try {
-            // 扫描所有房间 key
-            const roomPattern = `${this.options.keyPrefix}room:*`;
-            const keys = await this.client.keys(roomPattern);
+            // 已删除的房间会从索引中移除，每批从跳过的房间之后开始查询
+            let offset = 0;
+            for (;;) {
+                const roomIds = await this.client.zRangeByScore(indexKey, '-inf', `(${cutoffTimestamp}`, {
+                    LIMIT: { offset, count: this.options.cleanupBatchSize }
+                });
+                if (roomIds.length === 0) {
+                    break;
+                }
 
-            for (const key of keys) {
-                try {
-                    const timestampStr = await this.client.hGet(key, 'timestamp');
-                    if (timestampStr) {
-                        const timestamp = parseInt(timestampStr);
-                        if (timestamp < cutoffTimestamp) {
-                            // 删除房间数据和对应的日志
-                            const roomId = key.replace(`${this.options.keyPrefix}room:`, '');
-                            const logKey = this._getLogKey(roomId);
-
-                            await this.client.del(key);
-                            await this.client.del(logKey);
-                            deletedCount++;
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error processing key ${key}:`, error);
+                const [removed, pinned] = await this.client.eval(REMOVE_EXPIRED_ROOMS_SCRIPT, {
+                    keys: [indexKey, pinnedKey, this._getLogIndexKey(), ...roomIds.flatMap(roomId => [
+                        this._getRoomKey(roomId),
+                        this._getLogKey(roomId),
+                        this._getMetaKey(roomId),
+                        this._getVersionsKey(roomId)
+                    ])],
+                    arguments: [
+                        cutoffTimestamp.toString(),
+                        ...roomIds.flatMap(roomId => [roomId, ownerRoomId(roomId)])
+                    ]
+                });
+                deletedCount += removed;
+                offset += pinned;
+            }
+
+            // 元数据只在房间数据不存在时才随之过期，避免有数据的房间丢失派生参数
+            offset = 0;
+            for (;;) {
+                const roomIds = await this.client.zRangeByScore(metaIndexKey, '-inf', `(${cutoffTimestamp}`, {
+                    LIMIT: { offset, count: this.options.cleanupBatchSize }
+                });
+                if (roomIds.length === 0) {
+                    break;
                 }
+
+                offset += await this.client.eval(REMOVE_EXPIRED_META_SCRIPT, {
+                    keys: [metaIndexKey, pinnedKey, ...roomIds.flatMap(roomId => [
+                        this._getMetaKey(roomId),
+                        this._getRoomKey(roomId)
+                    ])],
+                    arguments: [cutoffTimestamp.toString(), ...roomIds]
+                });
             }
 
             console.log(`Cleaned up ${deletedCount} expired rooms`);
@@ -260,14 +693,14 @@ class RedisPersistence extends PersistenceAdapter {
         const serializedOp = JSON.stringify(operation);
 
         try {
-            // 使用 Redis List 存储操作日志
-            await this.client.rPush(key, serializedOp);
-
-            // 限制日志长度，只保留最近的1000条操作
-            await this.client.lTrim(key, -1000, -1);
-
-            // 设置 TTL
-            await this.client.expire(key, this.options.defaultTTL);
+            // 使用 Redis List 存储操作日志，只保留最近的1000条操作；
+            // 移除升级前的 TTL，日志随房间一起由 cleanupExpired 删除
+            await this.client.multi()
+                .rPush(key, serializedOp)
+                .lTrim(key, -1000, -1)
+                .persist(key)
+                .sAdd(this._getLogIndexKey(), roomId)
+                .exec();
 
             console.log(`Appended operation to log: ${roomId.substring(0, 8)}... op:${operation.type}`);
         } catch (error) {
@@ -318,6 +751,55 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 分页列出存储中的房间（使用 SCAN 游标，不阻塞 Redis）
+     * @param {string|null} [cursor] - 上一页返回的游标
+     * @param {number} [limit] - 每次 SCAN 的 COUNT，返回的房间数量可能更少或为 0
+     * @returns {Promise<RoomPage>}
+     */
+    async listRooms(cursor = null, limit = 100) {
+        if (cursor !== null && !/^\d+$/.test(cursor)) {
+            throw new Error('Invalid cursor');
+        }
+
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error('Invalid limit');
+        }
+
+        await this._ensureConnection();
+
+        const prefix = this.options.keyPrefix;
+
+        try {
+            const reply = await this.client.scan(Number(cursor || 0), {
+                MATCH: `${prefix}*`,
+                COUNT: limit
+            });
+
+            // 房间数据和元数据的 key 都代表一个房间（只有元数据的房间尚未推送数据）
+            const rooms = new Set();
+            for (const key of reply.keys) {
+                for (const type of ['room:', 'meta:']) {
+                    if (key.startsWith(`${prefix}${type}`)) {
+                        const roomId = key.substring(prefix.length + type.length);
+                        if (DataValidator.isValidRoomId(roomId)) {
+                            rooms.add(roomId);
+                        }
+                    }
+                }
+            }
+
+            const next = String(reply.cursor);
+            return {
+                rooms: Array.from(rooms),
+                cursor: next === '0' ? null : next
+            };
+        } catch (error) {
+            console.error('Failed to list rooms:', error);
+            throw new Error(`Failed to list rooms: ${error.message}`);
+        }
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
@@ -367,15 +849,18 @@ class RedisPersistence extends PersistenceAdapter {
             const info = await this.client.info('memory');
             const keyCount = await this.client.dbSize();
 
-            // 统计房间和日志数量
-            const roomKeys = await this.client.keys(`${this.options.keyPrefix}room:*`);
-            const logKeys = await this.client.keys(`${this.options.keyPrefix}log:*`);
+            // 房间数量来自过期索引，不扫描键空间（包含升级前已因 TTL 过期、尚未清理的房间）
+            const roomCount = await this.client.zCard(this._getExpiryIndexKey());
+            const pinnedCount = await this.client.sCard(this._getPinnedKey());
+            // 有操作日志的房间数，来自日志索引
+            const logCount = await this.client.sCard(this._getLogIndexKey());
 
             return {
                 connected: this.isConnected,
                 totalKeys: keyCount,
-                roomCount: roomKeys.length,
-                logCount: logKeys.length,
+                roomCount,
+                logCount,
+                pinnedCount,
                 memoryInfo: info,
                 host: this.options.host,
                 port: this.options.port,
@@ -0,0 +1,89 @@
+/**
+ * 房间数据保留策略
+ * 内存存储、SQLite、PostgreSQL 和 Redis 使用同一个策略：房间在最后一次读写之后保留 roomTtlMs，
+ * 由定时任务每隔 cleanupIntervalMs 清理一次。置顶（pinned）的房间及其笔记永不过期。
+ */
+
+const { DataValidator } = require('./PersistenceAdapter');
+
+/**
+ * 默认保留时间：7 天
+ */
+const DEFAULT_ROOM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 默认清理间隔：1 小时
+ */
+const DEFAULT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * 保留策略
+ * @typedef {Object} RetentionPolicy
+ * @property {number} roomTtlMs - 房间在最后一次读写之后保留的时长（毫秒）
+ * @property {number} cleanupIntervalMs - 清理任务的执行间隔（毫秒）
+ */
+
+/**
+ * 读取正整数配置，缺省或无效时使用默认值
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * 从环境变量读取保留策略（ROOM_TTL_MS、ROOM_CLEANUP_INTERVAL_MS）
+ * @param {Object} [env] - 默认为 process.env
+ * @returns {RetentionPolicy}
+ */
+function loadRetentionPolicy(env = process.env) {
+    return {
+        roomTtlMs: positiveInteger(env.ROOM_TTL_MS, DEFAULT_ROOM_TTL_MS),
+        cleanupIntervalMs: positiveInteger(env.ROOM_CLEANUP_INTERVAL_MS, DEFAULT_CLEANUP_INTERVAL_MS)
+    };
+}
+
+/**
+ * 过期截止时间：最后读写早于该时间的房间已过期
+ * @param {RetentionPolicy} policy
+ * @param {number} [now]
+ * @returns {Date}
+ */
+function expiryCutoff(policy, now = Date.now()) {
+    return new Date(now - policy.roomTtlMs);
+}
+
+/**
+ * 存储键所属的房间：笔记文档的存储键为 `${roomId}_${noteId}`（noteId 不含下划线），
+ * 其余存储键即房间本身。置顶、元数据等房间级别的设置据此作用于房间的全部笔记
+ * @param {string} key - 存储键
+ * @returns {string} 房间ID
+ */
+function ownerRoomId(key) {
+    const separator = key.lastIndexOf('_');
+    if (separator > 0 && DataValidator.isValidNoteId(key.substring(separator + 1))) {
+        return key.substring(0, separator);
+    }
+    return key;
+}
+
+/**
+ * 房间元数据是否标记为置顶（不过期）
+ * @param {import('./PersistenceAdapter').RoomMetadata|null} meta
+ * @returns {boolean}
+ */
+function isPinned(meta) {
+    return meta?.pinned === true;
+}
+
+module.exports = {
+    DEFAULT_ROOM_TTL_MS,
+    DEFAULT_CLEANUP_INTERVAL_MS,
+    loadRetentionPolicy,
+    expiryCutoff,
+    ownerRoomId,
+    isPinned
+};
@@ -1,4 +1,5 @@
-const { PersistenceAdapter, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { PersistenceAdapter, VersionConflictError, MetaConflictError, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { ownerRoomId } = require('./RetentionPolicy');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
@@ -15,7 +16,7 @@ class SQLitePersistence extends PersistenceAdapter {
             dbPath: options.dbPath || process.env.SQLITE_DB_PATH || './data/notesync.db',
             maxConnections: options.maxConnections || 10,
             busyTimeout: options.busyTimeout || 30000,
-            defaultTTL: options.defaultTTL || 7 * 24 * 60 * 60 * 1000, // 7天（毫秒）
+            maxVersions: options.maxVersions || 20, // 每个房间保留的历史快照数量
             ...options
         };
 
@@ -52,7 +53,8 @@ class SQLitePersistence extends PersistenceAdapter {
             });
 
             // 设置数据库配置
-            await this._runQuery('PRAGMA busy_timeout = ?', [this.options.busyTimeout]);
+            // PRAGMA 不支持参数绑定
+            await this._runQuery(`PRAGMA busy_timeout = ${Number(this.options.busyTimeout)}`);
             await this._runQuery('PRAGMA journal_mode = WAL');
             await this._runQuery('PRAGMA synchronous = NORMAL');
             await this._runQuery('PRAGMA cache_size = 10000');
@@ -108,12 +110,36 @@ class SQLitePersistence extends PersistenceAdapter {
       )
     `);
 
+        // 房间元数据表（不依赖 rooms，首次推送前即可写入）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_meta (
+        room_id TEXT PRIMARY KEY,
+        meta TEXT NOT NULL,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+
+        // 房间历史快照表：每次写入房间数据时保存一份，只保留最近的 maxVersions 份
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        device_name TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (room_id) REFERENCES rooms (room_id) ON DELETE CASCADE
+      )
+    `);
+
         // 创建索引
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_rooms_timestamp ON rooms (timestamp)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_rooms_updated_at ON rooms (updated_at)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_room_id ON operation_logs (room_id)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_version ON operation_logs (room_id, version)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON operation_logs (timestamp)');
+        await this._runQuery('CREATE INDEX IF NOT EXISTS idx_versions_room_id ON room_versions (room_id, id)');
 
         console.log('SQLite tables and indexes created successfully');
     }
@@ -180,9 +206,11 @@ class SQLitePersistence extends PersistenceAdapter {
      * 保存同步链数据
      * @param {string} roomId - 房间ID
      * @param {EncryptedRoomData} data - 加密的房间数据
+     * @param {SaveRoomOptions} [options]
      * @returns {Promise<void>}
+     * @throws {VersionConflictError}
      */
-    async saveRoom(roomId, data) {
+    async saveRoom(roomId, data, options = {}) {
         if (!DataValidator.isValidRoomId(roomId)) {
             throw new Error('Invalid room ID');
         }
@@ -196,10 +224,14 @@ class SQLitePersistence extends PersistenceAdapter {
         const serializedData = DataSerializer.serialize(data);
         const compressedData = DataSerializer.compress(serializedData);
         const now = Date.now();
+        const { expectedVersion } = options;
+        const values = [roomId, compressedData, data.timestamp, data.version, data.deviceName, data.hash || '', now];
 
+        let result;
         try {
-            // 使用 UPSERT 语法
-            await this._runQuery(`
+            if (expectedVersion === undefined) {
+                // 使用 UPSERT 语法
+                result = await this._runQuery(`
         INSERT INTO rooms (room_id, encrypted_data, timestamp, version, device_name, hash, updated_at)
         VALUES (?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(room_id) DO UPDATE SET
@@ -209,13 +241,143 @@ class SQLitePersistence extends PersistenceAdapter {
           device_name = excluded.device_name,
           hash = excluded.hash,
           updated_at = excluded.updated_at
-      `, [roomId, compressedData, data.timestamp, data.version, data.deviceName, data.hash || '', now]);
-
-            console.log(`Saved room data: ${roomId.substring(0, 8)}... (${compressedData.length} bytes)`);
+      `, values);
+            } else if (expectedVersion === 0) {
+                // 房间不存在（或版本为 0）时才写入
+                result = await this._runQuery(`
+        INSERT INTO rooms (room_id, encrypted_data, timestamp, version, device_name, hash, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(room_id) DO UPDATE SET
+          encrypted_data = excluded.encrypted_data,
+          timestamp = excluded.timestamp,
+          version = excluded.version,
+          device_name = excluded.device_name,
+          hash = excluded.hash,
+          updated_at = excluded.updated_at
+        WHERE rooms.version = 0
+      `, values);
+            } else {
+                // 单条 UPDATE 语句内比较并写入，天然原子
+                result = await this._runQuery(`
+        UPDATE rooms SET
+          encrypted_data = ?,
+          timestamp = ?,
+          version = ?,
+          device_name = ?,
+          hash = ?,
+          updated_at = ?
+        WHERE room_id = ? AND version = ?
+      `, [...values.slice(1), roomId, expectedVersion]);
+            }
         } catch (error) {
             console.error(`Failed to save room ${roomId}:`, error);
             throw new Error(`Failed to save room data: ${error.message}`);
         }
+
+        if (expectedVersion !== undefined && result.changes === 0) {
+            const row = await this._getQuery('SELECT version FROM rooms WHERE room_id = ?', [roomId]);
+            throw new VersionConflictError(roomId, expectedVersion, row ? row.version : 0);
+        }
+
+        await this._saveVersion(roomId, compressedData, data, now);
+
+        console.log(`Saved room data: ${roomId.substring(0, 8)}... (${compressedData.length} bytes)`);
+    }
+
+    /**
+     * 保存一份历史快照，并删除超出 maxVersions 的旧快照
+     * @private
+     */
+    async _saveVersion(roomId, compressedData, data, savedAt) {
+        try {
+            await this._runQuery(`
+        INSERT INTO room_versions (room_id, encrypted_data, timestamp, version, device_name, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [roomId, compressedData, data.timestamp, data.version, data.deviceName, savedAt]);
+
+            await this._runQuery(`
+        DELETE FROM room_versions
+        WHERE room_id = ? AND id NOT IN (
+          SELECT id FROM room_versions
+          WHERE room_id = ?
+          ORDER BY id DESC
+          LIMIT ?
+        )
+      `, [roomId, roomId, this.options.maxVersions]);
+        } catch (error) {
+            console.error(`Failed to save version of room ${roomId}:`, error);
+            throw new Error(`Failed to save room version: ${error.message}`);
+        }
+    }
+
+    /**
+     * 列出房间保留的历史快照
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomVersionInfo[]>} 按保存时间从新到旧排列
+     */
+    async listVersions(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const rows = await this._allQuery(`
+        SELECT id, timestamp, version, device_name, created_at, length(encrypted_data) AS size
+        FROM room_versions
+        WHERE room_id = ?
+        ORDER BY id DESC
+      `, [roomId]);
+
+            return rows.map(row => ({
+                versionId: String(row.id),
+                version: row.version,
+                timestamp: row.timestamp,
+                deviceName: row.device_name,
+                savedAt: row.created_at,
+                size: row.size
+            }));
+        } catch (error) {
+            console.error(`Failed to list versions of room ${roomId}:`, error);
+            throw new Error(`Failed to list room versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取一份历史快照
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 历史快照 ID
+     * @returns {Promise<(EncryptedRoomData & {versionId: string, savedAt: number})|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        // SQLite 的快照 ID 是自增主键
+        if (!DataValidator.isValidVersionId(versionId) || !/^\d+$/.test(versionId)) {
+            return null;
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(
+                'SELECT encrypted_data, created_at FROM room_versions WHERE room_id = ? AND id = ?',
+                [roomId, Number(versionId)]
+            );
+
+            if (!row) {
+                return null;
+            }
+
+            const roomData = DataSerializer.deserialize(DataSerializer.decompress(row.encrypted_data));
+            return { ...roomData, versionId, savedAt: row.created_at };
+        } catch (error) {
+            console.error(`Failed to get version ${versionId} of room ${roomId}:`, error);
+            throw new Error(`Failed to get room version: ${error.message}`);
+        }
     }
 
     /**
@@ -259,7 +421,93 @@ class SQLitePersistence extends PersistenceAdapter {
     }
 
     /**
-     * 删除过期数据
+     * 保存房间元数据
+     * @param {string} roomId - 房间ID
+     * @param {RoomMetadata} meta - 房间元数据
+     * @param {SaveRoomMetaOptions} [options]
+     * @returns {Promise<void>}
+     * @throws {MetaConflictError}
+     */
+    async saveRoomMeta(roomId, meta, options = {}) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidRoomMeta(meta)) {
+            throw new Error('Invalid room metadata');
+        }
+
+        await this._ensureConnection();
+
+        const { expectedMeta } = options;
+        const values = [roomId, JSON.stringify(meta), Date.now()];
+
+        let result;
+        try {
+            if (expectedMeta === undefined) {
+                result = await this._runQuery(`
+        INSERT INTO room_meta (room_id, meta, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(room_id) DO UPDATE SET
+          meta = excluded.meta,
+          updated_at = excluded.updated_at
+      `, values);
+            } else if (expectedMeta === null) {
+                // 尚无元数据时才写入
+                result = await this._runQuery(`
+        INSERT INTO room_meta (room_id, meta, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(room_id) DO NOTHING
+      `, values);
+            } else {
+                // 元数据以 JSON.stringify 的结果保存，读回后再序列化得到相同的文本
+                result = await this._runQuery(
+                    'UPDATE room_meta SET meta = ?, updated_at = ? WHERE room_id = ? AND meta = ?',
+                    [values[1], values[2], roomId, JSON.stringify(expectedMeta)]
+                );
+            }
+        } catch (error) {
+            console.error(`Failed to save room meta ${roomId}:`, error);
+            throw new Error(`Failed to save room metadata: ${error.message}`);
+        }
+
+        if (expectedMeta !== undefined && result.changes === 0) {
+            throw new MetaConflictError(roomId);
+        }
+    }
+
+    /**
+     * 获取房间元数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<RoomMetadata|null>}
+     */
+    async getRoomMeta(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery('SELECT meta FROM room_meta WHERE room_id = ?', [roomId]);
+            if (!row) {
+                return null;
+            }
+
+            await this._runQuery(
+                'UPDATE room_meta SET updated_at = ? WHERE room_id = ?',
+                [Date.now(), roomId]
+            );
+
+            return JSON.parse(row.meta);
+        } catch (error) {
+            console.error(`Failed to get room meta ${roomId}:`, error);
+            throw new Error(`Failed to get room metadata: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除过期数据（最后读写时间为 updated_at，置顶房间及其笔记除外）
      * @param {Date} olderThan - 删除早于此时间的数据
      * @returns {Promise<number>} 删除的记录数量
      */
@@ -269,14 +517,36 @@ class SQLitePersistence extends PersistenceAdapter {
         const cutoffTimestamp = olderThan.getTime();
 
         try {
-            // 删除过期的房间数据（级联删除会自动删除相关日志）
-            const result = await this._runQuery(
-                'DELETE FROM rooms WHERE updated_at < ?',
+            const pinned = new Set((await this._allQuery(
+                "SELECT room_id FROM room_meta WHERE json_extract(meta, '$.pinned') = 1"
+            )).map(row => row.room_id));
+
+            const expired = (await this._allQuery(
+                'SELECT room_id FROM rooms WHERE updated_at < ?',
                 [cutoffTimestamp]
-            );
+            )).map(row => row.room_id).filter(roomId => !pinned.has(ownerRoomId(roomId)));
+
+            // 分批删除，再次比较时间以跳过查询之后刚被读写的房间（级联删除会自动删除相关日志和历史快照）
+            let deletedCount = 0;
+            for (let i = 0; i < expired.length; i += 500) {
+                const batch = expired.slice(i, i + 500);
+                const result = await this._runQuery(
+                    `DELETE FROM rooms WHERE updated_at < ? AND room_id IN (${batch.map(() => '?').join(', ')})`,
+                    [cutoffTimestamp, ...batch]
+                );
+                deletedCount += result.changes;
+            }
 
-            console.log(`Cleaned up ${result.changes} expired rooms`);
-            return result.changes;
+            // 元数据只在房间数据不存在时才随之过期，避免有数据的房间丢失派生参数
+            await this._runQuery(`
+        DELETE FROM room_meta
+        WHERE updated_at < ?
+          AND room_id NOT IN (SELECT room_id FROM rooms)
+          AND json_extract(meta, '$.pinned') IS NOT 1
+      `, [cutoffTimestamp]);
+
+            console.log(`Cleaned up ${deletedCount} expired rooms`);
+            return deletedCount;
         } catch (error) {
             console.error('Failed to cleanup expired data:', error);
             throw new Error(`Failed to cleanup expired data: ${error.message}`);
@@ -375,6 +645,40 @@ class SQLitePersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 分页列出存储中的房间（按房间 ID 排序，游标为上一页最后一个房间 ID）
+     * @param {string|null} [cursor] - 上一页返回的游标
+     * @param {number} [limit] - 每页的房间数量
+     * @returns {Promise<RoomPage>}
+     */
+    async listRooms(cursor = null, limit = 100) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error('Invalid limit');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            // 只有元数据的房间（尚未推送数据）也需要列出
+            const rows = await this._allQuery(`
+        SELECT room_id FROM rooms WHERE room_id > ?
+        UNION
+        SELECT room_id FROM room_meta WHERE room_id > ?
+        ORDER BY room_id
+        LIMIT ?
+      `, [cursor || '', cursor || '', limit]);
+
+            const rooms = rows.map(row => row.room_id);
+            return {
+                rooms,
+                cursor: rooms.length === limit ? rooms[rooms.length - 1] : null
+            };
+        } catch (error) {
+            console.error('Failed to list rooms:', error);
+            throw new Error(`Failed to list rooms: ${error.message}`);
+        }
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
@@ -426,12 +730,18 @@ class SQLitePersistence extends PersistenceAdapter {
         try {
             const roomCount = await this._getQuery('SELECT COUNT(*) as count FROM rooms');
             const logCount = await this._getQuery('SELECT COUNT(*) as count FROM operation_logs');
+            const versionCount = await this._getQuery('SELECT COUNT(*) as count FROM room_versions');
+            const pinnedCount = await this._getQuery(
+                "SELECT COUNT(*) as count FROM room_meta WHERE json_extract(meta, '$.pinned') = 1"
+            );
             const dbSize = await this._getQuery('SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()');
 
             return {
                 connected: this.isConnected,
                 roomCount: roomCount.count,
                 logCount: logCount.count,
+                versionCount: versionCount.count,
+                pinnedCount: pinnedCount.count,
                 databaseSize: dbSize.size,
                 databasePath: this.options.dbPath
             };
@@ -48,6 +48,15 @@ describe('DataValidator', () => {
         expect(DataValidator.isValidRoomId('a'.repeat(101))).toBe(false);
     });
 
+    test('should not accept note storage keys as chain room IDs', () => {
+        const roomId = 'a'.repeat(64);
+
+        expect(DataValidator.isValidChainRoomId(roomId)).toBe(true);
+        expect(DataValidator.isValidChainRoomId(`${roomId}_3f2a9c1d4b5e6f70`)).toBe(false);
+        expect(DataValidator.isValidChainRoomId('room_with_underscores')).toBe(false);
+        expect(DataValidator.isValidChainRoomId('short')).toBe(false);
+    });
+
     test('should validate room data correctly', () => {
         const validData = {
             encryptedData: 'test-data',
@@ -94,4 +103,83 @@ describe('DataValidator', () => {
             position: -1
         })).toBe(false);
     });
-});
\ No newline at end of file
+
+    test('should require encrypted content for operation batches', () => {
+        const batch = {
+            id: 'batch-123',
+            type: 'batch',
+            position: 0,
+            content: '{"iv":"...","ct":"..."}',
+            timestamp: Date.now(),
+            deviceId: 'device-123',
+            version: 2
+        };
+
+        expect(DataValidator.isValidOperation(batch)).toBe(true);
+        expect(DataValidator.isValidOperation({ ...batch, content: undefined })).toBe(false);
+    });
+
+    test('should validate chain params correctly', () => {
+        const validParams = {
+            v: 1,
+            kdf: 'pbkdf2-sha256',
+            iterations: 600000,
+            salt: 'q83vEjRWeJq83vEjRWeJqw=='
+        };
+
+        expect(DataValidator.isValidChainParams(validParams)).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ chainParams: validParams })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({})).toBe(true);
+
+        expect(DataValidator.isValidChainParams(null)).toBe(false);
+        expect(DataValidator.isValidChainParams({
+            ...validParams,
+            iterations: 1000
+        })).toBe(false);
+        expect(DataValidator.isValidChainParams({
+            ...validParams,
+            kdf: 'pbkdf2-legacy'
+        })).toBe(false);
+        expect(DataValidator.isValidChainParams({
+            ...validParams,
+            salt: 'not base64!'
+        })).toBe(false);
+        expect(DataValidator.isValidRoomMeta({
+            chainParams: { ...validParams, v: 2 }
+        })).toBe(false);
+    });
+
+    test('should validate the sync mode', () => {
+        expect(DataValidator.isValidRoomMeta({ syncMode: 'snapshot' })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ syncMode: 'crdt' })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ syncMode: 'ot' })).toBe(false);
+    });
+
+    test('should validate the note registry', () => {
+        expect(DataValidator.isValidNoteId('3f2a9c1d4b5e6f708192a3b4c5d6e7f8')).toBe(true);
+        expect(DataValidator.isValidNoteId('short')).toBe(false);
+        expect(DataValidator.isValidNoteId('has_underscore')).toBe(false);
+        expect(DataValidator.isValidRoomMeta({ notes: ['3f2a9c1d4b5e6f70'] })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ notes: ['3f2a9c1d4b5e6f70', 'bad id'] })).toBe(false);
+        expect(DataValidator.isValidRoomMeta({ notes: '3f2a9c1d4b5e6f70' })).toBe(false);
+    });
+
+    test('should validate the pinned flag', () => {
+        expect(DataValidator.isValidRoomMeta({ pinned: true })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ pinned: false })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ pinned: 'yes' })).toBe(false);
+    });
+
+    test('should validate the verifier claim timestamp', () => {
+        expect(DataValidator.isValidRoomMeta({ authVerifierClaimedAt: 1700000000000 })).toBe(true);
+        expect(DataValidator.isValidRoomMeta({ authVerifierClaimedAt: '2023-11-14' })).toBe(false);
+    });
+
+    test('should validate version IDs', () => {
+        expect(DataValidator.isValidVersionId('42')).toBe(true);
+        expect(DataValidator.isValidVersionId('0b7c3c1e-5d2a-4f7e-9a61-2f4c8d9e1a3b')).toBe(true);
+        expect(DataValidator.isValidVersionId('')).toBe(false);
+        expect(DataValidator.isValidVersionId(42)).toBe(false);
+        expect(DataValidator.isValidVersionId('a'.repeat(65))).toBe(false);
+    });
+});
@@ -0,0 +1,394 @@
+const PersistenceManager = require('../PersistenceManager');
+const SQLitePersistence = require('../SQLitePersistence');
+const MemoryPersistence = require('../MemoryPersistence');
+
+function roomData(version, encryptedData = `data-v${version}`) {
+    return {
+        encryptedData,
+        timestamp: Date.now(),
+        deviceName: 'Test Device',
+        version,
+        hash: ''
+    };
+}
+
+function batch(version) {
+    return {
+        id: `batch-${version}`,
+        type: 'batch',
+        position: 0,
+        content: `ciphertext-${version}`,
+        timestamp: Date.now(),
+        deviceId: 'Test Device',
+        version
+    };
+}
+
+describe('PersistenceManager.migrateData', () => {
+    let manager;
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = new SQLitePersistence({ dbPath: ':memory:' });
+        target = new SQLitePersistence({ dbPath: ':memory:' });
+        await source.connect();
+        await target.connect();
+
+        manager = new PersistenceManager();
+        manager.adapters.set('source', source);
+        manager.adapters.set('target', target);
+    });
+
+    afterEach(async () => {
+        await manager.close();
+    });
+
+    test('should copy room data, snapshots, metadata and logs', async () => {
+        const roomId = global.testUtils.generateRoomId();
+        await source.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+        await source.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+        await source.appendLog(roomId, batch(3));
+        await source.saveRoomMeta(roomId, { syncMode: 'crdt' });
+
+        const result = await manager.migrateData('source', 'target');
+
+        expect(result).toMatchObject({ processed: 1, migrated: 1, skipped: 0, failed: [], completed: true });
+        expect(await target.getRoom(roomId)).toMatchObject({ version: 2, encryptedData: 'data-v2' });
+        expect(await target.getRoomMeta(roomId)).toEqual({ syncMode: 'crdt' });
+        expect((await target.getLog(roomId, 0)).map(op => op.version)).toEqual([3]);
+        expect((await target.listVersions(roomId)).map(v => v.version)).toEqual([2, 1]);
+    });
+
+    test('should skip rooms that are already up to date', async () => {
+        const roomId = global.testUtils.generateRoomId();
+        await source.saveRoom(roomId, roomData(1));
+        await source.appendLog(roomId, batch(2));
+
+        await manager.migrateData('source', 'target');
+        const again = await manager.migrateData('source', 'target');
+
+        expect(again).toMatchObject({ processed: 1, migrated: 0, skipped: 1 });
+        expect((await target.getLog(roomId, 0)).map(op => op.version)).toEqual([2]);
+        expect(await target.listVersions(roomId)).toHaveLength(1);
+    });
+
+    test('should report progress per page and resume after an interruption', async () => {
+        const roomIds = ['room-aaaaaaaaaa', 'room-bbbbbbbbbb', 'room-cccccccccc'];
+        for (const roomId of roomIds) {
+            await source.saveRoom(roomId, roomData(1));
+        }
+
+        const listRooms = source.listRooms.bind(source);
+        jest.spyOn(source, 'listRooms')
+            .mockImplementationOnce(listRooms)
+            .mockRejectedValueOnce(new Error('connection lost'));
+
+        const reports = [];
+        await expect(manager.migrateData('source', 'target', { batchSize: 2, onProgress: p => reports.push(p) }))
+            .rejects.toThrow('connection lost');
+        expect(reports).toEqual([expect.objectContaining({ processed: 2, cursor: 'room-bbbbbbbbbb' })]);
+
+        source.listRooms.mockImplementation(listRooms);
+        const result = await manager.migrateData('source', 'target', { batchSize: 2 });
+
+        expect(source.listRooms).toHaveBeenLastCalledWith('room-bbbbbbbbbb', 2);
+        expect(result).toMatchObject({ processed: 3, migrated: 3, completed: true, cursor: null });
+        expect((await target.listRooms()).rooms).toEqual(roomIds);
+    });
+
+    test('should record rooms that fail to migrate and continue', async () => {
+        const roomIds = ['room-aaaaaaaaaa', 'room-bbbbbbbbbb'];
+        for (const roomId of roomIds) {
+            await source.saveRoom(roomId, roomData(1));
+        }
+
+        const saveRoom = target.saveRoom.bind(target);
+        jest.spyOn(target, 'saveRoom').mockImplementation((roomId, ...args) => (
+            roomId === roomIds[0] ? Promise.reject(new Error('disk full')) : saveRoom(roomId, ...args)
+        ));
+
+        const result = await manager.migrateData('source', 'target');
+
+        expect(result.failed).toEqual([{ roomId: roomIds[0], error: 'disk full' }]);
+        expect(result.migrated).toBe(1);
+        expect(await target.getRoom(roomIds[1])).not.toBeNull();
+    });
+
+    test('should reject unknown or identical adapters', async () => {
+        await expect(manager.migrateData('source', 'redis')).rejects.toThrow('not found');
+        await expect(manager.migrateData('source', 'source')).rejects.toThrow('must differ');
+    });
+});
+
+describe('PersistenceManager replication', () => {
+    let primary;
+    let fallback;
+
+    function createManager(options = {}) {
+        const manager = new PersistenceManager({
+            primaryAdapter: 'primary',
+            fallbackAdapter: 'fallback',
+            autoFailover: false,
+            ...options
+        });
+        manager.adapters.set('primary', primary);
+        manager.adapters.set('fallback', fallback);
+        manager.currentAdapter = primary;
+        manager.currentAdapterName = 'primary';
+        manager.isInitialized = true;
+        return manager;
+    }
+
+    async function failOver(manager) {
+        jest.spyOn(primary, 'isHealthy').mockResolvedValue(false);
+        await manager._performHealthCheck();
+        expect(manager.getCurrentAdapter()).toBe('fallback');
+    }
+
+    async function recover(manager) {
+        primary.isHealthy.mockRestore();
+        await manager._performHealthCheck();
+    }
+
+    beforeEach(async () => {
+        primary = new SQLitePersistence({ dbPath: ':memory:' });
+        fallback = new SQLitePersistence({ dbPath: ':memory:' });
+        await primary.connect();
+        await fallback.connect();
+    });
+
+    afterEach(async () => {
+        await primary.close();
+        await fallback.close();
+    });
+
+    test('should mirror writes to the fallback in dual-write mode', async () => {
+        const manager = createManager({ dualWrite: true });
+        const roomId = global.testUtils.generateRoomId();
+
+        await manager.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+        await manager.appendLog(roomId, batch(2));
+        await manager.saveRoomMeta(roomId, { syncMode: 'crdt' });
+
+        expect(await fallback.getRoom(roomId)).toMatchObject({ version: 1 });
+        expect((await fallback.getLog(roomId, 0)).map(op => op.version)).toEqual([2]);
+        expect(await fallback.getRoomMeta(roomId)).toEqual({ syncMode: 'crdt' });
+        expect(manager.dirtyRooms.size).toBe(0);
+    });
+
+    test('should not write to the fallback without dual-write', async () => {
+        const manager = createManager();
+        const roomId = global.testUtils.generateRoomId();
+
+        await manager.saveRoom(roomId, roomData(1));
+
+        expect(await fallback.getRoom(roomId)).toBeNull();
+    });
+
+    test('should journal a room whose mirror write failed and repair it later', async () => {
+        const manager = createManager({ dualWrite: true });
+        const roomId = global.testUtils.generateRoomId();
+        jest.spyOn(fallback, 'saveRoom').mockRejectedValueOnce(new Error('disk full'));
+
+        await manager.saveRoom(roomId, roomData(1));
+        expect(manager.dirtyRooms.get('fallback').get(roomId)).toMatchObject({ source: 'primary' });
+
+        await manager._performHealthCheck();
+
+        expect(await fallback.getRoom(roomId)).toMatchObject({ version: 1 });
+        expect(manager.dirtyRooms.size).toBe(0);
+    });
+
+    test('should copy rooms written during an outage back to the primary on failback', async () => {
+        const manager = createManager();
+        const roomId = global.testUtils.generateRoomId();
+        await manager.saveRoom(roomId, roomData(1));
+
+        await failOver(manager);
+        await manager.saveRoom(roomId, roomData(1, 'outage-v1'), { expectedVersion: 0 });
+        await manager.appendLog(roomId, batch(2));
+        await manager.saveRoomMeta(roomId, { pinned: true });
+        await expect(manager.getStats()).resolves.toMatchObject({ manager: { pendingResync: 1 } });
+
+        await recover(manager);
+
+        expect(manager.getCurrentAdapter()).toBe('primary');
+        expect(manager.dirtyRooms.size).toBe(0);
+        expect(manager.lastResync).toMatchObject({ checked: 1, toPrimary: 1, failed: [] });
+        expect(await primary.getRoom(roomId)).toMatchObject({ version: 1, encryptedData: 'outage-v1' });
+        expect((await primary.getLog(roomId, 0)).map(op => op.version)).toEqual([2]);
+        expect(await primary.getRoomMeta(roomId)).toEqual({ pinned: true });
+    });
+
+    test('should copy operation batches appended during an outage back to the primary', async () => {
+        const manager = createManager({ dualWrite: true });
+        const roomId = global.testUtils.generateRoomId();
+        await manager.saveRoom(roomId, roomData(1));
+        await manager.appendLog(roomId, batch(2));
+
+        await failOver(manager);
+        // Only ops reach the fallback: both sides keep snapshot version 1
+        await manager.appendLog(roomId, batch(3));
+        await manager.appendLog(roomId, batch(4));
+
+        await recover(manager);
+
+        expect(manager.dirtyRooms.size).toBe(0);
+        expect(manager.lastResync).toMatchObject({ checked: 1, toPrimary: 1, failed: [] });
+        expect((await primary.getLog(roomId, 0)).map(op => op.version)).toEqual([2, 3, 4]);
+    });
+
+    test('should keep the higher version on either side', async () => {
+        const manager = createManager({ dualWrite: true });
+        const roomId = global.testUtils.generateRoomId();
+        await manager.saveRoom(roomId, roomData(1));
+
+        await failOver(manager);
+        await manager.saveRoomMeta(roomId, { syncMode: 'snapshot' });
+        // The primary already holds a newer version than the fallback
+        await primary.saveRoom(roomId, roomData(3));
+
+        await recover(manager);
+
+        expect(await primary.getRoom(roomId)).toMatchObject({ version: 3 });
+        expect(await fallback.getRoom(roomId)).toMatchObject({ version: 3 });
+        expect(manager.lastResync).toMatchObject({ toPrimary: 0, toFallback: 1 });
+    });
+
+    test('should stay on the fallback while rooms fail to resync', async () => {
+        const manager = createManager();
+        const roomId = global.testUtils.generateRoomId();
+
+        await failOver(manager);
+        await manager.saveRoom(roomId, roomData(1));
+        primary.isHealthy.mockRestore();
+        jest.spyOn(primary, 'saveRoom').mockRejectedValueOnce(new Error('read only'));
+
+        await manager._performHealthCheck();
+        expect(manager.getCurrentAdapter()).toBe('fallback');
+        expect(manager.dirtyRooms.get('fallback').has(roomId)).toBe(true);
+
+        await manager._performHealthCheck();
+        expect(manager.getCurrentAdapter()).toBe('primary');
+        expect(await primary.getRoom(roomId)).toMatchObject({ version: 1 });
+    });
+
+    test('should scan every fallback room when started without the primary', async () => {
+        const manager = createManager();
+        manager.currentAdapter = fallback;
+        manager.currentAdapterName = 'fallback';
+        manager.fullResyncPending = true;
+        await fallback.saveRoom('room-aaaaaaaaaa', roomData(2));
+        await fallback.saveRoomMeta('room-aaaaaaaaaa', { syncMode: 'crdt' });
+        await primary.saveRoom('room-aaaaaaaaaa', roomData(1));
+        await primary.saveRoomMeta('room-aaaaaaaaaa', { syncMode: 'snapshot' });
+
+        await manager._performHealthCheck();
+
+        expect(manager.getCurrentAdapter()).toBe('primary');
+        expect(manager.fullResyncPending).toBe(false);
+        expect(await primary.getRoom('room-aaaaaaaaaa')).toMatchObject({ version: 2 });
+        // Without a journal entry the primary's metadata is kept
+        expect(await primary.getRoomMeta('room-aaaaaaaaaa')).toEqual({ syncMode: 'snapshot' });
+    });
+});
+
+describe('PersistenceManager failover chain', () => {
+    let primary;
+    let fallback;
+    let memory;
+
+    beforeEach(async () => {
+        primary = new SQLitePersistence({ dbPath: ':memory:' });
+        fallback = new SQLitePersistence({ dbPath: ':memory:' });
+        memory = new MemoryPersistence();
+        await primary.connect();
+        await fallback.connect();
+    });
+
+    afterEach(async () => {
+        await primary.close();
+        await fallback.close();
+    });
+
+    test('should fail over to memory and copy its rooms back to the primary', async () => {
+        const manager = new PersistenceManager({
+            primaryAdapter: 'primary',
+            fallbackAdapter: 'fallback',
+            autoFailover: false
+        });
+        manager.adapters.set('primary', primary);
+        manager.adapters.set('fallback', fallback);
+        manager.adapters.set('memory', memory);
+        manager.currentAdapter = primary;
+        manager.currentAdapterName = 'primary';
+        manager.isInitialized = true;
+        const roomId = global.testUtils.generateRoomId();
+
+        jest.spyOn(primary, 'isHealthy').mockResolvedValue(false);
+        jest.spyOn(fallback, 'isHealthy').mockResolvedValue(false);
+        await manager._performHealthCheck();
+        expect(manager.getCurrentAdapter()).toBe('memory');
+
+        await manager.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+        await manager.saveRoomMeta(roomId, { syncMode: 'crdt' });
+        expect(manager.dirtyRooms.get('memory').has(roomId)).toBe(true);
+
+        primary.isHealthy.mockRestore();
+        await manager._performHealthCheck();
+
+        expect(manager.getCurrentAdapter()).toBe('primary');
+        expect(manager.dirtyRooms.size).toBe(0);
+        expect(await primary.getRoom(roomId)).toMatchObject({ version: 1 });
+        expect(await primary.getRoomMeta(roomId)).toEqual({ syncMode: 'crdt' });
+    });
+
+    test('should start on memory when no other adapter connects', async () => {
+        const manager = new PersistenceManager({
+            primaryAdapter: 'sqlite',
+            fallbackAdapter: 'sqlite',
+            // 数据目录无法创建，SQLite 连接失败
+            sqlite: { dbPath: '/dev/null/notesync.db' }
+        });
+
+        try {
+            await manager.initialize();
+            expect(manager.getCurrentAdapter()).toBe('memory');
+
+            const roomId = global.testUtils.generateRoomId();
+            await manager.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            expect(await manager.getRoom(roomId)).toMatchObject({ version: 1 });
+            expect((await manager.getStats()).manager.failoverChain).toEqual(['sqlite', 'memory']);
+        } finally {
+            await manager.close();
+        }
+    });
+
+    test('should fail to initialize when memory fallback is disabled', async () => {
+        const manager = new PersistenceManager({
+            primaryAdapter: 'sqlite',
+            fallbackAdapter: 'sqlite',
+            memoryFallback: false,
+            sqlite: { dbPath: '/dev/null/notesync.db' }
+        });
+
+        try {
+            await expect(manager.initialize()).rejects.toThrow('All persistence adapters failed to initialize');
+        } finally {
+            await manager.close();
+        }
+    });
+
+    test('should use memory as the primary adapter', async () => {
+        const manager = new PersistenceManager({ primaryAdapter: 'memory', fallbackAdapter: 'memory' });
+
+        try {
+            await manager.initialize();
+            expect(manager.getCurrentAdapter()).toBe('memory');
+            expect(manager.adapters.size).toBe(1);
+        } finally {
+            await manager.close();
+        }
+    });
+});
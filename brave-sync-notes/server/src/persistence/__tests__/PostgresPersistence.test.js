@@ -0,0 +1,432 @@
+const { newDb, DataType } = require('pg-mem');
+const { Pool } = require('pg');
+const PostgresPersistence = require('../PostgresPersistence');
+const { VersionConflictError, MetaConflictError } = require('../PersistenceAdapter');
+
+// 设置 POSTGRES_TEST_URL 时使用本地 PostgreSQL（测试会清空其中的表），否则使用 pg-mem
+const testUrl = process.env.POSTGRES_TEST_URL;
+
+function createPool() {
+    if (testUrl) {
+        return new Pool({ connectionString: testUrl });
+    }
+
+    // pg-mem 不完全支持 CREATE TABLE IF NOT EXISTS 的语法检查，迁移在已有的表上会被误报
+    const db = newDb({ noAstCoverageCheck: true });
+    // pg-mem 没有实现的内置函数
+    db.public.registerFunction({
+        name: 'pg_advisory_xact_lock',
+        args: [DataType.bigint],
+        returns: DataType.text,
+        implementation: () => null,
+        impure: true
+    });
+    db.public.registerFunction({
+        name: 'length',
+        args: [DataType.text],
+        returns: DataType.integer,
+        implementation: text => text.length
+    });
+    db.public.registerFunction({
+        name: 'current_database',
+        returns: DataType.text,
+        implementation: () => 'notesync'
+    });
+    db.public.registerFunction({
+        name: 'pg_database_size',
+        args: [DataType.text],
+        returns: DataType.bigint,
+        implementation: () => 0
+    });
+
+    const { Pool: MemPool } = db.adapters.createPg();
+    return new MemPool();
+}
+
+function roomData(version, encryptedData = `data-v${version}`) {
+    return {
+        encryptedData,
+        timestamp: Date.now(),
+        deviceName: 'Test Device',
+        version,
+        hash: ''
+    };
+}
+
+function batch(version) {
+    return {
+        id: `batch-${version}`,
+        type: 'batch',
+        position: 0,
+        content: `ciphertext-${version}`,
+        timestamp: Date.now(),
+        deviceId: 'Test Device',
+        version
+    };
+}
+
+describe('PostgresPersistence', () => {
+    let pool;
+    let storage;
+
+    beforeEach(async () => {
+        pool = createPool();
+        storage = new PostgresPersistence({ pool });
+        await storage.connect();
+        if (testUrl) {
+            await pool.query('DELETE FROM rooms');
+            await pool.query('DELETE FROM room_meta');
+        }
+    });
+
+    afterEach(async () => {
+        await storage.close();
+        await pool.end();
+    });
+
+    describe('Schema migrations', () => {
+        test('should record applied migrations', async () => {
+            const { rows } = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+
+            expect(rows.map(row => row.version)).toEqual([1]);
+            expect(storage.schemaVersion).toBe(1);
+        });
+
+        test('should not apply migrations twice', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            await storage.saveRoom(roomId, roomData(1));
+
+            const again = new PostgresPersistence({ pool });
+            await again.connect();
+
+            expect(again.schemaVersion).toBe(1);
+            expect(Number((await pool.query('SELECT COUNT(*) AS count FROM schema_migrations')).rows[0].count)).toBe(1);
+            expect(await again.getRoom(roomId)).toMatchObject({ version: 1 });
+            await again.close();
+        });
+
+        test('should leave an injected pool open on close', async () => {
+            await storage.close();
+
+            await expect(pool.query('SELECT 1 AS test')).resolves.toMatchObject({ rows: [{ test: 1 }] });
+            expect(await storage.isHealthy()).toBe(false);
+        });
+    });
+
+    describe('Optimistic concurrency', () => {
+        test('should create a room only when expecting version 0', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await expect(storage.saveRoom(roomId, roomData(1, 'other'), { expectedVersion: 0 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+
+            expect((await storage.getRoom(roomId)).encryptedData).toBe('data-v1');
+        });
+
+        test('should let only one of two concurrent creations win', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            const results = await Promise.allSettled([
+                storage.saveRoom(roomId, roomData(1, 'first'), { expectedVersion: 0 }),
+                storage.saveRoom(roomId, roomData(1, 'second'), { expectedVersion: 0 })
+            ]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+            const [rejected] = results.filter(result => result.status === 'rejected');
+            expect(rejected.reason).toBeInstanceOf(VersionConflictError);
+            expect(rejected.reason.currentVersion).toBe(1);
+            expect(await storage.listVersions(roomId)).toHaveLength(1);
+        });
+
+        test('should advance the version when the expected version matches', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+
+            expect(await storage.getRoom(roomId)).toMatchObject({ version: 2, encryptedData: 'data-v2' });
+        });
+
+        test('should reject stale writes and report the current version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+
+            await expect(storage.saveRoom(roomId, roomData(2, 'stale'), { expectedVersion: 1 }))
+                .rejects.toMatchObject({ expectedVersion: 1, currentVersion: 2 });
+        });
+
+        test('should not create a missing room for a non-zero expected version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await expect(storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 }))
+                .rejects.toMatchObject({ currentVersion: 0 });
+            expect(await storage.getRoom(roomId)).toBeNull();
+        });
+
+        test('should overwrite unconditionally without an expected version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(3));
+            await storage.saveRoom(roomId, roomData(1, 'forced'));
+
+            expect(await storage.getRoom(roomId)).toMatchObject({ version: 1, encryptedData: 'forced' });
+        });
+    });
+
+    describe('Operation batches', () => {
+        test('should return batches after a version in order', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(2));
+            await storage.appendLog(roomId, batch(3));
+            await storage.appendLog(roomId, batch(4));
+
+            const ops = await storage.getLog(roomId, 2);
+            expect(ops.map(op => op.version)).toEqual([3, 4]);
+            expect(ops[0]).toMatchObject({ id: 'batch-3', type: 'batch', content: 'ciphertext-3' });
+            expect(typeof ops[0].timestamp).toBe('number');
+        });
+
+        test('should keep the log when a newer snapshot is saved', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(2));
+            await storage.saveRoom(roomId, roomData(3), { expectedVersion: 1 });
+
+            expect((await storage.getLog(roomId, 0)).map(op => op.version)).toEqual([2]);
+        });
+
+        test('should accept each version only once', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(2));
+            await expect(storage.appendLog(roomId, { ...batch(2), id: 'other-node' }))
+                .rejects.toMatchObject({ name: 'VersionConflictError', currentVersion: 2 });
+
+            expect((await storage.getLog(roomId, 0)).map(op => op.id)).toEqual(['batch-2']);
+        });
+
+        test('should not save a snapshot behind an appended batch', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            // 另一个节点已把版本 2 作为操作批次追加
+            await storage.appendLog(roomId, batch(2));
+            await expect(storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+
+            await storage.saveRoom(roomId, roomData(3), { expectedVersion: 1 });
+            expect(await storage.getRoom(roomId)).toMatchObject({ version: 3 });
+        });
+
+        test('should accept only one of a snapshot and a batch for the same version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            // 另一个节点已把版本 2 作为快照保存
+            await storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+            await expect(storage.appendLog(roomId, batch(2), { expectedVersion: 1 }))
+                .rejects.toMatchObject({ name: 'VersionConflictError', currentVersion: 2 });
+            expect(await storage.getLog(roomId, 0)).toEqual([]);
+
+            await storage.appendLog(roomId, batch(3), { expectedVersion: 2 });
+            await expect(storage.saveRoom(roomId, roomData(3), { expectedVersion: 2 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+            expect(await storage.getRoom(roomId)).toMatchObject({ version: 2 });
+        });
+
+        test('should append migrated batches older than the snapshot', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(3));
+            await storage.appendLog(roomId, batch(2));
+            await storage.appendLog(roomId, batch(4), { expectedVersion: 3 });
+
+            expect((await storage.getLog(roomId, 0)).map(op => op.version)).toEqual([2, 4]);
+        });
+
+        test('should store timestamp-sized versions of baseline rooms', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const baseline = Date.now();
+
+            await storage.saveRoom(roomId, roomData(baseline), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(baseline + 1));
+
+            expect((await storage.getLog(roomId, baseline)).map(op => op.version)).toEqual([baseline + 1]);
+            expect((await storage.listVersions(roomId))[0].version).toBe(baseline);
+            await expect(storage.saveRoom(roomId, roomData(baseline + 2), { expectedVersion: 1 }))
+                .rejects.toMatchObject({ currentVersion: baseline });
+        });
+
+        test('should only retain the most recent batches', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const limited = new PostgresPersistence({ pool, maxLogEntries: 2 });
+            await limited.connect();
+
+            await limited.saveRoom(roomId, roomData(1));
+            for (let version = 2; version <= 5; version++) {
+                await limited.appendLog(roomId, batch(version));
+            }
+
+            expect((await limited.getLog(roomId, 0)).map(op => op.version)).toEqual([4, 5]);
+            await limited.close();
+        });
+    });
+
+    describe('Version history', () => {
+        test('should keep every saved snapshot, newest first', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2, ''), { expectedVersion: 1 });
+
+            const versions = await storage.listVersions(roomId);
+            expect(versions.map(v => v.version)).toEqual([2, 1]);
+            expect(versions[1]).toMatchObject({ deviceName: 'Test Device' });
+            expect(versions[1]).not.toHaveProperty('encryptedData');
+
+            const older = await storage.getVersion(roomId, versions[1].versionId);
+            expect(older).toMatchObject({ versionId: versions[1].versionId, version: 1, encryptedData: 'data-v1' });
+        });
+
+        test('should not record rejected writes', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await expect(storage.saveRoom(roomId, roomData(1, 'stale'), { expectedVersion: 0 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+
+            expect((await storage.listVersions(roomId)).map(v => v.version)).toEqual([1]);
+        });
+
+        test('should only retain the most recent snapshots', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const limited = new PostgresPersistence({ pool, maxVersions: 3 });
+            await limited.connect();
+
+            for (let version = 1; version <= 5; version++) {
+                await limited.saveRoom(roomId, roomData(version), { expectedVersion: version - 1 });
+            }
+
+            expect((await limited.listVersions(roomId)).map(v => v.version)).toEqual([5, 4, 3]);
+            await limited.close();
+        });
+
+        test('should not return versions of another room', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const otherRoomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            const [version] = await storage.listVersions(roomId);
+
+            expect(await storage.getVersion(otherRoomId, version.versionId)).toBeNull();
+            expect(await storage.getVersion(roomId, 'not-a-row-id')).toBeNull();
+        });
+    });
+
+    describe('Expiry', () => {
+        const noteId = '3f2a9c1d4b5e6f70';
+
+        test('should delete idle rooms together with their notes, logs, versions and metadata', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1));
+            await storage.appendLog(roomId, batch(2));
+            await storage.saveRoom(`${roomId}_${noteId}`, roomData(1));
+            await storage.saveRoomMeta(roomId, { syncMode: 'snapshot' });
+
+            expect(await storage.cleanupExpired(new Date(Date.now() + 1000))).toBe(2);
+            expect(await storage.getRoom(roomId)).toBeNull();
+            expect(await storage.getRoom(`${roomId}_${noteId}`)).toBeNull();
+            expect(await storage.getLog(roomId, 0)).toEqual([]);
+            expect(await storage.listVersions(roomId)).toEqual([]);
+            expect(await storage.getRoomMeta(roomId)).toBeNull();
+        });
+
+        test('should keep pinned rooms and their notes', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1));
+            await storage.saveRoom(`${roomId}_${noteId}`, roomData(1));
+            await storage.saveRoomMeta(roomId, { pinned: true });
+
+            expect(await storage.cleanupExpired(new Date(Date.now() + 1000))).toBe(0);
+            expect(await storage.getRoom(roomId)).not.toBeNull();
+            expect(await storage.getRoom(`${roomId}_${noteId}`)).not.toBeNull();
+            expect(await storage.getRoomMeta(roomId)).toEqual({ pinned: true });
+        });
+
+        test('should count rooms, logs, versions and pinned rooms in the stats', async () => {
+            await storage.saveRoom('room-aaaaaaaaaa', roomData(1));
+            await storage.appendLog('room-aaaaaaaaaa', batch(2));
+            await storage.saveRoomMeta('room-aaaaaaaaaa', { pinned: true });
+            await storage.saveRoomMeta('room-bbbbbbbbbb', { pinned: false });
+
+            expect(await storage.getStats()).toMatchObject({
+                connected: true,
+                roomCount: 1,
+                logCount: 1,
+                versionCount: 1,
+                pinnedCount: 1,
+                schemaVersion: 1
+            });
+        });
+    });
+
+    describe('Metadata', () => {
+        test('should only create metadata that does not exist yet', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoomMeta(roomId, { syncMode: 'crdt' }, { expectedMeta: null });
+            await expect(storage.saveRoomMeta(roomId, { syncMode: 'snapshot' }, { expectedMeta: null }))
+                .rejects.toBeInstanceOf(MetaConflictError);
+
+            expect(await storage.getRoomMeta(roomId)).toEqual({ syncMode: 'crdt' });
+        });
+
+        test('should reject metadata changed since it was read', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            await storage.saveRoomMeta(roomId, { syncMode: 'crdt', notes: ['3f2a9c1d4b5e6f70'] });
+
+            const read = await storage.getRoomMeta(roomId);
+            await storage.saveRoomMeta(roomId, { ...read, pinned: true }, { expectedMeta: read });
+            await expect(storage.saveRoomMeta(roomId, { ...read, pinned: false }, { expectedMeta: read }))
+                .rejects.toBeInstanceOf(MetaConflictError);
+
+            expect(await storage.getRoomMeta(roomId)).toMatchObject({ pinned: true });
+        });
+    });
+
+    describe('Room enumeration', () => {
+        test('should page through rooms in id order', async () => {
+            const roomIds = ['room-aaaaaaaaaa', 'room-bbbbbbbbbb', 'room-cccccccccc'];
+            for (const roomId of roomIds) {
+                await storage.saveRoom(roomId, roomData(1));
+            }
+
+            const first = await storage.listRooms(null, 2);
+            expect(first.rooms).toEqual(roomIds.slice(0, 2));
+
+            const second = await storage.listRooms(first.cursor, 2);
+            expect(second).toEqual({ rooms: roomIds.slice(2), cursor: null });
+        });
+
+        test('should list rooms that only have metadata once', async () => {
+            await storage.saveRoom('room-aaaaaaaaaa', roomData(1));
+            await storage.saveRoomMeta('room-aaaaaaaaaa', { syncMode: 'snapshot' });
+            await storage.saveRoomMeta('room-bbbbbbbbbb', { syncMode: 'crdt' });
+
+            expect((await storage.listRooms()).rooms).toEqual(['room-aaaaaaaaaa', 'room-bbbbbbbbbb']);
+        });
+
+        test('should reject an invalid limit', async () => {
+            await expect(storage.listRooms(null, 0)).rejects.toThrow('Invalid limit');
+        });
+    });
+});
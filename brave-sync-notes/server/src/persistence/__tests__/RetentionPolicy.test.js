@@ -0,0 +1,49 @@
+const {
+    DEFAULT_ROOM_TTL_MS,
+    DEFAULT_CLEANUP_INTERVAL_MS,
+    loadRetentionPolicy,
+    expiryCutoff,
+    ownerRoomId,
+    isPinned
+} = require('../RetentionPolicy');
+
+describe('RetentionPolicy', () => {
+    test('should use the defaults when nothing is configured', () => {
+        expect(loadRetentionPolicy({})).toEqual({
+            roomTtlMs: DEFAULT_ROOM_TTL_MS,
+            cleanupIntervalMs: DEFAULT_CLEANUP_INTERVAL_MS
+        });
+    });
+
+    test('should read the policy from the environment', () => {
+        expect(loadRetentionPolicy({ ROOM_TTL_MS: '86400000', ROOM_CLEANUP_INTERVAL_MS: '60000' })).toEqual({
+            roomTtlMs: 86400000,
+            cleanupIntervalMs: 60000
+        });
+    });
+
+    test('should ignore invalid values', () => {
+        expect(loadRetentionPolicy({ ROOM_TTL_MS: '-1', ROOM_CLEANUP_INTERVAL_MS: 'hourly' })).toEqual({
+            roomTtlMs: DEFAULT_ROOM_TTL_MS,
+            cleanupIntervalMs: DEFAULT_CLEANUP_INTERVAL_MS
+        });
+        expect(loadRetentionPolicy({ ROOM_TTL_MS: '1.5' }).roomTtlMs).toBe(DEFAULT_ROOM_TTL_MS);
+    });
+
+    test('should compute the cutoff from the TTL', () => {
+        expect(expiryCutoff({ roomTtlMs: 1000 }, 5000)).toEqual(new Date(4000));
+    });
+
+    test('should map note storage keys to their room', () => {
+        expect(ownerRoomId('room-aaaaaaaaaa_3f2a9c1d4b5e6f70')).toBe('room-aaaaaaaaaa');
+        expect(ownerRoomId('room-aaaaaaaaaa')).toBe('room-aaaaaaaaaa');
+        expect(ownerRoomId('room-aaaaaaaaaa_v2')).toBe('room-aaaaaaaaaa_v2');
+    });
+
+    test('should only treat pinned: true as pinned', () => {
+        expect(isPinned({ pinned: true })).toBe(true);
+        expect(isPinned({ pinned: false })).toBe(false);
+        expect(isPinned({})).toBe(false);
+        expect(isPinned(null)).toBe(false);
+    });
+});
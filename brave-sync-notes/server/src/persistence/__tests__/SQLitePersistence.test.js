@@ -0,0 +1,260 @@
+const SQLitePersistence = require('../SQLitePersistence');
+const { VersionConflictError, MetaConflictError } = require('../PersistenceAdapter');
+
+function roomData(version, encryptedData = `data-v${version}`) {
+    return {
+        encryptedData,
+        timestamp: Date.now(),
+        deviceName: 'Test Device',
+        version,
+        hash: ''
+    };
+}
+
+describe('SQLitePersistence', () => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = new SQLitePersistence({ dbPath: ':memory:' });
+        await storage.connect();
+    });
+
+    afterEach(async () => {
+        await storage.close();
+    });
+
+    describe('Optimistic concurrency', () => {
+        test('should create a room only when expecting version 0', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await expect(storage.saveRoom(roomId, roomData(1, 'other'), { expectedVersion: 0 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+
+            expect((await storage.getRoom(roomId)).encryptedData).toBe('data-v1');
+        });
+
+        test('should advance the version when the expected version matches', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+
+            expect(await storage.getRoom(roomId)).toMatchObject({ version: 2, encryptedData: 'data-v2' });
+        });
+
+        test('should reject stale writes and report the current version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2), { expectedVersion: 1 });
+
+            await expect(storage.saveRoom(roomId, roomData(2, 'stale'), { expectedVersion: 1 }))
+                .rejects.toMatchObject({ name: 'VersionConflictError', expectedVersion: 1, currentVersion: 2 });
+        });
+
+        test('should not create a missing room for a non-zero expected version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await expect(storage.saveRoom(roomId, roomData(4), { expectedVersion: 3 }))
+                .rejects.toMatchObject({ currentVersion: 0 });
+            expect(await storage.getRoom(roomId)).toBeNull();
+        });
+
+        test('should overwrite unconditionally without an expected version', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(5));
+            await storage.saveRoom(roomId, roomData(3));
+
+            expect((await storage.getRoom(roomId)).version).toBe(3);
+        });
+    });
+
+    describe('Operation batches', () => {
+        function batch(version) {
+            return {
+                id: `batch-${version}`,
+                type: 'batch',
+                position: 0,
+                content: `ciphertext-${version}`,
+                timestamp: Date.now(),
+                deviceId: 'Test Device',
+                version
+            };
+        }
+
+        test('should return batches after a version in order', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(2));
+            await storage.appendLog(roomId, batch(3));
+            await storage.appendLog(roomId, batch(4));
+
+            const ops = await storage.getLog(roomId, 2);
+            expect(ops.map(op => op.version)).toEqual([3, 4]);
+            expect(ops[0]).toMatchObject({ id: 'batch-3', type: 'batch', content: 'ciphertext-3' });
+        });
+
+        test('should keep the log when a newer snapshot is saved', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.appendLog(roomId, batch(2));
+            await storage.saveRoom(roomId, roomData(3), { expectedVersion: 1 });
+
+            expect((await storage.getLog(roomId, 0)).map(op => op.version)).toEqual([2]);
+        });
+    });
+
+    describe('Version history', () => {
+        test('should keep every saved snapshot, newest first', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.saveRoom(roomId, roomData(2, ''), { expectedVersion: 1 });
+
+            const versions = await storage.listVersions(roomId);
+            expect(versions.map(v => v.version)).toEqual([2, 1]);
+            expect(versions[1]).toMatchObject({ deviceName: 'Test Device' });
+            expect(versions[1]).not.toHaveProperty('encryptedData');
+
+            const older = await storage.getVersion(roomId, versions[1].versionId);
+            expect(older).toMatchObject({ versionId: versions[1].versionId, version: 1, encryptedData: 'data-v1' });
+        });
+
+        test('should not record rejected writes', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await expect(storage.saveRoom(roomId, roomData(1, 'stale'), { expectedVersion: 0 }))
+                .rejects.toBeInstanceOf(VersionConflictError);
+
+            expect((await storage.listVersions(roomId)).map(v => v.version)).toEqual([1]);
+        });
+
+        test('should only retain the most recent snapshots', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const limited = new SQLitePersistence({ dbPath: ':memory:', maxVersions: 3 });
+            await limited.connect();
+
+            try {
+                for (let version = 1; version <= 5; version++) {
+                    await limited.saveRoom(roomId, roomData(version), { expectedVersion: version - 1 });
+                }
+                expect((await limited.listVersions(roomId)).map(v => v.version)).toEqual([5, 4, 3]);
+            } finally {
+                await limited.close();
+            }
+        });
+
+        test('should not return versions of another room', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            const otherRoomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            const [version] = await storage.listVersions(roomId);
+
+            expect(await storage.getVersion(otherRoomId, version.versionId)).toBeNull();
+            expect(await storage.getVersion(roomId, 'not-a-row-id')).toBeNull();
+        });
+
+        test('should delete versions together with an expired room', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1), { expectedVersion: 0 });
+            await storage.cleanupExpired(new Date(Date.now() + 1000));
+
+            expect(await storage.listVersions(roomId)).toEqual([]);
+        });
+    });
+
+    describe('Expiry', () => {
+        const noteId = '3f2a9c1d4b5e6f70';
+
+        test('should delete idle rooms together with their notes and metadata', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1));
+            await storage.saveRoom(`${roomId}_${noteId}`, roomData(1));
+            await storage.saveRoomMeta(roomId, { syncMode: 'snapshot' });
+
+            expect(await storage.cleanupExpired(new Date(Date.now() + 1000))).toBe(2);
+            expect(await storage.getRoom(roomId)).toBeNull();
+            expect(await storage.getRoom(`${roomId}_${noteId}`)).toBeNull();
+            expect(await storage.getRoomMeta(roomId)).toBeNull();
+        });
+
+        test('should keep pinned rooms and their notes', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoom(roomId, roomData(1));
+            await storage.saveRoom(`${roomId}_${noteId}`, roomData(1));
+            await storage.saveRoomMeta(roomId, { pinned: true });
+
+            expect(await storage.cleanupExpired(new Date(Date.now() + 1000))).toBe(0);
+            expect(await storage.getRoom(roomId)).not.toBeNull();
+            expect(await storage.getRoom(`${roomId}_${noteId}`)).not.toBeNull();
+            expect(await storage.getRoomMeta(roomId)).toEqual({ pinned: true });
+        });
+
+        test('should count pinned rooms in the stats', async () => {
+            await storage.saveRoomMeta('room-aaaaaaaaaa', { pinned: true });
+            await storage.saveRoomMeta('room-bbbbbbbbbb', { pinned: false });
+
+            expect((await storage.getStats()).pinnedCount).toBe(1);
+        });
+    });
+
+    describe('Metadata', () => {
+        test('should only create metadata that does not exist yet', async () => {
+            const roomId = global.testUtils.generateRoomId();
+
+            await storage.saveRoomMeta(roomId, { syncMode: 'crdt' }, { expectedMeta: null });
+            await expect(storage.saveRoomMeta(roomId, { syncMode: 'snapshot' }, { expectedMeta: null }))
+                .rejects.toBeInstanceOf(MetaConflictError);
+
+            expect(await storage.getRoomMeta(roomId)).toEqual({ syncMode: 'crdt' });
+        });
+
+        test('should reject metadata changed since it was read', async () => {
+            const roomId = global.testUtils.generateRoomId();
+            await storage.saveRoomMeta(roomId, { syncMode: 'crdt', notes: ['3f2a9c1d4b5e6f70'] });
+
+            const read = await storage.getRoomMeta(roomId);
+            await storage.saveRoomMeta(roomId, { ...read, pinned: true }, { expectedMeta: read });
+            await expect(storage.saveRoomMeta(roomId, { ...read, pinned: false }, { expectedMeta: read }))
+                .rejects.toBeInstanceOf(MetaConflictError);
+
+            expect(await storage.getRoomMeta(roomId)).toMatchObject({ pinned: true });
+        });
+    });
+
+    describe('Room enumeration', () => {
+        test('should page through rooms in id order', async () => {
+            const roomIds = ['room-aaaaaaaaaa', 'room-bbbbbbbbbb', 'room-cccccccccc'];
+            for (const roomId of roomIds) {
+                await storage.saveRoom(roomId, roomData(1));
+            }
+
+            const first = await storage.listRooms(null, 2);
+            expect(first.rooms).toEqual(roomIds.slice(0, 2));
+
+            const second = await storage.listRooms(first.cursor, 2);
+            expect(second).toEqual({ rooms: roomIds.slice(2), cursor: null });
+        });
+
+        test('should list rooms that only have metadata once', async () => {
+            await storage.saveRoom('room-aaaaaaaaaa', roomData(1));
+            await storage.saveRoomMeta('room-aaaaaaaaaa', { syncMode: 'snapshot' });
+            await storage.saveRoomMeta('room-bbbbbbbbbb', { syncMode: 'crdt' });
+
+            expect((await storage.listRooms()).rooms).toEqual(['room-aaaaaaaaaa', 'room-bbbbbbbbbb']);
+        });
+
+        test('should reject an invalid limit', async () => {
+            await expect(storage.listRooms(null, 0)).rejects.toThrow('Invalid limit');
+        });
+    });
+});
@@ -0,0 +1,298 @@
+/**
+ * 分块上传重组器
+ * 客户端把加密后的整篇笔记切成多个分块逐个推送，服务器按会话收齐后
+ * 拼接成完整密文，只有完整快照才会被持久化和广播。
+ * 会话按房间和客户端生成的随机会话 ID 索引，与 socket 无关，
+ * 因此断线重连后可以查询位图并只补发缺失的分块。
+ * 缓冲的分块占用服务器内存，因此限制每个 socket、每个房间的并发会话数
+ * 以及所有会话的总字节数；socket 断开后其会话只再保留一小段时间供续传。
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 分块会话
+ * @typedef {Object} ChunkSession
+ * @property {string} roomId - 所属房间
+ * @property {string} socketId - 最近一次上传分块的 socket
+ * @property {string} sessionId - 客户端生成的会话 ID
+ * @property {number} total - 分块总数
+ * @property {Array<string|undefined>} chunks - 已收到的分块
+ * @property {number} received - 已收到的分块数
+ * @property {number} bytes - 已收到的字符数
+ * @property {number} startTime - 会话开始时间
+ * @property {number} lastActivity - 最近一次收到分块的时间
+ * @property {number|null} detachedAt - 上传者断开连接的时间，续传后清空
+ */
+
+/**
+ * 添加分块的结果
+ * @typedef {Object} ChunkResult
+ * @property {boolean} accepted - 分块是否被接受（校验和不符时为 false）
+ * @property {string} [reason] - 未被接受的原因 ('checksum')
+ * @property {boolean} complete - 是否已收齐
+ * @property {string} [data] - 收齐后拼接的完整数据
+ * @property {number} received - 已收到的分块数
+ * @property {number} total - 分块总数
+ * @property {number[]} missing - 尚未收到的分块序号
+ */
+
+/**
+ * 计算分块校验和
+ * @param {string} data
+ * @returns {string} SHA-256 十六进制
+ */
+function checksumChunk(data) {
+    return crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+}
+
+/**
+ * 把已收到的分块编码为位图（第 i 位表示第 i 块），Base64 传输
+ * @param {Array<string|undefined>} chunks
+ * @returns {string}
+ */
+function encodeBitmap(chunks) {
+    const bytes = Buffer.alloc(Math.ceil(chunks.length / 8));
+    chunks.forEach((chunk, index) => {
+        if (chunk !== undefined) {
+            bytes[index >> 3] |= 1 << (index & 7);
+        }
+    });
+    return bytes.toString('base64');
+}
+
+class ChunkAssembler {
+    constructor(options = {}) {
+        this.options = {
+            sessionTimeoutMs: options.sessionTimeoutMs || 5 * 60 * 1000, // 5分钟无活动
+            maxChunks: options.maxChunks || 256,
+            maxBytes: options.maxBytes || 10 * 1024 * 1024, // 与 socket.io maxHttpBufferSize 一致
+            maxSessionsPerSocket: options.maxSessionsPerSocket || 4,
+            maxSessionsPerRoom: options.maxSessionsPerRoom || 16,
+            maxTotalBytes: options.maxTotalBytes || 64 * 1024 * 1024, // 所有会话共用
+            disconnectGraceMs: options.disconnectGraceMs || 30 * 1000, // 断线后等待续传的时间
+            ...options
+        };
+
+        /** @type {Map<string, ChunkSession>} */
+        this.sessions = new Map();
+
+        // 所有会话已缓冲的字符数
+        this.totalBytes = 0;
+    }
+
+    _key(roomId, sessionId) {
+        return `${roomId}:${sessionId}`;
+    }
+
+    _delete(key) {
+        const session = this.sessions.get(key);
+        if (session) {
+            this.totalBytes -= session.bytes;
+            this.sessions.delete(key);
+        }
+    }
+
+    _countSessions(predicate) {
+        let count = 0;
+        for (const session of this.sessions.values()) {
+            if (predicate(session)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 添加一个分块
+     * @param {Object} chunk
+     * @param {string} chunk.roomId
+     * @param {string} chunk.socketId
+     * @param {string} [chunk.sessionId] - 单分块上传可省略
+     * @param {number} chunk.chunkIndex
+     * @param {number} chunk.totalChunks
+     * @param {string} chunk.data
+     * @param {string} [chunk.checksum] - 分块的 SHA-256，分块上传必填
+     * @returns {ChunkResult}
+     * @throws {Error} 分块参数无效或超出限制时
+     */
+    addChunk({ roomId, socketId, sessionId, chunkIndex, totalChunks, data, checksum }) {
+        if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > this.options.maxChunks) {
+            throw new Error(`Invalid chunk count: ${totalChunks}`);
+        }
+        if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks) {
+            throw new Error(`Invalid chunk index: ${chunkIndex}`);
+        }
+        if (typeof data !== 'string' || data.length === 0) {
+            throw new Error('Chunk data must be a non-empty string');
+        }
+        if (totalChunks > 1 && typeof checksum !== 'string') {
+            throw new Error('Chunked uploads require a checksum per chunk');
+        }
+
+        // 传输中损坏的分块不计入会话，由客户端重发
+        if (checksum !== undefined && checksum !== checksumChunk(data)) {
+            const session = this.sessions.get(this._key(roomId, sessionId));
+            return {
+                accepted: false,
+                reason: 'checksum',
+                complete: false,
+                received: session ? session.received : 0,
+                total: totalChunks,
+                missing: session ? this._missing(session) : []
+            };
+        }
+
+        // 单分块直接完成，不占用会话
+        if (totalChunks === 1) {
+            if (data.length > this.options.maxBytes) {
+                throw new Error('Upload exceeds size limit');
+            }
+            return { accepted: true, complete: true, data, received: 1, total: 1, missing: [] };
+        }
+
+        if (typeof sessionId !== 'string' || sessionId.length === 0 || sessionId.length > 64) {
+            throw new Error('Chunked uploads require a session ID');
+        }
+
+        const key = this._key(roomId, sessionId);
+        let session = this.sessions.get(key);
+        if (!session) {
+            if (this._countSessions(s => s.socketId === socketId && s.detachedAt === null) >= this.options.maxSessionsPerSocket) {
+                throw new Error('Too many concurrent uploads on this connection');
+            }
+            if (this._countSessions(s => s.roomId === roomId) >= this.options.maxSessionsPerRoom) {
+                throw new Error('Too many concurrent uploads in this room');
+            }
+            session = {
+                roomId,
+                socketId,
+                sessionId,
+                total: totalChunks,
+                chunks: new Array(totalChunks),
+                received: 0,
+                bytes: 0,
+                startTime: Date.now(),
+                lastActivity: Date.now(),
+                detachedAt: null
+            };
+            this.sessions.set(key, session);
+        }
+
+        if (session.total !== totalChunks) {
+            this._delete(key);
+            throw new Error('Chunk does not match its upload session');
+        }
+
+        session.socketId = socketId;
+        session.lastActivity = Date.now();
+        session.detachedAt = null;
+
+        // 重复分块（重发时常见）忽略
+        if (session.chunks[chunkIndex] === undefined) {
+            if (session.bytes + data.length > this.options.maxBytes) {
+                this._delete(key);
+                throw new Error('Upload exceeds size limit');
+            }
+            // 总量超限时保留会话，客户端稍后可以续传
+            if (this.totalBytes + data.length > this.options.maxTotalBytes) {
+                if (session.received === 0) {
+                    this._delete(key);
+                }
+                throw new Error('Server upload buffer is full');
+            }
+            session.chunks[chunkIndex] = data;
+            session.received++;
+            session.bytes += data.length;
+            this.totalBytes += data.length;
+        }
+
+        if (session.received === session.total) {
+            this._delete(key);
+            return {
+                accepted: true,
+                complete: true,
+                data: session.chunks.join(''),
+                received: session.total,
+                total: session.total,
+                missing: []
+            };
+        }
+
+        return {
+            accepted: true,
+            complete: false,
+            received: session.received,
+            total: session.total,
+            missing: this._missing(session)
+        };
+    }
+
+    /**
+     * 查询会话的接收状态，供重连后续传
+     * @param {string} roomId
+     * @param {string} sessionId
+     * @returns {{total: number, received: number, bitmap: string}|null} 会话不存在时返回 null
+     */
+    getStatus(roomId, sessionId) {
+        const session = this.sessions.get(this._key(roomId, sessionId));
+        if (!session) {
+            return null;
+        }
+        return {
+            total: session.total,
+            received: session.received,
+            bitmap: encodeBitmap(session.chunks)
+        };
+    }
+
+    /**
+     * socket 断开时调用：其会话不再计入该 socket 的并发数，
+     * 并在 disconnectGraceMs 内没有续传时由 cleanupStale 清理
+     * @param {string} socketId
+     * @param {number} [now]
+     * @returns {number} 受影响的会话数
+     */
+    detachSocket(socketId, now = Date.now()) {
+        let detached = 0;
+        for (const session of this.sessions.values()) {
+            if (session.socketId === socketId && session.detachedAt === null) {
+                session.detachedAt = now;
+                detached++;
+            }
+        }
+        return detached;
+    }
+
+    /**
+     * 清理长时间没有新分块、或上传者断开后未及时续传的会话
+     * @param {number} [now]
+     * @returns {Array<{session: ChunkSession, missing: number[]}>} 被清理的会话
+     */
+    cleanupStale(now = Date.now()) {
+        const expired = [];
+        for (const [key, session] of this.sessions.entries()) {
+            const idle = now - session.lastActivity > this.options.sessionTimeoutMs;
+            const abandoned = session.detachedAt !== null && now - session.detachedAt > this.options.disconnectGraceMs;
+            if (idle || abandoned) {
+                this._delete(key);
+                expired.push({ session, missing: this._missing(session) });
+            }
+        }
+        return expired;
+    }
+
+    _missing(session) {
+        const missing = [];
+        for (let i = 0; i < session.total; i++) {
+            if (session.chunks[i] === undefined) {
+                missing.push(i);
+            }
+        }
+        return missing;
+    }
+}
+
+module.exports = ChunkAssembler;
+module.exports.checksumChunk = checksumChunk;
+module.exports.encodeBitmap = encodeBitmap;
@@ -0,0 +1,176 @@
+const ChunkAssembler = require('../ChunkAssembler');
+const { checksumChunk, encodeBitmap } = require('../ChunkAssembler');
+
+const ROOM_ID = 'a'.repeat(64);
+
+function chunk(overrides = {}) {
+    const data = overrides.data || 'part';
+    return {
+        roomId: ROOM_ID,
+        socketId: 'socket-1',
+        sessionId: 'session-1',
+        chunkIndex: 0,
+        totalChunks: 3,
+        data,
+        checksum: checksumChunk(data),
+        ...overrides
+    };
+}
+
+describe('ChunkAssembler', () => {
+    let assembler;
+
+    beforeEach(() => {
+        assembler = new ChunkAssembler();
+    });
+
+    test('should complete single-chunk uploads immediately', () => {
+        const result = assembler.addChunk(chunk({ sessionId: undefined, totalChunks: 1, checksum: undefined, data: 'whole' }));
+
+        expect(result).toMatchObject({ accepted: true, complete: true, data: 'whole' });
+        expect(assembler.sessions.size).toBe(0);
+    });
+
+    test('should assemble chunks received out of order', () => {
+        expect(assembler.addChunk(chunk({ chunkIndex: 2, data: 'c' })).complete).toBe(false);
+        expect(assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' })).complete).toBe(false);
+        const result = assembler.addChunk(chunk({ chunkIndex: 1, data: 'b' }));
+
+        expect(result).toMatchObject({ complete: true, data: 'abc', total: 3 });
+        expect(assembler.sessions.size).toBe(0);
+    });
+
+    test('should report missing chunks', () => {
+        assembler.addChunk(chunk({ chunkIndex: 0 }));
+        const result = assembler.addChunk(chunk({ chunkIndex: 2 }));
+
+        expect(result).toMatchObject({ complete: false, received: 2, missing: [1] });
+    });
+
+    test('should ignore duplicate chunks', () => {
+        assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' }));
+        const result = assembler.addChunk(chunk({ chunkIndex: 0, data: 'x' }));
+
+        expect(result.received).toBe(1);
+    });
+
+    test('should not accept chunks with a wrong checksum', () => {
+        assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' }));
+        const result = assembler.addChunk(chunk({ chunkIndex: 1, data: 'b', checksum: checksumChunk('x') }));
+
+        expect(result).toMatchObject({ accepted: false, reason: 'checksum', received: 1, missing: [1, 2] });
+    });
+
+    test('should resume a session from another socket', () => {
+        assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' }));
+        assembler.addChunk(chunk({ chunkIndex: 2, data: 'c' }));
+
+        const status = assembler.getStatus(ROOM_ID, 'session-1');
+        expect(status).toEqual({ total: 3, received: 2, bitmap: encodeBitmap(['a', undefined, 'c']) });
+        expect(Buffer.from(status.bitmap, 'base64')[0]).toBe(0b101);
+
+        const result = assembler.addChunk(chunk({ socketId: 'socket-2', chunkIndex: 1, data: 'b' }));
+        expect(result).toMatchObject({ complete: true, data: 'abc' });
+        expect(assembler.getStatus(ROOM_ID, 'session-1')).toBeNull();
+    });
+
+    test('should keep sessions of different rooms apart', () => {
+        assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' }));
+        const result = assembler.addChunk(chunk({ roomId: 'b'.repeat(64), chunkIndex: 1, data: 'b' }));
+
+        expect(result.missing).toEqual([0, 2]);
+        expect(assembler.sessions.size).toBe(2);
+    });
+
+    test('should reject invalid chunks', () => {
+        expect(() => assembler.addChunk(chunk({ chunkIndex: 3 }))).toThrow();
+        expect(() => assembler.addChunk(chunk({ totalChunks: 0 }))).toThrow();
+        expect(() => assembler.addChunk(chunk({ data: '' }))).toThrow();
+        expect(() => assembler.addChunk(chunk({ sessionId: undefined }))).toThrow();
+        expect(() => assembler.addChunk(chunk({ checksum: undefined }))).toThrow(/checksum/);
+
+        assembler.addChunk(chunk());
+        expect(() => assembler.addChunk(chunk({ chunkIndex: 1, totalChunks: 4 }))).toThrow();
+        expect(assembler.sessions.size).toBe(0);
+    });
+
+    test('should enforce the size limit', () => {
+        assembler = new ChunkAssembler({ maxBytes: 5 });
+
+        assembler.addChunk(chunk({ data: 'abc' }));
+        expect(() => assembler.addChunk(chunk({ chunkIndex: 1, data: 'def' }))).toThrow(/size limit/);
+    });
+
+    test('should limit concurrent sessions per socket', () => {
+        assembler = new ChunkAssembler({ maxSessionsPerSocket: 2 });
+
+        assembler.addChunk(chunk({ sessionId: 'session-1' }));
+        assembler.addChunk(chunk({ sessionId: 'session-2' }));
+        expect(() => assembler.addChunk(chunk({ sessionId: 'session-3' }))).toThrow(/connection/);
+
+        // 已有会话的后续分块和其他 socket 的会话不受影响
+        expect(assembler.addChunk(chunk({ sessionId: 'session-1', chunkIndex: 1 })).accepted).toBe(true);
+        expect(assembler.addChunk(chunk({ socketId: 'socket-2', sessionId: 'session-3' })).accepted).toBe(true);
+    });
+
+    test('should limit concurrent sessions per room', () => {
+        assembler = new ChunkAssembler({ maxSessionsPerRoom: 2 });
+
+        assembler.addChunk(chunk({ socketId: 'socket-1', sessionId: 'session-1' }));
+        assembler.addChunk(chunk({ socketId: 'socket-2', sessionId: 'session-2' }));
+        expect(() => assembler.addChunk(chunk({ socketId: 'socket-3', sessionId: 'session-3' }))).toThrow(/room/);
+        expect(assembler.addChunk(chunk({ roomId: 'b'.repeat(64), socketId: 'socket-3', sessionId: 'session-3' })).accepted).toBe(true);
+    });
+
+    test('should enforce the global byte budget', () => {
+        assembler = new ChunkAssembler({ maxTotalBytes: 8 });
+
+        assembler.addChunk(chunk({ socketId: 'socket-1', sessionId: 'session-1', data: 'abcde' }));
+        expect(() => assembler.addChunk(chunk({ socketId: 'socket-2', sessionId: 'session-2', data: 'fghij' }))).toThrow(/buffer is full/);
+        expect(assembler.getStatus(ROOM_ID, 'session-2')).toBeNull();
+
+        // 会话完成后释放预算
+        assembler.addChunk(chunk({ sessionId: 'session-1', chunkIndex: 1, data: 'f' }));
+        assembler.addChunk(chunk({ sessionId: 'session-1', chunkIndex: 2, data: 'g' }));
+        expect(assembler.totalBytes).toBe(0);
+        expect(assembler.addChunk(chunk({ socketId: 'socket-2', sessionId: 'session-2', data: 'fghij' })).accepted).toBe(true);
+    });
+
+    test('should drop sessions of a disconnected socket after the grace period', () => {
+        assembler = new ChunkAssembler({ maxSessionsPerSocket: 1, disconnectGraceMs: 1000 });
+        const now = Date.now();
+
+        assembler.addChunk(chunk({ sessionId: 'session-1', data: 'abc' }));
+        expect(assembler.detachSocket('socket-1', now)).toBe(1);
+        expect(assembler.cleanupStale(now + 500)).toHaveLength(0);
+
+        const expired = assembler.cleanupStale(now + 1500);
+        expect(expired.map(e => e.session.sessionId)).toEqual(['session-1']);
+        expect(assembler.sessions.size).toBe(0);
+        expect(assembler.totalBytes).toBe(0);
+    });
+
+    test('should keep a detached session that is resumed in time', () => {
+        assembler = new ChunkAssembler({ disconnectGraceMs: 1000 });
+        const now = Date.now();
+
+        assembler.addChunk(chunk({ chunkIndex: 0, data: 'a' }));
+        assembler.detachSocket('socket-1', now);
+        assembler.addChunk(chunk({ socketId: 'socket-2', chunkIndex: 1, data: 'b' }));
+
+        expect(assembler.cleanupStale(now + 1500)).toHaveLength(0);
+        expect(assembler.getStatus(ROOM_ID, 'session-1').received).toBe(2);
+    });
+
+    test('should expire idle sessions', () => {
+        assembler.addChunk(chunk());
+
+        expect(assembler.cleanupStale(Date.now())).toHaveLength(0);
+
+        const expired = assembler.cleanupStale(Date.now() + 10 * 60 * 1000);
+        expect(expired).toHaveLength(1);
+        expect(expired[0].session.sessionId).toBe('session-1');
+        expect(expired[0].missing).toEqual([1, 2]);
+        expect(assembler.sessions.size).toBe(0);
+    });
+});